@@ -0,0 +1,115 @@
+/**
+ * Bot tournament runner.
+ * ------------------------------------------------------
+ * Plays a defender bot headless over a fixed set of seeds and prints its win
+ * rate and scores. Same base seed, same games, so strategies compare fairly.
+ *
+ *   npm run tournament -- --bot triage --games 50
+ *   npm run tournament -- --bot ./my-bot.js --fog --scenario dmz-breach
+ *
+ * Options:
+ *   --bot <name|file>     built-in bot (see src/bot/bots.js) or an ES module whose
+ *                         default export is a bot (default: triage)
+ *   --games <n>           number of seeds to play (default: 50)
+ *   --seed <n>            base seed the game seeds derive from (default: 1)
+ *   --scenario <id|file>  bundled scenario id or a scenario .json file
+ *   --adversary <id>      force one adversary profile
+ *   --topology <id>       generated network shape (see src/sim/topologies.js)
+ *   --tidy                relay generated networks out with the force-directed pass
+ *   --difficulty <id>     difficulty preset (see src/sim/difficulty.js; default: standard)
+ *   --fog                 play with fog of war
+ *   --think <n>           ticks between bot decisions (default: 1)
+ *   --verbose             print every game
+ *   --json                print the summary as JSON
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { runTournament, tournamentSeeds } from "../src/bot/api.js";
+import { BOTS } from "../src/bot/bots.js";
+import { formatSeed } from "../src/sim/seed.js";
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, DIFFICULTY_IDS, difficultyTuning, tuningRules } from "../src/sim/difficulty.js";
+import { TOPOLOGIES, TOPOLOGY_IDS } from "../src/sim/topologies.js";
+
+const root = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+function parseArgs(argv) {
+  const opts = { bot: "triage", games: 50, seed: 1, scenario: null, adversary: null, topology: null, difficulty: DEFAULT_DIFFICULTY, fog: false, tidy: false, think: 1, verbose: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, "");
+    if (["fog", "tidy", "verbose", "json"].includes(flag)) opts[flag] = true;
+    else if (flag in opts) opts[flag] = argv[++i];
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  for (const key of ["games", "seed", "think"]) {
+    opts[key] = Number(opts[key]);
+    if (!Number.isInteger(opts[key]) || opts[key] < 1) throw new Error(`--${key} must be a positive integer`);
+  }
+  if (opts.topology && !TOPOLOGIES[opts.topology]) throw new Error(`Unknown topology "${opts.topology}" (try ${TOPOLOGY_IDS.join(", ")})`);
+  if (!DIFFICULTIES[opts.difficulty]) throw new Error(`Unknown difficulty "${opts.difficulty}" (try ${DIFFICULTY_IDS.join(", ")})`);
+  return opts;
+}
+
+async function loadBot(name) {
+  if (BOTS[name]) return BOTS[name];
+  const file = resolve(process.cwd(), name);
+  if (!existsSync(file)) throw new Error(`No built-in bot "${name}" (try ${Object.keys(BOTS).join(", ")}) and no file ${file}`);
+  const mod = await import(pathToFileURL(file).href);
+  const bot = mod.default ?? mod.bot;
+  if (typeof bot?.act !== "function") throw new Error(`${name} must export a bot with an act(obs) function`);
+  return bot;
+}
+
+function loadScenario(name) {
+  if (!name) return null;
+  const bundled = resolve(root, "src/scenarios", `${name}.json`);
+  const file = existsSync(bundled) ? bundled : resolve(process.cwd(), name);
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const bot = await loadBot(opts.bot);
+  const rules = {
+    ...tuningRules(difficultyTuning(opts.difficulty)),
+    fog: opts.fog,
+    ...(opts.adversary ? { adversary: opts.adversary } : {}),
+    ...(opts.topology ? { topology: opts.topology } : {}),
+    ...(opts.tidy ? { relayout: true } : {}),
+  };
+  const started = performance.now();
+  const summary = runTournament(bot, {
+    seeds: tournamentSeeds(opts.games, opts.seed),
+    rules,
+    scenario: loadScenario(opts.scenario),
+    thinkEvery: opts.think,
+    onGame: (g, i) => {
+      if (opts.verbose && !opts.json) {
+        console.log(`${String(i + 1).padStart(4)}  ${formatSeed(g.seed).padEnd(8)} ${g.status.padEnd(5)} ${String(g.score).padStart(5)}  ${g.time.toFixed(0).padStart(4)}s  uptime ${pct(g.meanUptime)}  vs ${g.adversary}`);
+      }
+    },
+  });
+  const seconds = (performance.now() - started) / 1000;
+
+  if (opts.json) {
+    const { games, ...rest } = summary;
+    console.log(JSON.stringify({ ...rest, games: games.map(({ recording, ...g }) => g) }, null, 2));
+    return;
+  }
+  const simulated = summary.games.reduce((a, g) => a + g.time, 0);
+  console.log(`\nBot "${summary.bot}" over ${summary.games.length} games at ${DIFFICULTIES[opts.difficulty].name}${opts.fog ? " (fog of war)" : ""}${opts.scenario ? ` on ${opts.scenario}` : opts.topology ? ` on ${TOPOLOGIES[opts.topology].name} networks` : ""}`);
+  console.log(`  win rate     ${pct(summary.winRate)} (${summary.wins}/${summary.games.length})`);
+  console.log(`  mean score   ${summary.meanScore.toFixed(1)}`);
+  console.log(`  mean uptime  ${pct(summary.meanUptime)}`);
+  console.log(`  mean risk    ${pct(summary.meanRisk)}`);
+  console.log(`  mean length  ${summary.meanTime.toFixed(1)}s`);
+  console.log(`  ran ${simulated.toFixed(0)}s of game time in ${seconds.toFixed(1)}s (${(simulated / seconds).toFixed(0)}x real time)`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,222 @@
+/**
+ * CYBERGRID reference server.
+ * ------------------------------------------------------
+ * Runs rounds authoritatively for networked play (co-op defence or attacker
+ * vs defender) over the WebSocket protocol in src/net/protocol.js. Meant for
+ * localhost and LAN use; it keeps everything in memory.
+ *
+ *   npm run server                  # ws://localhost:8787
+ *   PORT=9000 npm run server
+ */
+
+import { createServer } from "node:http";
+import { WebSocketServer } from "ws";
+import { ACTIONS } from "../src/sim/actions.js";
+import { ADVERSARY_IDS, RANDOM_ADVERSARY } from "../src/sim/adversary.js";
+import { TUNING_KEYS, normalizeTuning } from "../src/sim/difficulty.js";
+import { eventsIssues } from "../src/sim/director.js";
+import { TICK_RATE } from "../src/sim/engine.js";
+import { networkSize } from "../src/sim/network.js";
+import { parseScenario, winIssues } from "../src/sim/scenario.js";
+import { TOPOLOGIES } from "../src/sim/topologies.js";
+import { DEFAULT_PORT, PROTOCOL_VERSION, decode, encode, makeCode, normalizeCode } from "../src/net/protocol.js";
+import { abortLobby, addPlayer, createLobby, queueAction, removePlayer, setRole, snapshot, startLobby, tickLobby } from "./lobby.js";
+
+const port = Number(process.env.PORT) || DEFAULT_PORT;
+const host = process.env.HOST || "localhost";
+const lobbies = new Map(); // code -> lobby
+let nextId = 1;
+
+function freshCode() {
+  let code;
+  do code = makeCode();
+  while (lobbies.has(code));
+  return code;
+}
+
+// The rules a client may set, checked the way scenario files are and clamped
+// like the rules panel's: returns { rules, issues }. Anything else is dropped
+// (`versus` is the server's to decide).
+function cleanRules(raw) {
+  const issues = [];
+  const rules = {};
+  const has = (k) => raw[k] !== undefined;
+
+  // tuning: only the rules asked for, clamped into the panel's bounds
+  const tuning = normalizeTuning(raw);
+  for (const k of TUNING_KEYS) if (has(k)) rules[k] = tuning[k];
+  for (const table of ["costs", "cooldowns"]) {
+    if (raw[table] && typeof raw[table] === "object") {
+      rules[table] = Object.fromEntries(Object.keys(raw[table]).filter((id) => ACTIONS[id]).map((id) => [id, tuning[table][id]]));
+    }
+  }
+  if (has("difficulty")) rules.difficulty = tuning.difficulty;
+
+  if (has("nodeCount") || has("criticalCount")) Object.assign(rules, networkSize(raw));
+  if (has("topology")) {
+    if (TOPOLOGIES[raw.topology]) rules.topology = raw.topology;
+    else issues.push(`\`topology\` must be one of ${Object.keys(TOPOLOGIES).join(", ")}`);
+  }
+  for (const flag of ["relayout", "fog"]) {
+    if (!has(flag)) continue;
+    if (typeof raw[flag] === "boolean") rules[flag] = raw[flag];
+    else issues.push(`\`${flag}\` must be true or false`);
+  }
+  if (has("win")) {
+    const found = winIssues(raw.win);
+    issues.push(...found);
+    if (!found.length) rules.win = raw.win.maxRisk != null ? { type: raw.win.type, maxRisk: raw.win.maxRisk } : { type: raw.win.type };
+  }
+  if (has("adversary")) {
+    if (raw.adversary === RANDOM_ADVERSARY || ADVERSARY_IDS.includes(raw.adversary)) rules.adversary = raw.adversary;
+    else issues.push(`\`adversary\` must be "${RANDOM_ADVERSARY}" or one of ${ADVERSARY_IDS.join(", ")}`);
+  }
+  if (has("actions")) {
+    const { actions } = raw;
+    if (actions === null) rules.actions = null;
+    else if (Array.isArray(actions) && actions.length && actions.every((a) => ACTIONS[a])) rules.actions = [...actions];
+    else issues.push("`actions` must be a non-empty list of action ids, or null");
+  }
+  if (has("sla")) {
+    const { sla } = raw;
+    if (sla === null || (typeof sla === "number" && sla > 0 && sla <= 1)) rules.sla = sla;
+    else issues.push("`sla` must be a number above 0 and at most 1, or null");
+  }
+  if (has("events")) {
+    const found = eventsIssues(raw.events);
+    issues.push(...found);
+    if (!found.length) {
+      const { events } = raw;
+      rules.events = events && { rate: events.rate ?? 1, pool: events.pool ?? null, schedule: (events.schedule ?? []).map(({ at, type }) => ({ at, type })) };
+    }
+  }
+  return { rules, issues };
+}
+
+// createGame options a client may ask for: returns { setup } or { issues }.
+function cleanSetup(setup) {
+  const seed = Number.isInteger(setup?.seed) ? setup.seed >>> 0 : Math.floor(Math.random() * 2 ** 32);
+  const clean = { seed };
+  const issues = [];
+  if (setup?.scenario && typeof setup.scenario === "object") {
+    try {
+      parseScenario(setup.scenario);
+      clean.scenario = setup.scenario;
+    } catch (err) {
+      if (!err.issues) throw err;
+      issues.push(...err.issues.map((i) => `scenario: ${i}`));
+    }
+  }
+  if (setup?.rules && typeof setup.rules === "object" && !Array.isArray(setup.rules)) {
+    const { rules, issues: found } = cleanRules(setup.rules);
+    clean.rules = rules;
+    issues.push(...found);
+  }
+  return issues.length ? { issues } : { setup: clean };
+}
+
+function onMessage(conn, msg) {
+  const fail = (message) => conn.player.send({ t: "error", message });
+  const { player } = conn;
+  const lobby = conn.lobby;
+
+  if (msg.t === "ping") return player.send({ t: "pong", at: msg.at, tick: lobby?.state?.tick ?? 0 });
+  if (msg.t === "create" || msg.t === "join") {
+    if (msg.v !== PROTOCOL_VERSION) return fail(`Protocol version ${msg.v} is not supported; the server speaks ${PROTOCOL_VERSION}.`);
+    if (lobby) return fail("Already in a lobby.");
+    player.name = String(msg.name ?? "").trim().slice(0, 24) || `Player ${player.id}`;
+    let target;
+    if (msg.t === "create") {
+      const { setup, issues } = cleanSetup(msg.setup);
+      if (issues) return fail(`Setup rejected: ${issues.join("; ")}`);
+      target = createLobby(freshCode(), setup);
+      lobbies.set(target.code, target);
+      player.role = "defender";
+    } else {
+      target = lobbies.get(normalizeCode(msg.code));
+      if (!target) return fail(`No lobby with code ${normalizeCode(msg.code)}.`);
+      player.role = msg.role ?? "defender";
+    }
+    const issue = addPlayer(target, player);
+    if (issue) return fail(issue);
+    conn.lobby = target;
+    console.log(`${player.name} joined ${target.code} as ${player.role}`);
+    return;
+  }
+  if (!lobby) return fail("Create or join a lobby first.");
+
+  let issue = null;
+  switch (msg.t) {
+    case "role":
+      issue = setRole(lobby, player, msg.role);
+      break;
+    case "start":
+      try {
+        issue = startLobby(lobby, player, performance.now());
+      } catch (err) {
+        issue = err.issues ? `Scenario rejected: ${err.issues.join("; ")}` : err.message;
+      }
+      break;
+    case "action":
+      issue = queueAction(lobby, player, msg.seq, msg.action);
+      break;
+    case "sync":
+      snapshot(lobby, player);
+      break;
+    default:
+      issue = `Unknown message "${msg.t}".`;
+  }
+  if (issue) fail(issue);
+}
+
+function leave(conn) {
+  const { lobby, player } = conn;
+  if (!lobby) return;
+  removePlayer(lobby, player);
+  if (!lobby.players.length) lobbies.delete(lobby.code);
+  console.log(`${player.name} left ${lobby.code}`);
+}
+
+const http = createServer((req, res) => {
+  res.writeHead(200, { "content-type": "text/plain" });
+  res.end(`CYBERGRID server: ${lobbies.size} lobb${lobbies.size === 1 ? "y" : "ies"}\n`);
+});
+const wss = new WebSocketServer({ server: http });
+
+wss.on("connection", (ws) => {
+  const send = (msg) => {
+    if (ws.readyState === ws.OPEN) ws.send(encode(msg));
+  };
+  const conn = { lobby: null, player: { id: nextId++, name: "", role: "spectator", send } };
+  ws.on("message", (data) => {
+    const msg = decode(String(data));
+    if (msg) onMessage(conn, msg);
+    else send({ t: "error", message: "Malformed message." });
+  });
+  ws.on("close", () => leave(conn));
+});
+
+// one clock for every lobby; each catches up in fixed ticks, and one that
+// throws ends its own round without taking the others down
+const timer = setInterval(() => {
+  const now = performance.now();
+  for (const lobby of lobbies.values()) {
+    try {
+      tickLobby(lobby, now);
+    } catch (err) {
+      console.error(`Lobby ${lobby.code} stopped:`, err);
+      abortLobby(lobby, `The round stopped on a server error (${err.message}).`);
+    }
+  }
+}, 1000 / TICK_RATE / 2);
+
+const shutdown = () => {
+  clearInterval(timer);
+  wss.close();
+  http.close(() => process.exit(0));
+  for (const ws of wss.clients) ws.terminate();
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+http.listen(port, host, () => console.log(`CYBERGRID server listening on ws://${host}:${port}`));
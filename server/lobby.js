@@ -0,0 +1,214 @@
+/**
+ * Lobbies for the reference server.
+ * ------------------------------------------------------
+ * A lobby is one shared round: a join code, the seated players and, once the
+ * host starts it, the authoritative engine state. Players never step the
+ * simulation themselves; they send actions, the lobby applies them on its next
+ * tick and broadcasts what changed.
+ *
+ * Seats: any number of defenders (co-op, one shared energy pool), at most one
+ * attacker (the round then runs in versus mode, see src/sim/attacker.js) and
+ * any number of spectators.
+ *
+ * A player is `{ id, name, role, send(msg) }`; the lobby knows nothing about
+ * sockets.
+ *
+ * With fog of war on, defenders and spectators are sent the fogged view of
+ * the round (see fogView in protocol.js) until it is over; the attacker always
+ * gets the full state.
+ */
+
+import { ACTIONS } from "../src/sim/actions.js";
+import { ATTACKS } from "../src/sim/attacker.js";
+import { TICK_DT, TICK_RATE, createGame, step } from "../src/sim/engine.js";
+import { createRecording, recordStep } from "../src/sim/recording.js";
+import { PLAYER_ROLES, diffState, fogLog, fogView, wireState } from "../src/net/protocol.js";
+
+export const BROADCAST_EVERY = 2; // ticks between diffs (10 Hz)
+const MAX_CATCHUP = 10; // ticks per wake-up after a stall
+
+export function createLobby(code, setup) {
+  return {
+    code,
+    setup,
+    players: [],
+    host: null,
+    status: "waiting", // waiting | running | over
+    state: null,
+    sent: null, // state as of the last broadcast
+    pending: [], // [{ player, seq, action }] for the next tick
+    log: [], // messages and trace since the last broadcast
+    trace: [],
+    recording: null,
+    clock: 0, // wall-clock ms the simulation has caught up to
+  };
+}
+
+function broadcast(lobby, msg) {
+  for (const p of lobby.players) p.send(msg);
+}
+
+export function lobbyInfo(lobby, player) {
+  return {
+    t: "lobby",
+    code: lobby.code,
+    you: player.id,
+    host: lobby.host,
+    players: lobby.players.map(({ id, name, role }) => ({ id, name, role })),
+    status: lobby.status,
+    setup: lobby.setup,
+  };
+}
+
+// Whether `player` gets the fogged view of the round.
+const fogged = (lobby, player) => lobby.status === "running" && player.role !== "attacker" && lobby.state.rules.fog;
+
+// The last broadcast state as `player` sees it, so later diffs apply on top.
+function sendSnapshot(lobby, player) {
+  const wire = wireState(lobby.sent);
+  player.send({ t: "snapshot", tick: lobby.sent.tick, state: fogged(lobby, player) ? fogView(wire) : wire });
+}
+
+function announce(lobby) {
+  for (const p of lobby.players) p.send(lobbyInfo(lobby, p));
+}
+
+// Returns an error message, or null when the seat is free.
+function seatIssue(lobby, role, player) {
+  if (!PLAYER_ROLES.includes(role)) return `Unknown role "${role}".`;
+  if (role !== "attacker") return null;
+  if (lobby.players.some((p) => p.role === "attacker" && p !== player)) return "The attacker seat is taken.";
+  if (lobby.status === "running" && !lobby.state.rules.versus) return "This round started without an attacker.";
+  return null;
+}
+
+export function addPlayer(lobby, player) {
+  const issue = seatIssue(lobby, player.role, player);
+  if (issue) return issue;
+  lobby.players.push(player);
+  lobby.host ??= player.id;
+  announce(lobby);
+  if (lobby.state) sendSnapshot(lobby, player);
+  return null;
+}
+
+export function removePlayer(lobby, player) {
+  lobby.players = lobby.players.filter((p) => p !== player);
+  lobby.pending = lobby.pending.filter((a) => a.player !== player);
+  if (lobby.host === player.id) lobby.host = lobby.players[0]?.id ?? null;
+  announce(lobby);
+}
+
+export function setRole(lobby, player, role) {
+  if (lobby.status === "running") return "Seats are locked while the round is running.";
+  const issue = seatIssue(lobby, role, player);
+  if (issue) return issue;
+  player.role = role;
+  announce(lobby);
+  return null;
+}
+
+// Starts (or restarts) the round; throws ScenarioError on a bad setup.
+export function startLobby(lobby, player, now) {
+  if (player.id !== lobby.host) return "Only the host can start the round.";
+  const versus = lobby.players.some((p) => p.role === "attacker");
+  const setup = { ...lobby.setup, rules: { ...lobby.setup.rules, versus } };
+  lobby.state = createGame(setup);
+  lobby.sent = lobby.state;
+  lobby.recording = createRecording(setup);
+  lobby.pending = [];
+  lobby.log = [];
+  lobby.trace = [];
+  lobby.clock = now;
+  lobby.status = "running";
+  announce(lobby);
+  for (const p of lobby.players) sendSnapshot(lobby, p);
+  return null;
+}
+
+// Checks an action against the sender's seat and strips it to known fields.
+function cleanAction(player, action) {
+  const type = action?.type;
+  const own = player.role === "defender" ? ACTIONS : player.role === "attacker" ? ATTACKS : null;
+  if (!own || typeof type !== "string" || !Object.hasOwn(own, type)) return null;
+  const clean = { type };
+  if (Number.isInteger(action.node)) clean.node = action.node;
+  if (Array.isArray(action.edge) && action.edge.length === 2 && action.edge.every(Number.isInteger)) clean.edge = [...action.edge];
+  return clean;
+}
+
+export function queueAction(lobby, player, seq, action) {
+  if (lobby.status !== "running") return "The round is not running.";
+  const clean = cleanAction(player, action);
+  if (!clean) return `Your seat (${player.role}) cannot do that.`;
+  lobby.pending.push({ player, seq, action: clean });
+  return null;
+}
+
+function stepLobby(lobby) {
+  const batch = lobby.pending.splice(0);
+  const actions = batch.map((a) => a.action);
+  const s = step(lobby.state, TICK_DT, actions);
+  recordStep(lobby.recording, s, actions);
+  lobby.state = s;
+  lobby.log.push(...s.messages);
+  lobby.trace.push(...s.trace);
+  for (const a of batch) a.player.send({ t: "ack", seq: a.seq, tick: s.tick });
+}
+
+// Sends everything since the last broadcast; the fogged view is diffed
+// separately, and only when someone is seeing it.
+function flush(lobby) {
+  const s = lobby.state;
+  const prev = wireState(lobby.sent);
+  const next = wireState(s);
+  const base = { t: "diff", base: lobby.sent.tick, tick: s.tick };
+  let full = null;
+  let fog = null;
+  for (const p of lobby.players) {
+    if (fogged(lobby, p)) {
+      fog ??= { ...base, ops: diffState(fogView(prev), fogView(next)), ...fogLog(next, lobby.log, lobby.trace) };
+      p.send(fog);
+    } else {
+      full ??= { ...base, ops: diffState(prev, next), log: lobby.log, trace: lobby.trace };
+      p.send(full);
+    }
+  }
+  lobby.sent = s;
+  lobby.log = [];
+  lobby.trace = [];
+}
+
+// Advances a running lobby to wall-clock time `now` (ms) in fixed ticks.
+export function tickLobby(lobby, now) {
+  if (lobby.status !== "running") return;
+  const tickMs = 1000 / TICK_RATE;
+  let steps = 0;
+  while (now - lobby.clock >= tickMs && steps < MAX_CATCHUP) {
+    stepLobby(lobby);
+    lobby.clock += tickMs;
+    steps++;
+    if (lobby.state.status !== "running") break;
+    if (lobby.state.tick % BROADCAST_EVERY === 0) flush(lobby);
+  }
+  if (steps === MAX_CATCHUP) lobby.clock = now; // drop the backlog instead of spiralling
+  if (lobby.state.status !== "running") {
+    flush(lobby);
+    lobby.status = "over";
+    broadcast(lobby, { t: "over", state: wireState(lobby.state), recording: lobby.recording });
+    announce(lobby);
+  }
+}
+
+// Ends a round the simulation can't carry on (it threw): players are told why
+// and the host can start a fresh one.
+export function abortLobby(lobby, message) {
+  lobby.status = "over";
+  lobby.pending = [];
+  broadcast(lobby, { t: "error", message });
+  announce(lobby);
+}
+
+export function snapshot(lobby, player) {
+  if (lobby.state) sendSnapshot(lobby, player);
+}
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   Shield,
@@ -11,7 +11,84 @@ import {
   Play,
   RotateCcw,
   Info,
+  Hash,
+  Link2,
+  Film,
+  Download,
+  Upload,
+  FileJson,
+  Flag,
+  ChevronRight,
+  Search,
+  EyeOff,
+  Server,
+  DatabaseBackup,
+  Crosshair,
+  KeyRound,
+  Ban,
+  Gauge,
+  Cable,
+  Swords,
+  Target,
+  Globe,
+  Bot,
+  Trophy,
+  ZoomIn,
+  ZoomOut,
+  Maximize2,
+  LocateFixed,
+  Wand2,
+  SlidersHorizontal,
+  GraduationCap,
 } from "lucide-react";
+import { ENERGY_MAX, MAX_NODES, NODES } from "./sim/constants.js";
+import { ACTIONS, ACTION_IDS, actionCost, sameLink } from "./sim/actions.js";
+import { ATTACKS, ATTACK_IDS, RED_ENERGY_MAX, attackCooldownLeft, canAttack } from "./sim/attacker.js";
+import { CRITICAL_RADIUS, createLayerCache, pickLink, renderNetwork } from "./render/network.js";
+import { fitNodes, focusNode, toScreen, zoomAt } from "./render/camera.js";
+import { useCamera } from "./render/useCamera.js";
+import Minimap from "./components/Minimap.jsx";
+import { useCanvas } from "./render/useCanvas.js";
+import { randomSeed, formatSeed, parseSeed, seedFromSearch } from "./sim/seed.js";
+import { createGame, canUse, cooldownLeft, isAllowed, describeWin, setHold } from "./sim/engine.js";
+import { parseScenario } from "./sim/scenario.js";
+import { FORMATS, FORMAT_IDS, NETWORK_ACCEPT, detectFormat, exportNetwork, importNetwork, networkToScenario } from "./formats/index.js";
+import { ADVERSARIES } from "./sim/adversary.js";
+import { visibleState } from "./sim/fog.js";
+import { createSpatialIndex } from "./sim/spatial.js";
+import { DEFAULT_TOPOLOGY, TOPOLOGIES, TOPOLOGY_IDS } from "./sim/topologies.js";
+import { DIFFICULTIES, DIFFICULTY_IDS, difficultyName, difficultyTuning, tuningRules } from "./sim/difficulty.js";
+import { loadTuning, saveTuning } from "./util/settings.js";
+import { ROLES, outageCause } from "./sim/roles.js";
+import { EVENTS, eventTimeLeft } from "./sim/director.js";
+import { SCENARIOS, findScenario } from "./scenarios/index.js";
+import { MISSIONS, missionRules } from "./campaign/missions.js";
+import { loadProgress, completeMission, resetProgress } from "./campaign/progress.js";
+import { LESSONS } from "./tutorial/index.js";
+import { lessonSetup, parseLesson, stepDone } from "./tutorial/tutorial.js";
+import { completeLesson, loadLessonsDone } from "./tutorial/progress.js";
+import TutorialPanel from "./components/TutorialPanel.jsx";
+import TutorialCard from "./components/TutorialCard.jsx";
+import CampaignPanel from "./components/CampaignPanel.jsx";
+import RulesPanel from "./components/RulesPanel.jsx";
+import LeaderboardPanel from "./components/LeaderboardPanel.jsx";
+import AchievementBadge from "./components/AchievementBadge.jsx";
+import { ACHIEVEMENTS, newAchievements } from "./profiles/achievements.js";
+import { boardKey, createProfile, createRun, leaderboard, mapOf, unlock } from "./profiles/records.js";
+import { activeProfileId, boardRuns, listProfiles, saveProfile, saveRun, setActiveProfileId } from "./profiles/store.js";
+import { createRecording, recordStep, createReplay, parseRecording, serializeRecording } from "./sim/recording.js";
+import { downloadFile, pickFile } from "./util/files.js";
+import ReplayViewer from "./components/ReplayViewer.jsx";
+import { serializeReport } from "./sim/report.js";
+import { reportHtml } from "./report/html.js";
+import AfterActionReport from "./components/AfterActionReport.jsx";
+import { createClient, myRole } from "./net/client.js";
+import { createGameStore } from "./game/store.js";
+import { useGameStore } from "./game/useGameStore.js";
+import LobbyPanel from "./components/LobbyPanel.jsx";
+import { observe } from "./bot/api.js";
+import { BOTS } from "./bot/bots.js";
+import { createWorkerBot } from "./bot/workerBot.js";
 
 /**
  * CYBERGRID: Breach Containment
@@ -20,331 +97,105 @@ import {
  * Core loop: contain a spreading malware outbreak across a live network graph
  * by applying tactical actions to nodes while managing energy and cooldowns.
  *
- * Actions (hotkeys):
- *  Q – Isolate node (toggle): severs links, halts spread but reduces uptime
+ * Actions (hotkeys) come from the registry in ./sim/actions.js, e.g.:
+ *  Q – Isolate node (toggle): severs links, halts spread but takes the node and
+ *      every service depending on it offline
  *  W – Patch node: hardens & cleans over time if infected
  *  E – Deploy Honeypot: lures attacks, slows global spread while active
  *  R – IDS Sweep: temporary global debuff to attacker spread
+ *  F – Block Link: firewalls the selected link (click near a line to select it)
+ *
+ * Hot-seat mode hands the attacker to a second player: arrow keys (or a
+ * right-click) move the red target cursor and 1–4 fire attacker moves.
  *
  * Win: Survive until the timer hits 0 without Risk hitting 100%.
- * Lose: Risk reaches 100% (too much of the graph compromised / critical loss).
+ * Lose: Risk reaches 100% (too much of the graph compromised / critical loss),
+ *       or uptime stays under the SLA for too long.
  *
- * This file is self-contained and production-ready as a single React export.
+ * Game rules live in the headless engine under ./sim; this component owns
+ * input, the render loop and the HUD, and drives the engine tick by tick.
+ * Online rounds are stepped by the server (see ./net and server/) instead;
+ * the component then just mirrors the state it receives.
  */
 
-// ------------------------- Utilities -------------------------
-const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
-const now = () => performance.now();
-
-function seededRandom(seed = Math.floor(Math.random() * 1e9)) {
-  // Mulberry32 — tiny fast RNG for stable layouts
-  let s = seed >>> 0;
-  return () => {
-    s += 0x6D2B79F5;
-    let t = Math.imul(s ^ (s >>> 15), 1 | s);
-    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-// ------------------------- Game Types -------------------------
-// typedefs left as comments for clarity
-
 // ------------------------- Constants -------------------------
-const NODES = 32; // total nodes in the grid
-const CRITICAL_COUNT = 3;
-const START_TIME = 180; // seconds to survive
-const BASE_THREAT = 0.085; // baseline spread rate (per second)
-const ENERGY_MAX = 100;
-const ENERGY_REGEN = 7; // per second
-const CLEAN_TIME = 6.5; // seconds for a patched infected node to auto-clean
-
-const COLORS = {
-  bg1: "#05060a",
-  bg2: "#0b1020",
-  grid: "#121629",
-  safe: "#64fbd2",
-  infected: "rgb(255,80,168)",
-  isolated: "#6b7280",
-  patched: "#58a6ff",
-  honeypot: "#facc15",
-  edge: "#1f2937",
-  text: "#cbd5e1",
-  critical: "#ff9d00",
+const BENCH_GAMES = 20; // seeds per in-browser bot benchmark
+
+// Sizes offered for generated networks (campaign missions bring their own).
+const NETWORK_SIZES = [
+  { nodes: NODES, label: "Standard" },
+  { nodes: 500, label: "Large" },
+  { nodes: 2000, label: "Enterprise" },
+  { nodes: MAX_NODES, label: "Mega" },
+];
+// Generated-network choice from a shared URL (?nodes=, ?layout=, ?tidy=1).
+const networkFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const n = Number(params.get("nodes"));
+  const layout = params.get("layout");
+  return {
+    nodeCount: NETWORK_SIZES.some((sz) => sz.nodes === n) ? n : NODES,
+    topology: TOPOLOGY_IDS.includes(layout) ? layout : DEFAULT_TOPOLOGY,
+    relayout: params.get("tidy") === "1",
+  };
 };
-
-const ACTIONS = {
-  isolate: {
-    key: "q",
-    label: "Isolate",
-    cost: 18,
-    cooldown: 1200, // ms
-    desc: "Toggle quarantine. Severs links, halts spread from/to node.",
-  },
-  patch: {
-    key: "w",
-    label: "Patch",
-    cost: 24,
-    cooldown: 1400,
-    desc: "Hardens node and cleans infection over time.",
-  },
-  honeypot: {
-    key: "e",
-    label: "Honeypot",
-    cost: 28,
-    cooldown: 4000,
-    desc: "Baits attacker. Slight global slowdown while active.",
-  },
-  sweep: {
-    key: "r",
-    label: "IDS Sweep",
-    cost: 36,
-    cooldown: 12000,
-    desc: "Network-wide scan. Heavily reduces spread for 8s.",
-  },
+// Difficulty preset from a shared URL (?difficulty=), else the last rules used here.
+const tuningFromSearch = (search) => {
+  const id = new URLSearchParams(search).get("difficulty");
+  return DIFFICULTIES[id] ? difficultyTuning(id) : loadTuning();
+};
+// createGame() rules for that choice, leaving out the defaults
+const networkRules = ({ nodeCount, topology, relayout }) => ({
+  ...(nodeCount !== NODES ? { nodeCount } : {}),
+  ...(topology !== DEFAULT_TOPOLOGY ? { topology } : {}),
+  ...(relayout ? { relayout: true } : {}),
+});
+
+// Button icons per action; anything new in the registry falls back to Zap.
+const ACTION_ICONS = {
+  isolate: Shield,
+  patch: Activity,
+  honeypot: Skull,
+  sweep: Radar,
+  scan: Search,
+  restore: DatabaseBackup,
+  hunt: Crosshair,
+  credreset: KeyRound,
+  block: Ban,
+  ratelimit: Gauge,
+  tap: Cable,
 };
 
-// ------------------------- Name Generators -------------------------
-const PREFIX = ["core", "edge", "dmz", "auth", "cache", "db", "api", "ops", "mesh", "quant", "ml", "crypto", "telemetry", "log", "mail"];
-const SUFFIX = ["-north", "-south", "-west", "-east", "-alpha", "-beta", "-gamma", "-x", "-y", "-z", "-01", "-02", "-03", "-svc", "-gw"];
-const CRIT_NAMES = ["Core-DB", "Finance-DB", "Auth-Server", "PKI-Root", "Ledger", "SCADA-Hub"];
-
-function genName(rand) {
-  return `${PREFIX[Math.floor(rand()*PREFIX.length)]}${SUFFIX[Math.floor(rand()*SUFFIX.length)]}`;
-}
-
-// ------------------------- Network Generation -------------------------
-function generateNetwork(width, height, seed) {
-  const rand = seededRandom(seed);
-  const nodes = [];
-  const edges = [];
-
-  const cx = width / 2, cy = height / 2;
-  const radius = Math.min(width, height) * 0.36;
-
-  // Place nodes in concentric rings with jitter
-  const rings = 3;
-  let id = 0;
-  for (let r = 0; r < rings; r++) {
-    const ringCount = Math.round((NODES / rings) * (1 + (r === 2 ? 0.2 : 0)));
-    const rRadius = radius * (0.4 + r * 0.3);
-    for (let i = 0; i < ringCount && id < NODES; i++) {
-      const t = (i / ringCount) * Math.PI * 2 + rand() * 0.1;
-      const jitter = (rand() - 0.5) * 30;
-      const x = cx + Math.cos(t) * (rRadius + jitter);
-      const y = cy + Math.sin(t) * (rRadius + jitter);
-      nodes.push({
-        id: id++,
-        x,
-        y,
-        infected: false,
-        isolated: false,
-        patched: 0,
-        honeypot: false,
-        security: 0.3 + rand() * 0.55,
-        critical: false,
-        name: genName(rand),
-        cleanProg: 0,
-        lastInfectAt: -1e9,
-      });
-    }
-  }
-
-  // Tag critical nodes
-  for (let i = 0; i < CRITICAL_COUNT; i++) {
-    const idx = Math.floor(rand() * nodes.length);
-    nodes[idx].critical = true;
-    nodes[idx].name = CRIT_NAMES[i % CRIT_NAMES.length];
-    nodes[idx].security = Math.min(1, nodes[idx].security + 0.15);
-  }
-
-  // Connect graph: each node to k nearest + a few random long links
-  const k = 3;
-  for (let i = 0; i < nodes.length; i++) {
-    const a = nodes[i];
-    const dists = nodes
-      .map((b) => ({ b: b.id, d: (a.x - b.x) ** 2 + (a.y - b.y) ** 2 }))
-      .filter((o) => o.b !== a.id)
-      .sort((u, v) => u.d - v.d)
-      .slice(0, k + 1 + Math.floor(rand() * 2));
-    for (const n of dists) {
-      const b = n.b;
-      if (!edges.find((e) => (e.a === a.id && e.b === b) || (e.a === b && e.b === a.id))) {
-        edges.push({ a: a.id, b, w: 0.5 + rand() * 0.9 });
-      }
-    }
-  }
-  // sprinkle a few cross links
-  for (let i = 0; i < Math.floor(NODES * 0.4); i++) {
-    const a = Math.floor(rand() * nodes.length);
-    const b = Math.floor(rand() * nodes.length);
-    if (a !== b && !edges.find((e) => (e.a === a && e.b === b) || (e.a === b && e.b === a))) {
-      edges.push({ a, b, w: 0.4 + rand() * 0.8 });
-    }
-  }
-
-  // seed initial infection
-  for (let i = 0; i < 2; i++) {
-    const n = nodes[Math.floor(rand() * nodes.length)];
-    n.infected = true;
-    n.lastInfectAt = 0;
-  }
-
-  return { nodes, edges };
-}
-
-// ------------------------- Rendering -------------------------
-function useCanvas(size) {
-  const canvasRef = useRef(null);
-  useEffect(() => {
-    const c = canvasRef.current;
-    if (!c) return;
-    const ctx = c.getContext("2d");
-    const dpr = window.devicePixelRatio || 1;
-    const [w, h] = size;
-    c.width = Math.floor(w * dpr);
-    c.height = Math.floor(h * dpr);
-    c.style.width = w + "px";
-    c.style.height = h + "px";
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-  }, [size[0], size[1]]);
-  return canvasRef;
-}
-
-function toRgba(color, alpha) {
-  if (typeof color === "string") {
-    if (color.startsWith("rgb")) {
-      const i1 = color.indexOf("(");
-      const i2 = color.indexOf(")");
-      if (i1 !== -1 && i2 !== -1) {
-        const parts = color
-          .slice(i1 + 1, i2)
-          .split(",")
-          .map((s) => parseInt(s.trim(), 10))
-          .slice(0, 3);
-        if (parts.length === 3 && parts.every((n) => Number.isFinite(n))) {
-          const [r, g, b] = parts;
-          return `rgba(${r},${g},${b},${alpha})`;
-        }
-      }
-    }
-    if (color[0] === "#") {
-      let c = color.slice(1);
-      if (c.length === 3) c = c.split("").map((ch) => ch + ch).join("");
-      const r = parseInt(c.slice(0, 2), 16);
-      const g = parseInt(c.slice(2, 4), 16);
-      const b = parseInt(c.slice(4, 6), 16);
-      if ([r, g, b].every((n) => !Number.isNaN(n))) {
-        return `rgba(${r},${g},${b},${alpha})`;
-      }
-    }
-  }
-  return color;
-}
-
-function drawGlowCircle(ctx, x, y, r, color, alpha = 0.9) {
-  ctx.save();
-  const grad = ctx.createRadialGradient(x, y, r * 0.2, x, y, r * 1.6);
-  grad.addColorStop(0, toRgba(color, alpha));
-  grad.addColorStop(1, toRgba(color, 0));
-  ctx.fillStyle = grad;
-  ctx.beginPath();
-  ctx.arc(x, y, r * 1.6, 0, Math.PI * 2);
-  ctx.fill();
-  ctx.restore();
-}
+// Banners for the outside events that started in one step's trace.
+const eventBanners = (trace) => trace
+  .filter((t) => t.kind === "event")
+  .map((t) => ({ id: t.id, type: t.type, txt: `${EVENTS[t.type].icon} ${EVENTS[t.type].name}` }));
 
-function renderNetwork(ctx, width, height, nodes, edges, opts) {
-  // background gradient
-  ctx.save();
-  const grad = ctx.createLinearGradient(0, 0, width, height);
-  grad.addColorStop(0, COLORS.bg1);
-  grad.addColorStop(1, COLORS.bg2);
-  ctx.fillStyle = grad;
-  ctx.fillRect(0, 0, width, height);
-
-  // subtle grid lines
-  ctx.strokeStyle = COLORS.grid;
-  ctx.lineWidth = 1;
-  for (let x = 0; x < width; x += 30) {
-    ctx.beginPath();
-    ctx.moveTo(x, 0);
-    ctx.lineTo(x, height);
-    ctx.stroke();
-  }
-  for (let y = 0; y < height; y += 30) {
-    ctx.beginPath();
-    ctx.moveTo(0, y);
-    ctx.lineTo(width, y);
-    ctx.stroke();
-  }
+const PICK_NODE_PX = 16; // click reach around a node, in screen pixels
+const PICK_LINK_PX = 8; // and around a link
+const TOAST_MS = 5000; // how long an achievement toast stays up
 
-  // edges
-  ctx.lineWidth = 1.5;
-  for (const e of edges) {
-    const a = nodes[e.a];
-    const b = nodes[e.b];
-    const disabled = a.isolated || b.isolated;
-    ctx.strokeStyle = disabled ? "#22262f" : COLORS.edge;
-    ctx.globalAlpha = disabled ? 0.3 : 0.9 * (0.6 + e.w * 0.4);
-    ctx.beginPath();
-    ctx.moveTo(a.x, a.y);
-    ctx.lineTo(b.x, b.y);
-    ctx.stroke();
-  }
-  ctx.globalAlpha = 1;
+// Red cursor directions in hot-seat mode.
+const ARROWS = { arrowleft: [-1, 0], arrowright: [1, 0], arrowup: [0, -1], arrowdown: [0, 1] };
 
-  // nodes
+// Nearest node from `from` roughly in direction (dx, dy), for the red cursor.
+function stepCursor(nodes, from, dx, dy) {
+  const o = nodes[from];
+  let best = from;
+  let bs = Infinity;
   for (const n of nodes) {
-    const r = n.critical ? 11 : 8;
-
-    // glow layers depending on state
-    if (n.honeypot) drawGlowCircle(ctx, n.x, n.y, r + 10, "rgb(250,204,21)", 0.18);
-    if (n.infected) drawGlowCircle(ctx, n.x, n.y, r + 14, COLORS.infected, 0.12);
-
-    // base circle
-    ctx.beginPath();
-    ctx.arc(n.x, n.y, r, 0, Math.PI * 2);
-    ctx.fillStyle = n.infected
-      ? COLORS.infected
-      : n.isolated
-      ? COLORS.isolated
-      : n.patched > 0
-      ? COLORS.patched
-      : COLORS.safe;
-    ctx.fill();
-
-    // ring for critical
-    if (n.critical) {
-      ctx.strokeStyle = COLORS.critical;
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.arc(n.x, n.y, r + 3, 0, Math.PI * 2);
-      ctx.stroke();
-    }
-
-    // small notch for patched progress
-    if (n.patched > 0) {
-      ctx.strokeStyle = COLORS.patched;
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      const prog = Math.max(0, Math.min(1, n.cleanProg / CLEAN_TIME));
-      ctx.arc(n.x, n.y, r + 5, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * prog);
-      ctx.stroke();
-    }
-
-    if (opts?.selected === n.id) {
-      ctx.strokeStyle = "#ffffff";
-      ctx.globalAlpha = 0.9;
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.arc(n.x, n.y, r + 7, 0, Math.PI * 2);
-      ctx.stroke();
-      ctx.globalAlpha = 1;
+    const vx = n.x - o.x;
+    const vy = n.y - o.y;
+    const d = Math.hypot(vx, vy);
+    const along = (vx * dx + vy * dy) / (d || 1);
+    if (n.id === from || along < 0.5) continue; // within ~60° of the arrow
+    const sc = d * (2 - along);
+    if (sc < bs) {
+      bs = sc;
+      best = n.id;
     }
   }
-
-  ctx.restore();
+  return best;
 }
 
 // ------------------------- Game Component -------------------------
@@ -353,24 +204,90 @@ export default function App() {
   const [size, setSize] = useState([900, 560]);
   const canvasRef = useCanvas(size);
 
-  const [seed] = useState(() => Math.floor(Math.random() * 1e9));
-  const [{ nodes, edges }, setGraph] = useState(() => ({ nodes: [], edges: [] }));
+  const [seed, setSeed] = useState(() => seedFromSearch(window.location.search) ?? randomSeed());
+  const [seedInput, setSeedInput] = useState(() => formatSeed(seed));
+  const [scenario, setScenario] = useState(() => findScenario(new URLSearchParams(window.location.search).get("scenario")));
+  const [scenarioIssues, setScenarioIssues] = useState(null); // validation errors from the last load
+  const [missionIndex, setMissionIndex] = useState(null); // campaign mission being played, if any
+  const [progress, setProgress] = useState(loadProgress);
+  const [showCampaign, setShowCampaign] = useState(false);
+  const [tutorial, setTutorial] = useState(null); // { index, lesson, step, since, pressed } while a lesson runs
+  const tutorialRef = useRef(null);
+  tutorialRef.current = tutorial;
+  const [showTutorial, setShowTutorial] = useState(false);
+  const [lessonsDone, setLessonsDone] = useState(loadLessonsDone);
+  const [fog, setFog] = useState(false); // fog of war for the next run
+  const [versus, setVersus] = useState(false); // hot-seat: a second player runs the attacker
+  const [shape, setShape] = useState(() => networkFromSearch(window.location.search)); // size and layout of generated networks
+  const [tuning, setTuning] = useState(() => tuningFromSearch(window.location.search)); // difficulty preset or custom rules
+  const [showRules, setShowRules] = useState(false);
+  // the engine state, action queue and tick clock (see game/store.js); React sees a throttled copy
+  const [store] = useState(() => {
+    const rules = { ...tuningRules(tuning), ...(scenario ? {} : networkRules(shape)) };
+    return createGameStore(createGame({ seed, scenario, rules }));
+  });
+  const game = useGameStore(store);
+  const recordingRef = useRef(null); // log of the run in progress
+  const runRef = useRef(null); // { profile, map, bot } for the leaderboard, on single-player runs
+  const [profile, setProfile] = useState(null); // player the next run counts for
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [recordsVersion, setRecordsVersion] = useState(0); // bumped when a run is saved
+  const layersRef = useRef(createLayerCache()); // cached background and links for the map canvas
+  const { nodes, edges, energy, timer, risk, score } = game;
 
   const [selected, setSelected] = useState(null);
-  const [energy, setEnergy] = useState(70);
-  const [timer, setTimer] = useState(START_TIME);
-  const [risk, setRisk] = useState(0);
-  const [score, setScore] = useState(0);
+  const [selectedLink, setSelectedLink] = useState(null); // [a, b] node pair
+  const [redTarget, setRedTarget] = useState(null); // attacker's cursor in hot-seat mode
   const [running, setRunning] = useState(false);
   const [paused, setPaused] = useState(false);
   const [gameOver, setGameOver] = useState(false);
   const [victory, setVictory] = useState(false);
   const [events, setEvents] = useState([]); // banners
+  const [toasts, setToasts] = useState([]); // achievement unlocks, shown with the banners
   const [log, setLog] = useState([]);
+  const [lastRecording, setLastRecording] = useState(null);
+  const [replay, setReplay] = useState(null);
+  const [net, setNet] = useState(null); // multiplayer client while online
+  const [lobby, setLobby] = useState(null); // last lobby frame from the server
+  const [netError, setNetError] = useState(null);
+  const [showLobby, setShowLobby] = useState(false);
+  const [bot, setBot] = useState(null); // { name, handle } while a bot is loaded in its worker
+  const [autopilot, setAutopilot] = useState(false); // the loaded bot plays the defender
+  const [benching, setBenching] = useState(false);
+  const autopilotRef = useRef(null); // bot handle the loop asks for actions, when autopilot is on
+  const botBusyRef = useRef(false); // an act() request is in flight
+  const gameNoRef = useRef(0); // bumped for every new game
+  const botGameRef = useRef(null); // { handle, game } the bot was last init()ed for
+  // debrief for the run that just ended (replays the recording once, in a worker)
+  const [report, setReport] = useState(null);
+  useEffect(() => {
+    setReport(null);
+    if (!gameOver || !lastRecording) return;
+    const worker = new Worker(new URL("./report/worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      if (data.error) pushLog(`Report failed: ${data.error}`);
+      else setReport(data);
+      worker.terminate();
+    };
+    worker.postMessage(lastRecording);
+    return () => worker.terminate();
+  }, [gameOver, lastRecording]);
 
-  // action state
-  const [cooldowns, setCooldowns] = useState({ isolate: -1e9, patch: -1e9, honeypot: -1e9, sweep: -1e9 });
-  const [sweepActiveUntil, setSweepActiveUntil] = useState(-1);
+  const loadGame = (g) => {
+    gameNoRef.current++;
+    store.set(g);
+  };
+
+  // the player runs count for: the last one picked, else the first, else a new "Player"
+  useEffect(() => {
+    listProfiles()
+      .then(async (ps) => {
+        let p = ps.find((x) => x.id === activeProfileId()) ?? ps[0];
+        if (!p) await saveProfile((p = createProfile("Player")));
+        setProfile(p);
+      })
+      .catch((err) => pushLog(`Profiles unavailable: ${err.message}`));
+  }, []);
 
   // initialize layout based on container size
   useEffect(() => {
@@ -386,208 +303,169 @@ export default function App() {
     return () => obs.disconnect();
   }, []);
 
-  // set up game graph
-  useEffect(() => {
-    const { nodes, edges } = generateNetwork(size[0], size[1], seed);
-    setGraph({ nodes, edges });
-  }, [seed, size[0], size[1]]);
+  // camera: wheel zooms, dragging pans (see render/useCamera.js)
+  const { setCamera, view } = useCamera(canvasRef, size, game.world);
+  const zoomBy = (factor) => setCamera((cam) => zoomAt(cam, size[0], size[1], game.world, size[0] / 2, size[1] / 2, factor));
+  const fitGraph = () => setCamera(fitNodes(nodes, size[0], size[1], game.world));
+  const focusSelected = () => selected != null && setCamera((cam) => focusNode(cam, nodes[selected], size[0], size[1], game.world));
+  // node positions are fixed for a round, and `world` is created once per game,
+  // so it keys the picking index
+  const nodeIndex = useMemo(() => createSpatialIndex(nodes), [game.world]);
 
-  // click -> select node
+  // click -> select node, or else the nearest link
   useEffect(() => {
     const c = canvasRef.current;
     if (!c) return;
+    // click reach in world units: a fixed distance on screen, but never short
+    // of a node's drawn body when zoomed in
+    const nodeReach = Math.max(PICK_NODE_PX / view.scale, CRITICAL_RADIUS);
+    const linkReach = PICK_LINK_PX / view.scale;
     const onClick = (e) => {
       const rect = c.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-      let closest = null;
-      let cd = 9999;
-      for (const n of nodes) {
-        const d = (n.x - x) ** 2 + (n.y - y) ** 2;
-        if (d < cd && d < 16 ** 2) {
-          cd = d; closest = n.id;
-        }
-      }
-      if (closest != null) setSelected(closest);
+      const x = (e.clientX - rect.left - view.ox) / view.scale;
+      const y = (e.clientY - rect.top - view.oy) / view.scale;
+      const [closest] = nodeIndex.within(x, y, nodeReach);
+      if (closest) return setSelected(closest.id);
+      const { nodes, edges } = store.get();
+      const link = pickLink(nodes, edges, x, y, linkReach);
+      if (link) setSelectedLink(link);
+    };
+    // right-click -> red target cursor (hot-seat)
+    const onContext = (e) => {
+      if (!game.rules.versus) return;
+      e.preventDefault();
+      const rect = c.getBoundingClientRect();
+      const x = (e.clientX - rect.left - view.ox) / view.scale;
+      const y = (e.clientY - rect.top - view.oy) / view.scale;
+      const [hit] = nodeIndex.within(x, y, nodeReach);
+      if (hit) setRedTarget(hit.id);
     };
     c.addEventListener("click", onClick);
-    return () => c.removeEventListener("click", onClick);
-  }, [nodes, canvasRef]);
+    c.addEventListener("contextmenu", onContext);
+    return () => {
+      c.removeEventListener("click", onClick);
+      c.removeEventListener("contextmenu", onContext);
+    };
+  }, [nodeIndex, canvasRef, view.scale, view.ox, view.oy, game.rules.versus]);
+
+  // queue an action; the engine (local or on the server) validates and applies it on the next tick
+  const send = (action) => {
+    if (net) net.act(action);
+    else store.queue(action);
+  };
+  const act = (name) => send(ACTIONS[name].target === "edge" ? { type: name, edge: selectedLink } : { type: name, node: selected });
+  const attack = (name) => send({ type: name, node: redTarget });
+  const role = net ? myRole(net) : null; // online seat
 
   // hotkeys
   useEffect(() => {
     const onKey = (e) => {
       if (!running || paused || gameOver) return;
       const k = e.key.toLowerCase();
-      if (k === ACTIONS.isolate.key) actIsolate();
-      if (k === ACTIONS.patch.key) actPatch();
-      if (k === ACTIONS.honeypot.key) actHoneypot();
-      if (k === ACTIONS.sweep.key) actSweep();
+      if (role === "spectator") return;
+      for (const [name, a] of Object.entries(ACTIONS)) {
+        if (k === a.key && role !== "attacker") act(name);
+      }
+      if (!store.get().rules.versus || role === "defender") return;
+      for (const [name, a] of Object.entries(ATTACKS)) {
+        if (k === a.key) attack(name);
+      }
+      if (ARROWS[k]) {
+        e.preventDefault();
+        const g = store.get();
+        const from = redTarget ?? g.nodes.find((n) => n.infected)?.id ?? 0;
+        setRedTarget(redTarget == null ? from : stepCursor(g.nodes, from, ...ARROWS[k]));
+      }
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [running, paused, gameOver, selected, energy, cooldowns, nodes]);
+  }, [running, paused, gameOver, selected, selectedLink, redTarget, net, role]);
 
   // logging helper
-  const pushLog = (msg) => setLog((l) => (l.length > 140 ? [...l.slice(-110), msg] : [...l, msg]));
-
-  // gameplay helpers
-  const canUse = (name) => {
-    const a = ACTIONS[name];
-    const cdLeft = now() - cooldowns[name];
-    return energy >= a.cost && cdLeft >= a.cooldown;
+  const pushLog = (...msgs) => setLog((l) => (l.length > 140 ? [...l.slice(-110), ...msgs] : [...l, ...msgs]));
+
+  // bots: code runs in a worker, so a slow bot only makes its own moves late
+  const askBot = (handle, g) => {
+    botBusyRef.current = true;
+    if (runRef.current) runRef.current.bot = true; // bot-played runs stay off the leaderboard
+    // a bot hears init() before its first move of every game, as in headless runs
+    const game = gameNoRef.current;
+    const fresh = botGameRef.current?.handle !== handle || botGameRef.current.game !== game;
+    botGameRef.current = { handle, game };
+    (fresh ? handle.init(observe(g)) : Promise.resolve())
+      .then(() => handle.act(observe(g)))
+      .then((actions) => store.queue(...actions))
+      .catch((err) => {
+        pushLog(`Bot stopped: ${err.message}`);
+        setAutopilot(false);
+        setBot(null);
+      })
+      .finally(() => { botBusyRef.current = false; });
   };
-
-  const spend = (name) => {
-    setEnergy((e) => Math.max(0, Math.min(ENERGY_MAX, e - ACTIONS[name].cost)));
-    setCooldowns((c) => ({ ...c, [name]: now() }));
+  useEffect(() => {
+    autopilotRef.current = autopilot && bot && !net ? bot.handle : null;
+  }, [autopilot, bot, net]);
+  useEffect(() => () => bot?.handle.terminate(), [bot]);
+
+  const loadBot = async (spec) => {
+    const handle = createWorkerBot();
+    try {
+      const { name } = await handle.load(spec);
+      setBot({ name, handle });
+      pushLog(`Bot loaded: ${name}.`);
+    } catch (err) {
+      handle.terminate();
+      pushLog(`Bot rejected: ${err.message}`);
+    }
   };
-
-  // actions
-  const actIsolate = () => {
-    if (selected == null) return pushLog("Select a node first.");
-    if (!canUse("isolate")) return pushLog("Isolate not ready.");
-    setGraph((g) => {
-      const n = { ...g.nodes[selected] };
-      n.isolated = !n.isolated;
-      const nodes = g.nodes.slice();
-      nodes[selected] = n;
-      return { ...g, nodes };
-    });
-    spend("isolate");
-    pushLog(`Node #${selected} toggled isolation.`);
-  };
-
-  const actPatch = () => {
-    if (selected == null) return pushLog("Select a node first.");
-    if (!canUse("patch")) return pushLog("Patch not ready.");
-    setGraph((g) => {
-      const n = { ...g.nodes[selected] };
-      n.patched = Math.max(0, Math.min(1, n.patched + 0.6));
-      const nodes = g.nodes.slice();
-      nodes[selected] = n;
-      return { ...g, nodes };
-    });
-    spend("patch");
-    pushLog(`Patching ${nodes[selected].name}… hardening applied.`);
-  };
-
-  const actHoneypot = () => {
-    if (selected == null) return pushLog("Select a node first.");
-    if (!canUse("honeypot")) return pushLog("Honeypot not ready.");
-    setGraph((g) => {
-      const n = { ...g.nodes[selected] };
-      n.honeypot = !n.honeypot;
-      const nodes = g.nodes.slice();
-      nodes[selected] = n;
-      return { ...g, nodes };
-    });
-    spend("honeypot");
-    pushLog(`${nodes[selected].name} honeypot toggled.`);
+  const openBotFile = async () => {
+    const source = await pickFile(".js,.mjs,text/javascript");
+    if (source != null) loadBot({ source });
   };
-
-  const actSweep = () => {
-    if (!canUse("sweep")) return pushLog("Sweep not ready.");
-    spend("sweep");
-    const until = now() + 8000;
-    setSweepActiveUntil(until);
-    pushLog("IDS sweep engaged — spread rate massively reduced for 8s.");
+  const benchmarkBot = async () => {
+    setBenching(true);
+    pushLog(`Benchmarking ${bot.name} over ${BENCH_GAMES} seeds from ${formatSeed(seed)}…`);
+    const base = gameSetup(seed);
+    try {
+      const sum = await bot.handle.bench({ games: BENCH_GAMES, base: seed, rules: { ...base.rules, versus: false }, scenario: base.scenario });
+      pushLog(`🏁 ${sum.bot}: won ${sum.wins}/${sum.games.length} (${Math.round(sum.winRate * 100)}%), mean score ${sum.meanScore.toFixed(0)}, uptime ${Math.round(sum.meanUptime * 100)}%.`);
+    } catch (err) {
+      pushLog(`Benchmark failed: ${err.message}`);
+    } finally {
+      setBenching(false);
+    }
   };
 
-  // main loop
+  // main loop: advance the engine in fixed ticks, independent of frame rate
   useEffect(() => {
-    if (!running || paused || gameOver) return;
+    if (!running || paused || gameOver || net) return;
     let raf = 0;
-    let last = now();
+    let last = performance.now();
 
     const loop = () => {
-      const t = now();
-      const dt = Math.min(0.06, (t - last) / 1000); // clamp big frames
-      last = t;
-
-      // regen energy
-      setEnergy((e) => Math.max(0, Math.min(ENERGY_MAX, e + 7 * dt)));
-
-      // update infection spread
-      setGraph((g) => {
-        const nodes = g.nodes.slice();
-        const edges = g.edges;
-        const sweepFactor = t < sweepActiveUntil ? 0.35 : 1.0;
-        const honeypotCount = nodes.reduce((a, n) => a + (n.honeypot ? 1 : 0), 0);
-        const globalSlow = 1 - Math.min(0.25, honeypotCount * 0.03);
-
-        const base = 0.085 * sweepFactor * globalSlow;
-
-        // spreading attempts
-        for (const ei of edges) {
-          const a = nodes[ei.a];
-          const b = nodes[ei.b];
-          const trySpread = (src, dst) => {
-            if (!src.infected || src.isolated || dst.isolated || dst.infected) return;
-            const lure = dst.honeypot ? 1.3 : 1.0;
-            const harden = 1 - dst.patched * 0.7;
-            const sec = 1 - dst.security * 0.85;
-            const lambda = base * ei.w * lure * harden * sec; // per second
-            const p = 1 - Math.exp(-lambda * dt);
-            if (Math.random() < p) {
-              dst.infected = true;
-              dst.lastInfectAt = t;
-              if (dst.honeypot) setScore((s) => s + 8);
-            }
-          };
-          trySpread(a, b);
-          trySpread(b, a);
-        }
-
-        // cleaning progression on patched infected nodes
-        for (const n of nodes) {
-          if (n.infected && n.patched > 0) {
-            n.cleanProg += dt * (0.6 + n.patched * 0.8);
-            if (n.cleanProg >= CLEAN_TIME) {
-              n.infected = false;
-              n.cleanProg = 0;
-              setScore((s) => s + 25);
-              setLog((l) => [...l, `✔ ${n.name} cleaned.`]);
-            }
-          } else {
-            n.cleanProg = Math.max(0, n.cleanProg - dt * 0.4);
-          }
-        }
-
-        return { nodes, edges };
-      });
-
-      // risk & timer
-      setTimer((tm) => Math.max(0, Math.min(START_TIME, tm - dt)));
-      setRisk(() => {
-        // NOTE: using stale nodes state here is OK visually; risk will catch up next frame
-        // (avoids extra state reads in tight loop)
-        return 0; // placeholder; it will be recalculated below in render pass
+      const t = performance.now();
+      const lines = [];
+      const banners = [];
+      store.advance((t - last) / 1000, (g, actions) => {
+        if (recordingRef.current) recordStep(recordingRef.current, g, actions);
+        lines.push(...g.messages);
+        banners.push(...eventBanners(g.trace));
       });
+      last = t;
 
-      // render
-      const ctx = canvasRef.current?.getContext("2d");
-      if (ctx) {
-        // recompute risk from latest nodes snapshot for accurate HUD
-        const _nodes = (typeof window !== "undefined" && window.__latestNodes) || [];
-        const inf = _nodes.filter((n) => n.infected).length;
-        const critInf = _nodes.filter((n) => n.critical && n.infected).length;
-        const ratio = inf / Math.max(1, _nodes.length);
-        const computedRisk = Math.max(0, Math.min(1, ratio + critInf * 0.22));
-        setRisk(computedRisk);
-      }
+      const g = store.get();
+      if (autopilotRef.current && !botBusyRef.current && g.status === "running") askBot(autopilotRef.current, g);
+      if (lines.length) pushLog(...lines);
+      if (banners.length) setEvents((ev) => [...ev.slice(-20), ...banners]);
+      checkAchievements(g);
 
-      if (risk >= 1 && !gameOver) {
+      if (g.status !== "running") {
         setGameOver(true);
-        setVictory(false);
+        setVictory(g.status === "won");
         setRunning(false);
-        setLog((l) => [...l, "❌ Risk maxed out. Breach containment failed."]);
-      } else if (timer <= 0 && !gameOver) {
-        setGameOver(true);
-        setVictory(true);
-        setRunning(false);
-        setScore((s) => s + 200);
-        setLog((l) => [...l, "🏆 Containment sustained. Threat actor disengaged."]);
+        setLastRecording(recordingRef.current);
+        if (missionIndex != null && !tutorialRef.current && g.status === "won") finishMission(missionIndex, g.score);
+        finishRun(g);
       } else {
         raf = requestAnimationFrame(loop);
       }
@@ -595,28 +473,167 @@ export default function App() {
 
     raf = requestAnimationFrame(loop);
     return () => cancelAnimationFrame(raf);
-  }, [running, paused, gameOver, risk, timer, canvasRef, events]);
+  }, [running, paused, gameOver]);
 
-  // draw once when not running + keep a latest snapshot for HUD risk calc
+  // draw loop: every animation frame, straight from the store, easing between
+  // the last two ticks; skipped when nothing on screen would change
+  const drawRef = useRef(null);
+  const highlight = tutorial?.lesson.steps[tutorial.step]?.highlight ?? {}; // what the tutorial points at
+  drawRef.current = { size, view, selected, selectedLink, redTarget, gameOver, highlight: highlight.node };
   useEffect(() => {
-    const ctx = canvasRef.current?.getContext("2d");
-    if (ctx) renderNetwork(ctx, size[0], size[1], nodes, edges, { selected });
-    // store snapshot
-    if (typeof window !== "undefined") window.__latestNodes = nodes;
-  }, [nodes, edges, size, canvasRef, selected]);
+    let raf = 0;
+    let shown = null;
+    const frame = () => {
+      raf = requestAnimationFrame(frame);
+      const ctx = canvasRef.current?.getContext("2d");
+      const o = drawRef.current;
+      const version = store.version();
+      const alpha = Math.min(1, store.alpha());
+      if (!ctx || (shown && shown.o === o && shown.version === version && shown.alpha === alpha)) return;
+      shown = { o, version, alpha };
+      const g = store.get();
+      renderNetwork(ctx, o.size[0], o.size[1], g.nodes, g.edges, {
+        selected: o.selected, selectedLink: o.selectedLink, redTarget: o.redTarget, highlight: o.highlight, view: o.view,
+        layers: layersRef.current, effects: g.effects, fog: o.gameOver ? null : g,
+        prev: store.previous().nodes, alpha, cleanTime: g.rules.cleanTime,
+      });
+    };
+    raf = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(raf);
+  }, [store, canvasRef]);
+
+  // seeds: the current seed (and bundled scenario) is mirrored into the URL so it can be shared
+  const seedUrl = (value) => {
+    const url = new URL(window.location.href);
+    url.searchParams.set("seed", formatSeed(value));
+    if (scenario && findScenario(scenario.id)) url.searchParams.set("scenario", scenario.id);
+    else url.searchParams.delete("scenario");
+    const generated = !scenario && missionIndex == null;
+    if (generated && shape.nodeCount !== NODES) url.searchParams.set("nodes", shape.nodeCount);
+    else url.searchParams.delete("nodes");
+    if (generated && shape.topology !== DEFAULT_TOPOLOGY) url.searchParams.set("layout", shape.topology);
+    else url.searchParams.delete("layout");
+    if (generated && shape.relayout) url.searchParams.set("tidy", "1");
+    else url.searchParams.delete("tidy");
+    if (DIFFICULTIES[tuning.difficulty] && tuning.difficulty !== "standard") url.searchParams.set("difficulty", tuning.difficulty);
+    else url.searchParams.delete("difficulty");
+    return url.toString();
+  };
+
+  // createGame() options for the current network choice: scenario, campaign mission or random
+  const gameSetup = (value, scen = scenario, mission = missionIndex, fogOn = fog, versusOn = versus, network = shape, tune = tuning) => {
+    const rules = {
+      ...tuningRules(tune),
+      ...(!scen && mission != null ? missionRules(mission) : {}),
+      ...(!scen && mission == null ? networkRules(network) : {}),
+      ...(fogOn ? { fog: true } : {}),
+      ...(versusOn ? { versus: true } : {}),
+    };
+    const setup = scen ? { seed: value, scenario: scen } : { seed: value };
+    if (Object.keys(rules).length) setup.rules = rules;
+    return setup;
+  };
+
+  const toggleFog = (on) => {
+    setFog(on);
+    loadGame(createGame(gameSetup(seed, scenario, missionIndex, on)));
+  };
+
+  // patch: any of { nodeCount, topology, relayout }
+  const changeNetwork = (patch) => {
+    const next = { ...shape, ...patch };
+    setShape(next);
+    setSelected(null);
+    setSelectedLink(null);
+    loadGame(createGame(gameSetup(seed, scenario, missionIndex, fog, versus, next)));
+  };
+
+  const changeTuning = (next) => {
+    setTuning(next);
+    saveTuning(next);
+    loadGame(createGame(gameSetup(seed, scenario, missionIndex, fog, versus, shape, next)));
+  };
+
+  const toggleVersus = (on) => {
+    setVersus(on);
+    setRedTarget(null);
+    loadGame(createGame(gameSetup(seed, scenario, missionIndex, fog, on)));
+  };
+
+  const previewSeed = (value, scen = scenario, mission = missionIndex) => {
+    setTutorial(null);
+    setSeed(value);
+    setSeedInput(formatSeed(value));
+    loadGame(createGame(gameSetup(value, scen, mission)));
+    setSelected(null);
+    setSelectedLink(null);
+    setRedTarget(null);
+  };
+
+  const onSeedInput = (text) => {
+    setSeedInput(text);
+    const parsed = parseSeed(text);
+    if (parsed != null) {
+      setSeed(parsed);
+      loadGame(createGame(gameSetup(parsed)));
+    }
+  };
+
+  // scenarios: bundled ones come from ./scenarios, custom ones from a picked or
+  // dropped file; GraphML, GEXF, DOT and CSV networks are converted on the way in
+  const loadScenario = (data) => {
+    try {
+      const raw = typeof data === "string" && detectFormat(data) !== "json" ? networkToScenario(importNetwork(data)) : data;
+      const scen = raw && parseScenario(raw);
+      setScenario(scen);
+      setScenarioIssues(null);
+      setMissionIndex(null);
+      previewSeed(seed, scen, null);
+      if (scen) pushLog(`Scenario loaded: ${scen.name} (${scen.nodes.length} nodes).`);
+    } catch (err) {
+      setScenarioIssues(err.issues ?? [err.message]);
+    }
+  };
+
+  const openScenarioFile = async () => {
+    const text = await pickFile(NETWORK_ACCEPT);
+    if (text != null) loadScenario(text);
+  };
+
+  const exportCurrentNetwork = (format) => {
+    const { ext, mime } = FORMATS[format];
+    const name = scenario?.name ?? `cybergrid-${formatSeed(seed)}`;
+    downloadFile(`cybergrid-${formatSeed(seed)}.${ext}`, exportNetwork(store.get(), format, { name }), mime);
+    pushLog(`Network exported as ${FORMATS[format].name}${FORMATS[format].note ? ` (${FORMATS[format].note})` : ""}.`);
+  };
+
+  const onDropScenario = async (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files?.[0];
+    if (!file || running) return;
+    loadScenario(await file.text());
+  };
+
+  const copySeedLink = () => {
+    const url = seedUrl(seed);
+    navigator.clipboard?.writeText(url);
+    pushLog(`Seed link copied: ${url}`);
+  };
 
   // start / reset
   const startGame = () => {
-    setScore(0);
-    setEnergy(70);
-    setTimer(START_TIME);
-    setRisk(0);
-    setCooldowns({ isolate: -1e9, patch: -1e9, honeypot: -1e9, sweep: -1e9 });
+    if (net) return setShowLobby(true); // online rounds are started by the lobby host
+    if (tutorial) return startLesson(tutorial.index); // "Run Again" retries the lesson
     setEvents([]);
-    setLog(["▶ Simulation initialized. Survive and contain the breach."]);
+    setRedTarget(null);
+    setLog([`▶ Simulation initialized on seed ${formatSeed(seed)}. Survive and contain the breach.`]);
 
-    const { nodes, edges } = generateNetwork(size[0], size[1], Math.floor(Math.random() * 1e9));
-    setGraph({ nodes, edges });
+    window.history.replaceState(null, "", seedUrl(seed));
+    setSeedInput(formatSeed(seed));
+    const setup = gameSetup(seed);
+    loadGame(createGame(setup));
+    recordingRef.current = createRecording(setup);
+    runRef.current = versus ? null : { profile, map: currentMap(), bot: false };
 
     setGameOver(false);
     setVictory(false);
@@ -625,16 +642,237 @@ export default function App() {
   };
 
   const resetLayout = () => {
-    const { nodes, edges } = generateNetwork(size[0], size[1], Math.floor(Math.random() * 1e9));
-    setGraph({ nodes, edges });
+    setScenario(null);
+    setScenarioIssues(null);
+    previewSeed(randomSeed(), null);
+  };
+
+  // tutorial: a scripted round from ./tutorial/lessons, unrecorded and unranked
+  const startLesson = (index) => {
+    let lesson;
+    try {
+      lesson = parseLesson(LESSONS[index]);
+    } catch (err) {
+      return pushLog(`Lesson unavailable: ${err.message}`);
+    }
+    setShowTutorial(false);
+    setEvents([]);
+    setRedTarget(null);
     setSelected(null);
+    setSelectedLink(null);
+    setLog([`🎓 Lesson ${index + 1}: ${lesson.name}.`]);
+    const g = setHold(createGame(lessonSetup(lesson, seed)), lesson.steps[0].hold);
+    loadGame(g);
+    recordingRef.current = null;
+    runRef.current = null;
+    setLastRecording(null);
+    setTutorial({ index, lesson, step: 0, since: g.time, pressed: false });
+    setGameOver(false);
+    setVictory(false);
+    setRunning(true);
+    setPaused(false);
   };
 
-  // UI helpers
-  const cdLeft = (name) => Math.max(0, (ACTIONS[name].cooldown - (now() - cooldowns[name])) / 1000);
+  const exitTutorial = () => {
+    setRunning(false);
+    setGameOver(false);
+    previewSeed(seed);
+  };
+
+  // move on once the step's checks pass, holding or releasing the outbreak as the next step asks
+  useEffect(() => {
+    const st = tutorial?.lesson.steps[tutorial.step];
+    if (!st || !stepDone(st, { game, selected, pressed: tutorial.pressed, since: tutorial.since })) return;
+    const next = tutorial.lesson.steps[tutorial.step + 1];
+    const g = store.get();
+    const held = setHold(g, next ? next.hold : false);
+    if (held !== g) store.set(held);
+    if (!next) setLessonsDone((done) => completeLesson(done, tutorial.lesson.id));
+    setTutorial({ ...tutorial, step: tutorial.step + 1, since: g.time, pressed: false });
+  }, [game, selected, tutorial]);
+
+  // campaign
+  const selectMission = (index) => {
+    setMissionIndex(index);
+    setScenario(null);
+    setScenarioIssues(null);
+    setShowCampaign(false);
+    setGameOver(false);
+    previewSeed(seed, null, index);
+  };
+
+  // leaderboard: the map the start screen is set to, and saving a finished run against it
+  const currentMap = () => mapOf({
+    seed,
+    scenario,
+    mission: missionIndex != null ? MISSIONS[missionIndex] : null,
+    network: { ...shape, name: TOPOLOGIES[shape.topology].name },
+    fog,
+    difficulty: tuning.difficulty,
+  });
+
+  const changeProfile = (p) => {
+    if (!p) return;
+    setProfile(p);
+    setActiveProfileId(p.id);
+  };
+
+  // achievements the run just earned: saved to the profile straight away and announced with a toast
+  const checkAchievements = (g) => {
+    const run = runRef.current;
+    if (!run?.profile || run.bot) return;
+    const fresh = newAchievements(g, run.profile.achievements);
+    if (!fresh.length) return;
+    const p = (run.profile = unlock(run.profile, fresh));
+    saveProfile(p).catch((err) => pushLog(`Achievement not saved: ${err.message}`));
+    setProfile((cur) => (cur?.id === p.id ? p : cur));
+    const added = fresh.map((id) => ({ key: `${p.id}:${id}`, id }));
+    setToasts((ts) => [...ts, ...added]);
+    setTimeout(() => setToasts((ts) => ts.filter((t) => !added.includes(t))), TOAST_MS);
+    pushLog(...fresh.map((id) => `🎖 Achievement unlocked: ${ACHIEVEMENTS[id].name}.`));
+  };
+
+  const finishRun = async (g) => {
+    const run = runRef.current;
+    runRef.current = null;
+    if (!run?.profile || run.bot) return;
+    const rec = createRun(run.profile.id, run.map, g);
+    try {
+      const before = leaderboard(await boardRuns(run.map), boardKey(rec));
+      await saveRun(rec);
+      const mine = before.find((r) => r.profile === rec.profile);
+      if (before.length && rec.score > before[0].score) pushLog(`🏆 New top score on this map: ${rec.score}.`);
+      else if (mine && rec.score > mine.score) pushLog(`🏅 Personal best on this map: ${rec.score} (was ${mine.score}).`);
+      setRecordsVersion((v) => v + 1);
+    } catch (err) {
+      pushLog(`Result not saved: ${err.message}`);
+    }
+  };
+
+  const finishMission = (index, finalScore) => {
+    const mission = MISSIONS[index];
+    const next = MISSIONS[index + 1];
+    if (next && !progress.completed[mission.id]) {
+      const unlocks = mission.unlocks.length ? ` New action: ${mission.unlocks.map((a) => ACTIONS[a].label).join(", ")}.` : "";
+      pushLog(`🔓 Mission ${index + 2} unlocked: ${next.name}.${unlocks}`);
+    }
+    setProgress(completeMission(progress, mission.id, finalScore));
+  };
+
+  // online play: the server steps the round, we mirror it
+  const goOnline = (url, then) => {
+    setNetError(null);
+    net?.close();
+    const client = createClient(url, {
+      onLobby: (msg) => {
+        setLobby(msg);
+        if (msg.status === "running") setShowLobby(false);
+      },
+      onState: (g) => {
+        if (g.tick === 0) {
+          setEvents([]);
+          setLog([`▶ Online round started on seed ${formatSeed(g.seed)}.`]);
+          setGameOver(false);
+          setVictory(false);
+          setPaused(false);
+          setRedTarget(null);
+        }
+        loadGame(g);
+        setRunning(true);
+        if (g.messages.length) pushLog(...g.messages);
+        const banners = eventBanners(g.trace);
+        if (banners.length) setEvents((ev) => [...ev.slice(-20), ...banners]);
+      },
+      onOver: (g, rec) => {
+        loadGame(g);
+        setGameOver(true);
+        setVictory(g.status === "won");
+        setRunning(false);
+        setLastRecording(rec);
+      },
+      onError: (message) => {
+        setNetError(message);
+        pushLog(`Online: ${message}`);
+        if (!client.lobby) client.close(); // never got in: drop the socket so the panel can retry
+      },
+      onClose: () => {
+        setNet((cur) => (cur === client ? null : cur));
+        if (client.lobby) {
+          setLobby(null);
+          setRunning(false);
+        }
+      },
+    });
+    then(client);
+    setNet(client);
+  };
+
+  const createLobby = (url, name) => goOnline(url, (c) => c.create(name, gameSetup(seed)));
+  const joinLobby = (url, name, code, seat) => goOnline(url, (c) => c.join(code, name, seat));
+  const leaveLobby = () => {
+    net?.close();
+    setShowLobby(false);
+    setGameOver(false);
+    previewSeed(seed);
+  };
+
+  // recordings
+  const exportRecording = (rec) => {
+    const stamp = rec.recordedAt.slice(0, 19).replace(/[:T]/g, "-");
+    downloadFile(`cybergrid-${formatSeed(rec.setup.seed)}-${stamp}.json`, serializeRecording(rec));
+  };
+
+  const exportReport = (kind) => {
+    const name = `cybergrid-report-${formatSeed(report.seed)}`;
+    if (kind === "html") downloadFile(`${name}.html`, reportHtml(report), "text/html");
+    else downloadFile(`${name}.json`, serializeReport(report));
+  };
+
+  const watchReplay = (rec) => {
+    try {
+      setReplay(createReplay(rec));
+    } catch (err) {
+      pushLog(`Replay failed: ${err.message}`);
+    }
+  };
 
+  const importRecording = async () => {
+    const text = await pickFile(".json,application/json");
+    if (text == null) return;
+    try {
+      const rec = parseRecording(text);
+      setLastRecording(rec);
+      watchReplay(rec);
+    } catch (err) {
+      pushLog(`Import failed: ${err.message}`);
+    }
+  };
+
+  // UI helpers
+  const fogged = game.rules.fog && !gameOver;
+
+  const selectedState = () => {
+    const n = nodes[selected];
+    const seen = fogged ? visibleState(n, game) : n.infected ? "infected" : "clear";
+    if (seen === "infected") return "INFECTED";
+    if (n.isolated) return "ISOLATED";
+    if (n.restoring) return "RESTORING";
+    if (n.down) return "DOWN";
+    if (seen === "suspected") return "SUSPECTED";
+    if (n.patched > 0) return "PATCHED";
+    return seen === "unknown" ? "UNVERIFIED" : "OK";
+  };
+  // the selected link, while it still exists (event links disappear)
+  const link = selectedLink && edges.find((e) => sameLink(e, selectedLink[0], selectedLink[1]));
+  const linkFx = (type) => game.effects.find((fx) => fx.type === type && fx.edge && sameLink(link, fx.edge[0], fx.edge[1]));
+  // where to float a panel beside world point (x, y), kept inside the map
+  const anchor = (x, y, w = 280, h = 130) => {
+    const p = toScreen(view, x, y);
+    return { left: Math.max(8, Math.min(size[0] - w, p.x + 20)), top: Math.max(8, Math.min(size[1] - h, p.y - 20)) };
+  };
+  const mapButton = "p-2 rounded-lg bg-zinc-900/80 hover:bg-zinc-800 border border-zinc-700 disabled:opacity-40 disabled:cursor-not-allowed";
   const statChip = (Icon, label, value, alt) => (
-    <div className="flex items-center gap-2 bg-zinc-900/60 rounded-xl px-3 py-2 shadow-inner border border-zinc-800">
+    <div className={`flex items-center gap-2 bg-zinc-900/60 rounded-xl px-3 py-2 shadow-inner border ${highlight.stat === label.toLowerCase() ? "border-amber-400 ring-2 ring-amber-400/50" : "border-zinc-800"}`}>
       <Icon className="w-4 h-4 opacity-80" />
       <div className="text-xs uppercase tracking-widest opacity-60">{label}</div>
       <div className="text-sm font-semibold ml-1">{value}</div>
@@ -642,18 +880,18 @@ export default function App() {
     </div>
   );
 
-  const ActionButton = ({ name, icon: Icon }) => {
+  const allowedActions = ACTION_IDS.filter((name) => isAllowed(game, name));
+  const hotkeys = allowedActions.map((name) => ACTIONS[name].key.toUpperCase()).join("/")
+    + (game.rules.versus ? ` • attacker ←↑↓→ + ${ATTACK_IDS.map((name) => ATTACKS[name].key).join("/")}` : "");
+
+  const ActionButton = ({ name }) => {
     const a = ACTIONS[name];
-    const ready = canUse(name);
+    const Icon = ACTION_ICONS[name] ?? Zap;
+    const ready = canUse(game, name);
     return (
       <button
-        onClick={() => {
-          if (name === "isolate") actIsolate();
-          if (name === "patch") actPatch();
-          if (name === "honeypot") actHoneypot();
-          if (name === "sweep") actSweep();
-        }}
-        className={`group relative flex items-center gap-2 rounded-xl px-4 py-3 border transition 
+        onClick={() => act(name)}
+        className={`group relative flex items-center gap-2 rounded-xl px-4 py-3 border transition ${highlight.action === name ? "ring-2 ring-amber-400" : ""}
           ${ready ? "bg-zinc-900/70 hover:bg-zinc-800/70 border-zinc-700 hover:border-zinc-600" : "bg-zinc-900/40 border-zinc-800 opacity-60 cursor-not-allowed"}`}
         disabled={!ready}
         title={`${a.label} [${a.key.toUpperCase()}] — ${a.desc}`}
@@ -661,10 +899,33 @@ export default function App() {
         <Icon className="w-4 h-4" />
         <div className="text-sm font-semibold">{a.label}</div>
         <div className="text-[10px] opacity-60 ml-1">[{a.key.toUpperCase()}]</div>
+        <div className="ml-auto text-xs opacity-70">-{actionCost(game.rules, name)}⚡</div>
+        {!ready && (
+          <div className="absolute -bottom-1 right-2 text-[10px] text-amber-300/80">
+            {cooldownLeft(game, name).toFixed(1)}s
+          </div>
+        )}
+      </button>
+    );
+  };
+
+  const AttackButton = ({ name }) => {
+    const a = ATTACKS[name];
+    const ready = canAttack(game, name);
+    return (
+      <button
+        onClick={() => attack(name)}
+        className={`relative flex items-center gap-2 rounded-xl px-4 py-2 border transition 
+          ${ready ? "bg-rose-950/40 hover:bg-rose-900/40 border-rose-800/70" : "bg-zinc-900/40 border-zinc-800 opacity-60 cursor-not-allowed"}`}
+        disabled={!ready}
+        title={`${a.label} [${a.key}] — ${a.desc}`}
+      >
+        <div className="text-sm font-semibold">{a.label}</div>
+        <div className="text-[10px] opacity-60 ml-1">[{a.key}]</div>
         <div className="ml-auto text-xs opacity-70">-{a.cost}⚡</div>
         {!ready && (
           <div className="absolute -bottom-1 right-2 text-[10px] text-amber-300/80">
-            {cdLeft(name).toFixed(1)}s
+            {attackCooldownLeft(game, name).toFixed(1)}s
           </div>
         )}
       </button>
@@ -677,13 +938,30 @@ export default function App() {
       <div className="p-4 flex items-center justify-between">
         <div className="flex items-center gap-3">
           <div className="text-lg font-bold tracking-wider">CYBERGRID: Breach Containment</div>
-          <div className="text-xs opacity-60">single-game cyber defense</div>
+          <div className="text-xs opacity-60">{missionIndex != null
+            ? `mission ${missionIndex + 1}: ${MISSIONS[missionIndex].name}`
+            : scenario ? `scenario: ${scenario.name}` : "single-game cyber defense"}</div>
         </div>
         <div className="flex items-center gap-3">
           {statChip(Activity, "Risk", `${Math.round(risk * 100)}%`) }
+          {statChip(Server, "Uptime", `${Math.round(game.uptime * 100)}%`,
+            game.rules.sla != null ? `SLA ${Math.round(game.sla * 100)}/${Math.round(game.rules.sla * 100)}` : null) }
           {statChip(Radar, "Time", `${Math.max(0, Math.floor(timer))}s`) }
-          {statChip(Zap, "Energy", `${Math.floor(energy)}`, "/100") }
-          {statChip(Bug, "Infected", nodes.filter((n) => n.infected).length) }
+          {statChip(SlidersHorizontal, "Level", difficultyName(game.rules.difficulty)) }
+          {statChip(Zap, "Energy", `${Math.floor(energy)}`, `/${ENERGY_MAX}`) }
+          {net && lobby && statChip(Globe, lobby.code, net.rtt != null ? `${Math.round(net.rtt)}ms` : "…",
+            net.pending.size ? `${net.pending.size} in flight` : role) }
+          {game.red && statChip(Swords, "Red", `${Math.floor(game.red.energy)}`, `/${RED_ENERGY_MAX}`) }
+          {fogged
+            ? statChip(Bug, "Infected", nodes.filter((n) => n.infected && n.detected).length, `+${nodes.filter((n) => n.suspected).length}?`)
+            : statChip(Bug, "Infected", nodes.filter((n) => n.infected).length) }
+          <button onClick={copySeedLink} title="Copy a link that starts this exact network"
+            className="flex items-center gap-2 bg-zinc-900/60 hover:bg-zinc-800/60 rounded-xl px-3 py-2 shadow-inner border border-zinc-800">
+            <Hash className="w-4 h-4 opacity-80" />
+            <div className="text-xs uppercase tracking-widest opacity-60">Seed</div>
+            <div className="text-sm font-semibold font-mono ml-1">{formatSeed(seed)}</div>
+            <Link2 className="w-3.5 h-3.5 opacity-50" />
+          </button>
           <div className="flex items-center gap-2 bg-zinc-900/60 rounded-xl px-3 py-2 shadow-inner border border-zinc-800">
             <Shield className="w-4 h-4 opacity-80" />
             <div className="text-xs uppercase tracking-widest opacity-60">Score</div>
@@ -694,39 +972,95 @@ export default function App() {
 
       {/* Main Area */}
       <div className="px-4 grid grid-cols-12 gap-4">
-        <div className="col-span-9 relative rounded-2xl overflow-hidden border border-zinc-800 bg-black/40">
+        <div className="col-span-9 relative rounded-2xl overflow-hidden border border-zinc-800 bg-black/40"
+          onDragOver={(e) => e.preventDefault()} onDrop={onDropScenario}>
           <canvas ref={canvasRef} className="block w-full h-[560px]" />
 
           {/* selection tooltip */}
           <AnimatePresence>
             {selected != null && nodes[selected] && (
               <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}
-                className="absolute left-3 top-3 bg-zinc-900/90 backdrop-blur rounded-xl border border-zinc-700 px-3 py-2 text-xs">
+                style={anchor(nodes[selected].x, nodes[selected].y)}
+                className="absolute bg-zinc-900/90 backdrop-blur rounded-xl border border-zinc-700 px-3 py-2 text-xs pointer-events-none">
                 <div className="font-semibold text-sm flex items-center gap-2">
                   <Info className="w-4 h-4" /> {nodes[selected].name}
                 </div>
                 <div className="mt-1 grid grid-cols-2 gap-2">
                   <div>Security: {(nodes[selected].security*100|0)}%</div>
-                  <div>State: {nodes[selected].infected ? "INFECTED" : nodes[selected].isolated ? "ISOLATED" : nodes[selected].patched>0?"PATCHED":"OK"}</div>
+                  <div>State: {selectedState()}</div>
                   <div>Critical: {nodes[selected].critical ? "Yes" : "No"}</div>
                   <div>Honeypot: {nodes[selected].honeypot ? "Active" : "No"}</div>
+                  <div>Role: {ROLES[nodes[selected].role].label}</div>
+                  <div>Depends on: {nodes[selected].deps.length ? nodes[selected].deps.map((d) => nodes[d].name).join(", ") : "—"}</div>
+                </div>
+                {nodes[selected].down && !nodes[selected].isolated && (
+                  <div className="mt-1 text-rose-300">Offline: {outageCause(game, nodes[selected]).join(", ")} unavailable</div>
+                )}
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {/* selected link */}
+          <AnimatePresence>
+            {link && (
+              <motion.div initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 8 }}
+                style={anchor((nodes[link.a].x + nodes[link.b].x) / 2, (nodes[link.a].y + nodes[link.b].y) / 2, 260, 110)}
+                className="absolute bg-zinc-900/90 backdrop-blur rounded-xl border border-zinc-700 px-3 py-2 text-xs pointer-events-none">
+                <div className="font-semibold text-sm flex items-center gap-2">
+                  <Link2 className="w-4 h-4" /> {nodes[link.a].name} ↔ {nodes[link.b].name}
+                </div>
+                <div className="mt-1 grid grid-cols-2 gap-2">
+                  <div>State: {link.blocked ? "BLOCKED" : "OPEN"}</div>
+                  <div>Weight: {link.w.toFixed(2)}</div>
+                  <div>Rate limit: {linkFx("ratelimit") ? `${Math.ceil(linkFx("ratelimit").until - game.time)}s` : "—"}</div>
+                  <div>Tap: {linkFx("tap") ? `${Math.ceil(linkFx("tap").until - game.time)}s` : "—"}</div>
                 </div>
+                {link.event && <div className="mt-1 text-amber-300">Temporary link opened by an outside event.</div>}
               </motion.div>
             )}
           </AnimatePresence>
 
+          {/* camera controls and minimap */}
+          <div className="absolute right-3 top-3 flex flex-col gap-1">
+            <button onClick={() => zoomBy(1.4)} title="Zoom in (mouse wheel)" className={mapButton}><ZoomIn className="w-4 h-4" /></button>
+            <button onClick={() => zoomBy(1 / 1.4)} title="Zoom out" className={mapButton}><ZoomOut className="w-4 h-4" /></button>
+            <button onClick={fitGraph} title="Fit the whole network" className={mapButton}><Maximize2 className="w-4 h-4" /></button>
+            <button onClick={focusSelected} disabled={selected == null} title="Zoom to the selected node" className={mapButton}><LocateFixed className="w-4 h-4" /></button>
+          </div>
+          <div className="absolute right-3 bottom-3">
+            <Minimap game={game} view={view} viewSize={size} fog={!gameOver}
+              onJump={(x, y) => setCamera((cam) => ({ ...cam, x, y }))} />
+          </div>
+
           {/* banners */}
-          <div className="absolute left-0 right-0 top-2 flex justify-center pointer-events-none">
+          <div className="absolute left-0 right-0 top-2 z-10 flex flex-col items-center gap-2 pointer-events-none">
             <AnimatePresence>
-              {events.slice(-1).map((e) => (
+              {toasts.map((t) => (
+                <motion.div key={t.key} initial={{ y: -20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: -20, opacity: 0 }}
+                  className="px-4 py-2 rounded-xl bg-zinc-950/90 border border-amber-400/40 backdrop-blur">
+                  <div className="text-[10px] uppercase tracking-widest text-amber-300/80 mb-1">Achievement unlocked</div>
+                  <AchievementBadge id={t.id} />
+                </motion.div>
+              ))}
+              {!gameOver && events.filter((e) => eventTimeLeft(game, e.id) > 0).map((e) => (
                 <motion.div key={e.id} initial={{ y: -20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: -20, opacity: 0 }}
-                  className="px-4 py-2 rounded-xl bg-amber-500/10 text-amber-300 border border-amber-500/30 backdrop-blur">
+                  className="px-4 py-2 rounded-xl bg-amber-500/10 text-amber-300 border border-amber-500/30 backdrop-blur text-sm">
                   {e.txt}
+                  {!EVENTS[e.type].instant && <span className="ml-2 font-mono opacity-70">{Math.ceil(eventTimeLeft(game, e.id))}s</span>}
+                  <div className="text-[11px] opacity-70">{EVENTS[e.type].desc}</div>
                 </motion.div>
               ))}
             </AnimatePresence>
           </div>
 
+          <AnimatePresence>
+            {tutorial && (
+              <TutorialCard lesson={tutorial.lesson} step={tutorial.step} onExit={exitTutorial}
+                onNext={() => setTutorial({ ...tutorial, pressed: true })}
+                onNextLesson={LESSONS[tutorial.index + 1] ? () => startLesson(tutorial.index + 1) : null} />
+            )}
+          </AnimatePresence>
+
           {/* overlays: start/pause/gameover */}
           <AnimatePresence>
             {!running && !gameOver && (
@@ -736,8 +1070,98 @@ export default function App() {
                   <div className="text-2xl font-bold tracking-wider">CONTAIN THE BREACH</div>
                   <div className="opacity-80 mt-2 text-sm max-w-xl mx-auto">
                     A persistent threat actor has penetrated the perimeter. Keep Risk under 100% until the timer ends.
-                    Click nodes to select. Use hotkeys Q/W/E/R or the action panel to respond.
+                    Click nodes to select. Use hotkeys {hotkeys} or the action panel to respond.
+                  </div>
+                  <div className="mt-5 flex items-center justify-center gap-2">
+                    <Hash className="w-4 h-4 opacity-70" />
+                    <label htmlFor="seed" className="text-xs uppercase tracking-widest opacity-60">Seed</label>
+                    <input id="seed" value={seedInput} onChange={(e) => onSeedInput(e.target.value)} spellCheck={false}
+                      placeholder="code or phrase"
+                      className="w-44 bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm font-mono tracking-wider text-center focus:outline-none focus:border-emerald-400" />
+                  </div>
+                  <div className="text-[11px] opacity-50 mt-1">Same seed, same network, same outbreak.</div>
+                  <div className="mt-3 flex items-center justify-center gap-2">
+                    <label htmlFor="difficulty" className="text-xs uppercase tracking-widest opacity-60">Difficulty</label>
+                    <select id="difficulty" value={tuning.difficulty} onChange={(e) => changeTuning(difficultyTuning(e.target.value))}
+                      className="bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-emerald-400">
+                      {DIFFICULTY_IDS.map((id) => <option key={id} value={id}>{DIFFICULTIES[id].name}</option>)}
+                      {tuning.difficulty === "custom" && <option value="custom">Custom</option>}
+                    </select>
+                    <button onClick={() => setShowRules(true)} className="px-3 py-1.5 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1 text-sm">
+                      <SlidersHorizontal className="w-4 h-4" /> Rules…
+                    </button>
                   </div>
+                  <div className="text-[11px] opacity-50 mt-1">{DIFFICULTIES[tuning.difficulty]?.desc ?? "Custom rules from the rules panel."}</div>
+                  <label className="mt-3 flex items-center justify-center gap-2 text-sm cursor-pointer">
+                    <input type="checkbox" checked={fog} onChange={(e) => toggleFog(e.target.checked)} className="accent-emerald-400" />
+                    <EyeOff className="w-4 h-4 opacity-70" /> Fog of war
+                    <span className="text-[11px] opacity-50">— infections stay hidden until detected</span>
+                  </label>
+                  <label className="mt-2 flex items-center justify-center gap-2 text-sm cursor-pointer">
+                    <input type="checkbox" checked={versus} onChange={(e) => toggleVersus(e.target.checked)} className="accent-rose-400" />
+                    <Swords className="w-4 h-4 opacity-70" /> Hot-seat versus
+                    <span className="text-[11px] opacity-50">— a second player runs the attacker (arrows + 1–4)</span>
+                  </label>
+                  {!scenario && missionIndex == null && (
+                    <>
+                      <div className="mt-3 flex items-center justify-center gap-2">
+                        <label htmlFor="net-size" className="text-xs uppercase tracking-widest opacity-60">Size</label>
+                        <select id="net-size" value={shape.nodeCount} onChange={(e) => changeNetwork({ nodeCount: Number(e.target.value) })}
+                          className="bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-emerald-400">
+                          {NETWORK_SIZES.map((sz) => <option key={sz.nodes} value={sz.nodes}>{sz.label} ({sz.nodes.toLocaleString()} nodes)</option>)}
+                        </select>
+                        <label htmlFor="net-layout" className="ml-2 text-xs uppercase tracking-widest opacity-60">Layout</label>
+                        <select id="net-layout" value={shape.topology} onChange={(e) => changeNetwork({ topology: e.target.value })}
+                          className="bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-emerald-400">
+                          {TOPOLOGY_IDS.map((id) => <option key={id} value={id}>{TOPOLOGIES[id].name}</option>)}
+                        </select>
+                      </div>
+                      <div className="text-[11px] opacity-50 mt-1 max-w-md mx-auto">{TOPOLOGIES[shape.topology].desc}</div>
+                      <label className="mt-2 flex items-center justify-center gap-2 text-sm cursor-pointer">
+                        <input type="checkbox" checked={shape.relayout} onChange={(e) => changeNetwork({ relayout: e.target.checked })} className="accent-emerald-400" />
+                        <Wand2 className="w-4 h-4 opacity-70" /> Tidy layout
+                        <span className="text-[11px] opacity-50">— spread the map out with a force-directed pass</span>
+                      </label>
+                    </>
+                  )}
+                  <div className="mt-4 flex items-center justify-center gap-2">
+                    <label htmlFor="scenario" className="text-xs uppercase tracking-widest opacity-60">Network</label>
+                    <select id="scenario" value={scenario ? scenario.id : ""}
+                      onChange={(e) => {
+                        const id = e.target.value;
+                        if (!id) loadScenario(null);
+                        else if (findScenario(id)) loadScenario(findScenario(id));
+                      }}
+                      className="bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-emerald-400">
+                      <option value="">Random (seeded)</option>
+                      {SCENARIOS.map((sc) => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+                      {scenario && !findScenario(scenario.id) && <option value={scenario.id}>Custom: {scenario.name}</option>}
+                    </select>
+                    <button onClick={openScenarioFile} className="px-3 py-1.5 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1 text-sm">
+                      <FileJson className="w-4 h-4" /> Load file…
+                    </button>
+                    <select aria-label="Export network" value="" onChange={(e) => e.target.value && exportCurrentNetwork(e.target.value)}
+                      className="bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-emerald-400">
+                      <option value="">Export as…</option>
+                      {FORMAT_IDS.map((id) => <option key={id} value={id} title={FORMATS[id].note}>{FORMATS[id].name}{FORMATS[id].note ? " (links only)" : ""}</option>)}
+                    </select>
+                  </div>
+                  <div className="text-[11px] opacity-50 mt-1">…or drop a scenario .json, GraphML, GEXF, DOT or CSV edge list onto the map.</div>
+                  {scenario?.description && <div className="mt-2 text-xs opacity-70 max-w-md mx-auto">{scenario.description}</div>}
+                  {missionIndex != null && (
+                    <div className="mt-2 text-xs opacity-70 max-w-md mx-auto">
+                      <span className="font-semibold">Mission {missionIndex + 1}: {MISSIONS[missionIndex].name}.</span> {MISSIONS[missionIndex].briefing}
+                    </div>
+                  )}
+                  <div className="mt-2 text-xs text-amber-200/80">Objective: {describeWin(game.rules)}</div>
+                  {scenarioIssues && (
+                    <div className="mt-3 mx-auto max-w-lg text-left text-xs bg-rose-500/10 border border-rose-500/30 text-rose-200 rounded-xl px-3 py-2 max-h-32 overflow-auto">
+                      <div className="font-semibold mb-1">File rejected:</div>
+                      <ul className="list-disc ml-4 space-y-0.5">
+                        {scenarioIssues.map((msg, i) => <li key={i}>{msg}</li>)}
+                      </ul>
+                    </div>
+                  )}
                   <div className="mt-6 flex items-center justify-center gap-3">
                     <button onClick={startGame} className="px-5 py-3 rounded-xl bg-emerald-500/90 hover:bg-emerald-400 text-black font-semibold flex items-center gap-2">
                       <Play className="w-4 h-4" /> Start Simulation
@@ -745,7 +1169,20 @@ export default function App() {
                     <button onClick={resetLayout} className="px-5 py-3 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
                       <RotateCcw className="w-4 h-4" /> New Topology
                     </button>
+                    <button onClick={() => setShowTutorial(true)} className="px-5 py-3 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
+                      <GraduationCap className="w-4 h-4" /> Tutorial
+                    </button>
+                    <button onClick={() => setShowCampaign(true)} className="px-5 py-3 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
+                      <Flag className="w-4 h-4" /> Campaign
+                    </button>
+                    <button onClick={() => setShowLobby(true)} className="px-5 py-3 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
+                      <Globe className="w-4 h-4" /> Online
+                    </button>
+                    <button onClick={() => setShowLeaderboard(true)} className="px-5 py-3 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
+                      <Trophy className="w-4 h-4" /> Leaderboard
+                    </button>
                   </div>
+                  {profile && <div className="text-[11px] opacity-50 mt-2">Playing as {profile.name}.{versus ? " Hot-seat rounds aren't ranked." : ""}</div>}
                 </div>
               </motion.div>
             )}
@@ -769,25 +1206,84 @@ export default function App() {
 
           <AnimatePresence>
             {gameOver && (
-              <motion.div className="absolute inset-0 bg-black/70 backdrop-blur flex items-center justify-center"
+              <motion.div className="absolute inset-0 bg-black/70 backdrop-blur overflow-auto p-6"
                 initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-                <div className="text-center">
+                <div className="text-center max-w-3xl mx-auto">
                   <div className={`text-3xl font-black ${victory ? "text-emerald-300" : "text-rose-300"}`}>
-                    {victory ? "CONTAINMENT ACHIEVED" : "CONTAINMENT FAILURE"}
+                    {game.rules.versus
+                      ? victory ? "BLUE TEAM HOLDS" : "RED TEAM WINS"
+                      : victory ? "CONTAINMENT ACHIEVED" : "CONTAINMENT FAILURE"}
                   </div>
                   <div className="mt-2 opacity-80">Final Score: {score}</div>
+                  <div className="mt-1 text-xs opacity-60 font-mono">Seed {formatSeed(seed)}</div>
+                  <div className="mt-4 mx-auto max-w-md rounded-xl border border-zinc-800 bg-zinc-900/60 px-4 py-3">
+                    <div className="text-xs uppercase tracking-widest opacity-60">Adversary revealed</div>
+                    <div className="font-semibold mt-1">{ADVERSARIES[game.adversary.id].name}</div>
+                    <div className="text-xs opacity-70 mt-1">{ADVERSARIES[game.adversary.id].desc}</div>
+                  </div>
+                  {!report && lastRecording && <div className="mt-4 text-xs opacity-60">Preparing the after-action report…</div>}
+                  {report && (
+                    <AfterActionReport report={report} onExportJson={() => exportReport("json")} onExportHtml={() => exportReport("html")} />
+                  )}
                   <div className="mt-6 flex items-center justify-center gap-3">
-                    <button onClick={startGame} className="px-5 py-3 rounded-xl bg-emerald-500/90 hover:bg-emerald-400 text-black font-semibold flex items-center gap-2">
-                      <Play className="w-4 h-4" /> Run Again
-                    </button>
+                    {net ? (
+                      <button onClick={() => setShowLobby(true)} className="px-5 py-3 rounded-xl bg-emerald-500/90 hover:bg-emerald-400 text-black font-semibold flex items-center gap-2">
+                        <Globe className="w-4 h-4" /> Back to Lobby
+                      </button>
+                    ) : (
+                      <button onClick={startGame} className="px-5 py-3 rounded-xl bg-emerald-500/90 hover:bg-emerald-400 text-black font-semibold flex items-center gap-2">
+                        <Play className="w-4 h-4" /> Run Again
+                      </button>
+                    )}
                     <button onClick={resetLayout} className="px-5 py-3 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
                       <RotateCcw className="w-4 h-4" /> New Topology
                     </button>
+                    {!net && !game.rules.versus && (
+                      <button onClick={() => setShowLeaderboard(true)} className="px-5 py-3 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
+                        <Trophy className="w-4 h-4" /> Leaderboard
+                      </button>
+                    )}
+                    {victory && missionIndex != null && MISSIONS[missionIndex + 1] && (
+                      <button onClick={() => selectMission(missionIndex + 1)} className="px-5 py-3 rounded-xl bg-emerald-500/90 hover:bg-emerald-400 text-black font-semibold flex items-center gap-2">
+                        Next Mission <ChevronRight className="w-4 h-4" />
+                      </button>
+                    )}
+                    {lastRecording && (
+                      <button onClick={() => watchReplay(lastRecording)} className="px-5 py-3 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
+                        <Film className="w-4 h-4" /> Watch Replay
+                      </button>
+                    )}
                   </div>
                 </div>
               </motion.div>
             )}
           </AnimatePresence>
+
+          <AnimatePresence>
+            {showLeaderboard && (
+              <LeaderboardPanel map={currentMap()} profile={profile} version={recordsVersion}
+                onProfile={changeProfile} onClose={() => setShowLeaderboard(false)} />
+            )}
+            {showTutorial && <TutorialPanel done={lessonsDone} onStart={startLesson} onClose={() => setShowTutorial(false)} />}
+            {showRules && <RulesPanel tuning={tuning} onChange={changeTuning} onClose={() => setShowRules(false)} />}
+            {showCampaign && (
+              <CampaignPanel progress={progress} current={missionIndex} onSelect={selectMission}
+                onClose={() => setShowCampaign(false)} onReset={() => setProgress(resetProgress())} />
+            )}
+          </AnimatePresence>
+
+          <AnimatePresence>
+            {showLobby && (
+              <LobbyPanel lobby={lobby} connecting={!!net && !lobby} error={netError}
+                onCreate={createLobby} onJoin={joinLobby} onRole={(r) => net.setRole(r)} onStart={() => net.start()}
+                onLeave={leaveLobby} onClose={() => setShowLobby(false)} />
+            )}
+          </AnimatePresence>
+
+          {replay && (
+            <ReplayViewer replay={replay} size={size} onClose={() => setReplay(null)}
+              onExport={() => exportRecording(replay.recording)} />
+          )}
         </div>
 
         {/* Actions + Log */}
@@ -795,20 +1291,17 @@ export default function App() {
           <div className="rounded-2xl border border-zinc-800 p-3 bg-zinc-950/60">
             <div className="text-xs uppercase tracking-widest opacity-60 mb-2">Actions</div>
             <div className="grid grid-cols-1 gap-2">
-              <ActionButton name="isolate" icon={Shield} />
-              <ActionButton name="patch" icon={Activity} />
-              <ActionButton name="honeypot" icon={Skull} />
-              <ActionButton name="sweep" icon={Radar} />
+              {allowedActions.map((name) => <ActionButton key={name} name={name} />)}
             </div>
             <div className="mt-3 h-2 w-full bg-zinc-800 rounded-full overflow-hidden">
-              <div className="h-full bg-emerald-400" style={{ width: `${(energy/100)*100}%` }} />
+              <div className="h-full bg-emerald-400" style={{ width: `${(energy/ENERGY_MAX)*100}%` }} />
             </div>
             <div className="text-[11px] opacity-60 mt-1">Energy</div>
 
             <div className="flex items-center gap-2 mt-3">
               <button
                 onClick={() => {
-                  if (!running && !gameOver) startGame(); else setPaused((p) => !p);
+                  if (net || (!running && !gameOver)) startGame(); else setPaused((p) => !p);
                 }}
                 className="flex-1 px-4 py-2 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center justify-center gap-2"
               >
@@ -820,6 +1313,67 @@ export default function App() {
             </div>
           </div>
 
+          {game.red && (
+            <div className="rounded-2xl border border-rose-900/60 p-3 bg-rose-950/20">
+              <div className="text-xs uppercase tracking-widest opacity-60 mb-2 flex items-center gap-2">
+                <Target className="w-3.5 h-3.5" /> Attacker
+                <span className="ml-auto normal-case tracking-normal">{redTarget != null ? nodes[redTarget].name : "no target"}</span>
+              </div>
+              <div className="grid grid-cols-1 gap-2">
+                {ATTACK_IDS.map((name) => <AttackButton key={name} name={name} />)}
+              </div>
+              <div className="mt-3 h-2 w-full bg-zinc-800 rounded-full overflow-hidden">
+                <div className="h-full bg-rose-400" style={{ width: `${(game.red.energy/RED_ENERGY_MAX)*100}%` }} />
+              </div>
+              <div className="text-[11px] opacity-60 mt-1">Red energy</div>
+            </div>
+          )}
+
+          <div className="rounded-2xl border border-zinc-800 p-3 bg-zinc-950/60">
+            <div className="text-xs uppercase tracking-widest opacity-60 mb-2">Recording</div>
+            <div className="grid grid-cols-3 gap-2 text-xs">
+              <button onClick={() => watchReplay(lastRecording)} disabled={!lastRecording || running}
+                className="px-2 py-2 rounded-xl bg-zinc-900 hover:bg-zinc-800 border border-zinc-700 flex items-center justify-center gap-1 disabled:opacity-40 disabled:cursor-not-allowed">
+                <Film className="w-3.5 h-3.5" /> Watch
+              </button>
+              <button onClick={() => exportRecording(lastRecording)} disabled={!lastRecording}
+                className="px-2 py-2 rounded-xl bg-zinc-900 hover:bg-zinc-800 border border-zinc-700 flex items-center justify-center gap-1 disabled:opacity-40 disabled:cursor-not-allowed">
+                <Download className="w-3.5 h-3.5" /> Export
+              </button>
+              <button onClick={importRecording} disabled={running}
+                className="px-2 py-2 rounded-xl bg-zinc-900 hover:bg-zinc-800 border border-zinc-700 flex items-center justify-center gap-1 disabled:opacity-40 disabled:cursor-not-allowed">
+                <Upload className="w-3.5 h-3.5" /> Import
+              </button>
+            </div>
+          </div>
+
+          <div className="rounded-2xl border border-zinc-800 p-3 bg-zinc-950/60">
+            <div className="text-xs uppercase tracking-widest opacity-60 mb-2 flex items-center gap-2">
+              <Bot className="w-3.5 h-3.5" /> Bot
+              <span className="ml-auto normal-case tracking-normal">{bot ? bot.name : "none loaded"}</span>
+            </div>
+            <div className="grid grid-cols-2 gap-2 text-xs">
+              <button onClick={openBotFile}
+                className="px-2 py-2 rounded-xl bg-zinc-900 hover:bg-zinc-800 border border-zinc-700 flex items-center justify-center gap-1">
+                <Upload className="w-3.5 h-3.5" /> Load bot…
+              </button>
+              <select value="" onChange={(e) => e.target.value && loadBot({ builtin: e.target.value })}
+                className="px-2 py-2 rounded-xl bg-zinc-900 border border-zinc-700 focus:outline-none">
+                <option value="">Built-in…</option>
+                {Object.keys(BOTS).map((id) => <option key={id} value={id}>{BOTS[id].name}</option>)}
+              </select>
+              <label className={`px-2 py-2 rounded-xl border border-zinc-700 flex items-center justify-center gap-1 ${bot && !net ? "cursor-pointer" : "opacity-40"}`}>
+                <input type="checkbox" checked={autopilot} disabled={!bot || !!net} onChange={(e) => setAutopilot(e.target.checked)} className="accent-emerald-400" />
+                Autopilot
+              </label>
+              <button onClick={benchmarkBot} disabled={!bot || benching || running}
+                className="px-2 py-2 rounded-xl bg-zinc-900 hover:bg-zinc-800 border border-zinc-700 flex items-center justify-center gap-1 disabled:opacity-40 disabled:cursor-not-allowed">
+                <Trophy className="w-3.5 h-3.5" /> {benching ? "Running…" : "Benchmark"}
+              </button>
+            </div>
+            <div className="text-[11px] opacity-60 mt-1">Bots run in a worker, off the page but not sandboxed: only load code you trust. See src/bot/api.js for the format.</div>
+          </div>
+
           <div className="rounded-2xl border border-zinc-800 p-3 bg-zinc-950/60 min-h-[180px] max-h-[220px] overflow-auto">
             <div className="text-xs uppercase tracking-widest opacity-60 mb-2">Event Log</div>
             <div className="space-y-1 text-xs">
@@ -832,11 +1386,17 @@ export default function App() {
           <div className="rounded-2xl border border-zinc-800 p-3 bg-zinc-950/60">
             <div className="text-xs uppercase tracking-widest opacity-60 mb-2">How to Play</div>
             <ul className="text-xs opacity-80 list-disc ml-4 space-y-1">
-              <li>Click a node to select it. Use Q/W/E to act on it; R for global sweep.</li>
-              <li><strong>Isolate</strong> buys time but reduces connectivity. Toggle again to rejoin.</li>
-              <li><strong>Patch</strong> hardens a node and will clean infection over time.</li>
-              <li><strong>Honeypot</strong> lures attacks and slightly slows global spread.</li>
-              <li><strong>IDS Sweep</strong> slashes spread rates for 8 seconds.</li>
+              <li>New here? The <strong>Tutorial</strong> on the start screen walks through the basics step by step.</li>
+              <li>Click a node to select it, then press an action's hotkey or button. Click near a line to select a link for link actions. Sweeps and resets act on the whole network.</li>
+              <li>Scroll to zoom and drag to pan; the buttons fit the whole network or zoom to the selection. The minimap shows infection hotspots, and clicking it moves the view.</li>
+              {allowedActions.map((name) => (
+                <li key={name}><strong>{ACTIONS[name].label}</strong> [{ACTIONS[name].key.toUpperCase()}] {ACTIONS[name].help}</li>
+              ))}
+              <li>Letters mark roles: <strong>W</strong>eb, <strong>D</strong>atabase, <strong>A</strong>uth, <strong>M</strong>ail, workstation (<strong>U</strong>), <strong>O</strong>T. Roles differ in defence, spread and patch speed.</li>
+              {game.rules.fog && <li><strong>Fog of war:</strong> infections hide until they dwell long enough or a sweep or scan exposes them. Dotted nodes are unverified; <span className="text-amber-300">?</span> marks suspicious traffic.</li>}
+              <li><strong>Uptime</strong> counts services that are clean, online and can still reach a critical system. If its rolling average drops under the SLA, you lose; a win pays a bonus for high uptime at low risk.</li>
+              <li><strong>Events</strong> such as zero-days, DDoS or surprise links strike during a round. Banners show what is happening and how long it lasts.</li>
+              {game.rules.versus && <li><strong>Hot-seat:</strong> the attacker moves the red cursor with the arrow keys (or right-click) and plays 1 Exploit, 2 Lateral Move, 3 Persist and 4 Evade Sweep from their own energy. Red wins if the defence fails.</li>}
               <li>Survive until the timer ends without Risk hitting 100%.</li>
             </ul>
           </div>
@@ -845,7 +1405,7 @@ export default function App() {
 
       {/* Footer */}
       <div className="px-4 py-3 text-[11px] opacity-60 flex items-center justify-between">
-        <div>Built for the browser • Single-game loop • Hotkeys: Q/W/E/R</div>
+        <div>Built for the browser • Single-game loop • Hotkeys: {hotkeys}</div>
         <div>© CYBERGRID // Acheron</div>
       </div>
     </div>
@@ -0,0 +1,165 @@
+/**
+ * Bot API.
+ * ------------------------------------------------------
+ * Lets code play the defender. A bot is a plain object, usually the default
+ * export of an ES module:
+ *
+ *   export default {
+ *     name: "patch-first",
+ *     init(obs) {},                 // optional: a new game starts (reset your memory here)
+ *     act(obs) {                    // every tick: return the actions to take, or []
+ *       const target = obs.nodes.find((n) => n.state === "infected" && n.patched === 0);
+ *       return target && obs.actions.patch?.ready ? [{ type: "patch", node: target.id }] : [];
+ *     },
+ *   };
+ *
+ * Actions use the engine's format: `{ type, node }` for node and area actions,
+ * `{ type, edge: [a, b] }` for link actions and `{ type }` for global ones.
+ * Invalid or unaffordable actions are simply rejected by the engine, as they
+ * would be for a player.
+ *
+ * A bot only sees what a player sees (see `observe`): with fog of war on, hidden
+ * infections stay hidden and the adversary profile is never revealed.
+ *
+ * Bots run headless in Node (`runBot`, `runTournament`, scripts/tournament.js)
+ * or in the browser inside a Web Worker (see worker.js), far faster than real
+ * time in both cases.
+ */
+
+import { ACTIONS, ACTION_IDS, actionCost } from "../sim/actions.js";
+import { ENERGY_MAX } from "../sim/constants.js";
+import { EVENTS } from "../sim/director.js";
+import { TICK_DT, canUse, cooldownLeft, createGame, isAllowed, step } from "../sim/engine.js";
+import { visibleState } from "../sim/fog.js";
+import { deriveSeed } from "../sim/rng.js";
+import { createRecording, recordStep } from "../sim/recording.js";
+
+// ------------------------- Observation -------------------------
+// What the defender can see of engine state `s`, as plain cloneable data:
+//
+//   {
+//     tick, time, timeLeft, energy, energyMax, risk, uptime, sla, slaTarget, fog,
+//     objective: { type, maxRisk? },
+//     nodes: [{ id, name, role, x, y, critical, security, deps,
+//               state,          // "infected" | "suspected" | "unknown" | "clear"
+//               isolated, down, restoring, honeypot, patched,
+//               cleanProgress   // 0..1 towards auto-clean (known infections only)
+//             }],
+//     edges: [{ a, b, w, blocked, temporary }],
+//     actions: { [type]: { cost, target, ready, cooldownLeft } },   // allowed this round
+//     effects: [{ type, node, edge, timeLeft }],
+//     events: [{ type, name, timeLeft }],
+//   }
+export function observe(s) {
+  return {
+    tick: s.tick,
+    time: s.time,
+    timeLeft: s.timer,
+    energy: s.energy,
+    energyMax: ENERGY_MAX,
+    risk: s.risk,
+    uptime: s.uptime,
+    sla: s.sla,
+    slaTarget: s.rules.sla,
+    fog: s.rules.fog,
+    objective: { ...s.rules.win },
+    nodes: s.nodes.map((n) => {
+      const state = visibleState(n, s);
+      return {
+        id: n.id,
+        name: n.name,
+        role: n.role,
+        x: n.x,
+        y: n.y,
+        critical: n.critical,
+        security: n.security,
+        deps: [...n.deps],
+        state,
+        isolated: n.isolated,
+        down: n.down,
+        restoring: !!n.restoring,
+        honeypot: n.honeypot,
+        patched: n.patched,
+        cleanProgress: state === "infected" ? n.cleanProg / s.rules.cleanTime : 0,
+      };
+    }),
+    edges: s.edges.map((e) => ({ a: e.a, b: e.b, w: e.w, blocked: !!e.blocked, temporary: e.event != null })),
+    actions: Object.fromEntries(ACTION_IDS.filter((name) => isAllowed(s, name)).map((name) => [name, {
+      cost: actionCost(s.rules, name),
+      target: ACTIONS[name].target,
+      ready: canUse(s, name),
+      cooldownLeft: cooldownLeft(s, name),
+    }])),
+    effects: s.effects.map((fx) => ({ type: fx.type, node: fx.node, edge: fx.edge, timeLeft: fx.until - s.time })),
+    events: s.activeEvents.map((ev) => ({ type: ev.type, name: EVENTS[ev.type].name, timeLeft: ev.until - s.time })),
+  };
+}
+
+// Keeps only well-formed defender actions from whatever a bot returned.
+export function botActions(out) {
+  if (!Array.isArray(out)) return [];
+  const actions = [];
+  for (const a of out) {
+    if (!a || !Object.hasOwn(ACTIONS, a.type)) continue;
+    const clean = { type: a.type };
+    if (Number.isInteger(a.node)) clean.node = a.node;
+    if (Array.isArray(a.edge) && a.edge.length === 2 && a.edge.every(Number.isInteger)) clean.edge = [a.edge[0], a.edge[1]];
+    actions.push(clean);
+  }
+  return actions;
+}
+
+// ------------------------- Headless runs -------------------------
+// Plays one game with `bot` as fast as possible. `setup` is createGame() options.
+// opts: { thinkEvery: ticks between act() calls, record: keep a recording }
+export function runBot(bot, setup, { thinkEvery = 1, record = false } = {}) {
+  let s = createGame(setup);
+  const rec = record ? createRecording(setup) : null;
+  bot.init?.(observe(s));
+  let actionsTaken = 0;
+  while (s.status === "running") {
+    const actions = s.tick % thinkEvery === 0 ? botActions(bot.act(observe(s))) : [];
+    actionsTaken += actions.length;
+    s = step(s, TICK_DT, actions);
+    if (rec) recordStep(rec, s, actions);
+  }
+  return {
+    seed: s.seed,
+    status: s.status,
+    score: s.score,
+    time: s.time,
+    meanUptime: s.uptimeTotal / Math.max(s.time, 1e-9),
+    meanRisk: s.riskTotal / Math.max(s.time, 1e-9),
+    actions: actionsTaken,
+    adversary: s.adversary.id,
+    recording: rec,
+  };
+}
+
+// Seeds for a tournament: `count` seeds derived from `base`, so runs are repeatable.
+export function tournamentSeeds(count, base = 1) {
+  return Array.from({ length: count }, (_, i) => deriveSeed(base, i + 1));
+}
+
+// Plays `bot` on every seed and sums it up. opts: { seeds, rules, scenario, thinkEvery, onGame(result, i) }
+export function runTournament(bot, { seeds, rules = {}, scenario = null, thinkEvery = 1, onGame } = {}) {
+  const games = [];
+  seeds.forEach((seed, i) => {
+    const setup = scenario ? { seed, scenario, rules } : { seed, rules };
+    const result = runBot(bot, setup, { thinkEvery });
+    games.push(result);
+    onGame?.(result, i);
+  });
+  const mean = (key) => games.reduce((a, g) => a + g[key], 0) / Math.max(1, games.length);
+  const wins = games.filter((g) => g.status === "won").length;
+  return {
+    bot: bot.name ?? "bot",
+    games,
+    wins,
+    winRate: wins / Math.max(1, games.length),
+    meanScore: mean("score"),
+    meanUptime: mean("meanUptime"),
+    meanRisk: mean("meanRisk"),
+    meanTime: mean("time"),
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Built-in bots.
+ * ------------------------------------------------------
+ * Reference strategies for benchmarks and as starting points for your own
+ * (see api.js for the observation and action format).
+ */
+
+// Does nothing: the baseline every strategy should beat.
+export const idle = {
+  name: "idle",
+  act: () => [],
+};
+
+// Patches known infections closest to critical assets first, sweeps when the
+// outbreak gets large, quarantines anything touching a critical node and lets
+// it back in once it is clean. Scans suspicious nodes under fog of war.
+export const triage = {
+  name: "triage",
+  act(obs) {
+    const { nodes, edges, actions } = obs;
+    const ready = (type) => actions[type]?.ready;
+    const nearCritical = new Set();
+    for (const e of edges) {
+      if (nodes[e.a].critical) nearCritical.add(e.b);
+      if (nodes[e.b].critical) nearCritical.add(e.a);
+    }
+    const infected = nodes.filter((n) => n.state === "infected");
+
+    if (ready("sweep") && infected.length >= 5) return [{ type: "sweep" }];
+    const threat = infected.find((n) => (n.critical || nearCritical.has(n.id)) && !n.isolated);
+    if (threat && !threat.critical && ready("isolate")) return [{ type: "isolate", node: threat.id }];
+    const rejoin = nodes.find((n) => n.isolated && n.state === "clear");
+    if (rejoin && ready("isolate")) return [{ type: "isolate", node: rejoin.id }];
+
+    const unpatched = infected
+      .filter((n) => n.patched < 0.5)
+      .sort((a, b) => Number(b.critical) - Number(a.critical) || Number(nearCritical.has(b.id)) - Number(nearCritical.has(a.id)));
+    if (unpatched.length && ready("patch")) return [{ type: "patch", node: unpatched[0].id }];
+
+    const suspect = nodes.find((n) => n.state === "suspected");
+    if (suspect && ready("scan")) return [{ type: "scan", node: suspect.id }];
+    return [];
+  },
+};
+
+export const BOTS = { idle, triage };
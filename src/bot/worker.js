@@ -0,0 +1,67 @@
+/**
+ * Bot worker.
+ * ------------------------------------------------------
+ * Runs bot code off the main thread: it has no access to the page's DOM or
+ * state, and a bot that hangs can be terminated without freezing the game.
+ * It is not a security boundary (a worker can still fetch and use IndexedDB),
+ * so only load bots you trust. Talk to it through workerBot.js rather than
+ * posting messages by hand.
+ *
+ *   { id, t: "load", source }                    bot module source, or
+ *   { id, t: "load", builtin }                   a bot from bots.js
+ *   { id, t: "init", obs }                       a new game starts -> { id }
+ *   { id, t: "act", obs }                        -> { id, actions }
+ *   { id, t: "bench", games, base, rules, scenario }
+ *                                                -> { id, progress } per game, then { id, summary }
+ * Failures come back as { id, error }.
+ */
+
+import { botActions, runTournament, tournamentSeeds } from "./api.js";
+import { BOTS } from "./bots.js";
+
+let bot = null;
+
+async function load({ source, builtin }) {
+  if (builtin) {
+    if (!BOTS[builtin]) throw new Error(`Unknown built-in bot "${builtin}".`);
+    bot = BOTS[builtin];
+  } else {
+    const url = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+    try {
+      const mod = await import(/* @vite-ignore */ url);
+      bot = mod.default ?? mod.bot;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    if (typeof bot?.act !== "function") {
+      bot = null;
+      throw new Error("The bot module must export default { act(obs) { … } }.");
+    }
+  }
+  return { name: bot.name ?? "bot" };
+}
+
+self.onmessage = async ({ data: msg }) => {
+  const reply = (body) => self.postMessage({ id: msg.id, ...body });
+  try {
+    if (msg.t === "load") return reply(await load(msg));
+    if (!bot) throw new Error("No bot loaded.");
+    if (msg.t === "init") {
+      bot.init?.(msg.obs);
+      return reply({});
+    }
+    if (msg.t === "act") return reply({ actions: botActions(bot.act(msg.obs)) });
+    if (msg.t === "bench") {
+      const summary = runTournament(bot, {
+        seeds: tournamentSeeds(msg.games, msg.base),
+        rules: msg.rules,
+        scenario: msg.scenario,
+        onGame: (g, i) => reply({ progress: { i, status: g.status, score: g.score } }),
+      });
+      return reply({ summary: { ...summary, games: summary.games.map(({ recording, ...g }) => g) } });
+    }
+    throw new Error(`Unknown request "${msg.t}".`);
+  } catch (err) {
+    reply({ error: err.message });
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Main-thread handle for a bot running in its own Web Worker (worker.js).
+ *
+ *   const bot = createWorkerBot();
+ *   const { name } = await bot.load({ source });    // or { builtin: "triage" }
+ *   await bot.init(observe(state));                  // at the start of every game
+ *   const actions = await bot.act(observe(state));
+ *   const summary = await bot.bench({ games: 20, base: 1, rules }, onProgress);
+ *   bot.terminate();
+ *
+ * A request that takes longer than its time limit terminates the worker (a bot
+ * stuck in a loop must not take the game with it) and rejects.
+ */
+
+const ACT_TIMEOUT = 1000; // ms for one act() call
+const BENCH_TIMEOUT = 120000; // ms for a whole benchmark
+
+export function createWorkerBot() {
+  const worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+  const waiting = new Map(); // id -> { resolve, reject, onProgress, timer }
+  let nextId = 1;
+  let dead = false;
+
+  const kill = (reason) => {
+    dead = true;
+    worker.terminate();
+    for (const w of waiting.values()) {
+      clearTimeout(w.timer);
+      w.reject(new Error(reason));
+    }
+    waiting.clear();
+  };
+
+  worker.onmessage = ({ data }) => {
+    const w = waiting.get(data.id);
+    if (!w) return;
+    if (data.progress) return w.onProgress?.(data.progress);
+    clearTimeout(w.timer);
+    waiting.delete(data.id);
+    if (data.error) w.reject(new Error(data.error));
+    else w.resolve(data);
+  };
+  worker.onerror = (e) => kill(`Bot worker crashed: ${e.message}`);
+
+  const request = (msg, timeout, onProgress) => new Promise((resolve, reject) => {
+    if (dead) return reject(new Error("The bot was stopped."));
+    const id = nextId++;
+    const timer = setTimeout(() => kill(`The bot took longer than ${timeout / 1000}s and was stopped.`), timeout);
+    waiting.set(id, { resolve, reject, onProgress, timer });
+    worker.postMessage({ id, ...msg });
+  });
+
+  return {
+    load: (spec) => request({ t: "load", ...spec }, ACT_TIMEOUT * 5),
+    init: (obs) => request({ t: "init", obs }, ACT_TIMEOUT),
+    act: (obs) => request({ t: "act", obs }, ACT_TIMEOUT).then((r) => r.actions),
+    bench: (opts, onProgress) => request({ t: "bench", ...opts }, BENCH_TIMEOUT, onProgress).then((r) => r.summary),
+    terminate: () => kill("The bot was stopped."),
+    get alive() {
+      return !dead;
+    },
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Campaign missions.
+ * ------------------------------------------------------
+ * An ordered path from a small, slow outbreak with a single tool up to the
+ * full game and beyond. Each mission tunes the round through engine rules;
+ * completing it unlocks the next mission and the actions listed in `unlocks`.
+ * The first mission starts with Patch only and the last allows every action in
+ * the registry; the opening missions pin a simple adversary, later ones leave
+ * it to the seed.
+ */
+
+import { ACTION_IDS } from "../sim/actions.js";
+
+const STARTING_ACTIONS = ["patch"];
+
+export const MISSIONS = [
+  {
+    id: "first-contact",
+    name: "First Contact",
+    briefing: "A small branch network with a slow commodity infection. Learn to patch infected hosts before they spread.",
+    rules: { nodeCount: 12, criticalCount: 1, baseThreat: 0.05, startTime: 90, startEnergy: 80, win: { type: "survive" }, adversary: "commodity", events: null },
+    unlocks: ["isolate"],
+  },
+  {
+    id: "quarantine-drill",
+    name: "Quarantine Drill",
+    briefing: "Isolation is now authorized. Cut infected hosts off before the outbreak reaches the critical servers.",
+    rules: { nodeCount: 16, criticalCount: 2, baseThreat: 0.06, startTime: 120, startEnergy: 70, win: { type: "protect" }, adversary: "commodity", events: null },
+    unlocks: ["honeypot"],
+  },
+  {
+    id: "bait-and-switch",
+    name: "Bait and Switch",
+    briefing: "Deploy honeypots to draw the attacker away and hold overall risk down.",
+    rules: { nodeCount: 20, criticalCount: 2, baseThreat: 0.07, startTime: 120, startEnergy: 70, win: { type: "survive", maxRisk: 0.6 } },
+    unlocks: ["sweep"],
+  },
+  {
+    id: "full-sweep",
+    name: "Full Sweep",
+    briefing: "With IDS sweeps online, eradicate the outbreak completely before the clock runs out.",
+    rules: { nodeCount: 24, criticalCount: 3, baseThreat: 0.075, startTime: 150, startEnergy: 70, win: { type: "eradicate" } },
+    unlocks: ["restore", "hunt", "block"],
+  },
+  {
+    id: "breach-containment",
+    name: "Breach Containment",
+    briefing: "Backup restores, threat hunts and link firewalls are authorized. The standard engagement: a 32-node enterprise under active attack. Hold the line for three minutes.",
+    rules: { nodeCount: 32, criticalCount: 3, baseThreat: 0.085, startTime: 180, startEnergy: 70, win: { type: "survive" } },
+    unlocks: ["credreset", "ratelimit", "scan", "tap"],
+  },
+  {
+    id: "red-line",
+    name: "Red Line",
+    briefing: "Every tool is yours now, from credential resets to rate limits (and, under fog of war, scans and taps). A larger estate and a faster adversary: not a single critical asset may fall.",
+    rules: { nodeCount: 40, criticalCount: 4, baseThreat: 0.1, startTime: 180, startEnergy: 60, win: { type: "protect" } },
+    unlocks: [],
+  },
+];
+
+// Actions available in mission `index`: the starting kit plus everything
+// unlocked before it, and the whole registry in the last mission.
+export function missionActions(index) {
+  if (index === MISSIONS.length - 1) return [...ACTION_IDS];
+  return [...STARTING_ACTIONS, ...MISSIONS.slice(0, index).flatMap((m) => m.unlocks)];
+}
+
+export function missionRules(index) {
+  return { ...MISSIONS[index].rules, actions: missionActions(index) };
+}
+
+export function isUnlocked(progress, index) {
+  return index === 0 || !!progress.completed[MISSIONS[index - 1].id];
+}
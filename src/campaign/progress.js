@@ -0,0 +1,48 @@
+/**
+ * Campaign progress.
+ * ------------------------------------------------------
+ * Which missions have been completed, persisted in localStorage.
+ */
+
+const STORAGE_KEY = "cybergrid.campaign.v1";
+
+const empty = () => ({ completed: {} });
+
+export function loadProgress() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return data && typeof data.completed === "object" ? data : empty();
+  } catch {
+    return empty();
+  }
+}
+
+function saveProgress(progress) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch {
+    // storage full or disabled: progress just won't survive a reload
+  }
+}
+
+// Records a mission win and returns the updated progress.
+export function completeMission(progress, missionId, score) {
+  const prev = progress.completed[missionId];
+  const next = {
+    ...progress,
+    completed: {
+      ...progress.completed,
+      [missionId]: {
+        bestScore: Math.max(score, prev?.bestScore ?? 0),
+        completedAt: prev?.completedAt ?? new Date().toISOString(),
+      },
+    },
+  };
+  saveProgress(next);
+  return next;
+}
+
+export function resetProgress() {
+  saveProgress(empty());
+  return empty();
+}
@@ -0,0 +1,38 @@
+import React from "react";
+import { BatteryFull, Bug, EyeOff, Hand, Link, ShieldCheck, Siren, Sparkles, Trophy, Zap } from "lucide-react";
+import { ACHIEVEMENTS } from "../profiles/achievements.js";
+
+export const ACHIEVEMENT_ICONS = {
+  firstWin: Trophy,
+  zeroCritical: ShieldCheck,
+  honeypotHunter: Bug,
+  noIsolate: Link,
+  rapidResponse: Zap,
+  eradicator: Sparkles,
+  frugal: BatteryFull,
+  cleanHands: Hand,
+  inTheDark: EyeOff,
+  redAlert: Siren,
+};
+
+/**
+ * One achievement: icon, name and condition. Locked ones are dimmed; `at` is
+ * the ISO time an unlocked one was earned, if it should be shown.
+ */
+export default function AchievementBadge({ id, earned = true, at = null }) {
+  const a = ACHIEVEMENTS[id];
+  const Icon = ACHIEVEMENT_ICONS[id] ?? Trophy;
+  return (
+    <div className={`flex items-center gap-2 text-left ${earned ? "" : "opacity-40"}`} title={a.desc}>
+      <div className={`shrink-0 rounded-lg p-1.5 border ${earned ? "bg-amber-400/10 border-amber-400/40 text-amber-300" : "border-zinc-700"}`}>
+        <Icon className="w-4 h-4" />
+      </div>
+      <div className="min-w-0">
+        <div className="text-sm font-semibold truncate">{a.name}</div>
+        <div className="text-[11px] opacity-70 truncate">
+          {a.desc}{at && <span className="opacity-70"> · {new Date(at).toLocaleDateString(undefined, { month: "short", day: "numeric" })}</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
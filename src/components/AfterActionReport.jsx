@@ -0,0 +1,72 @@
+import React from "react";
+import { FileJson, FileText } from "lucide-react";
+import { LANES, fmtClock, scoreRows, statRows, timelineSvg } from "../report/html.js";
+
+/**
+ * Post-game debrief: timeline chart with action marks, stats, where the score
+ * came from, patient zero and how the infection reached each critical node. Exports go through the parent.
+ */
+export default function AfterActionReport({ report, onExportJson, onExportHtml }) {
+  return (
+    <div className="mt-4 text-left rounded-xl border border-zinc-800 bg-zinc-900/60 px-4 py-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs uppercase tracking-widest opacity-60">After-action report</div>
+        <div className="flex items-center gap-2 text-xs">
+          <button onClick={onExportJson} className="px-2 py-1 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1">
+            <FileJson className="w-3.5 h-3.5" /> JSON
+          </button>
+          <button onClick={onExportHtml} className="px-2 py-1 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1">
+            <FileText className="w-3.5 h-3.5" /> HTML
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-2" dangerouslySetInnerHTML={{ __html: timelineSvg(report) }} />
+      <div className="flex items-center gap-3 text-[11px] opacity-70 ml-16">
+        {LANES.map((l) => <span key={l.key} style={{ color: l.color }}>━ {l.label}</span>)}
+        <span>● action</span>
+        <span>○ blocked press</span>
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-x-6 gap-y-1 text-xs">
+        {statRows(report).map(([k, v]) => (
+          <div key={k} className="flex justify-between border-b border-zinc-800/80 py-0.5">
+            <span className="opacity-70">{k}</span><span className="font-semibold">{v}</span>
+          </div>
+        ))}
+      </div>
+
+      {scoreRows(report).length > 0 && (
+        <>
+          <div className="mt-3 text-xs uppercase tracking-widest opacity-60 mb-1">Score</div>
+          <div className="grid grid-cols-2 gap-x-6 gap-y-1 text-xs">
+            {scoreRows(report).map(([k, v]) => (
+              <div key={k} className="flex justify-between border-b border-zinc-800/80 py-0.5">
+                <span className="opacity-70">{k}</span><span className={`font-semibold ${v.startsWith("-") ? "text-rose-300" : ""}`}>{v}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="mt-3 grid grid-cols-2 gap-4 text-xs">
+        <div>
+          <div className="uppercase tracking-widest opacity-60 mb-1">Patient zero</div>
+          {report.entryPoints.map((e, i) => (
+            <div key={i}>{e.name} <span className="opacity-50 font-mono">{fmtClock(e.t)}</span></div>
+          ))}
+        </div>
+        <div>
+          <div className="uppercase tracking-widest opacity-60 mb-1">Paths to critical nodes</div>
+          {report.criticalPaths.length === 0 && <div className="opacity-60">No critical node was compromised.</div>}
+          {report.criticalPaths.map((p, i) => (
+            <div key={i} className="mb-1">
+              <span className="text-rose-300 font-semibold">{p.name}</span> <span className="opacity-50 font-mono">{fmtClock(p.t)}</span>
+              <div className="opacity-70">{p.path.join(" → ")}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Lock, CheckCircle2, Play, X, RotateCcw } from "lucide-react";
+import { DEFAULT_RULES } from "../sim/constants.js";
+import { ACTIONS } from "../sim/actions.js";
+import { describeWin } from "../sim/engine.js";
+import { MISSIONS, missionActions, isUnlocked } from "../campaign/missions.js";
+
+/**
+ * Campaign mission list: locked/unlocked state, objectives, tool kit and
+ * best scores. Picking a mission hands its index back to the game.
+ */
+export default function CampaignPanel({ progress, current, onSelect, onClose, onReset }) {
+  return (
+    <motion.div className="absolute inset-0 bg-black/80 backdrop-blur flex items-center justify-center p-6"
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="w-full max-w-2xl max-h-full overflow-auto bg-zinc-950/90 border border-zinc-800 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-lg font-bold tracking-wider">CAMPAIGN</div>
+          <div className="flex items-center gap-2">
+            <button onClick={onReset} className="px-3 py-1.5 rounded-lg bg-zinc-900 hover:bg-zinc-800 border border-zinc-700 flex items-center gap-1 text-xs">
+              <RotateCcw className="w-3.5 h-3.5" /> Reset progress
+            </button>
+            <button onClick={onClose} className="px-3 py-1.5 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1 text-xs">
+              <X className="w-3.5 h-3.5" /> Close
+            </button>
+          </div>
+        </div>
+        <div className="space-y-2">
+          {MISSIONS.map((m, i) => {
+            const unlocked = isUnlocked(progress, i);
+            const done = progress.completed[m.id];
+            return (
+              <div key={m.id} className={`rounded-xl border px-3 py-2 ${current === i ? "border-emerald-500/60 bg-emerald-500/5" : "border-zinc-800 bg-zinc-900/50"} ${unlocked ? "" : "opacity-50"}`}>
+                <div className="flex items-center gap-2">
+                  <div className="text-xs font-mono opacity-60">{String(i + 1).padStart(2, "0")}</div>
+                  <div className="font-semibold">{m.name}</div>
+                  {done && <CheckCircle2 className="w-4 h-4 text-emerald-300" />}
+                  {!unlocked && <Lock className="w-4 h-4 opacity-70" />}
+                  {done && <div className="text-xs opacity-60">best {done.bestScore}</div>}
+                  <button disabled={!unlocked} onClick={() => onSelect(i)}
+                    className="ml-auto px-3 py-1 rounded-lg bg-emerald-500/90 hover:bg-emerald-400 text-black text-xs font-semibold flex items-center gap-1 disabled:bg-zinc-800 disabled:text-zinc-400 disabled:cursor-not-allowed">
+                    <Play className="w-3.5 h-3.5" /> {done ? "Replay" : "Select"}
+                  </button>
+                </div>
+                <div className="text-xs opacity-75 mt-1">{m.briefing}</div>
+                <div className="text-xs mt-1 text-amber-200/80">{describeWin({ ...DEFAULT_RULES, ...m.rules })}</div>
+                <div className="flex flex-wrap items-center gap-1 mt-1.5 text-[11px]">
+                  <span className="opacity-60">{m.rules.nodeCount} nodes · tools:</span>
+                  {missionActions(i).map((a) => (
+                    <span key={a} className="px-1.5 py-0.5 rounded bg-zinc-800 border border-zinc-700">{ACTIONS[a].label}</span>
+                  ))}
+                  {m.unlocks.length > 0 && (
+                    <span className="opacity-60 ml-2">unlocks: {m.unlocks.map((a) => ACTIONS[a].label).join(", ")}</span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </motion.div>
+  );
+}
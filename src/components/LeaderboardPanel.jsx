@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { X, Download, Upload, UserPlus, Trophy } from "lucide-react";
+import AchievementBadge from "./AchievementBadge.jsx";
+import { ACHIEVEMENT_IDS } from "../profiles/achievements.js";
+import { boardKey, boardLabel, createProfile, leaderboard, parseProfiles, profileStats, serializeProfiles } from "../profiles/records.js";
+import { allRuns, boardRuns, exportProfiles, importProfiles, listProfiles, saveProfile } from "../profiles/store.js";
+import { downloadFile, pickFile } from "../util/files.js";
+
+const when = (iso) => new Date(iso).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+/**
+ * Local player profiles and the leaderboard for the map on the start screen:
+ * who holds the best scores, the active player's record, personal bests and
+ * achievements, and JSON export/import for pooling results across machines. `version`
+ * changes whenever a run was saved, so the tables reload.
+ */
+export default function LeaderboardPanel({ map, profile, version, onProfile, onClose }) {
+  const [profiles, setProfiles] = useState([]);
+  const [board, setBoard] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [newName, setNewName] = useState("");
+  const [note, setNote] = useState(null);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    let live = true;
+    Promise.all([listProfiles(), boardRuns(map), allRuns()])
+      .then(([ps, runs, everything]) => {
+        if (!live) return;
+        setProfiles(ps.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+        setBoard(leaderboard(runs, boardKey(map)));
+        setStats(profile ? profileStats(everything, profile.id) : null);
+      })
+      .catch((err) => live && setNote(err.message));
+    return () => {
+      live = false;
+    };
+  }, [map.seed, map.map, map.difficulty, profile?.id, version, reload]);
+
+  const nameOf = (id) => profiles.find((p) => p.id === id)?.name ?? "Unknown";
+
+  const addProfile = async () => {
+    const p = createProfile(newName);
+    await saveProfile(p);
+    setNewName("");
+    onProfile(p);
+    setReload((n) => n + 1);
+  };
+
+  const exportAll = async () => {
+    const data = await exportProfiles();
+    downloadFile(`cybergrid-profiles-${new Date().toISOString().slice(0, 10)}.json`, serializeProfiles(data));
+  };
+
+  const importAll = async () => {
+    const text = await pickFile(".json,application/json");
+    if (text == null) return;
+    try {
+      const added = await importProfiles(parseProfiles(text));
+      const mine = added.updated.find((p) => p.id === profile?.id);
+      if (mine) onProfile(mine);
+      const merged = added.updated.length ? `, and merged achievements into ${added.updated.length} existing profile${added.updated.length === 1 ? "" : "s"}` : "";
+      setNote(`Imported ${added.profiles.length} profile${added.profiles.length === 1 ? "" : "s"} and ${added.runs.length} run${added.runs.length === 1 ? "" : "s"}${merged}.`);
+      setReload((n) => n + 1);
+    } catch (err) {
+      setNote(`Import failed: ${err.message}`);
+    }
+  };
+
+  const button = "px-3 py-1.5 rounded-lg bg-zinc-900 hover:bg-zinc-800 border border-zinc-700 flex items-center gap-1 text-xs";
+  return (
+    <motion.div className="absolute inset-0 bg-black/80 backdrop-blur flex items-center justify-center p-6"
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="w-full max-w-2xl max-h-full overflow-auto bg-zinc-950/90 border border-zinc-800 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-lg font-bold tracking-wider">LEADERBOARD</div>
+          <div className="flex items-center gap-2">
+            <button onClick={exportAll} className={button}><Download className="w-3.5 h-3.5" /> Export</button>
+            <button onClick={importAll} className={button}><Upload className="w-3.5 h-3.5" /> Import</button>
+            <button onClick={onClose} className="px-3 py-1.5 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1 text-xs">
+              <X className="w-3.5 h-3.5" /> Close
+            </button>
+          </div>
+        </div>
+        {note && <div className="mb-3 text-xs text-amber-200/90">{note}</div>}
+
+        <div className="flex items-center gap-2">
+          <label htmlFor="profile" className="text-xs uppercase tracking-widest opacity-60">Player</label>
+          <select id="profile" value={profile?.id ?? ""} onChange={(e) => onProfile(profiles.find((p) => p.id === e.target.value))}
+            className="bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-emerald-400">
+            {profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+          <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="new player" maxLength={24}
+            onKeyDown={(e) => e.key === "Enter" && newName.trim() && addProfile()}
+            className="ml-auto w-36 bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-emerald-400" />
+          <button onClick={addProfile} disabled={!newName.trim()} className={`${button} disabled:opacity-40`}>
+            <UserPlus className="w-3.5 h-3.5" /> Add
+          </button>
+        </div>
+
+        {stats && (
+          <div className="mt-3 grid grid-cols-5 gap-2 text-center">
+            {[["Played", stats.played], ["Won / lost", `${stats.wins} / ${stats.losses}`], ["Best score", stats.bestScore ?? "—"], ["Streak", stats.streak], ["Best streak", stats.bestStreak]].map(([k, v]) => (
+              <div key={k} className="rounded-xl border border-zinc-800 bg-zinc-900/50 px-2 py-1.5">
+                <div className="text-[10px] uppercase tracking-widest opacity-60">{k}</div>
+                <div className="text-sm font-semibold">{v}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-4 text-xs uppercase tracking-widest opacity-60 mb-1 flex items-center gap-1">
+          <Trophy className="w-3.5 h-3.5" /> {boardLabel(map)}
+        </div>
+        {board.length === 0 && <div className="text-xs opacity-60">No runs on this map yet.</div>}
+        {board.length > 0 && (
+          <table className="w-full text-sm">
+            <tbody>
+              {board.map((r, i) => (
+                <tr key={r.id} className={`border-t border-zinc-800/80 ${r.profile === profile?.id ? "text-emerald-200" : ""}`}>
+                  <td className="py-1 w-8 font-mono opacity-60">{i + 1}</td>
+                  <td className="py-1">{nameOf(r.profile)}</td>
+                  <td className="py-1 text-right font-semibold">{r.score}</td>
+                  <td className={`py-1 text-right text-xs ${r.status === "won" ? "text-emerald-300" : "text-rose-300"}`}>{r.status}</td>
+                  <td className="py-1 text-right text-xs opacity-60">{when(r.at)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {stats?.boards.length > 0 && (
+          <>
+            <div className="mt-4 text-xs uppercase tracking-widest opacity-60 mb-1">Personal bests</div>
+            <table className="w-full text-xs">
+              <tbody>
+                {stats.boards.map((b) => (
+                  <tr key={b.key} className="border-t border-zinc-800/80">
+                    <td className="py-1">{b.label}</td>
+                    <td className="py-1 text-right opacity-70">{b.wins}/{b.played} won</td>
+                    <td className="py-1 text-right font-semibold">{b.best.score}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        {profile && (
+          <>
+            <div className="mt-4 text-xs uppercase tracking-widest opacity-60 mb-2">
+              Achievements · {ACHIEVEMENT_IDS.filter((id) => profile.achievements?.[id]).length}/{ACHIEVEMENT_IDS.length}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {ACHIEVEMENT_IDS.map((id) => (
+                <AchievementBadge key={id} id={id} earned={!!profile.achievements?.[id]} at={profile.achievements?.[id]} />
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { Globe, LogIn, LogOut, Play, Plus, X, Crown } from "lucide-react";
+import { DEFAULT_PORT, PLAYER_ROLES } from "../net/protocol.js";
+
+const ROLE_LABELS = { defender: "Defender", attacker: "Attacker", spectator: "Spectator" };
+
+/**
+ * Online lobby: connect to a server, create or join a lobby by code, pick a
+ * seat and (as host) start the round. The socket itself lives in the parent;
+ * this panel only collects input and shows the last lobby frame.
+ */
+export default function LobbyPanel({ lobby, connecting, error, onCreate, onJoin, onRole, onStart, onLeave, onClose }) {
+  const [url, setUrl] = useState(() => `ws://${window.location.hostname || "localhost"}:${DEFAULT_PORT}`);
+  const [name, setName] = useState("");
+  const [code, setCode] = useState("");
+  const [role, setRole] = useState("defender");
+  const me = lobby?.players.find((p) => p.id === lobby.you);
+  const input = "bg-zinc-900/80 border border-zinc-700 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-emerald-400";
+
+  return (
+    <motion.div className="absolute inset-0 bg-black/80 backdrop-blur flex items-center justify-center p-6"
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="w-full max-w-lg max-h-full overflow-auto bg-zinc-950/90 border border-zinc-800 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-lg font-bold tracking-wider flex items-center gap-2"><Globe className="w-5 h-5" /> ONLINE</div>
+          <button onClick={onClose} className="px-3 py-1.5 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1 text-xs">
+            <X className="w-3.5 h-3.5" /> Close
+          </button>
+        </div>
+
+        {!lobby && (
+          <div className="space-y-3 text-sm">
+            <div className="grid grid-cols-3 items-center gap-2">
+              <label htmlFor="net-url" className="text-xs uppercase tracking-widest opacity-60">Server</label>
+              <input id="net-url" value={url} onChange={(e) => setUrl(e.target.value)} spellCheck={false} className={`col-span-2 font-mono ${input}`} />
+              <label htmlFor="net-name" className="text-xs uppercase tracking-widest opacity-60">Name</label>
+              <input id="net-name" value={name} onChange={(e) => setName(e.target.value)} placeholder="call sign" className={`col-span-2 ${input}`} />
+            </div>
+            <button disabled={connecting} onClick={() => onCreate(url, name)}
+              className="w-full px-4 py-2 rounded-xl bg-emerald-500/90 hover:bg-emerald-400 text-black font-semibold flex items-center justify-center gap-2 disabled:opacity-50">
+              <Plus className="w-4 h-4" /> Create lobby with the current network
+            </button>
+            <div className="flex items-center gap-2">
+              <input value={code} onChange={(e) => setCode(e.target.value.toUpperCase())} placeholder="CODE" maxLength={4} spellCheck={false}
+                className={`w-24 font-mono tracking-widest text-center ${input}`} />
+              <select value={role} onChange={(e) => setRole(e.target.value)} className={input}>
+                {PLAYER_ROLES.map((r) => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+              </select>
+              <button disabled={connecting || code.length < 4} onClick={() => onJoin(url, name, code, role)}
+                className="ml-auto px-4 py-1.5 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1 disabled:opacity-50">
+                <LogIn className="w-4 h-4" /> Join
+              </button>
+            </div>
+            <div className="text-[11px] opacity-50">Run <span className="font-mono">npm run server</span> on this machine to host rounds locally.</div>
+          </div>
+        )}
+
+        {lobby && (
+          <div className="space-y-3 text-sm">
+            <div className="text-center">
+              <div className="text-xs uppercase tracking-widest opacity-60">Join code</div>
+              <div className="text-3xl font-black font-mono tracking-[0.4em]">{lobby.code}</div>
+              <div className="text-[11px] opacity-50 font-mono">seed {lobby.setup.seed} · {lobby.status}</div>
+            </div>
+            <div className="space-y-1">
+              {lobby.players.map((p) => (
+                <div key={p.id} className={`flex items-center gap-2 rounded-lg border px-3 py-1.5 ${p.id === lobby.you ? "border-emerald-500/50" : "border-zinc-800"}`}>
+                  {p.id === lobby.host && <Crown className="w-3.5 h-3.5 text-amber-300" />}
+                  <div className="font-semibold">{p.name}</div>
+                  <div className={`ml-auto text-xs ${p.role === "attacker" ? "text-rose-300" : p.role === "defender" ? "text-emerald-300" : "opacity-60"}`}>{ROLE_LABELS[p.role]}</div>
+                </div>
+              ))}
+            </div>
+            {lobby.status !== "running" && (
+              <div className="flex items-center gap-2">
+                <span className="text-xs uppercase tracking-widest opacity-60">Seat</span>
+                {PLAYER_ROLES.map((r) => (
+                  <button key={r} onClick={() => onRole(r)}
+                    className={`px-3 py-1 rounded-lg border text-xs ${me?.role === r ? "bg-zinc-700 border-zinc-500" : "bg-zinc-900 hover:bg-zinc-800 border-zinc-700"}`}>
+                    {ROLE_LABELS[r]}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="text-[11px] opacity-60">
+              Defenders share one energy pool. With an attacker seated the round runs as attacker vs defender; without one, the usual adversary attacks.
+            </div>
+            <div className="flex items-center gap-2">
+              {lobby.host === lobby.you && lobby.status !== "running" && (
+                <button onClick={onStart} className="px-4 py-2 rounded-xl bg-emerald-500/90 hover:bg-emerald-400 text-black font-semibold flex items-center gap-2">
+                  <Play className="w-4 h-4" /> {lobby.status === "over" ? "Start again" : "Start round"}
+                </button>
+              )}
+              {lobby.host !== lobby.you && lobby.status === "waiting" && <div className="text-xs opacity-60">Waiting for the host to start…</div>}
+              <button onClick={onLeave} className="ml-auto px-4 py-2 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2">
+                <LogOut className="w-4 h-4" /> Leave
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && <div className="mt-3 text-xs bg-rose-500/10 border border-rose-500/30 text-rose-200 rounded-xl px-3 py-2">{error}</div>}
+      </div>
+    </motion.div>
+  );
+}
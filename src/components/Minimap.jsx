@@ -0,0 +1,40 @@
+import React, { useEffect, useRef } from "react";
+import { useCanvas } from "../render/useCanvas.js";
+import { minimapFrame, renderMinimap } from "../render/minimap.js";
+import { toWorld } from "../render/camera.js";
+
+const SIZE = [180, 112];
+
+/**
+ * Corner overview of the whole network. Clicking or dragging on it moves the
+ * main view there (`onJump(x, y)` with world coordinates).
+ */
+export default function Minimap({ game, view, viewSize, fog, onJump }) {
+  const canvasRef = useCanvas(SIZE);
+  const dragging = useRef(false);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (!ctx) return;
+    const a = toWorld(view, 0, 0);
+    const b = toWorld(view, viewSize[0], viewSize[1]);
+    renderMinimap(ctx, SIZE[0], SIZE[1], game, { x0: a.x, y0: a.y, x1: b.x, y1: b.y }, { fog });
+  }, [game, view.scale, view.ox, view.oy, viewSize[0], viewSize[1], fog, canvasRef]);
+
+  const jump = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const frame = minimapFrame(SIZE[0], SIZE[1], game.world);
+    onJump((e.clientX - rect.left - frame.ox) / frame.scale, (e.clientY - rect.top - frame.oy) / frame.scale);
+  };
+
+  return (
+    <canvas ref={canvasRef} className="block rounded-lg border border-zinc-700 cursor-crosshair"
+      onPointerDown={(e) => {
+        dragging.current = true;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        jump(e);
+      }}
+      onPointerMove={(e) => dragging.current && jump(e)}
+      onPointerUp={() => (dragging.current = false)} />
+  );
+}
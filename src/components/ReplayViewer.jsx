@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Play, Pause, X, Download, ShieldCheck, AlertTriangle } from "lucide-react";
+import { ACTIONS } from "../sim/actions.js";
+import { TICK_RATE } from "../sim/engine.js";
+import { seekReplay } from "../sim/recording.js";
+import { formatSeed } from "../sim/seed.js";
+import { ADVERSARIES } from "../sim/adversary.js";
+import { createLayerCache, renderNetwork } from "../render/network.js";
+import { useCamera } from "../render/useCamera.js";
+import { useCanvas } from "../render/useCanvas.js";
+
+/**
+ * Replay viewer: plays a recording back through the engine and draws it with
+ * the same renderer as the live game. Sits on top of the game canvas.
+ */
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+const fmtTime = (tick) => {
+  const s = Math.floor(tick / TICK_RATE);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+export default function ReplayViewer({ replay, size, onClose, onExport }) {
+  const canvasRef = useCanvas(size);
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [frame, setFrame] = useState(() => seekReplay(replay, 0));
+  const frameRef = useRef(frame);
+  const posRef = useRef(0); // fractional tick position
+  const layersRef = useRef(createLayerCache());
+  const { view } = useCamera(canvasRef, size, frame.world);
+
+  const { recording, endTick, mismatchAt } = replay;
+
+  const seek = (tick) => {
+    posRef.current = tick;
+    const s = seekReplay(replay, tick, frameRef.current);
+    frameRef.current = s;
+    setFrame(s);
+  };
+
+  // playback loop
+  useEffect(() => {
+    if (!playing) return;
+    let raf = 0;
+    let last = performance.now();
+    const loop = () => {
+      const t = performance.now();
+      const next = Math.min(endTick, posRef.current + ((t - last) / 1000) * TICK_RATE * speed);
+      last = t;
+      seek(next);
+      if (next >= endTick) setPlaying(false);
+      else raf = requestAnimationFrame(loop);
+    };
+    raf = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, speed, replay]);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (ctx) renderNetwork(ctx, size[0], size[1], frame.nodes, frame.edges, { view, layers: layersRef.current, effects: frame.effects, cleanTime: frame.rules.cleanTime });
+  }, [frame, size, canvasRef, view.scale, view.ox, view.oy]);
+
+  const togglePlay = () => {
+    if (!playing && posRef.current >= endTick) seek(0);
+    setPlaying((p) => !p);
+  };
+
+  const recent = recording.actions.filter((a) => a.tick <= frame.tick).slice(-6);
+  const infected = frame.nodes.filter((n) => n.infected).length;
+
+  return (
+    <div className="absolute inset-0 bg-black">
+      <canvas ref={canvasRef} className="block w-full h-[560px]" />
+
+      {/* header */}
+      <div className="absolute left-3 right-3 top-3 flex items-start justify-between gap-3 pointer-events-none">
+        <div className="bg-zinc-900/90 backdrop-blur rounded-xl border border-zinc-700 px-3 py-2 text-xs pointer-events-auto">
+          <div className="font-semibold text-sm tracking-wider">REPLAY · Seed <span className="font-mono">{formatSeed(recording.setup.seed)}</span></div>
+          {recording.setup.scenario && <div className="mt-1 opacity-70">Scenario: {recording.setup.scenario.name}</div>}
+          <div className="mt-1 opacity-70">Adversary: {ADVERSARIES[frame.adversary.id].name}</div>
+          <div className="mt-1 opacity-70">
+            {recording.result ? `${recording.result.status === "won" ? "Contained" : "Breached"} · Score ${recording.result.score}` : "Unfinished run"}
+            {" · "}{recording.actions.length} actions
+          </div>
+          <div className={`mt-1 flex items-center gap-1 ${mismatchAt == null ? "text-emerald-300" : "text-amber-300"}`}>
+            {mismatchAt == null
+              ? <><ShieldCheck className="w-3.5 h-3.5" /> Checksums verified</>
+              : <><AlertTriangle className="w-3.5 h-3.5" /> Diverges at {fmtTime(mismatchAt)} — recorded under different rules</>}
+          </div>
+        </div>
+        <div className="flex items-center gap-2 pointer-events-auto">
+          <button onClick={onExport} className="px-3 py-2 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2 text-sm">
+            <Download className="w-4 h-4" /> Export
+          </button>
+          <button onClick={onClose} className="px-3 py-2 rounded-xl bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-2 text-sm">
+            <X className="w-4 h-4" /> Close
+          </button>
+        </div>
+      </div>
+
+      {/* recent actions */}
+      <div className="absolute right-3 top-24 w-56 bg-zinc-900/80 backdrop-blur rounded-xl border border-zinc-800 px-3 py-2 text-xs space-y-1">
+        <div className="uppercase tracking-widest opacity-60 mb-1">Actions</div>
+        {recent.length === 0 && <div className="opacity-50">None yet</div>}
+        {recent.map((a, i) => (
+          <div key={i} className="flex justify-between opacity-80">
+            <span>{ACTIONS[a.type].label}{a.node != null ? ` → ${frame.nodes[a.node]?.name ?? `#${a.node}`}` : ""}</span>
+            <span className="font-mono opacity-60">{fmtTime(a.tick)}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* transport */}
+      <div className="absolute left-3 right-3 bottom-3 bg-zinc-900/90 backdrop-blur rounded-xl border border-zinc-700 px-3 py-2 flex items-center gap-3 text-xs">
+        <button onClick={togglePlay} className="px-3 py-1.5 rounded-lg bg-emerald-500/90 hover:bg-emerald-400 text-black font-semibold flex items-center gap-1">
+          {playing ? <><Pause className="w-4 h-4" /> Pause</> : <><Play className="w-4 h-4" /> Play</>}
+        </button>
+        <div className="flex items-center gap-1">
+          {SPEEDS.map((v) => (
+            <button key={v} onClick={() => setSpeed(v)}
+              className={`px-2 py-1 rounded-md border ${speed === v ? "bg-zinc-700 border-zinc-500" : "bg-zinc-900 border-zinc-800 hover:bg-zinc-800"}`}>
+              {v}x
+            </button>
+          ))}
+        </div>
+        <div className="relative flex-1">
+          {/* action markers */}
+          <div className="absolute left-0 right-0 -top-1.5 h-1 pointer-events-none">
+            {recording.actions.map((a, i) => (
+              <div key={i} className="absolute w-px h-1 bg-amber-300/70" style={{ left: `${(a.tick / Math.max(1, endTick)) * 100}%` }} />
+            ))}
+          </div>
+          <input type="range" min={0} max={endTick} step={1} value={frame.tick}
+            onChange={(e) => seek(Number(e.target.value))} className="w-full accent-emerald-400" />
+        </div>
+        <div className="font-mono opacity-80 w-24 text-right">{fmtTime(frame.tick)} / {fmtTime(endTick)}</div>
+        <div className="opacity-70 w-40 text-right">Risk {Math.round(frame.risk * 100)}% · Inf {infected} · ⚡{Math.floor(frame.energy)}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { X, RotateCcw } from "lucide-react";
+import { ACTIONS, ACTION_IDS } from "../sim/actions.js";
+import { ACTION_TUNING, DIFFICULTIES, DIFFICULTY_IDS, TUNING, difficultyTuning, editTuning } from "../sim/difficulty.js";
+
+// Number input that commits on blur or Enter, so half-typed values aren't clamped mid-edit.
+function NumberField({ value, onCommit, ...props }) {
+  const [text, setText] = useState(String(value));
+  useEffect(() => setText(String(value)), [value]);
+  const commit = () => {
+    const v = text.trim() === "" ? NaN : Number(text);
+    if (Number.isFinite(v) && v !== value) onCommit(v);
+    setText(String(value)); // the committed value comes back (clamped) through props
+  };
+  return (
+    <input type="number" value={text} {...props} onChange={(e) => setText(e.target.value)} onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      className="w-20 bg-zinc-900/80 border border-zinc-700 rounded-lg px-2 py-1 text-sm text-right focus:outline-none focus:border-emerald-400" />
+  );
+}
+
+/**
+ * Difficulty presets and the advanced rules editor: every tuning rule and
+ * every action's cost and cooldown. Changes are handed straight back as a new
+ * tuning (see sim/difficulty.js); editing away from a preset makes it custom.
+ */
+export default function RulesPanel({ tuning, onChange, onClose }) {
+  const edit = (patch) => onChange(editTuning(tuning, patch));
+  const { minFactor, maxFactor } = ACTION_TUNING;
+  return (
+    <motion.div className="absolute inset-0 bg-black/80 backdrop-blur flex items-center justify-center p-6"
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="w-full max-w-2xl max-h-full overflow-auto bg-zinc-950/90 border border-zinc-800 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-lg font-bold tracking-wider">RULES</div>
+          <div className="flex items-center gap-2">
+            <button onClick={() => onChange(difficultyTuning(tuning.difficulty === "custom" ? "standard" : tuning.difficulty))}
+              className="px-3 py-1.5 rounded-lg bg-zinc-900 hover:bg-zinc-800 border border-zinc-700 flex items-center gap-1 text-xs">
+              <RotateCcw className="w-3.5 h-3.5" /> Reset to preset
+            </button>
+            <button onClick={onClose} className="px-3 py-1.5 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1 text-xs">
+              <X className="w-3.5 h-3.5" /> Close
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-5 gap-2">
+          {DIFFICULTY_IDS.map((id) => (
+            <button key={id} onClick={() => onChange(difficultyTuning(id))} title={DIFFICULTIES[id].desc}
+              className={`rounded-xl border px-2 py-2 text-sm font-semibold ${tuning.difficulty === id ? "border-emerald-500/60 bg-emerald-500/10 text-emerald-200" : "border-zinc-800 bg-zinc-900/50 hover:bg-zinc-800/60"}`}>
+              {DIFFICULTIES[id].name}
+            </button>
+          ))}
+        </div>
+        <div className="text-xs opacity-70 mt-2">
+          {tuning.difficulty === "custom" ? "Custom rules: edited away from every preset." : DIFFICULTIES[tuning.difficulty].desc}
+        </div>
+
+        <div className="mt-4 text-xs uppercase tracking-widest opacity-60 mb-1">Round</div>
+        <div className="grid grid-cols-2 gap-x-6 gap-y-1.5">
+          {Object.entries(TUNING).map(([key, t]) => (
+            <label key={key} className="flex items-center gap-2 text-sm" title={t.help}>
+              <span className="flex-1">{t.label}</span>
+              <NumberField min={t.min} max={t.max} step={t.step} value={tuning[key]} onCommit={(v) => edit({ [key]: v })} />
+              <span className="w-5 text-xs opacity-60">{t.unit}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="mt-4 text-xs uppercase tracking-widest opacity-60 mb-1">Actions</div>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs opacity-60 text-left">
+              <th className="font-normal py-1">Action</th>
+              <th className="font-normal py-1 text-right">Energy</th>
+              <th className="font-normal py-1 text-right">Cooldown (ms)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ACTION_IDS.map((id) => (
+              <tr key={id} className="border-t border-zinc-800/80">
+                <td className="py-1">{ACTIONS[id].label}</td>
+                <td className="py-1 text-right">
+                  <NumberField step={1} min={Math.round(ACTIONS[id].cost * minFactor)} max={Math.round(ACTIONS[id].cost * maxFactor)}
+                    value={tuning.costs[id]} onCommit={(v) => edit({ costs: { [id]: v } })} />
+                </td>
+                <td className="py-1 text-right">
+                  <NumberField step={100} min={Math.round(ACTIONS[id].cooldown * minFactor)} max={Math.round(ACTIONS[id].cooldown * maxFactor)}
+                    value={tuning.cooldowns[id]} onCommit={(v) => edit({ cooldowns: { [id]: v } })} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="text-[11px] opacity-50 mt-2">
+          Rules apply from the next round and are saved with its recording. Scenarios keep their own timer and energy; campaign missions also keep their threat rate.
+        </div>
+      </div>
+    </motion.div>
+  );
+}
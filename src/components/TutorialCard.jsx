@@ -0,0 +1,53 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { ChevronRight, CirclePause, GraduationCap, X } from "lucide-react";
+import { stepText } from "../tutorial/tutorial.js";
+
+/**
+ * The coach card while a lesson runs: the current step's instructions, a Next
+ * button for steps that wait on it, and once the last step is done, the way
+ * on to the next lesson. `onNextLesson` is null after the last one.
+ */
+export default function TutorialCard({ lesson, step, onNext, onExit, onNextLesson }) {
+  const st = lesson.steps[step];
+  return (
+    <motion.div className="absolute left-3 bottom-3 z-20 w-80 rounded-2xl border border-amber-400/40 bg-zinc-950/90 backdrop-blur px-4 py-3"
+      initial={{ y: 20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 20, opacity: 0 }}>
+      <div className="flex items-center gap-2 text-[10px] uppercase tracking-widest text-amber-300/80">
+        <GraduationCap className="w-3.5 h-3.5" /> {lesson.name}
+        <span className="font-mono opacity-70">{Math.min(step + 1, lesson.steps.length)}/{lesson.steps.length}</span>
+        <button onClick={onExit} title="Leave the tutorial" className="ml-auto p-1 rounded hover:bg-zinc-800 text-zinc-300">
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      {st ? (
+        <>
+          <div className="mt-1 font-semibold">{st.title}</div>
+          <div className="mt-1 text-sm opacity-85">{stepText(st)}</div>
+          <div className="mt-2 flex items-center gap-2">
+            {st.hold && <div className="text-[11px] opacity-60 flex items-center gap-1"><CirclePause className="w-3.5 h-3.5" /> Outbreak on hold</div>}
+            {st.until.some(([name]) => name === "next") && (
+              <button onClick={onNext} className="ml-auto px-3 py-1 rounded-lg bg-emerald-500/90 hover:bg-emerald-400 text-black text-xs font-semibold flex items-center gap-1">
+                Next <ChevronRight className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="mt-1 font-semibold text-emerald-300">Lesson complete</div>
+          <div className="mt-2 flex items-center gap-2">
+            {onNextLesson && (
+              <button onClick={onNextLesson} className="px-3 py-1 rounded-lg bg-emerald-500/90 hover:bg-emerald-400 text-black text-xs font-semibold flex items-center gap-1">
+                Next lesson <ChevronRight className="w-3.5 h-3.5" />
+              </button>
+            )}
+            <button onClick={onExit} className="px-3 py-1 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 text-xs">
+              Done
+            </button>
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,47 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { CheckCircle2, Play, X } from "lucide-react";
+import { ACTIONS } from "../sim/actions.js";
+import { LESSONS } from "../tutorial/index.js";
+
+/**
+ * Tutorial lesson list: what each lesson covers, its tools and whether it has
+ * been finished. Picking a lesson hands its index back to the game.
+ */
+export default function TutorialPanel({ done, onStart, onClose }) {
+  return (
+    <motion.div className="absolute inset-0 bg-black/80 backdrop-blur flex items-center justify-center p-6"
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+      <div className="w-full max-w-2xl max-h-full overflow-auto bg-zinc-950/90 border border-zinc-800 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-lg font-bold tracking-wider">TUTORIAL</div>
+          <button onClick={onClose} className="px-3 py-1.5 rounded-lg bg-zinc-800 hover:bg-zinc-700 border border-zinc-700 flex items-center gap-1 text-xs">
+            <X className="w-3.5 h-3.5" /> Close
+          </button>
+        </div>
+        <div className="space-y-2">
+          {LESSONS.map((l, i) => (
+            <div key={l.id} className="rounded-xl border border-zinc-800 bg-zinc-900/50 px-3 py-2">
+              <div className="flex items-center gap-2">
+                <div className="text-xs font-mono opacity-60">{String(i + 1).padStart(2, "0")}</div>
+                <div className="font-semibold">{l.name}</div>
+                {done.includes(l.id) && <CheckCircle2 className="w-4 h-4 text-emerald-300" />}
+                <button onClick={() => onStart(i)}
+                  className="ml-auto px-3 py-1 rounded-lg bg-emerald-500/90 hover:bg-emerald-400 text-black text-xs font-semibold flex items-center gap-1">
+                  <Play className="w-3.5 h-3.5" /> {done.includes(l.id) ? "Replay" : "Start"}
+                </button>
+              </div>
+              <div className="text-xs opacity-75 mt-1">{l.description}</div>
+              <div className="flex flex-wrap items-center gap-1 mt-1.5 text-[11px]">
+                <span className="opacity-60">{l.steps.length} steps · tools:</span>
+                {(l.scenario.actions ?? []).map((a) => (
+                  <span key={a} className="px-1.5 py-0.5 rounded bg-zinc-800 border border-zinc-700">{ACTIONS[a]?.label ?? a}</span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+}
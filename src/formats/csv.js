@@ -0,0 +1,85 @@
+/**
+ * CSV edge list import and export.
+ * ------------------------------------------------------
+ * One link per row: `source,target[,weight]`. A header row is optional; with
+ * one, columns are found by name (source/from, target/to, weight/w) and may
+ * come in any order. Nodes are every id the rows mention, named after it.
+ * Commas, semicolons and tabs all work as separators; fields may be quoted.
+ * An edge list has nowhere to put node attributes, so exports keep the links
+ * and weights only and re-import with guessed roles and a fresh layout.
+ */
+
+import { ImportError } from "./graph.js";
+
+const COLUMNS = {
+  from: ["source", "from", "src", "node1"],
+  to: ["target", "to", "dst", "node2"],
+  weight: ["weight", "w", "value"],
+};
+
+// Splits one CSV line into fields, honouring "quoted, fields" and "" escapes.
+function splitRow(line, sep) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') field += line[++i];
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === sep) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+export function readCSV(text) {
+  const lines = text.split(/\r?\n/).map((l, i) => ({ text: l, line: i + 1 })).filter((l) => l.text.trim() && !l.text.trim().startsWith("#"));
+  if (!lines.length) throw new ImportError(["the file is empty"]);
+  const sep = [",", ";", "\t"].find((s) => lines[0].text.includes(s)) ?? ",";
+  const rows = lines.map((l) => ({ ...l, fields: splitRow(l.text, sep) }));
+
+  // a header row is recognised by its column names
+  const head = rows[0].fields.map((f) => f.toLowerCase());
+  const named = head.some((f) => COLUMNS.from.includes(f) || COLUMNS.to.includes(f));
+  const col = { from: 0, to: 1, weight: 2 };
+  if (named) {
+    for (const key of Object.keys(col)) {
+      const at = head.findIndex((f) => COLUMNS[key].includes(f));
+      col[key] = at === -1 ? (key === "weight" ? -1 : col[key]) : at;
+    }
+    rows.shift();
+  }
+
+  const issues = [];
+  const keys = new Set();
+  const edges = [];
+  for (const { fields, line } of rows) {
+    const from = fields[col.from];
+    const to = fields[col.to];
+    if (!from || !to) {
+      issues.push(`line ${line}: expected source${sep}target${sep}weight`);
+      continue;
+    }
+    keys.add(from);
+    keys.add(to);
+    const weight = col.weight >= 0 ? fields[col.weight] : undefined;
+    edges.push({ from, to, attrs: weight ? { weight } : {} });
+  }
+  if (issues.length) throw new ImportError(issues);
+  return { name: null, yUp: false, nodes: [...keys].map((key) => ({ key, attrs: {} })), edges };
+}
+
+const cell = (v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+
+export function writeCSV(g) {
+  return ["source,target,weight", ...g.edges.map((e) => `${cell(e.from)},${cell(e.to)},${e.w}`), ""].join("\n");
+}
@@ -0,0 +1,207 @@
+/**
+ * DOT (Graphviz) import and export.
+ * ------------------------------------------------------
+ * Reads `graph`/`digraph` files: node and edge statements with attribute
+ * lists, edge chains (`a -- b -- c`), `node [...]`/`edge [...]` defaults,
+ * and subgraphs (flattened, their braces only scope the defaults). Nodes that
+ * only appear in edges are created on the fly, as Graphviz does. `pos="x,y"`
+ * gives a position (y pointing up) and `label` a name.
+ */
+
+import { ImportError } from "./graph.js";
+
+const PUNCT = ["--", "->", "{", "}", "[", "]", ";", ",", "=", ":", "+"];
+const WORD = /[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?)/y; // identifier or numeral
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  const fail = (msg) => {
+    throw new ImportError([`line ${line}: ${msg}`]);
+  };
+  while (i < text.length) {
+    const c = text[i];
+    if (c === "\n") {
+      line++;
+      i++;
+    } else if (/\s/.test(c)) {
+      i++;
+    } else if (text.startsWith("//", i) || (c === "#" && (i === 0 || text[i - 1] === "\n"))) {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else if (text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      if (end === -1) fail("unterminated comment");
+      line += text.slice(i, end).split("\n").length - 1;
+      i = end + 2;
+    } else if (c === '"') {
+      let value = "";
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === "\\" && text[i + 1] === '"') value += text[++i];
+        else if (text[i] === "\\" && text[i + 1] === "\n") i++;
+        else value += text[i];
+      }
+      if (i >= text.length) fail("unterminated string");
+      i++;
+      tokens.push({ id: true, value, line });
+    } else if (c === "<") {
+      let depth = 0;
+      const start = i;
+      do {
+        if (text[i] === "<") depth++;
+        else if (text[i] === ">") depth--;
+        i++;
+      } while (depth > 0 && i < text.length);
+      if (depth > 0) fail("unterminated HTML label");
+      tokens.push({ id: true, value: text.slice(start + 1, i - 1), line });
+    } else {
+      const punct = PUNCT.find((p) => text.startsWith(p, i));
+      if (punct) {
+        tokens.push({ value: punct, line });
+        i += punct.length;
+        continue;
+      }
+      WORD.lastIndex = i;
+      const word = WORD.exec(text);
+      if (!word) fail(`unexpected character "${c}"`);
+      tokens.push({ id: true, value: word[0], line });
+      i += word[0].length;
+    }
+  }
+  // merge "a" + "b"
+  for (let t = tokens.length - 3; t >= 0; t--) {
+    if (tokens[t].id && tokens[t + 1].value === "+" && tokens[t + 2]?.id) tokens.splice(t, 3, { ...tokens[t], value: tokens[t].value + tokens[t + 2].value });
+  }
+  return tokens;
+}
+
+export function readDOT(text) {
+  const tokens = tokenize(text);
+  let t = 0;
+  const peek = () => tokens[t];
+  const fail = (msg) => {
+    throw new ImportError([`line ${peek()?.line ?? "end"}: ${msg}`]);
+  };
+  const expect = (value) => {
+    if (peek()?.value !== value) fail(`expected "${value}"${peek() ? ` but found "${peek().value}"` : ""}`);
+    t++;
+  };
+  const keyword = (word) => peek()?.id && peek().value.toLowerCase() === word;
+
+  const nodes = new Map(); // key -> attrs
+  const edges = [];
+  // defaults apply when a node first appears; explicit attributes always do
+  const touch = (key, defaults, attrs = {}) => {
+    if (!nodes.has(key)) nodes.set(key, { ...defaults });
+    Object.assign(nodes.get(key), attrs);
+  };
+
+  // [a=b, c=d][...]
+  const attrList = () => {
+    const attrs = {};
+    while (peek()?.value === "[") {
+      t++;
+      while (peek() && peek().value !== "]") {
+        if (!peek().id) fail(`expected an attribute name but found "${peek().value}"`);
+        const key = tokens[t++].value;
+        let value = "true";
+        if (peek()?.value === "=") {
+          t++;
+          if (!peek()?.id) fail(`expected a value for "${key}"`);
+          value = tokens[t++].value;
+        }
+        attrs[key] = value;
+        if (peek()?.value === "," || peek()?.value === ";") t++;
+      }
+      expect("]");
+    }
+    return attrs;
+  };
+
+  // node id, skipping any :port(:compass)
+  const nodeId = () => {
+    if (!peek()?.id) fail(`expected a node id${peek() ? ` but found "${peek().value}"` : ""}`);
+    const key = tokens[t++].value;
+    while (peek()?.value === ":") t += 2;
+    return key;
+  };
+
+  // returns the node keys a statement's endpoint stands for
+  const endpoint = (defaults) => {
+    if (peek()?.value === "{" || keyword("subgraph")) return block(defaults);
+    const key = nodeId();
+    touch(key, defaults.node);
+    return [key];
+  };
+
+  // a `{ ... }` statement list (or subgraph); returns the node keys it mentions
+  const block = (outer) => {
+    if (keyword("subgraph")) {
+      t++;
+      if (peek()?.id) t++;
+    }
+    expect("{");
+    const defaults = { node: { ...outer.node }, edge: { ...outer.edge } };
+    const mentioned = new Set();
+    while (peek() && peek().value !== "}") {
+      if (keyword("graph") || keyword("node") || keyword("edge")) {
+        const kind = tokens[t++].value.toLowerCase();
+        const attrs = attrList();
+        if (kind !== "graph") Object.assign(defaults[kind], attrs);
+      } else if (peek().id && tokens[t + 1]?.value === "=") {
+        t += 3; // graph attribute a = b
+      } else {
+        let from = endpoint(defaults);
+        from.forEach((k) => mentioned.add(k));
+        const chain = [];
+        while (peek()?.value === "--" || peek()?.value === "->") {
+          t++;
+          const to = endpoint(defaults);
+          to.forEach((k) => mentioned.add(k));
+          chain.push([from, to]);
+          from = to;
+        }
+        const attrs = attrList();
+        if (chain.length) {
+          for (const [as, bs] of chain) for (const a of as) for (const b of bs) edges.push({ from: a, to: b, attrs: { ...defaults.edge, ...attrs } });
+        } else {
+          for (const k of from) touch(k, defaults.node, attrs);
+        }
+      }
+      if (peek()?.value === ";" || peek()?.value === ",") t++;
+    }
+    expect("}");
+    return [...mentioned];
+  };
+
+  if (keyword("strict")) t++;
+  if (!keyword("graph") && !keyword("digraph")) fail('a DOT file starts with "graph" or "digraph"');
+  t++;
+  const name = peek()?.id ? tokens[t++].value : null;
+  block({ node: {}, edge: {} });
+  if (peek()) fail(`unexpected "${peek().value}" after the closing brace`);
+
+  return {
+    name,
+    yUp: true,
+    nodes: [...nodes].map(([key, attrs]) => {
+      const { pos, ...rest } = attrs;
+      const [x, y] = (pos ?? "").replace(/!$/, "").split(",");
+      return { key, attrs: pos ? { ...rest, x, y } : rest };
+    }),
+    edges,
+  };
+}
+
+const quote = (v) => `"${String(v).replace(/"/g, '\\"')}"`;
+
+export function writeDOT(g) {
+  const lines = [`graph ${quote(g.name)} {`, "  node [shape=circle];"];
+  for (const n of g.nodes) {
+    const y = Math.round((g.world.height - n.y) * 10) / 10;
+    lines.push(`  ${quote(n.key)} [label=${quote(n.name)}, role=${n.role}, security=${n.security}, critical=${n.critical}, infected=${n.infected}, pos="${n.x},${y}!"];`);
+  }
+  for (const e of g.edges) lines.push(`  ${quote(e.from)} -- ${quote(e.to)} [weight=${e.w}];`);
+  lines.push("}", "");
+  return lines.join("\n");
+}
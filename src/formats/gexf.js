@@ -0,0 +1,83 @@
+/**
+ * GEXF import and export.
+ * ------------------------------------------------------
+ * Gephi's format: node labels, `<attvalues>` resolved through the
+ * `<attributes>` declarations, `<viz:position>` coordinates (y pointing up)
+ * and edge `weight`s. Writes GEXF 1.3 with the same attributes.
+ */
+
+import { ImportError } from "./graph.js";
+import { escapeXml, find, findAll, parseXml } from "./xml.js";
+
+export function readGEXF(text) {
+  const root = parseXml(text);
+  if (root.local !== "gexf") throw new ImportError([`not a GEXF file (the root element is <${root.name}>)`]);
+  const graph = find(root, "graph");
+  if (!graph) throw new ImportError(["the file has no <graph> element"]);
+
+  const titles = { node: {}, edge: {} }; // attribute id -> title, per class
+  const defaults = { node: {}, edge: {} };
+  for (const block of findAll(graph, "attributes")) {
+    const cls = block.attrs.class === "edge" ? "edge" : "node";
+    for (const a of findAll(block, "attribute")) {
+      titles[cls][a.attrs.id] = a.attrs.title ?? a.attrs.id;
+      const def = find(a, "default");
+      if (def) defaults[cls][a.attrs.title ?? a.attrs.id] = def.text.trim();
+    }
+  }
+  const values = (el, cls) => {
+    const attrs = { ...defaults[cls] };
+    for (const v of findAll(el, "attvalue")) attrs[titles[cls][v.attrs.for ?? v.attrs.id] ?? v.attrs.for] = v.attrs.value;
+    return attrs;
+  };
+
+  return {
+    name: find(root, "description")?.text.trim() || null,
+    yUp: true,
+    nodes: findAll(graph, "node").map((n) => {
+      const attrs = values(n, "node");
+      if (n.attrs.label != null) attrs.label = n.attrs.label;
+      const pos = find(n, "position");
+      if (pos) {
+        attrs.x = pos.attrs.x;
+        attrs.y = pos.attrs.y;
+      }
+      return { key: n.attrs.id, attrs };
+    }),
+    edges: findAll(graph, "edge").map((e) => {
+      const attrs = values(e, "edge");
+      if (e.attrs.weight != null) attrs.weight = e.attrs.weight;
+      return { from: e.attrs.source, to: e.attrs.target, attrs };
+    }),
+  };
+}
+
+const ATTRIBUTES = [
+  ["role", "string"],
+  ["security", "double"],
+  ["critical", "boolean"],
+  ["infected", "boolean"],
+];
+
+export function writeGEXF(g) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <meta><creator>CYBERGRID</creator><description>${escapeXml(g.name)}</description></meta>`,
+    '  <graph defaultedgetype="undirected" mode="static">',
+    '    <attributes class="node">',
+    ...ATTRIBUTES.map(([k, type]) => `      <attribute id="${k}" title="${k}" type="${type}"/>`),
+    "    </attributes>",
+    "    <nodes>",
+  ];
+  for (const n of g.nodes) {
+    lines.push(`      <node id="${escapeXml(n.key)}" label="${escapeXml(n.name)}">`);
+    lines.push(`        <attvalues>${ATTRIBUTES.map(([k]) => `<attvalue for="${k}" value="${escapeXml(n[k])}"/>`).join("")}</attvalues>`);
+    lines.push(`        <viz:position x="${n.x}" y="${Math.round((g.world.height - n.y) * 10) / 10}" z="0"/>`);
+    lines.push("      </node>");
+  }
+  lines.push("    </nodes>", "    <edges>");
+  g.edges.forEach((e, i) => lines.push(`      <edge id="e${i}" source="${escapeXml(e.from)}" target="${escapeXml(e.to)}" weight="${e.w}"/>`));
+  lines.push("    </edges>", "  </graph>", "</gexf>", "");
+  return lines.join("\n");
+}
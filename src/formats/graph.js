@@ -0,0 +1,271 @@
+/**
+ * Format-neutral network graphs.
+ * ------------------------------------------------------
+ * Every importer (graphml.js, gexf.js, dot.js, csv.js) reads its file into the
+ * same raw shape, and `toNetwork` turns that into the `{ nodes, edges }` graph
+ * `generateNetwork` returns:
+ *
+ *   {
+ *     name,                                 // graph name, if the file has one
+ *     yUp,                                  // true when the format's y axis points up
+ *     nodes: [{ key, attrs: { name, x, y, security, critical, role, infected } }],
+ *     edges: [{ from, to, attrs: { weight } }],
+ *   }
+ *
+ * Attribute values may be strings or numbers and are matched loosely: `label`
+ * works for `name`, `w` or `value` for `weight`, "yes"/"1" for true. Missing
+ * roles are guessed from the node name (db-01 is a database), missing security
+ * takes the middle of the role's range, and nodes without a position are laid
+ * out around the ones that have one (see ../sim/layout.js). A graph that
+ * marks no critical nodes gets its databases and auth servers (or its hubs)
+ * as critical, and one without a foothold starts the breach at the node
+ * farthest from them. Every problem is reported at once through ImportError,
+ * like scenario validation does.
+ *
+ * Exporters go the other way from `toPortable`, a plain view of a live or
+ * generated network keyed by stable string ids.
+ */
+
+import { CRITICAL_COUNT } from "../sim/constants.js";
+import { forceLayout } from "../sim/layout.js";
+import { worldSize } from "../sim/network.js";
+import { DEFAULT_ROLE, ROLES, assignDependencies } from "../sim/roles.js";
+
+export class ImportError extends Error {
+  constructor(issues) {
+    super(`Could not import the network:\n- ${issues.join("\n- ")}`);
+    this.name = "ImportError";
+    this.issues = issues;
+  }
+}
+
+// ------------------------- Attributes -------------------------
+const FIELDS = {
+  name: ["name", "label"],
+  x: ["x"],
+  y: ["y"],
+  security: ["security", "sec"],
+  critical: ["critical", "crit"],
+  role: ["role", "type"],
+  infected: ["infected", "compromised"],
+  weight: ["weight", "w", "value"],
+};
+
+const MARGIN = 40; // world units kept clear around imported layouts
+const MAX_WEIGHT = 1.4; // heaviest link after rescaling out-of-range weights (generated links run 0.4–1.4)
+
+// The value of `field` in `attrs`, under any of its names, any case.
+function field(attrs, key) {
+  for (const [k, v] of Object.entries(attrs)) {
+    if (FIELDS[key].includes(k.toLowerCase()) && v !== "" && v != null) return v;
+  }
+  return undefined;
+}
+
+const toNumber = (v) => (typeof v === "number" ? v : typeof v === "string" && v.trim() !== "" ? Number(v) : NaN);
+
+function toBool(v) {
+  if (typeof v === "boolean") return v;
+  const s = String(v).trim().toLowerCase();
+  if (["true", "yes", "1", "y"].includes(s)) return true;
+  if (["false", "no", "0", "n"].includes(s)) return false;
+  return null;
+}
+
+// Role from an explicit attribute, else from the name's prefix ("sql-02" -> db).
+function roleOf(raw, name) {
+  if (raw != null && ROLES[String(raw).toLowerCase()]) return String(raw).toLowerCase();
+  const lower = name.toLowerCase();
+  for (const [role, def] of Object.entries(ROLES)) {
+    if (def.prefixes.some((p) => lower.startsWith(p))) return role;
+  }
+  return DEFAULT_ROLE;
+}
+
+// ------------------------- Import -------------------------
+// Turns a raw graph into an engine network { name, nodes, edges, world }. Throws ImportError.
+export function toNetwork(raw) {
+  const issues = [];
+  const index = new Map();
+  const nodes = [];
+  raw.nodes.forEach(({ key, attrs }, i) => {
+    const where = `node "${key}"`;
+    if (key == null || key === "") return issues.push(`node #${i + 1} has no id`);
+    if (index.has(key)) return issues.push(`${where} is listed twice`);
+    index.set(key, nodes.length);
+    const name = String(field(attrs, "name") ?? key);
+    const role = roleOf(field(attrs, "role"), name);
+    const [lo, hi] = ROLES[role].security;
+    let security = (lo + hi) / 2;
+    const rawSecurity = field(attrs, "security");
+    if (rawSecurity !== undefined) {
+      security = toNumber(rawSecurity);
+      if (!(security >= 0 && security <= 1)) issues.push(`${where}: security must be a number from 0 to 1 (got "${rawSecurity}")`);
+    }
+    const flags = {};
+    for (const flag of ["critical", "infected"]) {
+      const v = field(attrs, flag);
+      flags[flag] = v === undefined ? false : toBool(v);
+      if (flags[flag] === null) issues.push(`${where}: ${flag} must be true or false (got "${v}")`);
+    }
+    const x = toNumber(field(attrs, "x"));
+    const y = toNumber(field(attrs, "y"));
+    nodes.push({
+      id: nodes.length,
+      key: String(key),
+      x: Number.isFinite(x) && Number.isFinite(y) ? x : null,
+      y: Number.isFinite(x) && Number.isFinite(y) ? y : null,
+      infected: !!flags.infected,
+      isolated: false,
+      patched: 0,
+      honeypot: false,
+      security,
+      critical: !!flags.critical,
+      role,
+      name,
+      cleanProg: 0,
+      lastInfectAt: flags.infected ? 0 : -1e9,
+    });
+  });
+  if (nodes.length < 2 && !issues.length) issues.push("the graph needs at least two nodes");
+
+  const edges = [];
+  const seen = new Set();
+  for (const { from, to, attrs } of raw.edges) {
+    const where = `link "${from}" – "${to}"`;
+    const a = index.get(from);
+    const b = index.get(to);
+    if (a == null) issues.push(`${where}: unknown node "${from}"`);
+    if (b == null) issues.push(`${where}: unknown node "${to}"`);
+    const rawWeight = field(attrs, "weight");
+    const w = rawWeight === undefined ? 1 : toNumber(rawWeight);
+    if (!(w > 0)) issues.push(`${where}: weight must be a positive number (got "${rawWeight}")`);
+    if (a == null || b == null || a === b) continue; // self-loops carry nothing to spread along
+    const k = a < b ? `${a}-${b}` : `${b}-${a}`;
+    if (seen.has(k)) continue; // a directed pair becomes one link
+    seen.add(k);
+    edges.push({ a, b, w });
+  }
+  if (!edges.length && !issues.length) issues.push("the graph has no links between distinct nodes");
+  if (issues.length) throw new ImportError(issues);
+
+  const heaviest = Math.max(...edges.map((e) => e.w));
+  if (heaviest > 2) for (const e of edges) e.w = Math.max(0.05, (e.w / heaviest) * MAX_WEIGHT);
+
+  const world = worldSize(nodes.length);
+  place(nodes, edges, world, !!raw.yUp);
+  if (!nodes.some((n) => n.critical)) {
+    for (const n of pickCritical(nodes, edges)) n.critical = true;
+  }
+  assignDependencies(nodes);
+  if (!nodes.some((n) => n.infected)) {
+    const foothold = pickFoothold(nodes, edges);
+    foothold.infected = true;
+    foothold.lastInfectAt = 0;
+  }
+  return { name: raw.name || null, nodes, edges, world };
+}
+
+// Fits the given positions into the world and lays out the nodes without one.
+// A layout that already fills the world (such as our own exports) is kept as is.
+function place(nodes, edges, { width, height }, yUp) {
+  const known = nodes.filter((n) => n.x != null);
+  if (yUp) for (const n of known) n.y = height - n.y;
+  const xs = known.map((n) => n.x), ys = known.map((n) => n.y);
+  const minX = Math.min(...xs), minY = Math.min(...ys);
+  const maxX = Math.max(...xs), maxY = Math.max(...ys);
+  const fits = minX >= 0 && minY >= 0 && maxX <= width && maxY <= height;
+  const fills = maxX - minX >= width / 2 || maxY - minY >= height / 2;
+  if (known.length && !(fits && fills)) {
+    const spanX = maxX - minX, spanY = maxY - minY;
+    const scale = Math.min((width - 2 * MARGIN) / (spanX || 1), (height - 2 * MARGIN) / (spanY || 1));
+    const offX = (width - spanX * scale) / 2, offY = (height - spanY * scale) / 2;
+    for (const n of known) {
+      n.x = offX + (n.x - minX) * scale;
+      n.y = offY + (n.y - minY) * scale;
+    }
+  }
+  if (known.length === nodes.length) return;
+
+  // start the rest next to their placed neighbours (or on a spiral) and let the layout settle them
+  const adj = nodes.map(() => []);
+  for (const e of edges) {
+    adj[e.a].push(e.b);
+    adj[e.b].push(e.a);
+  }
+  const pinned = nodes.map((n) => n.x != null);
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  nodes.forEach((n, i) => {
+    if (pinned[i]) return;
+    const near = adj[i].filter((j) => pinned[j]);
+    if (near.length) {
+      n.x = near.reduce((s, j) => s + nodes[j].x, 0) / near.length + Math.cos(i * golden) * MARGIN;
+      n.y = near.reduce((s, j) => s + nodes[j].y, 0) / near.length + Math.sin(i * golden) * MARGIN;
+    } else {
+      const r = (Math.min(width, height) / 2 - MARGIN) * Math.sqrt((i + 0.5) / nodes.length);
+      n.x = width / 2 + Math.cos(i * golden) * r;
+      n.y = height / 2 + Math.sin(i * golden) * r;
+    }
+  });
+  forceLayout(nodes, edges, { width, height, pinned: known.length ? pinned : null });
+}
+
+// Crown jewels when the file marks none (without any, the SLA has nothing to
+// serve): databases and auth servers first, then the best-connected nodes.
+function pickCritical(nodes, edges) {
+  const degree = nodes.map(() => 0);
+  for (const e of edges) {
+    degree[e.a]++;
+    degree[e.b]++;
+  }
+  const rank = (n) => (n.role === "db" || n.role === "auth" ? nodes.length : 0) + degree[n.id];
+  const count = Math.min(CRITICAL_COUNT, Math.max(1, Math.floor(nodes.length / 4)));
+  return nodes.filter((n) => !n.infected).sort((a, b) => rank(b) - rank(a) || a.id - b.id).slice(0, count);
+}
+
+// Where the breach starts when the file doesn't say: the non-critical node the
+// most hops from any critical one, else the least connected node.
+function pickFoothold(nodes, edges) {
+  const adj = nodes.map(() => []);
+  for (const e of edges) {
+    adj[e.a].push(e.b);
+    adj[e.b].push(e.a);
+  }
+  const dist = nodes.map(() => Infinity);
+  const queue = nodes.filter((n) => n.critical).map((n) => n.id);
+  for (const id of queue) dist[id] = 0;
+  for (let i = 0; i < queue.length; i++) {
+    for (const v of adj[queue[i]]) {
+      if (dist[v] === Infinity) {
+        dist[v] = dist[queue[i]] + 1;
+        queue.push(v);
+      }
+    }
+  }
+  const candidates = nodes.filter((n) => !n.critical);
+  const pool = candidates.length ? candidates : nodes;
+  const score = (n) => (queue.length && Number.isFinite(dist[n.id]) ? dist[n.id] : -adj[n.id].length);
+  return pool.reduce((best, n) => (score(n) > score(best) ? n : best));
+}
+
+// ------------------------- Export -------------------------
+// A plain view of an engine network for the writers: string keys, deps by key.
+export function toPortable({ nodes, edges, world }, { name = "cybergrid" } = {}) {
+  const keyOf = nodes.map((n) => (n.key != null ? String(n.key) : `n${n.id}`));
+  return {
+    name,
+    world: { ...world },
+    nodes: nodes.map((n, i) => ({
+      key: keyOf[i],
+      name: n.name,
+      role: n.role,
+      security: Math.round(n.security * 1000) / 1000,
+      critical: n.critical,
+      infected: n.infected,
+      x: Math.round(n.x * 10) / 10,
+      y: Math.round(n.y * 10) / 10,
+      deps: (n.deps ?? []).map((d) => keyOf[d]),
+    })),
+    edges: edges.filter((e) => e.event == null).map((e) => ({ from: keyOf[e.a], to: keyOf[e.b], w: Math.round(e.w * 1000) / 1000 })),
+  };
+}
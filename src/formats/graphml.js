@@ -0,0 +1,80 @@
+/**
+ * GraphML import and export.
+ * ------------------------------------------------------
+ * Reads `<key>` declarations (with their defaults), `<node>`/`<edge>` elements
+ * and their `<data>` values, including yEd's `<y:Geometry>` node positions.
+ * Nested graphs are flattened. Writes plain GraphML that yEd, Gephi and
+ * NetworkX read back.
+ */
+
+import { ImportError } from "./graph.js";
+import { escapeXml, find, findAll, parseXml } from "./xml.js";
+
+export function readGraphML(text) {
+  const root = parseXml(text);
+  if (root.local !== "graphml") throw new ImportError([`not a GraphML file (the root element is <${root.name}>)`]);
+  const keys = {}; // key id -> { name, for, def }
+  for (const k of findAll(root, "key")) {
+    keys[k.attrs.id] = { name: k.attrs["attr.name"] ?? k.attrs.id, for: k.attrs.for ?? "all", def: find(k, "default")?.text.trim() };
+  }
+  const graph = find(root, "graph");
+  if (!graph) throw new ImportError(["the file has no <graph> element"]);
+
+  const data = (el, kind) => {
+    const attrs = {};
+    for (const k of Object.values(keys)) {
+      if ((k.for === kind || k.for === "all") && k.def != null) attrs[k.name] = k.def;
+    }
+    for (const d of el.children) {
+      if (d.local !== "data") continue;
+      const geometry = find(d, "Geometry");
+      if (geometry) {
+        // yEd stores the box's top-left corner
+        attrs.x = Number(geometry.attrs.x) + Number(geometry.attrs.width ?? 0) / 2;
+        attrs.y = Number(geometry.attrs.y) + Number(geometry.attrs.height ?? 0) / 2;
+        const label = find(d, "NodeLabel");
+        if (label?.text.trim()) attrs.label = label.text.trim();
+      } else {
+        attrs[keys[d.attrs.key]?.name ?? d.attrs.key] = d.text.trim();
+      }
+    }
+    return attrs;
+  };
+
+  return {
+    name: graph.attrs.id ?? null,
+    yUp: false,
+    nodes: findAll(graph, "node").map((n) => ({ key: n.attrs.id, attrs: data(n, "node") })),
+    edges: findAll(graph, "edge").map((e) => ({ from: e.attrs.source, to: e.attrs.target, attrs: data(e, "edge") })),
+  };
+}
+
+const NODE_KEYS = [
+  ["name", "string"],
+  ["role", "string"],
+  ["security", "double"],
+  ["critical", "boolean"],
+  ["infected", "boolean"],
+  ["x", "double"],
+  ["y", "double"],
+];
+
+export function writeGraphML(g) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...NODE_KEYS.map(([k, type]) => `  <key id="${k}" for="node" attr.name="${k}" attr.type="${type}"/>`),
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    `  <graph id="${escapeXml(g.name)}" edgedefault="undirected">`,
+  ];
+  for (const n of g.nodes) {
+    lines.push(`    <node id="${escapeXml(n.key)}">`);
+    for (const [k] of NODE_KEYS) lines.push(`      <data key="${k}">${escapeXml(n[k])}</data>`);
+    lines.push("    </node>");
+  }
+  g.edges.forEach((e, i) => {
+    lines.push(`    <edge id="e${i}" source="${escapeXml(e.from)}" target="${escapeXml(e.to)}"><data key="weight">${e.w}</data></edge>`);
+  });
+  lines.push("  </graph>", "</graphml>", "");
+  return lines.join("\n");
+}
@@ -0,0 +1,112 @@
+/**
+ * Network import and export.
+ * ------------------------------------------------------
+ * Loads real network shapes from standard graph formats and writes game
+ * networks back out:
+ *
+ *   const net = importNetwork(text);                 // format sniffed from the content
+ *   const scenario = networkToScenario(net);         // playable like any scenario file
+ *   const graphml = exportNetwork(state, "graphml");
+ *
+ * `importNetwork` returns the `{ nodes, edges }` shape `generateNetwork` does,
+ * plus the `world` it was fitted into and the file's graph `name` (see
+ * graph.js for how attributes map). It throws ImportError listing every
+ * problem. Exports cover the same formats and "json", which is a scenario
+ * file that loads back through the scenario picker.
+ */
+
+import { ImportError, toNetwork, toPortable } from "./graph.js";
+import { XmlError } from "./xml.js";
+import { readGraphML, writeGraphML } from "./graphml.js";
+import { readGEXF, writeGEXF } from "./gexf.js";
+import { readDOT, writeDOT } from "./dot.js";
+import { readCSV, writeCSV } from "./csv.js";
+
+export { ImportError };
+
+// ------------------------- Formats -------------------------
+// `read` is absent for export-only formats; `note` says what an export leaves out.
+export const FORMATS = {
+  graphml: { name: "GraphML", ext: "graphml", mime: "application/graphml+xml", read: readGraphML, write: writeGraphML },
+  gexf: { name: "GEXF (Gephi)", ext: "gexf", mime: "application/gexf+xml", read: readGEXF, write: writeGEXF },
+  dot: { name: "DOT (Graphviz)", ext: "dot", mime: "text/vnd.graphviz", read: readDOT, write: writeDOT },
+  csv: { name: "CSV edge list", ext: "csv", mime: "text/csv", read: readCSV, write: writeCSV, note: "links and weights only: node names, roles, positions and critical flags are not kept" },
+  json: { name: "Scenario JSON", ext: "json", mime: "application/json", write: (g) => `${JSON.stringify(portableScenario(g), null, 2)}\n` },
+};
+
+export const FORMAT_IDS = Object.keys(FORMATS);
+
+// File picker filter for everything that can be loaded as a network (scenarios included).
+export const NETWORK_ACCEPT = ".json,.graphml,.gexf,.dot,.gv,.csv,application/json";
+
+// Format of a file's text: "json", "graphml", "gexf", "dot" or "csv".
+export function detectFormat(text) {
+  const head = text.replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("{") || head.startsWith("[")) return "json";
+  if (head.startsWith("<")) return /<gexf[\s>]/.test(head) ? "gexf" : "graphml";
+  if (/^(?:(?:\/\/|#)[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*(?:strict\s+)?(?:di)?graph\b/i.test(head)) return "dot";
+  return "csv";
+}
+
+// ------------------------- Import -------------------------
+// Parses `text` as `format` (sniffed when omitted). Throws ImportError.
+export function importNetwork(text, format = detectFormat(text)) {
+  const reader = FORMATS[format]?.read;
+  if (!reader) throw new ImportError([`${FORMATS[format]?.name ?? `"${format}"`} files cannot be imported as a network`]);
+  try {
+    return toNetwork(reader(text));
+  } catch (err) {
+    if (err instanceof XmlError) throw new ImportError([`not well-formed XML: ${err.message}`]);
+    throw err;
+  }
+}
+
+// Scenario JSON for an imported (or any engine) network; see ../sim/scenario.js.
+export function networkToScenario(net, { id = null, name = net.name || "Imported network", description = null } = {}) {
+  return portableScenario(toPortable(net, { name }), { id, description: description ?? `Imported network: ${net.nodes.length} nodes, ${net.edges.length} links.` });
+}
+
+// FNV-1a of a string, as 8 hex digits.
+function hashText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// Without an explicit id, a scenario is named after its network's content:
+// the same map always lands on the same leaderboard, and two maps never share
+// one just because neither had a name.
+function portableScenario(g, { id = null, description = "" } = {}) {
+  const nodes = g.nodes.map((n) => ({
+    id: n.key,
+    name: n.name,
+    x: n.x,
+    y: n.y,
+    security: n.security,
+    critical: n.critical,
+    infected: n.infected,
+    role: n.role,
+    dependsOn: n.deps,
+  }));
+  const edges = g.edges.map((e) => ({ from: e.from, to: e.to, weight: e.w }));
+  const slug = g.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "network";
+  return {
+    id: id ?? `import-${slug}-${hashText(JSON.stringify([nodes, edges]))}`,
+    name: g.name,
+    description,
+    world: g.world,
+    nodes,
+    edges,
+  };
+}
+
+// ------------------------- Export -------------------------
+// Writes an engine network (a game state works) as `format`. opts: { name }
+export function exportNetwork(net, format, opts = {}) {
+  const fmt = FORMATS[format];
+  if (!fmt) throw new Error(`Unknown network format "${format}"`);
+  return fmt.write(toPortable(net, opts));
+}
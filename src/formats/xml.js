@@ -0,0 +1,102 @@
+/**
+ * Minimal XML reader and writer helpers.
+ * ------------------------------------------------------
+ * Just enough XML for GraphML and GEXF files, in the browser and in Node
+ * alike (no DOMParser): elements, attributes, text, comments, CDATA and the
+ * standard entities. Namespace prefixes are kept on `name` and dropped on
+ * `local`, so `<viz:position>` matches `local === "position"`.
+ *
+ *   const root = parseXml(text);       // { name, local, attrs, children, text }
+ *   find(root, "graph");               // first descendant named graph
+ *   findAll(root, "node");             // every descendant named node
+ */
+
+export class XmlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "XmlError";
+  }
+}
+
+const TAG = /<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y; // start tag
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+const decode = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+  if (e[0] === "#") return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  return ENTITIES[e] ?? m;
+});
+
+export const escapeXml = (v) => String(v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+
+const element = (name, attrs = {}) => ({ name, local: name.slice(name.indexOf(":") + 1), attrs, children: [], text: "" });
+
+// Parses an XML document; returns its root element. Throws XmlError.
+export function parseXml(text) {
+  const root = element("#document");
+  const stack = [root];
+  const line = (at) => text.slice(0, at).split("\n").length;
+  let i = 0;
+  while (i < text.length) {
+    const lt = text.indexOf("<", i);
+    const top = stack[stack.length - 1];
+    if (lt === -1 || lt > i) {
+      const chunk = text.slice(i, lt === -1 ? text.length : lt);
+      if (chunk.trim()) top.text += decode(chunk);
+      if (lt === -1) break;
+    }
+    i = lt;
+    if (text.startsWith("<!--", i)) {
+      const end = text.indexOf("-->", i);
+      if (end === -1) throw new XmlError(`unterminated comment on line ${line(i)}`);
+      i = end + 3;
+    } else if (text.startsWith("<![CDATA[", i)) {
+      const end = text.indexOf("]]>", i);
+      if (end === -1) throw new XmlError(`unterminated CDATA on line ${line(i)}`);
+      top.text += text.slice(i + 9, end);
+      i = end + 3;
+    } else if (text.startsWith("<?", i) || text.startsWith("<!", i)) {
+      const end = text.indexOf(">", i);
+      if (end === -1) throw new XmlError(`unterminated declaration on line ${line(i)}`);
+      i = end + 1;
+    } else if (text.startsWith("</", i)) {
+      const end = text.indexOf(">", i);
+      const name = text.slice(i + 2, end).trim();
+      if (end === -1 || top.name !== name) throw new XmlError(`unexpected </${name}> on line ${line(i)}${top.name !== "#document" ? ` (expected </${top.name}>)` : ""}`);
+      stack.pop();
+      i = end + 1;
+    } else {
+      TAG.lastIndex = i;
+      const tag = TAG.exec(text);
+      if (!tag) throw new XmlError(`malformed tag on line ${line(i)}`);
+      const attrs = {};
+      for (const [, key, dq, sq] of tag[2].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) attrs[key] = decode(dq ?? sq);
+      const el = element(tag[1], attrs);
+      top.children.push(el);
+      if (!tag[3]) stack.push(el);
+      i += tag[0].length;
+    }
+  }
+  if (stack.length > 1) throw new XmlError(`<${stack[stack.length - 1].name}> is never closed`);
+  const [doc] = root.children;
+  if (!doc) throw new XmlError("no root element");
+  return doc;
+}
+
+// Every descendant of `el` with local name `local`, in document order.
+export function findAll(el, local, out = []) {
+  for (const child of el.children) {
+    if (child.local === local) out.push(child);
+    findAll(child, local, out);
+  }
+  return out;
+}
+
+// The first descendant of `el` with local name `local`, or null.
+export function find(el, local) {
+  for (const child of el.children) {
+    if (child.local === local) return child;
+    const deep = find(child, local);
+    if (deep) return deep;
+  }
+  return null;
+}
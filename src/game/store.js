@@ -0,0 +1,80 @@
+/**
+ * Game store.
+ * ------------------------------------------------------
+ * The one place the running game lives. The store owns the engine state, the
+ * queue of actions waiting for the next tick and the fixed-timestep clock:
+ *
+ *   const store = createGameStore(createGame({ seed }));
+ *   store.queue({ type: "patch", node: 4 });          // applied on the next tick
+ *   store.advance(elapsedSeconds, (s, actions) => …); // runs whole TICK_DT steps
+ *   store.set(createGame({ seed: 2 }));               // new round, or a state from the server
+ *
+ * Wall-clock time only decides how many ticks run, never how large they are,
+ * so spread odds and win/loss timing are the same on every machine. Elapsed
+ * time carries over between calls; a long stall is capped at MAX_CATCHUP ticks
+ * rather than spiralling.
+ *
+ * Readers: the canvas draws every animation frame from `get()`, `previous()`
+ * and `alpha()` (how far the clock is into the next tick, for interpolation);
+ * React subscribes through useGameStore at a throttled rate.
+ */
+
+import { TICK_DT, step } from "../sim/engine.js";
+
+const MAX_CATCHUP = 5; // ticks per advance() after a long frame
+
+export function createGameStore(initial) {
+  let current = initial;
+  let previous = initial; // state one tick before `current`
+  let acc = 0; // seconds banked towards the next tick
+  let version = 0; // bumps on every change
+  const pending = [];
+  const listeners = new Set();
+
+  // `urgent` changes (a new round) skip the subscribers' throttle
+  const notify = (urgent) => {
+    version++;
+    for (const fn of listeners) fn(urgent);
+  };
+
+  return {
+    get: () => current,
+    previous: () => previous,
+    alpha: () => acc / TICK_DT,
+    version: () => version,
+
+    set(state) {
+      current = previous = state;
+      acc = 0;
+      pending.length = 0;
+      notify(true);
+    },
+
+    queue(...actions) {
+      pending.push(...actions);
+    },
+
+    // Runs every whole tick `seconds` of wall time pays for; returns how many ran.
+    // onTick(state, actions) sees each new state as it is produced.
+    advance(seconds, onTick) {
+      acc = Math.min(acc + seconds, TICK_DT * MAX_CATCHUP);
+      let ticks = 0;
+      while (acc >= TICK_DT && current.status === "running") {
+        const actions = pending.splice(0);
+        previous = current;
+        current = step(current, TICK_DT, actions);
+        acc -= TICK_DT;
+        ticks++;
+        onTick?.(current, actions);
+      }
+      if (current.status !== "running") acc = 0;
+      if (ticks) notify(false);
+      return ticks;
+    },
+
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,34 @@
+import { useEffect, useState } from "react";
+
+export const HUD_RATE = 10; // React updates per second while a round runs
+
+// Subscribes a component to the store's state, re-rendering at most `rate`
+// times a second (immediately for urgent changes such as a new round).
+export function useGameStore(store, rate = HUD_RATE) {
+  const [state, setState] = useState(store.get);
+  useEffect(() => {
+    let last = 0;
+    let timer = null;
+    const flush = () => {
+      timer = null;
+      last = performance.now();
+      setState(store.get());
+    };
+    const unsubscribe = store.subscribe((urgent) => {
+      if (urgent) {
+        clearTimeout(timer);
+        return flush();
+      }
+      if (timer) return;
+      const wait = last + 1000 / rate - performance.now();
+      if (wait <= 0) flush();
+      else timer = setTimeout(flush, wait);
+    });
+    setState(store.get());
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+    };
+  }, [store, rate]);
+  return state;
+}
@@ -0,0 +1,104 @@
+/**
+ * Multiplayer client.
+ * ------------------------------------------------------
+ * Keeps a mirror of the server's authoritative state (snapshots plus diffs,
+ * see protocol.js) and sends this player's actions. The game loop does not
+ * step the engine while online; it renders whatever the client last received.
+ *
+ * Latency: every action gets a sequence number and stays in `pending` until
+ * the server acknowledges the tick it landed on, and a ping every couple of
+ * seconds keeps `rtt` current so the HUD can show how far behind we are.
+ *
+ *   const client = createClient("ws://localhost:8787", {
+ *     onLobby, onState, onOver, onError, onClose,
+ *   });
+ *   client.create("alice", { seed });
+ */
+
+import { PROTOCOL_VERSION, applyDiff, decode, encode } from "./protocol.js";
+
+const PING_INTERVAL = 2000; // ms
+
+export function createClient(url, handlers = {}) {
+  const ws = new WebSocket(url);
+  const queue = []; // frames sent before the socket opened
+  const client = {
+    url,
+    lobby: null, // last { t: "lobby" } frame
+    state: null,
+    rtt: null, // ms
+    pending: new Map(), // seq -> sent at (ms)
+    seq: 0,
+    closed: false,
+  };
+
+  const send = (msg) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(encode(msg));
+    else queue.push(msg);
+  };
+  const setState = (wire, log = [], trace = []) => {
+    client.state = { ...wire, messages: log, trace };
+    handlers.onState?.(client.state);
+  };
+  const ping = setInterval(() => send({ t: "ping", at: performance.now() }), PING_INTERVAL);
+
+  ws.onopen = () => {
+    for (const msg of queue.splice(0)) ws.send(encode(msg));
+  };
+  ws.onmessage = (e) => {
+    const msg = decode(e.data);
+    if (!msg) return;
+    switch (msg.t) {
+      case "lobby":
+        client.lobby = msg;
+        handlers.onLobby?.(msg);
+        break;
+      case "snapshot":
+        client.pending.clear();
+        setState(msg.state);
+        break;
+      case "diff":
+        // a diff only applies to the state it was made against; resync otherwise
+        if (client.state?.tick !== msg.base) return send({ t: "sync" });
+        setState(applyDiff(client.state, msg.ops), msg.log, msg.trace);
+        break;
+      case "ack":
+        client.pending.delete(msg.seq);
+        break;
+      case "over":
+        client.state = { ...msg.state, messages: [], trace: [] };
+        handlers.onOver?.(client.state, msg.recording);
+        break;
+      case "pong":
+        client.rtt = performance.now() - msg.at;
+        break;
+      case "error":
+        handlers.onError?.(msg.message);
+        break;
+    }
+  };
+  ws.onerror = () => handlers.onError?.(`Could not reach ${url}.`);
+  ws.onclose = () => {
+    clearInterval(ping);
+    client.closed = true;
+    handlers.onClose?.();
+  };
+
+  client.create = (name, setup) => send({ t: "create", v: PROTOCOL_VERSION, name, setup });
+  client.join = (code, name, role) => send({ t: "join", v: PROTOCOL_VERSION, code, name, role });
+  client.setRole = (role) => send({ t: "role", role });
+  client.start = () => send({ t: "start" });
+  client.act = (action) => {
+    const seq = ++client.seq;
+    client.pending.set(seq, performance.now());
+    send({ t: "action", seq, action });
+  };
+  client.close = () => ws.close();
+  return client;
+}
+
+// This player's seat in the lobby, or null before joining.
+export function myRole(client) {
+  const lobby = client?.lobby;
+  return lobby?.players.find((p) => p.id === lobby.you)?.role ?? null;
+}
@@ -0,0 +1,141 @@
+/**
+ * Multiplayer protocol.
+ * ------------------------------------------------------
+ * Shared by the reference server (server/) and the browser client. Every frame
+ * is one JSON object with a `t` field.
+ *
+ * Client → server
+ *   { t: "create", v, name, setup }              open a lobby (setup: createGame options)
+ *   { t: "join", v, code, name, role }           join a lobby by its code (`v`: PROTOCOL_VERSION)
+ *   { t: "role", role }                          switch seat before the round starts
+ *   { t: "start" }                               host only
+ *   { t: "action", seq, action }                 { type, node } / { type, edge }
+ *   { t: "sync" }                                ask for a full snapshot
+ *   { t: "ping", at }
+ *
+ * Server → client
+ *   { t: "lobby", code, you, host, players, status, setup }
+ *   { t: "snapshot", tick, state }               full state (on start, join or sync)
+ *   { t: "diff", base, tick, ops, log, trace }   changes since tick `base`
+ *   { t: "ack", seq, tick }                      the action was applied on `tick`
+ *   { t: "over", state, recording }
+ *   { t: "pong", at, tick }
+ *   { t: "error", message }
+ *
+ * The server alone runs the simulation. States travel without their per-step
+ * `messages` and `trace`; diffs carry everything logged since the last one
+ * instead, so nothing is lost between broadcasts. With fog of war on,
+ * defenders and spectators get the fogged view below; the attacker, and
+ * everyone once the round is over, gets the full state.
+ */
+
+import { redMessage } from "../sim/attacker.js";
+
+export const PROTOCOL_VERSION = 1;
+export const DEFAULT_PORT = 8787;
+export const PLAYER_ROLES = ["defender", "attacker", "spectator"];
+
+// Join codes skip look-alike characters (0/O, 1/I).
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const CODE_LENGTH = 4;
+
+export function makeCode(random = Math.random) {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_CHARS[Math.floor(random() * CODE_CHARS.length)];
+  return code;
+}
+
+export const normalizeCode = (text) => String(text ?? "").trim().toUpperCase();
+
+export function encode(msg) {
+  return JSON.stringify(msg);
+}
+
+// Returns the decoded frame, or null when it is not a protocol message.
+export function decode(text) {
+  try {
+    const msg = JSON.parse(text);
+    return msg && typeof msg === "object" && typeof msg.t === "string" ? msg : null;
+  } catch {
+    return null;
+  }
+}
+
+// ------------------------- State diffs -------------------------
+// The part of an engine state worth sending: everything but per-step output.
+export function wireState(state) {
+  const { messages, trace, ...rest } = state;
+  return rest;
+}
+
+// Structural diff of two JSON-like values as a list of [path, value] ops; a
+// one-element op `[path]` deletes the key. Arrays that change length are sent whole.
+export function diffState(prev, next, path = [], ops = []) {
+  if (prev === next) return ops;
+  const bothObjects = prev && next && typeof prev === "object" && typeof next === "object";
+  if (!bothObjects || Array.isArray(prev) !== Array.isArray(next) || (Array.isArray(prev) && prev.length !== next.length)) {
+    ops.push([path, next]);
+    return ops;
+  }
+  for (const key of Object.keys(next)) diffState(prev[key], next[key], [...path, key], ops);
+  if (!Array.isArray(prev)) for (const key of Object.keys(prev)) if (!(key in next)) ops.push([[...path, key]]);
+  return ops;
+}
+
+// Applies `ops` to `state` without mutating it; untouched branches are shared.
+export function applyDiff(state, ops) {
+  let root = state;
+  for (const [path, ...value] of ops) {
+    if (!path.length) {
+      root = value[0];
+      continue;
+    }
+    root = setIn(root, path, value, 0);
+  }
+  return root;
+}
+
+function setIn(obj, path, value, i) {
+  const copy = Array.isArray(obj) ? [...obj] : { ...obj };
+  const key = path[i];
+  if (i === path.length - 1) {
+    if (value.length) copy[key] = value[0];
+    else delete copy[key];
+  } else {
+    copy[key] = setIn(obj[key] ?? {}, path, value, i + 1);
+  }
+  return copy;
+}
+
+// ------------------------- Fog of war -------------------------
+// What a defender may know of a running wire state when `rules.fog` is on: an
+// infection that hasn't been detected yet (see src/sim/fog.js) shows as a
+// clean node, and nothing of the attacker's side is sent: not the random
+// stream (which foretells its next rolls), not the adversary profile and its
+// plans, and not a hot-seat attacker's energy and cooldowns.
+const hidden = (n) => n.infected && !n.detected;
+
+export function fogView(wire) {
+  if (!wire.rules.fog || wire.status !== "running") return wire;
+  const { rng, adversary, red, ...rest } = wire;
+  return {
+    ...rest,
+    nodes: wire.nodes.map((n) => {
+      if (!hidden(n)) return n;
+      const { infectedBy, persistent, ...node } = n;
+      return { ...node, infected: false, cleanProg: 0, lastInfectAt: -1e9 };
+    }),
+    tally: { ...wire.tally, breached: wire.tally.breached.filter((id) => !hidden(wire.nodes[id])) },
+  };
+}
+
+// The fogged share of a broadcast's log and trace, given the full wire state
+// they lead up to: no compromises of still-hidden nodes and none of the
+// attacker's own moves.
+export function fogLog(wire, log, trace) {
+  if (!wire.rules.fog) return { log, trace };
+  return {
+    log: log.filter((msg) => !redMessage(msg)),
+    trace: trace.filter((ev) => ev.kind !== "attack" && ev.kind !== "attack-blocked" && !(ev.kind === "infect" && hidden(wire.nodes[ev.node]))),
+  };
+}
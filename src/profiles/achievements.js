@@ -0,0 +1,78 @@
+/**
+ * Achievement registry.
+ * ------------------------------------------------------
+ * Each entry is a badge a profile can earn once and keeps for good:
+ *
+ *   name, desc        title and one-line condition, as the toast and leaderboard show them
+ *   live              true if it can unlock mid-round; otherwise it is only
+ *                     checked once the round is over (optional)
+ *   test(s)           whether the engine state `s` earns it
+ *
+ * Tests read the engine's `tally` and `scoreParts` (see scoring.js), so they
+ * stay cheap enough to run every frame.
+ */
+
+export const ACHIEVEMENTS = {
+  firstWin: {
+    name: "First containment",
+    desc: "Win a round.",
+    test: (s) => s.status === "won",
+  },
+  zeroCritical: {
+    name: "Zero critical loss",
+    desc: "Win without a critical node ever being infected.",
+    test: (s) => s.status === "won" && s.nodes.some((n) => n.critical) && s.tally.breached.length === 0,
+  },
+  honeypotHunter: {
+    name: "Honeypot hunter",
+    desc: "Catch 5 infections in honeypots in one round.",
+    live: true,
+    test: (s) => s.tally.honeypotCatches >= 5,
+  },
+  noIsolate: {
+    name: "No isolate run",
+    desc: "Win without isolating a single node.",
+    test: (s) => s.status === "won" && s.tally.isolations === 0,
+  },
+  rapidResponse: {
+    name: "Rapid response",
+    desc: "Clean 5 nodes within 10 seconds of their infection in one round.",
+    live: true,
+    test: (s) => s.tally.fastCleans >= 5,
+  },
+  eradicator: {
+    name: "Eradicator",
+    desc: "Clean 25 nodes in one round.",
+    live: true,
+    test: (s) => s.tally.cleaned >= 25,
+  },
+  frugal: {
+    name: "Frugal",
+    desc: "Win with at least 80 energy to spare.",
+    test: (s) => s.status === "won" && s.energy >= 80,
+  },
+  cleanHands: {
+    name: "Clean hands",
+    desc: "Win without a single needless isolation or wasted sweep.",
+    test: (s) => s.status === "won" && s.tally.needlessIsolations === 0 && s.tally.wastedSweeps === 0,
+  },
+  inTheDark: {
+    name: "In the dark",
+    desc: "Win a round with fog of war.",
+    test: (s) => s.status === "won" && s.rules.fog,
+  },
+  redAlert: {
+    name: "Red alert survivor",
+    desc: "Win on Red Alert.",
+    test: (s) => s.status === "won" && s.rules.difficulty === "redalert",
+  },
+};
+
+export const ACHIEVEMENT_IDS = Object.keys(ACHIEVEMENTS);
+
+// Ids of the achievements state `s` earns that aren't in `have` yet. While the
+// round runs only `live` ones are checked.
+export function newAchievements(s, have = {}) {
+  const over = s.status !== "running";
+  return ACHIEVEMENT_IDS.filter((id) => !have[id] && (over || ACHIEVEMENTS[id].live) && ACHIEVEMENTS[id].test(s));
+}
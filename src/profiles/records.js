@@ -0,0 +1,157 @@
+/**
+ * Player profiles and the local leaderboard.
+ * ------------------------------------------------------
+ * Every finished single-player round is kept as one run:
+ *
+ *   {
+ *     id,                                   // unique, so merged exports never double-count
+ *     profile,                              // id of the player's profile
+ *     seed, map, mapName, difficulty,       // what was played (see mapOf)
+ *     status, score, duration,              // "won" | "lost", final score, seconds played
+ *     at,                                   // ISO time the round ended
+ *   }
+ *
+ * and a profile is `{ id, name, createdAt, achievements }`, where
+ * `achievements` maps achievement ids (see achievements.js) to the ISO time
+ * they were unlocked. Records, streaks and the leaderboard are all derived from
+ * the run list, so combining two players' exports is a matter of taking the
+ * union of their runs and achievements. Storage lives in store.js; everything
+ * here is plain data in and out.
+ */
+
+import { difficultyName } from "../sim/difficulty.js";
+import { formatSeed } from "../sim/seed.js";
+
+export const PROFILES_FORMAT = "cybergrid-profiles";
+export const PROFILES_VERSION = 1;
+
+export const newId = () => globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export function createProfile(name) {
+  return { id: newId(), name: name.trim() || "Player", createdAt: new Date().toISOString(), achievements: {} };
+}
+
+// `profile` with achievements `ids` unlocked now (ones it already has keep their date).
+export function unlock(profile, ids) {
+  const at = new Date().toISOString();
+  return { ...profile, achievements: { ...Object.fromEntries(ids.map((id) => [id, at])), ...profile.achievements } };
+}
+
+// ------------------------- Maps -------------------------
+// Which map a round was played on. `map` names the network: a bundled or
+// imported scenario, a campaign mission, or a generated shape; fog of war
+// counts as a different map since it plays so differently.
+export function mapOf({ seed, scenario, mission, network, fog, difficulty }) {
+  let map, mapName;
+  if (scenario) [map, mapName] = [`scenario:${scenario.id}`, scenario.name];
+  else if (mission) [map, mapName] = [`mission:${mission.id}`, mission.name];
+  else {
+    map = `generated:${network.topology}:${network.nodeCount}${network.relayout ? ":tidy" : ""}`;
+    mapName = `${network.name} · ${network.nodeCount.toLocaleString()} nodes`;
+  }
+  if (fog) [map, mapName] = [`${map}:fog`, `${mapName} · fog`];
+  return { seed, map, mapName, difficulty };
+}
+
+// Leaderboard key: seed, map and difficulty together.
+export const boardKey = (run) => `${run.seed}|${run.map}|${run.difficulty}`;
+
+export const boardLabel = (run) => `${formatSeed(run.seed)} · ${run.mapName} · ${difficultyName(run.difficulty)}`;
+
+export function createRun(profile, map, { status, score, time }) {
+  return { id: newId(), profile, ...map, status, score, duration: Math.round(time * 10) / 10, at: new Date().toISOString() };
+}
+
+// ------------------------- Records -------------------------
+// A profile's record from its runs: totals, streaks and personal bests per board.
+export function profileStats(runs, profileId) {
+  const mine = runs.filter((r) => r.profile === profileId).sort((a, b) => a.at.localeCompare(b.at));
+  let streak = 0;
+  let bestStreak = 0;
+  const boards = new Map();
+  for (const r of mine) {
+    streak = r.status === "won" ? streak + 1 : 0;
+    bestStreak = Math.max(bestStreak, streak);
+    const key = boardKey(r);
+    const b = boards.get(key) ?? { key, label: boardLabel(r), played: 0, wins: 0, best: null };
+    b.played++;
+    if (r.status === "won") b.wins++;
+    if (!b.best || r.score > b.best.score) b.best = r;
+    boards.set(key, b);
+  }
+  const wins = mine.filter((r) => r.status === "won").length;
+  return {
+    played: mine.length,
+    wins,
+    losses: mine.length - wins,
+    bestScore: mine.length ? Math.max(...mine.map((r) => r.score)) : null,
+    streak,
+    bestStreak,
+    boards: [...boards.values()].sort((a, b) => b.best.score - a.best.score),
+  };
+}
+
+// Best run per profile on one board, highest score first (earlier runs win ties).
+export function leaderboard(runs, key, limit = 10) {
+  const best = new Map();
+  for (const r of runs) {
+    if (boardKey(r) !== key) continue;
+    const cur = best.get(r.profile);
+    if (!cur || r.score > cur.score || (r.score === cur.score && r.at < cur.at)) best.set(r.profile, r);
+  }
+  return [...best.values()].sort((a, b) => b.score - a.score || a.at.localeCompare(b.at)).slice(0, limit);
+}
+
+// ------------------------- Export / import -------------------------
+export function serializeProfiles({ profiles, runs }) {
+  return JSON.stringify({ format: PROFILES_FORMAT, version: PROFILES_VERSION, exportedAt: new Date().toISOString(), profiles, runs }, null, 2);
+}
+
+const isText = (v) => typeof v === "string" && v !== "";
+
+export function parseProfiles(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Profile export is not valid JSON.");
+  }
+  if (data?.format !== PROFILES_FORMAT) throw new Error("Not a CYBERGRID profile export.");
+  if (data.version !== PROFILES_VERSION) throw new Error(`Unsupported profile export version ${data.version}; expected ${PROFILES_VERSION}.`);
+  if (!Array.isArray(data.profiles) || !Array.isArray(data.runs)) throw new Error("Profile export is missing `profiles` or `runs`.");
+  data.profiles.forEach((p, i) => {
+    if (!isText(p?.id) || typeof p.name !== "string") throw new Error(`profiles[${i}]: needs an \`id\` and a \`name\`.`);
+    if (p.achievements != null && (typeof p.achievements !== "object" || Array.isArray(p.achievements))) {
+      throw new Error(`profiles[${i}]: \`achievements\` must be an object.`);
+    }
+  });
+  const ids = new Set(data.profiles.map((p) => p.id));
+  data.runs.forEach((r, i) => {
+    if (!isText(r?.id) || !ids.has(r.profile)) throw new Error(`runs[${i}]: needs an \`id\` and a \`profile\` from this file.`);
+    if (!Number.isInteger(r.seed) || !isText(r.map) || !isText(r.difficulty) || !isText(r.at)) throw new Error(`runs[${i}]: missing seed, map, difficulty or time.`);
+    if (r.status !== "won" && r.status !== "lost") throw new Error(`runs[${i}]: \`status\` must be "won" or "lost".`);
+    if (typeof r.score !== "number") throw new Error(`runs[${i}]: \`score\` must be a number.`);
+  });
+  return { profiles: data.profiles, runs: data.runs };
+}
+
+// What importing `incoming` adds to `current`: profiles and runs not seen
+// before, plus known profiles that gain achievements (`updated`). An
+// achievement unlocked on both sides keeps the earlier date.
+export function mergeProfiles(current, incoming) {
+  const haveProfiles = new Map(current.profiles.map((p) => [p.id, p]));
+  const haveRuns = new Set(current.runs.map((r) => r.id));
+  const updated = [];
+  for (const p of incoming.profiles) {
+    const mine = haveProfiles.get(p.id);
+    if (!mine) continue;
+    const ours = mine.achievements ?? {};
+    const gained = Object.entries(p.achievements ?? {}).filter(([id, at]) => !ours[id] || at < ours[id]);
+    if (gained.length) updated.push({ ...mine, achievements: { ...ours, ...Object.fromEntries(gained) } });
+  }
+  return {
+    profiles: incoming.profiles.filter((p) => !haveProfiles.has(p.id)).map((p) => ({ ...p, achievements: p.achievements ?? {} })),
+    updated,
+    runs: incoming.runs.filter((r) => !haveRuns.has(r.id)),
+  };
+}
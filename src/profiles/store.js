@@ -0,0 +1,93 @@
+/**
+ * Profile store.
+ * ------------------------------------------------------
+ * Profiles and runs, persisted in IndexedDB (see records.js for their shape).
+ * Runs are indexed by profile and by leaderboard (seed, map, difficulty).
+ */
+
+import { mergeProfiles } from "./records.js";
+
+const DB_NAME = "cybergrid";
+const DB_VERSION = 1;
+const ACTIVE_KEY = "cybergrid.profile.v1"; // localStorage: the profile new runs go to
+
+let opening = null;
+
+function openDb() {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("This browser has no IndexedDB; results can't be saved."));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("profiles", { keyPath: "id" });
+        const runs = db.createObjectStore("runs", { keyPath: "id" });
+        runs.createIndex("profile", "profile");
+        runs.createIndex("board", ["seed", "map", "difficulty"]);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    opening.catch(() => (opening = null)); // let a later call retry
+  }
+  return opening;
+}
+
+const result = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const finished = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = tx.onabort = () => reject(tx.error);
+});
+
+async function read(store, query) {
+  const db = await openDb();
+  return result(query(db.transaction(store).objectStore(store)));
+}
+
+async function write({ profiles = [], runs = [] }) {
+  const db = await openDb();
+  const tx = db.transaction(["profiles", "runs"], "readwrite");
+  for (const p of profiles) tx.objectStore("profiles").put(p);
+  for (const r of runs) tx.objectStore("runs").put(r);
+  return finished(tx);
+}
+
+export const listProfiles = () => read("profiles", (s) => s.getAll());
+export const allRuns = () => read("runs", (s) => s.getAll());
+export const profileRuns = (profileId) => read("runs", (s) => s.index("profile").getAll(profileId));
+export const boardRuns = ({ seed, map, difficulty }) => read("runs", (s) => s.index("board").getAll([seed, map, difficulty]));
+
+export const saveProfile = (profile) => write({ profiles: [profile] });
+export const saveRun = (run) => write({ runs: [run] });
+
+// Adds the profiles and runs from a parsed export that aren't here yet and
+// merges achievements into known profiles; returns what changed (see mergeProfiles).
+export async function importProfiles(incoming) {
+  const added = mergeProfiles({ profiles: await listProfiles(), runs: await allRuns() }, incoming);
+  await write({ profiles: [...added.profiles, ...added.updated], runs: added.runs });
+  return added;
+}
+
+export async function exportProfiles() {
+  return { profiles: await listProfiles(), runs: await allRuns() };
+}
+
+export function activeProfileId() {
+  try {
+    return localStorage.getItem(ACTIVE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function setActiveProfileId(id) {
+  try {
+    localStorage.setItem(ACTIVE_KEY, id);
+  } catch {
+    // storage disabled: the choice just won't survive a reload
+  }
+}
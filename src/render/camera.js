@@ -0,0 +1,74 @@
+/**
+ * Map camera.
+ * ------------------------------------------------------
+ * A camera is `{ x, y, zoom }`: the world point at the centre of the canvas
+ * and a zoom on top of the fit-to-world scale, so zoom 1 shows the whole world
+ * letterboxed exactly like fitView. `cameraView` turns it into the
+ * `{ scale, ox, oy }` view that renderNetwork and picking use:
+ *
+ *   screen = world * scale + (ox, oy)
+ */
+
+import { fitView } from "./network.js";
+
+export const MIN_ZOOM = 0.5;
+export const MAX_SCALE = 4; // screen px per world unit, fully zoomed in
+export const FOCUS_SCALE = 1.6; // screen px per world unit when zooming to a node
+
+const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+
+export function defaultCamera(world) {
+  return { x: world.width / 2, y: world.height / 2, zoom: 1 };
+}
+
+export function cameraView(width, height, world, cam) {
+  const scale = fitView(width, height, world).scale * cam.zoom;
+  return { scale, ox: width / 2 - cam.x * scale, oy: height / 2 - cam.y * scale };
+}
+
+export const toWorld = (view, sx, sy) => ({ x: (sx - view.ox) / view.scale, y: (sy - view.oy) / view.scale });
+export const toScreen = (view, x, y) => ({ x: x * view.scale + view.ox, y: y * view.scale + view.oy });
+
+// Keeps the zoom in range and the centre over the world.
+function settle(cam, width, height, world) {
+  const base = fitView(width, height, world).scale;
+  return {
+    x: clamp(cam.x, 0, world.width),
+    y: clamp(cam.y, 0, world.height),
+    zoom: clamp(cam.zoom, MIN_ZOOM, Math.max(MIN_ZOOM, MAX_SCALE / base)),
+  };
+}
+
+// Zooms by `factor` keeping the world point under screen point (sx, sy) in place.
+export function zoomAt(cam, width, height, world, sx, sy, factor) {
+  const p = toWorld(cameraView(width, height, world, cam), sx, sy);
+  const zoom = settle({ ...cam, zoom: cam.zoom * factor }, width, height, world).zoom;
+  const scale = fitView(width, height, world).scale * zoom;
+  return settle({ x: p.x - (sx - width / 2) / scale, y: p.y - (sy - height / 2) / scale, zoom }, width, height, world);
+}
+
+// Moves the map by (dx, dy) screen pixels.
+export function panBy(cam, width, height, world, dx, dy) {
+  const { scale } = cameraView(width, height, world, cam);
+  return settle({ ...cam, x: cam.x - dx / scale, y: cam.y - dy / scale }, width, height, world);
+}
+
+// Frames every node with `pad` pixels to spare.
+export function fitNodes(nodes, width, height, world, pad = 40) {
+  if (!nodes.length) return defaultCamera(world);
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const n of nodes) {
+    x0 = Math.min(x0, n.x);
+    y0 = Math.min(y0, n.y);
+    x1 = Math.max(x1, n.x);
+    y1 = Math.max(y1, n.y);
+  }
+  const scale = Math.min((width - 2 * pad) / Math.max(1, x1 - x0), (height - 2 * pad) / Math.max(1, y1 - y0));
+  return settle({ x: (x0 + x1) / 2, y: (y0 + y1) / 2, zoom: scale / fitView(width, height, world).scale }, width, height, world);
+}
+
+// Centres on a node, zooming in far enough to read it.
+export function focusNode(cam, node, width, height, world) {
+  const zoom = Math.max(cam.zoom, FOCUS_SCALE / fitView(width, height, world).scale);
+  return settle({ x: node.x, y: node.y, zoom }, width, height, world);
+}
@@ -0,0 +1,77 @@
+/**
+ * Minimap.
+ * ------------------------------------------------------
+ * The whole network in a corner: every node as a dot, infection hotspots as
+ * glows over the areas with the most known infections, and the main view's
+ * visible area as a frame. Like the map, it shows only what the defender
+ * knows when fog of war is on.
+ */
+
+import { visibleState } from "../sim/fog.js";
+import { COLORS } from "./network.js";
+
+const HOTSPOT_CELLS = 10; // hotspot grid columns across the world
+
+// Where the world sits inside a minimap of the given size: { scale, ox, oy }.
+export function minimapFrame(width, height, world) {
+  const scale = Math.min(width / world.width, height / world.height);
+  return { scale, ox: (width - world.width * scale) / 2, oy: (height - world.height * scale) / 2 };
+}
+
+// `box` is the world rectangle the main view shows: { x0, y0, x1, y1 }.
+export function renderMinimap(ctx, width, height, s, box, { fog = true } = {}) {
+  const frame = minimapFrame(width, height, s.world);
+  const px = (x) => frame.ox + x * frame.scale;
+  const py = (y) => frame.oy + y * frame.scale;
+  const seen = (n) => (fog && s.rules.fog ? visibleState(n, s) : n.infected ? "infected" : "clear");
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = "rgba(5,6,10,0.85)";
+  ctx.fillRect(0, 0, width, height);
+
+  // hotspots: known infections binned on a coarse grid
+  const cell = s.world.width / HOTSPOT_CELLS;
+  const bins = new Map();
+  let peak = 0;
+  for (const n of s.nodes) {
+    if (seen(n) !== "infected") continue;
+    const key = `${Math.floor(n.x / cell)},${Math.floor(n.y / cell)}`;
+    const count = (bins.get(key) ?? 0) + 1;
+    bins.set(key, count);
+    peak = Math.max(peak, count);
+  }
+  for (const [key, count] of bins) {
+    const [cx, cy] = key.split(",").map(Number);
+    const x = px((cx + 0.5) * cell);
+    const y = py((cy + 0.5) * cell);
+    const r = cell * frame.scale * 1.1;
+    const grad = ctx.createRadialGradient(x, y, 0, x, y, r);
+    grad.addColorStop(0, `rgba(255,80,168,${0.25 + 0.5 * (count / peak)})`);
+    grad.addColorStop(1, "rgba(255,80,168,0)");
+    ctx.fillStyle = grad;
+    ctx.fillRect(x - r, y - r, r * 2, r * 2);
+  }
+
+  // nodes, one batch per colour
+  const dots = new Map();
+  for (const n of s.nodes) {
+    const state = seen(n);
+    const color = state === "infected" ? COLORS.infected : n.critical ? COLORS.critical : state === "suspected" ? COLORS.suspected : n.isolated ? COLORS.isolated : COLORS.safe;
+    if (!dots.has(color)) dots.set(color, []);
+    dots.get(color).push(n);
+  }
+  const size = (n) => (n.critical ? 3 : 2);
+  for (const [color, list] of dots) {
+    ctx.fillStyle = color;
+    ctx.globalAlpha = color === COLORS.safe ? 0.55 : 1;
+    for (const n of list) ctx.fillRect(px(n.x) - size(n) / 2, py(n.y) - size(n) / 2, size(n), size(n));
+  }
+  ctx.globalAlpha = 1;
+
+  // the main view's visible area
+  ctx.strokeStyle = "#ffffff";
+  ctx.globalAlpha = 0.8;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(px(box.x0), py(box.y0), (box.x1 - box.x0) * frame.scale, (box.y1 - box.y0) * frame.scale);
+  ctx.globalAlpha = 1;
+}
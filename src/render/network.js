@@ -0,0 +1,481 @@
+/**
+ * Network renderer.
+ * ------------------------------------------------------
+ * Draws an engine `{ nodes, edges }` snapshot onto a 2D canvas. Shared by the
+ * live game and the replay viewer.
+ *
+ * Built for estates of thousands of nodes:
+ *   - the background and links are drawn once into an offscreen layer and
+ *     reused every frame until a link, an isolation or a link effect changes
+ *     (pass a `createLayerCache()` per canvas as `opts.layers`)
+ *   - plain links are stroked in a few batched paths instead of one by one
+ *   - nodes and links outside the viewport are skipped, node bodies are
+ *     batched by colour, and labels, markers and glows drop out once nodes are
+ *     too small on screen to show them
+ *   - glows come from pre-rendered sprites rather than a gradient per node
+ */
+
+import { CLEAN_TIME, WORLD_WIDTH, WORLD_HEIGHT } from "../sim/constants.js";
+import { visibleState } from "../sim/fog.js";
+import { ROLES } from "../sim/roles.js";
+import { sameLink } from "../sim/actions.js";
+
+export const COLORS = {
+  bg1: "#05060a",
+  bg2: "#0b1020",
+  grid: "#121629",
+  safe: "#64fbd2",
+  infected: "rgb(255,80,168)",
+  isolated: "#6b7280",
+  patched: "#58a6ff",
+  honeypot: "#facc15",
+  edge: "#1f2937",
+  text: "#cbd5e1",
+  critical: "#ff9d00",
+  suspected: "#f59e0b",
+  unknown: "#334155",
+  dependency: "#94a3b8",
+  outage: "#f43f5e",
+  tap: "#a78bfa",
+  highlight: "#fbbf24", // tutorial pointer
+};
+
+function toRgba(color, alpha) {
+  if (typeof color === "string") {
+    if (color.startsWith("rgb")) {
+      const i1 = color.indexOf("(");
+      const i2 = color.indexOf(")");
+      if (i1 !== -1 && i2 !== -1) {
+        const parts = color
+          .slice(i1 + 1, i2)
+          .split(",")
+          .map((s) => parseInt(s.trim(), 10))
+          .slice(0, 3);
+        if (parts.length === 3 && parts.every((n) => Number.isFinite(n))) {
+          const [r, g, b] = parts;
+          return `rgba(${r},${g},${b},${alpha})`;
+        }
+      }
+    }
+    if (color[0] === "#") {
+      let c = color.slice(1);
+      if (c.length === 3) c = c.split("").map((ch) => ch + ch).join("");
+      const r = parseInt(c.slice(0, 2), 16);
+      const g = parseInt(c.slice(2, 4), 16);
+      const b = parseInt(c.slice(4, 6), 16);
+      if ([r, g, b].every((n) => !Number.isNaN(n))) {
+        return `rgba(${r},${g},${b},${alpha})`;
+      }
+    }
+  }
+  return color;
+}
+
+export const NODE_RADIUS = 8; // world units
+export const CRITICAL_RADIUS = 11;
+const DETAIL_MIN_RADIUS = 3; // on-screen px below which nodes drop labels and minor markers
+const GLOW_MIN_RADIUS = 6; // on-screen px below which glows are skipped
+const GLOW_SPRITE_SIZE = 64; // px
+
+// Pre-rendered radial glows, one per colour and strength, scaled when drawn.
+const glowSprites = new Map();
+function glowSprite(color, alpha) {
+  const key = `${color}|${alpha}`;
+  let sprite = glowSprites.get(key);
+  if (!sprite) {
+    sprite = document.createElement("canvas");
+    sprite.width = sprite.height = GLOW_SPRITE_SIZE;
+    const g = sprite.getContext("2d");
+    const c = GLOW_SPRITE_SIZE / 2;
+    const grad = g.createRadialGradient(c, c, c * (0.2 / 1.6), c, c, c);
+    grad.addColorStop(0, toRgba(color, alpha));
+    grad.addColorStop(1, toRgba(color, 0));
+    g.fillStyle = grad;
+    g.fillRect(0, 0, GLOW_SPRITE_SIZE, GLOW_SPRITE_SIZE);
+    glowSprites.set(key, sprite);
+  }
+  return sprite;
+}
+
+function drawGlowCircle(ctx, x, y, r, color, alpha = 0.9) {
+  const R = r * 1.6;
+  ctx.drawImage(glowSprite(color, alpha), x - R, y - R, R * 2, R * 2);
+}
+
+// Maps world coordinates onto a canvas of the given size (letterboxed).
+// `world` is the engine state's `world` ({ width, height }); it defaults to
+// the standard world that scenarios and small networks use.
+export function fitView(width, height, world = { width: WORLD_WIDTH, height: WORLD_HEIGHT }) {
+  const scale = Math.min(width / world.width, height / world.height);
+  return {
+    scale,
+    ox: (width - world.width * scale) / 2,
+    oy: (height - world.height * scale) / 2,
+  };
+}
+
+// Nearest link to world point (x, y) within `radius`, as its [a, b] node pair, or null.
+export function pickLink(nodes, edges, x, y, radius) {
+  let best = null;
+  let bd = radius ** 2;
+  for (const e of edges) {
+    const a = nodes[e.a];
+    const b = nodes[e.b];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const t = Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+    const d = (a.x + t * dx - x) ** 2 + (a.y + t * dy - y) ** 2;
+    if (d < bd) {
+      bd = d;
+      best = [e.a, e.b];
+    }
+  }
+  return best;
+}
+
+// Offscreen layer reused across frames by renderNetwork; keep one per canvas.
+export function createLayerCache() {
+  return { canvas: null, key: null, edges: null };
+}
+
+// ------------------------- Static layer -------------------------
+function drawBackground(ctx, width, height) {
+  const grad = ctx.createLinearGradient(0, 0, width, height);
+  grad.addColorStop(0, COLORS.bg1);
+  grad.addColorStop(1, COLORS.bg2);
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, width, height);
+
+  // subtle grid lines
+  ctx.strokeStyle = COLORS.grid;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let x = 0; x < width; x += 30) {
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+  }
+  for (let y = 0; y < height; y += 30) {
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+  }
+  ctx.stroke();
+}
+
+// Links in world coordinates; `box` is the visible world rectangle.
+function drawEdges(ctx, nodes, edges, effects, box) {
+  const linkFx = (e, type) => effects.some((fx) => fx.type === type && fx.edge && sameLink(e, fx.edge[0], fx.edge[1]));
+  const plain = new Map(); // alpha -> Path2D of ordinary links
+  for (const e of edges) {
+    const a = nodes[e.a];
+    const b = nodes[e.b];
+    if (Math.max(a.x, b.x) < box.x0 || Math.min(a.x, b.x) > box.x1 || Math.max(a.y, b.y) < box.y0 || Math.min(a.y, b.y) > box.y1) continue;
+    const disabled = a.isolated || b.isolated;
+    const throttled = linkFx(e, "ratelimit");
+    if (!disabled && !e.blocked && !throttled && !e.event) {
+      const alpha = Math.round(0.9 * (0.6 + e.w * 0.4) * 50) / 50;
+      let path = plain.get(alpha);
+      if (!path) plain.set(alpha, (path = new Path2D()));
+      path.moveTo(a.x, a.y);
+      path.lineTo(b.x, b.y);
+    } else {
+      ctx.strokeStyle = disabled ? "#22262f" : e.blocked ? COLORS.outage : throttled ? COLORS.patched : COLORS.suspected;
+      ctx.globalAlpha = disabled ? 0.3 : 0.9 * (0.6 + e.w * 0.4);
+      ctx.lineWidth = throttled ? 1 : 1.5;
+      ctx.setLineDash(e.blocked ? [2, 4] : e.event ? [6, 4] : []);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+
+    // midpoint markers: a bar across blocked links, a dot on tapped ones
+    const mx = (a.x + b.x) / 2;
+    const my = (a.y + b.y) / 2;
+    if (e.blocked) {
+      const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      const nx = (-(b.y - a.y) / len) * 6;
+      const ny = ((b.x - a.x) / len) * 6;
+      ctx.setLineDash([]);
+      ctx.lineWidth = 2.5;
+      ctx.globalAlpha = 0.9;
+      ctx.beginPath();
+      ctx.moveTo(mx - nx, my - ny);
+      ctx.lineTo(mx + nx, my + ny);
+      ctx.stroke();
+    }
+    if (linkFx(e, "tap")) {
+      ctx.fillStyle = COLORS.tap;
+      ctx.globalAlpha = 0.9;
+      ctx.beginPath();
+      ctx.arc(mx, my, 3.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.setLineDash([]);
+  ctx.strokeStyle = COLORS.edge;
+  ctx.lineWidth = 1.5;
+  for (const [alpha, path] of plain) {
+    ctx.globalAlpha = alpha;
+    ctx.stroke(path);
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Draws background and links straight onto `ctx`, or blits them from the cache.
+function drawStatic(ctx, width, height, nodes, edges, effects, view, box, cache) {
+  const paint = (c) => {
+    c.save();
+    drawBackground(c, width, height);
+    c.translate(view.ox, view.oy);
+    c.scale(view.scale, view.scale);
+    drawEdges(c, nodes, edges, effects, box);
+    c.restore();
+  };
+  if (!cache) return paint(ctx);
+
+  // everything the layer depends on besides the edge list itself
+  let isolated = "";
+  for (const n of nodes) if (n.isolated) isolated += `${n.id},`;
+  const linkEffects = effects.filter((fx) => fx.edge).map((fx) => fx.id).join();
+  const { width: cw, height: ch } = ctx.canvas;
+  const key = `${cw}x${ch}|${width}x${height}|${view.scale},${view.ox},${view.oy}|${isolated}|${linkEffects}`;
+  if (!cache.canvas) cache.canvas = document.createElement("canvas");
+  if (cache.key !== key || cache.edges !== edges) {
+    const layer = cache.canvas;
+    layer.width = cw;
+    layer.height = ch;
+    const lc = layer.getContext("2d");
+    lc.setTransform(ctx.getTransform());
+    paint(lc);
+    cache.key = key;
+    cache.edges = edges;
+  }
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.drawImage(cache.canvas, 0, 0);
+  ctx.restore();
+}
+
+// ------------------------- Frame -------------------------
+// opts: { view, layers, selected, selectedLink, redTarget, highlight, effects, fog, prev, alpha, cleanTime }
+// — pass the engine state as `fog` to draw only what the defender knows; omit
+// it to draw the true infection state. `effects` (the engine's running effects)
+// marks throttled and tapped links; `redTarget` is the hot-seat attacker's
+// cursor; `highlight` is a node the tutorial points at; `layers` is a
+// createLayerCache() for this canvas. With `prev` (the
+// nodes one tick earlier) nodes are drawn `alpha` (0..1) of the way from there
+// to `nodes`, so motion and progress stay smooth between 20 Hz ticks.
+// `cleanTime` is the round's rules.cleanTime, for the patch progress notch.
+export function renderNetwork(ctx, width, height, nodes, edges, opts) {
+  const view = opts?.view ?? { scale: 1, ox: 0, oy: 0 };
+  const effects = opts?.effects ?? [];
+  // visible world rectangle
+  const box = { x0: -view.ox / view.scale, y0: -view.oy / view.scale, x1: (width - view.ox) / view.scale, y1: (height - view.oy) / view.scale };
+  drawStatic(ctx, width, height, nodes, edges, effects, view, box, opts?.layers);
+
+  // world transform
+  ctx.save();
+  ctx.translate(view.ox, view.oy);
+  ctx.scale(view.scale, view.scale);
+
+  // selected link halo
+  const selLink = opts?.selectedLink;
+  if (selLink) {
+    const a = nodes[selLink[0]];
+    const b = nodes[selLink[1]];
+    if (a && b && edges.some((e) => sameLink(e, selLink[0], selLink[1]))) {
+      ctx.strokeStyle = "#ffffff";
+      ctx.globalAlpha = 0.35;
+      ctx.lineWidth = 7;
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  // service dependencies of the selected node
+  const sel = opts?.selected != null ? nodes[opts.selected] : null;
+  if (sel?.deps?.length) {
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1.5;
+    for (const d of sel.deps) {
+      const dep = nodes[d];
+      ctx.strokeStyle = dep.down ? COLORS.outage : COLORS.dependency;
+      ctx.globalAlpha = 0.8;
+      ctx.beginPath();
+      ctx.moveTo(sel.x, sel.y);
+      ctx.lineTo(dep.x, dep.y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // nodes: visible ones only, glows first, then bodies batched by colour, then markers
+  const fog = opts?.fog?.rules.fog ? opts.fog : null;
+  const detail = NODE_RADIUS * view.scale >= DETAIL_MIN_RADIUS;
+  const glow = NODE_RADIUS * view.scale * 1.6 >= GLOW_MIN_RADIUS;
+  const margin = 30;
+  const prev = opts?.prev;
+  const t = opts?.alpha ?? 1;
+  const shown = [];
+  for (const n of nodes) {
+    const p = prev?.[n.id] ?? n;
+    const x = p.x + (n.x - p.x) * t;
+    const y = p.y + (n.y - p.y) * t;
+    if (x < box.x0 - margin || x > box.x1 + margin || y < box.y0 - margin || y > box.y1 + margin) continue;
+    shown.push({
+      n,
+      x,
+      y,
+      r: n.critical ? CRITICAL_RADIUS : NODE_RADIUS,
+      seen: fog ? visibleState(n, fog) : n.infected ? "infected" : "clear",
+      prog: n.cleanProg > p.cleanProg ? p.cleanProg + (n.cleanProg - p.cleanProg) * t : n.cleanProg, // cleaning only eases forwards
+    });
+  }
+
+  if (glow) {
+    for (const { n, x, y, r, seen } of shown) {
+      if (n.honeypot) drawGlowCircle(ctx, x, y, r + 10, "rgb(250,204,21)", 0.18);
+      if (seen === "infected") drawGlowCircle(ctx, x, y, r + 14, COLORS.infected, 0.12);
+      if (seen === "suspected") drawGlowCircle(ctx, x, y, r + 10, COLORS.suspected, 0.12);
+    }
+  }
+
+  const bodies = new Map(); // fill colour -> Path2D
+  for (const { n, x, y, r, seen } of shown) {
+    const color = seen === "infected"
+      ? COLORS.infected
+      : n.isolated
+      ? COLORS.isolated
+      : seen === "suspected"
+      ? COLORS.suspected
+      : n.patched > 0
+      ? COLORS.patched
+      : seen === "unknown"
+      ? COLORS.unknown
+      : COLORS.safe;
+    let path = bodies.get(color);
+    if (!path) bodies.set(color, (path = new Path2D()));
+    path.moveTo(x + r, y);
+    path.arc(x, y, r, 0, Math.PI * 2);
+  }
+  for (const [color, path] of bodies) {
+    ctx.fillStyle = color;
+    ctx.fill(path);
+  }
+
+  for (const node of shown) {
+    const { n, x, y, r } = node;
+    if (detail) drawNodeDetail(ctx, node, fog, opts?.cleanTime ?? CLEAN_TIME);
+
+    // ring for critical
+    if (n.critical) {
+      ctx.strokeStyle = COLORS.critical;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, r + 3, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    if (opts?.redTarget === n.id) {
+      ctx.save();
+      ctx.strokeStyle = COLORS.outage;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([5, 4]);
+      ctx.beginPath();
+      ctx.arc(x, y, r + 11, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    if (opts?.highlight === n.id) {
+      ctx.save();
+      ctx.strokeStyle = COLORS.highlight;
+      ctx.lineWidth = 2.5;
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.arc(x, y, r + 14, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    if (opts?.selected === n.id) {
+      ctx.strokeStyle = "#ffffff";
+      ctx.globalAlpha = 0.9;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, r + 7, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  ctx.restore();
+}
+
+// Labels and state markers, for nodes big enough on screen to read them.
+function drawNodeDetail(ctx, { n, x, y, r, seen, prog }, fog, cleanTime) {
+  // fog markers: dotted outline for unknown, "?" for suspected
+  if (seen === "unknown") {
+    ctx.save();
+    ctx.setLineDash([2, 3]);
+    ctx.strokeStyle = COLORS.safe;
+    ctx.globalAlpha = 0.45;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  } else if (seen === "suspected") {
+    ctx.fillStyle = "#111827";
+    ctx.font = `bold ${r + 3}px ui-sans-serif, system-ui`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("?", x, y + 1);
+  } else if (n.role) {
+    ctx.fillStyle = "#0b1020";
+    ctx.globalAlpha = 0.65;
+    ctx.font = `bold ${r}px ui-sans-serif, system-ui`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(ROLES[n.role].glyph, x, y + 0.5);
+    ctx.globalAlpha = 1;
+  }
+
+  // dotted outer ring where an attacker has planted persistence
+  if (n.persistent && seen === "infected") {
+    ctx.save();
+    ctx.setLineDash([1, 3]);
+    ctx.strokeStyle = COLORS.infected;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, r + 9, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // broken ring for services knocked offline by a dependency
+  if (n.down && !n.isolated) {
+    ctx.save();
+    ctx.setLineDash([3, 3]);
+    ctx.strokeStyle = COLORS.outage;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(x, y, r + 2, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // small notch for patched progress (hidden while the infection itself is hidden)
+  if (n.patched > 0 && (!fog || !n.infected || n.detected)) {
+    ctx.strokeStyle = COLORS.patched;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const done = Math.max(0, Math.min(1, prog / cleanTime));
+    ctx.arc(x, y, r + 5, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * done);
+    ctx.stroke();
+  }
+}
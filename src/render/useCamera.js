@@ -0,0 +1,68 @@
+import { useEffect, useState } from "react";
+import { cameraView, defaultCamera, panBy, zoomAt } from "./camera.js";
+
+const DRAG_THRESHOLD = 4; // px a press may wander and still count as a click
+const WHEEL_ZOOM = 0.0015; // zoom per wheel delta unit
+
+// Wheel zoom and drag pan for a map canvas. Returns the camera, its setter and
+// the resulting view. A click that ends a drag is swallowed so panning never
+// selects anything. The camera resets whenever `world` (a new round) changes.
+export function useCamera(canvasRef, size, world) {
+  const [camera, setCamera] = useState(() => defaultCamera(world));
+  const [w, h] = size;
+
+  useEffect(() => setCamera(defaultCamera(world)), [world]);
+
+  useEffect(() => {
+    const c = canvasRef.current;
+    if (!c) return;
+    let press = null; // last pointer position while the button is down
+    let dragged = false;
+
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = c.getBoundingClientRect();
+      const factor = Math.exp(-e.deltaY * WHEEL_ZOOM);
+      setCamera((cam) => zoomAt(cam, w, h, world, e.clientX - rect.left, e.clientY - rect.top, factor));
+    };
+    const onDown = (e) => {
+      if (e.button !== 0) return;
+      press = { x: e.clientX, y: e.clientY };
+      dragged = false;
+    };
+    const onMove = (e) => {
+      if (!press) return;
+      const dx = e.clientX - press.x;
+      const dy = e.clientY - press.y;
+      if (!dragged && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      dragged = true;
+      c.style.cursor = "grabbing";
+      press = { x: e.clientX, y: e.clientY };
+      setCamera((cam) => panBy(cam, w, h, world, dx, dy));
+    };
+    const onUp = () => {
+      press = null;
+      c.style.cursor = "";
+    };
+    const onClick = (e) => {
+      if (!dragged) return;
+      dragged = false;
+      e.stopImmediatePropagation();
+    };
+
+    c.addEventListener("wheel", onWheel, { passive: false });
+    c.addEventListener("pointerdown", onDown);
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    c.addEventListener("click", onClick, true);
+    return () => {
+      c.removeEventListener("wheel", onWheel);
+      c.removeEventListener("pointerdown", onDown);
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      c.removeEventListener("click", onClick, true);
+    };
+  }, [canvasRef, w, h, world]);
+
+  return { camera, setCamera, view: cameraView(w, h, world, camera) };
+}
@@ -0,0 +1,19 @@
+import { useEffect, useRef } from "react";
+
+// Sizes a <canvas> for the device pixel ratio and returns its ref.
+export function useCanvas(size) {
+  const canvasRef = useRef(null);
+  useEffect(() => {
+    const c = canvasRef.current;
+    if (!c) return;
+    const ctx = c.getContext("2d");
+    const dpr = window.devicePixelRatio || 1;
+    const [w, h] = size;
+    c.width = Math.floor(w * dpr);
+    c.height = Math.floor(h * dpr);
+    c.style.width = w + "px";
+    c.style.height = h + "px";
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }, [size[0], size[1]]);
+  return canvasRef;
+}
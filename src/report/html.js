@@ -0,0 +1,133 @@
+/**
+ * Report rendering shared by the in-game debrief and the HTML export.
+ * ------------------------------------------------------
+ * `timelineSvg` draws the infected / risk / uptime / energy lanes of a report as plain
+ * SVG markup, so the same chart shows on screen and in the printable page.
+ */
+
+import { ENERGY_MAX } from "../sim/constants.js";
+import { ACTIONS } from "../sim/actions.js";
+import { formatSeed } from "../sim/seed.js";
+
+export const LANES = [
+  { key: "infected", label: "Infected", color: "#ef4444" },
+  { key: "risk", label: "Risk", color: "#f59e0b" },
+  { key: "uptime", label: "Uptime", color: "#38bdf8" },
+  { key: "energy", label: "Energy", color: "#10b981" },
+];
+
+const esc = (v) => String(v).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+export const fmtClock = (t) => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, "0")}`;
+
+export function timelineSvg(report, { width = 720, laneHeight = 56, ink = "#cbd5e1" } = {}) {
+  const padL = 64;
+  const padR = 8;
+  const gap = 10;
+  const marks = 18;
+  const plotW = width - padL - padR;
+  const height = LANES.length * (laneHeight + gap) + marks;
+  const end = Math.max(1, report.duration);
+  const x = (t) => padL + (t / end) * plotW;
+  const max = {
+    infected: Math.max(1, ...report.series.map((p) => p.infected)),
+    risk: 1,
+    uptime: 1,
+    energy: ENERGY_MAX,
+  };
+
+  const parts = [];
+  LANES.forEach((lane, i) => {
+    const top = i * (laneHeight + gap);
+    const y = (v) => top + laneHeight - (v / max[lane.key]) * laneHeight;
+    const pts = report.series.map((p) => `${x(p.t).toFixed(1)},${y(p[lane.key]).toFixed(1)}`).join(" ");
+    parts.push(
+      `<rect x="${padL}" y="${top}" width="${plotW}" height="${laneHeight}" fill="none" stroke="${ink}" stroke-opacity="0.2"/>`,
+      `<text x="${padL - 6}" y="${top + 14}" text-anchor="end" font-size="11" fill="${lane.color}">${lane.label}</text>`,
+      `<text x="${padL - 6}" y="${top + laneHeight - 2}" text-anchor="end" font-size="9" fill="${ink}" fill-opacity="0.6">max ${max[lane.key] === 1 && lane.key !== "infected" ? "100%" : max[lane.key]}</text>`,
+      `<polyline points="${pts}" fill="none" stroke="${lane.color}" stroke-width="1.5"/>`,
+    );
+  });
+
+  // one tick per action press along the bottom; blocked presses are hollow
+  const base = LANES.length * (laneHeight + gap);
+  for (const a of report.actions) {
+    const cx = x(a.t).toFixed(1);
+    const title = `${fmtClock(a.t)} ${ACTIONS[a.type].label}${a.target ? ` → ${a.target}` : ""}${a.blocked ? ` (blocked: ${a.blocked})` : ""}`;
+    parts.push(a.blocked
+      ? `<circle cx="${cx}" cy="${base + 6}" r="2.5" fill="none" stroke="${ink}" stroke-opacity="0.5"><title>${esc(title)}</title></circle>`
+      : `<line x1="${cx}" x2="${cx}" y1="0" y2="${base + 10}" stroke="${ink}" stroke-opacity="0.12"/><circle cx="${cx}" cy="${base + 6}" r="3" fill="${ink}"><title>${esc(title)}</title></circle>`);
+  }
+  parts.push(`<text x="${padL - 6}" y="${base + 9}" text-anchor="end" font-size="9" fill="${ink}" fill-opacity="0.6">actions</text>`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" font-family="ui-sans-serif, system-ui, sans-serif">${parts.join("")}</svg>`;
+}
+
+// Human-readable rows for the stats block.
+export function statRows(report) {
+  const st = report.stats;
+  return [
+    ["Difficulty", report.difficulty?.name ?? "—"], // reports from before presets have none
+    ["Mean time to contain", st.meanTimeToContain == null ? "—" : `${st.meanTimeToContain}s`],
+    ["Nodes cleaned", st.nodesCleaned],
+    ["Honeypot catches", st.honeypotCatches],
+    ["Blocked presses", st.blockedPresses],
+    ["Energy wasted on cooldowns", `${st.energyWasted}⚡`],
+    ["Peak infected", st.peakInfected],
+    ["Peak risk", `${Math.round(st.peakRisk * 100)}%`],
+    ["Mean uptime", `${Math.round(st.meanUptime * 100)}%`],
+  ];
+}
+
+// Where the score came from, as [label, points] rows (empty for reports from before the breakdown).
+export function scoreRows(report) {
+  return (report.result.breakdown ?? []).map((p) => [p.label, p.points > 0 ? `+${p.points}` : `${p.points}`]);
+}
+
+// Standalone, print-friendly page for the report.
+export function reportHtml(report) {
+  const won = report.result.status === "won";
+  const rows = statRows(report).map(([k, v]) => `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join("");
+  const score = scoreRows(report).map(([k, v]) => `<tr><th>${esc(k)}</th><td>${esc(v)}</td></tr>`).join("");
+  const entries = report.entryPoints.map((e) => `<li>${esc(e.name)} <span class="dim">at ${fmtClock(e.t)}</span></li>`).join("");
+  const paths = report.criticalPaths.length
+    ? report.criticalPaths.map((p) => `<li><b>${esc(p.name)}</b> at ${fmtClock(p.t)}: ${p.path.map(esc).join(" → ")}</li>`).join("")
+    : "<li>No critical node was compromised.</li>";
+  const actions = report.actions.map((a) => `<tr${a.blocked ? ' class="dim"' : ""}><td>${fmtClock(a.t)}</td><td>${esc(ACTIONS[a.type].label)}</td><td>${esc(a.target ?? "—")}</td><td>${a.blocked ? `blocked (${esc(a.blocked)})` : ""}</td></tr>`).join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>CYBERGRID after-action report · ${esc(formatSeed(report.seed))}</title>
+<style>
+  body { font: 14px/1.45 ui-sans-serif, system-ui, sans-serif; color: #0f172a; max-width: 820px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.4rem; margin: 0 0 .25rem; letter-spacing: .05em; }
+  h2 { font-size: 1rem; margin: 1.5rem 0 .5rem; text-transform: uppercase; letter-spacing: .1em; color: #475569; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: .2rem .5rem; border-bottom: 1px solid #e2e8f0; }
+  th { font-weight: 600; }
+  .stats th { width: 40%; }
+  .won { color: #047857; } .lost { color: #be123c; } .dim { color: #94a3b8; }
+  @media print { h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>After-action report</h1>
+<div><b class="${won ? "won" : "lost"}">${won ? "Containment achieved" : "Containment failure"}</b> · score ${report.result.score} · ${fmtClock(report.duration)} played</div>
+<div class="dim">Seed ${esc(formatSeed(report.seed))}${report.scenario ? ` · ${esc(report.scenario)}` : ""} · adversary: ${esc(report.adversary.name)}</div>
+<div class="dim">Objective: ${esc(report.objective)}</div>
+<h2>Timeline</h2>
+${timelineSvg(report, { ink: "#334155" })}
+<h2>Stats</h2>
+<table class="stats">${rows}</table>
+${score ? `<h2>Score</h2>\n<table class="stats">${score}</table>\n` : ""}<h2>Patient zero</h2>
+<ul>${entries}</ul>
+<h2>Paths to critical nodes</h2>
+<ul>${paths}</ul>
+<h2>Actions</h2>
+<table><tr><th>Time</th><th>Action</th><th>Target</th><th></th></tr>${actions}</table>
+</body>
+</html>
+`;
+}
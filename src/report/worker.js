@@ -0,0 +1,15 @@
+/**
+ * Builds after-action reports off the main thread: the report replays the
+ * whole recording, which takes seconds on an enterprise-size network.
+ * Post a recording, get the report (or { error }) back.
+ */
+
+import { buildReport } from "../sim/report.js";
+
+self.onmessage = ({ data: rec }) => {
+  try {
+    self.postMessage(buildReport(rec));
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Bundled scenarios.
+ * ------------------------------------------------------
+ * Every JSON file in this folder, sorted by file name.
+ */
+
+const files = import.meta.glob("./*.json", { eager: true, import: "default" });
+
+export const SCENARIOS = Object.keys(files)
+  .sort()
+  .map((path) => files[path]);
+
+export function findScenario(id) {
+  return SCENARIOS.find((s) => s.id === id) ?? null;
+}
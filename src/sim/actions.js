@@ -0,0 +1,269 @@
+/**
+ * Action registry.
+ * ------------------------------------------------------
+ * Every defender action is one entry here; the engine, hotkeys, buttons,
+ * tooltips and the help panel are all driven from this table. An entry has:
+ *
+ *   key, label, desc, help      hotkey, button text, tooltip, help-panel line
+ *   cost, cooldown              energy and milliseconds between uses
+ *   target                      "node" | "area" (node + neighbours) | "edge" | "global"
+ *   duration                    seconds the action stays in effect (optional)
+ *   available(rules)            false hides the action for this round (optional)
+ *   apply(s, target, rand)      immediate effect on the engine's draft state; `target`
+ *                               is the node, or the (copied) link for edge actions
+ *   mods: { spread }            multipliers while in effect, or functions of the
+ *                               round's rules returning one (optional)
+ *   spread(s, fx, src, dst)     per-link spread multiplier while in effect (optional)
+ *   infect(s, fx, src, dst)     called for each infection while in effect (optional)
+ *   end(s, fx)                  called once when the effect runs out (optional)
+ *
+ * Timed effects live in `s.effects` as `{ id, type, node, edge, until }`, where
+ * `edge` is the `[a, b]` node pair of the link an edge action was aimed at.
+ * Hooks push their own log lines to `s.messages`; the engine handles
+ * validation, energy, cooldowns and the trace. A round's rules may override
+ * `cost` and `cooldown` per action (`rules.costs`, `rules.cooldowns`); read
+ * them through `actionCost` and `actionCooldown`.
+ */
+
+import { CREDRESET_DURATION, RATELIMIT_DURATION, RESTORE_DURATION, SWEEP_DURATION, TAP_DURATION } from "./constants.js";
+import { markCleaned, revealAll, revealNode } from "./fog.js";
+
+const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+const linkName = (s, e) => `${s.nodes[e.a].name} ↔ ${s.nodes[e.b].name}`;
+
+// Whether link `e` joins nodes `a` and `b`, in either direction.
+export const sameLink = (e, a, b) => (e.a === a && e.b === b) || (e.a === b && e.b === a);
+
+// Whether a spread attempt from `src` to `dst` runs over the link an effect targets.
+const crosses = (fx, src, dst) => fx.edge != null && sameLink({ a: fx.edge[0], b: fx.edge[1] }, src.id, dst.id);
+
+export const ACTIONS = {
+  isolate: {
+    key: "q",
+    label: "Isolate",
+    cost: 18,
+    cooldown: 1200, // ms
+    target: "node",
+    desc: "Toggle quarantine. Severs links, halts spread from/to node.",
+    help: "buys time but takes the node offline, along with every service that depends on it (dashed lines from the selected node). Downtime lowers Uptime. Toggle again to rejoin.",
+    apply(s, n) {
+      n.isolated = !n.isolated;
+      s.messages.push(`Node #${n.id} toggled isolation.`);
+    },
+  },
+  patch: {
+    key: "w",
+    label: "Patch",
+    cost: 24,
+    cooldown: 1400,
+    target: "node",
+    desc: "Hardens node and cleans infection over time.",
+    help: "hardens a node and will clean infection over time.",
+    apply(s, n) {
+      n.patched = clamp(n.patched + 0.6, 0, 1);
+      s.messages.push(`Patching ${n.name}… hardening applied.`);
+    },
+  },
+  honeypot: {
+    key: "e",
+    label: "Honeypot",
+    cost: 28,
+    cooldown: 4000,
+    target: "node",
+    desc: "Baits attacker. Slight global slowdown while active.",
+    help: "lures attacks and slightly slows global spread.",
+    apply(s, n) {
+      n.honeypot = !n.honeypot;
+      s.messages.push(`${n.name} honeypot toggled.`);
+    },
+  },
+  sweep: {
+    key: "r",
+    label: "IDS Sweep",
+    cost: 36,
+    cooldown: 12000,
+    target: "global",
+    duration: SWEEP_DURATION,
+    desc: `Network-wide scan. Heavily reduces spread for ${SWEEP_DURATION}s and exposes hidden infections.`,
+    help: `slashes spread rates for ${SWEEP_DURATION} seconds.`,
+    mods: { spread: (rules) => rules.sweepSpread },
+    apply(s) {
+      s.messages.push(`IDS sweep engaged — spread rate massively reduced for ${SWEEP_DURATION}s.`);
+      const evaded = s.red != null && s.time < s.red.evadeUntil; // hot-seat attacker (see attacker.js)
+      const exposed = s.rules.fog && !evaded ? revealAll(s) : 0;
+      if (exposed) s.messages.push(`🔎 Sweep exposed ${exposed} hidden infection${exposed > 1 ? "s" : ""}.`);
+    },
+  },
+  scan: {
+    key: "t",
+    label: "Scan",
+    cost: 10,
+    cooldown: 800,
+    target: "node",
+    desc: "Deep-scan one node: confirms a hidden infection or clears suspicion.",
+    help: "confirms or clears one node when fog of war hides infections.",
+    available: (rules) => rules.fog, // only useful with fog of war
+    apply(s, n) {
+      revealNode(s, n);
+      s.messages.push(n.infected ? `🔎 Scan: ${n.name} is INFECTED.` : `Scan: ${n.name} is clean.`);
+    },
+  },
+  restore: {
+    key: "a",
+    label: "Backup Restore",
+    cost: 32,
+    cooldown: 10000,
+    target: "node",
+    duration: RESTORE_DURATION,
+    desc: `Reimage a node from backup: instantly clean, but offline for ${RESTORE_DURATION}s while it restores.`,
+    help: `wipes an infection at once, but the node and its dependents are down for ${RESTORE_DURATION} seconds.`,
+    apply(s, n) {
+      if (n.infected) {
+        n.infected = false;
+        n.persistent = false;
+        n.cleanProg = 0;
+        markCleaned(s, n);
+        s.trace.push({ kind: "clean", node: n.id });
+      }
+      n.restoring = true;
+      s.messages.push(`Restoring ${n.name} from backup…`);
+    },
+    end(s, fx) {
+      // a second restore of the same node (rules can shorten the cooldown) keeps it down
+      const again = s.effects.some((o) => o !== fx && o.type === "restore" && o.node === fx.node && s.time < o.until);
+      if (again) return;
+      s.nodes[fx.node].restoring = false;
+      s.messages.push(`✔ ${s.nodes[fx.node].name} is back online.`);
+    },
+  },
+  hunt: {
+    key: "s",
+    label: "Threat Hunt",
+    cost: 30,
+    cooldown: 9000,
+    target: "area",
+    desc: "Hunt through a node and its neighbours: exposes hidden infections and speeds up their cleanup.",
+    help: "sweeps the selected node and its neighbours, revealing and half-cleaning any infection found.",
+    apply(s, n) {
+      const area = new Set([n.id]);
+      for (const e of s.edges) {
+        if (e.a === n.id) area.add(e.b);
+        if (e.b === n.id) area.add(e.a);
+      }
+      let found = 0;
+      for (const id of area) {
+        const m = s.nodes[id];
+        if (s.rules.fog) revealNode(s, m);
+        if (!m.infected) continue;
+        m.cleanProg = Math.max(m.cleanProg, s.rules.cleanTime * 0.5);
+        m.patched = Math.max(m.patched, 0.2);
+        found++;
+      }
+      s.messages.push(`Threat hunt around ${n.name}: ${found} infection${found === 1 ? "" : "s"} found in ${area.size} nodes.`);
+    },
+  },
+  credreset: {
+    key: "d",
+    label: "Credential Reset",
+    cost: 30,
+    cooldown: 20000,
+    target: "global",
+    duration: CREDRESET_DURATION,
+    desc: `Force a password reset: spread into critical nodes drops sharply for ${CREDRESET_DURATION}s and credential bursts end.`,
+    help: `protects critical nodes for ${CREDRESET_DURATION} seconds and stops any credential burst.`,
+    apply(s) {
+      s.activeEvents = s.activeEvents.map((ev) => (ev.type === "credburst" ? { ...ev, until: s.time } : ev));
+      s.messages.push("Credentials reset — attackers lose their stolen logins to critical systems.");
+    },
+    spread(s, fx, src, dst) {
+      return dst.critical ? 0.3 : 1;
+    },
+  },
+  block: {
+    key: "f",
+    label: "Block Link",
+    cost: 12,
+    cooldown: 1000,
+    target: "edge",
+    desc: "Toggle a firewall rule on one link. Nothing spreads across it, but services lose that path too.",
+    help: "firewalls the selected link: spread stops there, but so does traffic, which can cost uptime. Toggle again to reopen.",
+    apply(s, e) {
+      e.blocked = !e.blocked;
+      s.messages.push(`Link ${linkName(s, e)} ${e.blocked ? "blocked" : "reopened"}.`);
+    },
+  },
+  ratelimit: {
+    key: "g",
+    label: "Rate-limit",
+    cost: 14,
+    cooldown: 3000,
+    target: "edge",
+    duration: RATELIMIT_DURATION,
+    desc: `Throttle one link for ${RATELIMIT_DURATION}s. Spread across it drops to a quarter while traffic keeps flowing.`,
+    help: `throttles the selected link for ${RATELIMIT_DURATION} seconds without taking anything offline.`,
+    apply(s, e) {
+      s.messages.push(`Rate-limiting ${linkName(s, e)} for ${RATELIMIT_DURATION}s.`);
+    },
+    spread(s, fx, src, dst) {
+      return crosses(fx, src, dst) ? 0.25 : 1;
+    },
+  },
+  tap: {
+    key: "h",
+    label: "Network Tap",
+    cost: 10,
+    cooldown: 2000,
+    target: "edge",
+    duration: TAP_DURATION,
+    desc: `Mirror one link's traffic for ${TAP_DURATION}s. Any infection crossing it is detected at once.`,
+    help: `watches the selected link for ${TAP_DURATION} seconds and exposes any infection that crosses it.`,
+    available: (rules) => rules.fog, // detection only matters with fog of war
+    apply(s, e) {
+      s.messages.push(`Tap placed on ${linkName(s, e)}.`);
+    },
+    infect(s, fx, src, dst) {
+      if (crosses(fx, src, dst) && revealNode(s, dst)) s.messages.push(`📡 Tap caught ${src.name} compromising ${dst.name}.`);
+    },
+  },
+};
+
+export const ACTION_IDS = Object.keys(ACTIONS);
+
+// Energy and cooldown (ms) of an action under a round's rules.
+export const actionCost = (rules, name) => rules.costs?.[name] ?? ACTIONS[name].cost;
+export const actionCooldown = (rules, name) => rules.cooldowns?.[name] ?? ACTIONS[name].cooldown;
+
+// Whether an action needs a selected node.
+export const targetsNode = (def) => def.target === "node" || def.target === "area";
+
+// Drops effects that have run out, calling their `end` hooks.
+export function updateEffects(s) {
+  for (const fx of s.effects) if (s.time >= fx.until) ACTIONS[fx.type].end?.(s, fx);
+  s.effects = s.effects.filter((fx) => s.time < fx.until);
+}
+
+// Product of one modifier (e.g. "spread") over the running effects.
+export function effectModifier(s, key) {
+  let f = 1;
+  for (const fx of s.effects) {
+    const mod = ACTIONS[fx.type].mods?.[key] ?? 1;
+    f *= typeof mod === "function" ? mod(s.rules) : mod;
+  }
+  return f;
+}
+
+export function effectSpread(s, src, dst) {
+  let f = 1;
+  for (const fx of s.effects) f *= ACTIONS[fx.type].spread?.(s, fx, src, dst) ?? 1;
+  return f;
+}
+
+// Runs the `infect` hooks after `src` has just compromised `dst`.
+export function effectInfect(s, src, dst) {
+  for (const fx of s.effects) ACTIONS[fx.type].infect?.(s, fx, src, dst);
+}
+
+// Seconds left on the latest running effect of `type` (0 if none).
+export function effectTimeLeft(s, type) {
+  return s.effects.reduce((t, fx) => (fx.type === type ? Math.max(t, fx.until - s.time) : t), 0);
+}
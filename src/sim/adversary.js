@@ -0,0 +1,235 @@
+/**
+ * Adversary profiles.
+ * ------------------------------------------------------
+ * The attacker behind an outbreak. One profile is picked per run (by id, or
+ * from the seed when the rules say "random") and stays hidden until the
+ * post-game report. A profile is a bag of optional hooks the engine calls:
+ *
+ *   tempo                     multiplier on the round's base spread rate
+ *   lure                      spread multiplier towards honeypot nodes
+ *   stealth                   fog of war dwell-time multiplier (higher hides longer)
+ *   human                     played by a second player in hot-seat mode; never picked at random
+ *   init(s, rand)             set up the profile's memory in `s.adversary`
+ *   setup(s, rand)            place the initial foothold (generated networks only)
+ *   tick(s, dt, rand)         per-tick decisions: planning, phase changes, jumps
+ *   spread(s, src, dst)       extra multiplier for one src → dst attempt
+ *   react(s, type, node, rand) response to a defender action that just landed
+ *   onInfect(s, node)         a node was just compromised
+ *
+ * All hooks work on the engine's draft state and keep their memory in
+ * `s.adversary`, so the whole attacker stays serializable and deterministic.
+ */
+
+export const RANDOM_ADVERSARY = "random";
+export const HUMAN_ADVERSARY = "operator";
+const INSIDER_REENTRY = 25; // least seconds between the insider's fresh footholds
+
+// ------------------------- Graph helpers -------------------------
+function adjacency(s) {
+  const adj = s.nodes.map(() => []);
+  for (const e of s.edges) {
+    adj[e.a].push(e.b);
+    adj[e.b].push(e.a);
+  }
+  return adj;
+}
+
+// Multi-source BFS; returns hop distance per node (Infinity when unreachable).
+function distances(s, sources, adj, passable = () => true) {
+  const dist = s.nodes.map(() => Infinity);
+  const queue = [];
+  for (const id of sources) {
+    dist[id] = 0;
+    queue.push(id);
+  }
+  for (let i = 0; i < queue.length; i++) {
+    const u = queue[i];
+    for (const v of adj[u]) {
+      if (dist[v] === Infinity && passable(s.nodes[v])) {
+        dist[v] = dist[u] + 1;
+        queue.push(v);
+      }
+    }
+  }
+  return dist;
+}
+
+function infectOnly(s, ids) {
+  for (const n of s.nodes) {
+    n.infected = false;
+    n.lastInfectAt = -1e9;
+  }
+  for (const id of ids) {
+    s.nodes[id].infected = true;
+    s.nodes[id].lastInfectAt = 0;
+  }
+}
+
+const pick = (list, rand) => list[Math.floor(rand() * list.length)];
+
+// ------------------------- Profiles -------------------------
+export const ADVERSARIES = {
+  commodity: {
+    name: "Commodity Malware",
+    desc: "Opportunistic malware spreading along whatever links it finds. No plan, no patience.",
+    tempo: 1,
+    lure: 1.3,
+    stealth: 1,
+  },
+
+  worm: {
+    name: "Self-propagating Worm",
+    desc: "Fast and noisy. Hammers every reachable neighbour and falls hard for honeypots.",
+    tempo: 1.3,
+    lure: 1.8,
+    stealth: 0.4,
+    setup(s, rand) {
+      const extra = pick(s.nodes.filter((n) => !n.critical && !n.infected), rand);
+      if (extra) {
+        extra.infected = true;
+        extra.lastInfectAt = 0;
+      }
+    },
+  },
+
+  apt: {
+    name: "Stealthy APT",
+    desc: "Starts far from the crown jewels and walks the shortest path towards critical nodes. Avoids honeypots; goes quiet and re-plans when cut off.",
+    tempo: 0.9,
+    lure: 0.35,
+    stealth: 2,
+    init(s) {
+      s.adversary.nextHops = [];
+      s.adversary.replanAt = 0;
+      s.adversary.quietUntil = -1;
+    },
+    setup(s, rand) {
+      // foothold on the periphery: a node as far from every critical asset as possible
+      const adj = adjacency(s);
+      const dist = distances(s, s.nodes.filter((n) => n.critical).map((n) => n.id), adj);
+      const reachable = s.nodes.filter((n) => !n.critical && Number.isFinite(dist[n.id]));
+      if (!reachable.length) return;
+      const far = Math.max(...reachable.map((n) => dist[n.id]));
+      infectOnly(s, [pick(reachable.filter((n) => dist[n.id] === far), rand).id]);
+    },
+    tick(s) {
+      const mem = s.adversary;
+      if (s.time < mem.replanAt) return;
+      mem.replanAt = s.time + 1;
+      // distance of every node to the nearest uninfected critical, through non-isolated nodes
+      const adj = adjacency(s);
+      const targets = s.nodes.filter((n) => n.critical && !n.infected && !n.isolated).map((n) => n.id);
+      const dist = distances(s, targets, adj, (n) => !n.isolated);
+      // next hop: uninfected neighbours of the infected frontier that step closer to a target
+      const hops = new Set();
+      for (const n of s.nodes) {
+        if (!n.infected || n.isolated) continue;
+        for (const v of adj[n.id]) {
+          if (!s.nodes[v].infected && dist[v] < dist[n.id]) hops.add(v);
+        }
+      }
+      mem.nextHops = [...hops];
+    },
+    spread(s, src, dst) {
+      const mem = s.adversary;
+      if (s.time < mem.quietUntil) return 0;
+      return mem.nextHops.includes(dst.id) ? 3.5 : 0.25;
+    },
+    react(s, type, node) {
+      if (type === "isolate" && node?.isolated) {
+        s.adversary.quietUntil = s.time + 4;
+        s.adversary.replanAt = s.time + 4;
+      }
+    },
+  },
+
+  ransomware: {
+    name: "Ransomware Crew",
+    desc: "Stages quietly and slowly, then detonates into a rapid encryption wave. Isolating staged hosts spooks it into detonating early; honeypots stall the staging.",
+    tempo: 1,
+    lure: 1.2,
+    stealth: 1.5,
+    init(s, rand) {
+      s.adversary.detonateAt = s.rules.startTime * (0.35 + rand() * 0.2);
+      s.adversary.detonated = false;
+    },
+    tick(s) {
+      const mem = s.adversary;
+      if (!mem.detonated && s.time >= mem.detonateAt) {
+        mem.detonated = true;
+        s.messages.push("💥 Mass encryption event detected — spread is accelerating!");
+        // encrypted hosts announce themselves
+        for (const n of s.nodes) if (n.infected) n.detected = true;
+      }
+    },
+    spread(s) {
+      return s.adversary.detonated ? 2.6 : 0.5;
+    },
+    react(s, type, node) {
+      const mem = s.adversary;
+      if (!mem.detonated && type === "isolate" && node?.isolated && node.infected) {
+        mem.detonateAt = Math.min(mem.detonateAt, s.time + 5);
+      }
+    },
+    onInfect(s, node) {
+      const mem = s.adversary;
+      if (!mem.detonated && node.honeypot) mem.detonateAt += 8;
+    },
+  },
+
+  insider: {
+    name: "Malicious Insider",
+    desc: `Starts right next to a critical system with valid credentials. Goes straight for critical assets and ignores bait. Cutting off every foothold never ends it: it logs back in from a fresh host, at most once every ${INSIDER_REENTRY}s, for the whole round.`,
+    tempo: 0.8,
+    lure: 0.2,
+    stealth: 1.6,
+    init(s) {
+      s.adversary.jumpReadyAt = 0;
+    },
+    setup(s, rand) {
+      const adj = adjacency(s);
+      const nearCritical = s.nodes.filter((n) => !n.critical && adj[n.id].some((v) => s.nodes[v].critical));
+      const start = pick(nearCritical.length ? nearCritical : s.nodes.filter((n) => !n.critical), rand);
+      infectOnly(s, [start.id]);
+    },
+    tick(s, dt, rand) {
+      const mem = s.adversary;
+      if (s.time < mem.jumpReadyAt) return;
+      const active = s.nodes.some((n) => n.infected && !n.isolated);
+      if (active) return;
+      // every foothold is isolated: reuse credentials from another host beside a critical node
+      const adj = adjacency(s);
+      const hosts = s.nodes.filter((n) => !n.critical && !n.infected && !n.isolated
+        && adj[n.id].some((v) => s.nodes[v].critical));
+      if (!hosts.length) return;
+      const host = pick(hosts, rand);
+      host.infected = true;
+      host.lastInfectAt = s.time;
+      host.infectedBy = null;
+      host.detected = true;
+      s.trace.push({ kind: "infect", node: host.id, from: null });
+      mem.jumpReadyAt = s.time + INSIDER_REENTRY;
+      s.messages.push(`⚠ Valid credentials used from an unexpected host: ${host.name}.`);
+    },
+    spread(s, src, dst) {
+      return dst.critical ? 2.2 : 0.6;
+    },
+  },
+
+  operator: {
+    name: "Human Operator",
+    desc: "A second player at the keyboard, choosing every exploit and lateral move by hand. The background outbreak runs slower; the rest is up to them.",
+    human: true,
+    tempo: 0.6,
+    lure: 1,
+    stealth: 1,
+  },
+};
+
+// Profiles the seed may pick from (and scenarios may name).
+export const ADVERSARY_IDS = Object.keys(ADVERSARIES).filter((id) => !ADVERSARIES[id].human);
+
+export function pickAdversary(id, rand) {
+  if (id && id !== RANDOM_ADVERSARY) return id;
+  return ADVERSARY_IDS[Math.floor(rand() * ADVERSARY_IDS.length)];
+}
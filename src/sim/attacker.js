@@ -0,0 +1,165 @@
+/**
+ * Hot-seat attacker.
+ * ------------------------------------------------------
+ * With `rules.versus` on, a second player takes the adversary's seat: the
+ * background outbreak runs under the passive "operator" profile (see
+ * adversary.js) and the red player pushes it along with the actions below.
+ * Red has its own energy pool and cooldowns in `s.red`; both sides act on the
+ * same graph through the same spread, cleaning and detection rules.
+ *
+ * An entry mirrors the defender registry in actions.js:
+ *
+ *   key, label, desc            hotkey, button text, tooltip
+ *   cost, cooldown              red energy and milliseconds between uses
+ *   target                      "node" | "global"
+ *   apply(s, node, rand)        runs on the engine's draft state; returns a reason
+ *                               string ("target", "failed") when the move does not land
+ *
+ * Red moves are sent to `step` like any other action (`{ type: "lateral", node }`)
+ * and leave `{ kind: "attack", type, node }` or `{ kind: "attack-blocked", type,
+ * node, reason }` in the trace.
+ */
+
+import { effectInfect } from "./actions.js";
+import { markInfected } from "./fog.js";
+
+export const RED_START_ENERGY = 60;
+export const RED_ENERGY_MAX = 100;
+export const RED_ENERGY_REGEN = 6; // per second
+export const PERSIST_FACTOR = 0.35; // cleaning speed on a node with persistence
+export const EVADE_DURATION = 10; // seconds
+
+// Lowest-id infected neighbour of `n` over an open link (not firewalled, neither
+// end isolated or restoring); only the links at `n` are looked at.
+function infectedNeighbour(s, n) {
+  if (n.isolated || n.restoring) return null;
+  let src = null;
+  for (const e of s.edges) {
+    if (e.blocked || (e.a !== n.id && e.b !== n.id)) continue;
+    const m = s.nodes[e.a === n.id ? e.b : e.a];
+    if (m.infected && !m.isolated && !m.restoring && (!src || m.id < src.id)) src = m;
+  }
+  return src;
+}
+
+function compromise(s, n, from) {
+  n.infected = true;
+  n.lastInfectAt = s.time;
+  n.infectedBy = from;
+  markInfected(s, n);
+  s.trace.push({ kind: "infect", node: n.id, from });
+}
+
+export const ATTACKS = {
+  exploit: {
+    key: "1",
+    label: "Exploit",
+    cost: 35,
+    cooldown: 8000,
+    target: "node",
+    desc: "Throw an exploit at any online node for a fresh foothold. Well-defended and patched nodes often shrug it off.",
+    apply(s, n, rand) {
+      if (n.infected || n.isolated || n.restoring) return "target";
+      const chance = (1 - n.security * 0.85) * (1 - n.patched * 0.7);
+      if (rand() >= chance) {
+        s.messages.push(`🛡 Exploit attempt against ${n.name} failed.`);
+        if (s.rules.fog) n.suspected = true;
+        return "failed";
+      }
+      compromise(s, n, null);
+      s.messages.push(`☠ ${n.name} exploited.`);
+    },
+  },
+  lateral: {
+    key: "2",
+    label: "Lateral Move",
+    cost: 20,
+    cooldown: 3000,
+    target: "node",
+    desc: "Move from an infected neighbour into this node over an open link. Always lands.",
+    apply(s, n) {
+      if (n.infected) return "target";
+      const src = infectedNeighbour(s, n);
+      if (!src) return "target";
+      compromise(s, n, src.id);
+      effectInfect(s, src, n); // a network tap still sees the hop
+      s.messages.push(`☠ Lateral movement: ${src.name} → ${n.name}.`);
+    },
+  },
+  persist: {
+    key: "3",
+    label: "Persist",
+    cost: 18,
+    cooldown: 4000,
+    target: "node",
+    desc: "Dig in on an infected node. Patch cleaning runs at a third of the speed until it is clean.",
+    apply(s, n) {
+      if (!n.infected || n.persistent) return "target";
+      n.persistent = true;
+      s.messages.push(`☠ Persistence planted on ${n.name}.`);
+    },
+  },
+  evade: {
+    key: "4",
+    label: "Evade Sweep",
+    cost: 25,
+    cooldown: 15000,
+    target: "global",
+    desc: `Go quiet for ${EVADE_DURATION}s: IDS sweeps neither slow the spread nor expose hidden infections.`,
+    apply(s) {
+      s.red.evadeUntil = s.time + EVADE_DURATION;
+      s.messages.push(`☠ The attacker is evading detection for ${EVADE_DURATION}s.`);
+    },
+  },
+};
+
+export const ATTACK_IDS = Object.keys(ATTACKS);
+
+// Whether a log line is one of red's own reports ("☠ …", "Attacker: …"),
+// which a fogged defender must not read.
+export const redMessage = (msg) => msg.startsWith("☠") || msg.startsWith("Attacker:");
+
+export function initRed(s) {
+  if (!s.rules.versus) return (s.red = null);
+  const cooldowns = {};
+  for (const name of ATTACK_IDS) cooldowns[name] = -1e9;
+  s.red = { energy: RED_START_ENERGY, cooldowns, evadeUntil: -1e9 };
+}
+
+// Whether IDS sweeps are being evaded right now.
+export const evading = (s) => s.red != null && s.time < s.red.evadeUntil;
+
+export function canAttack(s, name) {
+  const a = ATTACKS[name];
+  return s.red != null && s.red.energy >= a.cost && s.time - s.red.cooldowns[name] >= a.cooldown / 1000;
+}
+
+export function attackCooldownLeft(s, name) {
+  return Math.max(0, ATTACKS[name].cooldown / 1000 - (s.time - s.red.cooldowns[name]));
+}
+
+// Applies one red move to the (already copied) draft state.
+export function applyAttack(s, action, rand) {
+  const { type, node } = action;
+  const def = ATTACKS[type];
+  const block = (reason, msg) => {
+    s.trace.push({ kind: "attack-blocked", type, node: node ?? null, reason });
+    if (msg) s.messages.push(msg);
+  };
+  if (!s.red || s.hold) return block("unavailable", null); // a held round stops red too
+  if (def.target === "node" && (node == null || !s.nodes[node])) return block("target", "Attacker: select a target first.");
+  if (!canAttack(s, type)) return block(s.red.energy < def.cost ? "energy" : "cooldown", `Attacker: ${def.label} not ready.`);
+
+  const n = def.target === "node" ? s.nodes[node] : null;
+  const reason = def.apply(s, n, rand);
+  if (reason === "target") return block("target", `Attacker: ${def.label} has no valid target at ${n.name}.`);
+  // a failed exploit still costs the attempt
+  s.red.energy -= def.cost;
+  s.red.cooldowns[type] = s.time;
+  if (reason) return block(reason, null);
+  s.trace.push({ kind: "attack", type, node: n?.id ?? null });
+}
+
+export function regenRed(s, dt) {
+  if (s.red) s.red.energy = Math.min(RED_ENERGY_MAX, s.red.energy + RED_ENERGY_REGEN * dt);
+}
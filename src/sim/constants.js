@@ -0,0 +1,62 @@
+/**
+ * Gameplay constants shared by the simulation and the UI.
+ */
+
+export const NODES = 32; // total nodes in the grid
+export const CRITICAL_COUNT = 3;
+export const START_TIME = 180; // seconds to survive
+export const START_ENERGY = 70;
+export const BASE_THREAT = 0.085; // baseline spread rate (per second)
+export const ENERGY_MAX = 100;
+export const ENERGY_REGEN = 7; // per second
+export const CLEAN_TIME = 6.5; // seconds for a patched infected node to auto-clean
+export const SWEEP_DURATION = 8; // seconds an IDS sweep stays active
+export const SWEEP_SPREAD = 0.35; // spread multiplier while a sweep runs
+export const RESTORE_DURATION = 10; // seconds a node restored from backup stays offline
+export const CREDRESET_DURATION = 12; // seconds a credential reset shields critical nodes
+export const RATELIMIT_DURATION = 15; // seconds a rate-limited link stays throttled
+export const TAP_DURATION = 30; // seconds a network tap watches its link
+export const HONEYPOT_SLOW = 0.03; // global spread slowdown each honeypot adds
+export const HONEYPOT_SLOW_MAX = 0.25; // most global spread slowdown honeypots can add up to
+export const CRITICAL_RISK = 0.22; // Risk each infected critical node adds
+
+// Networks are laid out in fixed world units so a seed yields the same graph
+// on every screen; the renderer scales the world to fit the canvas.
+export const WORLD_WIDTH = 900;
+export const WORLD_HEIGHT = 560;
+export const WORLD_NODES = 64; // generated networks above this size get a larger world (see network.js)
+export const MAX_NODES = 10000; // largest generated network the engine and renderer are tuned for
+export const MIN_NODES = 6; // smallest generated network: room for critical assets and a breach away from them
+
+// Per-run rules. Scenarios and campaign missions override parts of this;
+// difficulty presets (see difficulty.js) set the tuning block.
+// `win.type`: "survive" (outlast the timer), "eradicate" (clear every infection
+// before it runs out) or "protect" (no critical node may be infected).
+// An optional `win.maxRisk` fails the round as soon as Risk exceeds it.
+export const DEFAULT_RULES = {
+  nodeCount: NODES,
+  criticalCount: CRITICAL_COUNT,
+  topology: "rings", // generated network shape (see topologies.js)
+  relayout: false, // tidy generated networks with a force-directed pass (see layout.js)
+  difficulty: "standard", // preset the tuning below came from, or "custom"
+  baseThreat: BASE_THREAT,
+  startTime: START_TIME,
+  startEnergy: START_ENERGY,
+  energyRegen: ENERGY_REGEN,
+  cleanTime: CLEAN_TIME,
+  sweepSpread: SWEEP_SPREAD,
+  honeypotSlow: HONEYPOT_SLOW,
+  honeypotSlowMax: HONEYPOT_SLOW_MAX,
+  criticalRisk: CRITICAL_RISK,
+  costs: null, // { [action id]: energy } overriding the registry's costs (see actions.js)
+  cooldowns: null, // { [action id]: ms } overriding the registry's cooldowns
+  actions: null, // allowed action ids; null allows every action in the registry (see actions.js)
+  win: { type: "survive" },
+  adversary: "random", // adversary profile id, or "random" to pick one from the seed
+  fog: false, // hide infections until detected (see fog.js)
+  sla: 0.6, // minimum rolling uptime before the round is lost; null disables (see uptime.js)
+  events: { rate: 1, pool: null, schedule: [] }, // outside events; null disables (see director.js)
+  versus: false, // a second player controls the attacker (see attacker.js)
+};
+
+export const WIN_TYPES = ["survive", "eradicate", "protect"];
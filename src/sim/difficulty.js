@@ -0,0 +1,133 @@
+/**
+ * Difficulty presets and round tuning.
+ * ------------------------------------------------------
+ * A preset is a named set of the engine's tuning rules (see DEFAULT_RULES):
+ * spread rate, energy, timers, the strength of sweeps, honeypots and critical
+ * infections, and per-action costs and cooldowns. "standard" is the defaults
+ * as they are. The rules panel starts from a preset and edits any of these;
+ * a ruleset that no longer matches a preset is "custom".
+ *
+ *   const tuning = difficultyTuning("veteran");
+ *   createGame({ seed, rules: tuningRules(tuning) });
+ *
+ * Scenarios keep their own timer and energy on top of whatever is chosen
+ * here, and campaign missions their threat rate as well.
+ */
+
+import { ACTIONS, ACTION_IDS } from "./actions.js";
+import { DEFAULT_RULES, ENERGY_MAX } from "./constants.js";
+
+// Bounds and labels for every numeric tuning rule, as the rules panel shows them.
+export const TUNING = {
+  baseThreat: { label: "Threat rate", unit: "/s", min: 0.01, max: 0.3, step: 0.005, help: "baseline spread rate along a link" },
+  startTime: { label: "Round length", unit: "s", min: 30, max: 600, step: 10, help: "seconds on the clock" },
+  startEnergy: { label: "Starting energy", unit: "", min: 0, max: ENERGY_MAX, step: 5, help: `out of ${ENERGY_MAX}` },
+  energyRegen: { label: "Energy regen", unit: "/s", min: 1, max: 20, step: 0.5, help: "energy gained per second" },
+  cleanTime: { label: "Clean time", unit: "s", min: 1, max: 20, step: 0.5, help: "how long a patched node takes to clean" },
+  sweepSpread: { label: "Sweep spread", unit: "×", min: 0, max: 1, step: 0.05, help: "spread multiplier while an IDS sweep runs" },
+  honeypotSlow: { label: "Honeypot slowdown", unit: "", min: 0, max: 0.1, step: 0.005, help: "global slowdown each honeypot adds" },
+  honeypotSlowMax: { label: "Honeypot slowdown cap", unit: "", min: 0, max: 0.6, step: 0.05, help: "most global slowdown honeypots can add up to" },
+  criticalRisk: { label: "Critical risk weight", unit: "", min: 0, max: 1, step: 0.01, help: "Risk each infected critical node adds" },
+};
+
+export const TUNING_KEYS = Object.keys(TUNING);
+
+// Action costs and cooldowns can be raised or lowered within these factors of the registry's.
+export const ACTION_TUNING = { minFactor: 0.25, maxFactor: 4 };
+
+// Registry cost or cooldown of every action, times `factor`.
+const scaled = (key, factor) => Object.fromEntries(ACTION_IDS.map((id) => [id, Math.round(ACTIONS[id][key] * factor)]));
+
+export const DIFFICULTIES = {
+  trainee: {
+    name: "Trainee",
+    desc: "Slow spread, cheap tools and plenty of energy. For learning the ropes.",
+    tuning: { baseThreat: 0.055, energyRegen: 9, startEnergy: 90, cleanTime: 5, sweepSpread: 0.25, honeypotSlowMax: 0.35, criticalRisk: 0.15, costs: scaled("cost", 0.8), cooldowns: scaled("cooldown", 0.8) },
+  },
+  analyst: {
+    name: "Analyst",
+    desc: "A gentler outbreak with a little more room for mistakes.",
+    tuning: { baseThreat: 0.07, energyRegen: 8, startEnergy: 80, cleanTime: 5.5, sweepSpread: 0.3, honeypotSlowMax: 0.3, criticalRisk: 0.18, costs: scaled("cost", 0.9), cooldowns: scaled("cooldown", 0.9) },
+  },
+  standard: {
+    name: "Responder",
+    desc: "The game as designed.",
+    tuning: {},
+  },
+  veteran: {
+    name: "Veteran",
+    desc: "Faster spread, slower cleanup and pricier tools.",
+    tuning: { baseThreat: 0.1, energyRegen: 6, startEnergy: 60, cleanTime: 7.5, sweepSpread: 0.45, honeypotSlowMax: 0.2, criticalRisk: 0.26, costs: scaled("cost", 1.1), cooldowns: scaled("cooldown", 1.15) },
+  },
+  redalert: {
+    name: "Red Alert",
+    desc: "An aggressive outbreak on a starved budget. Every click counts.",
+    tuning: { baseThreat: 0.125, energyRegen: 5, startEnergy: 50, cleanTime: 9, sweepSpread: 0.55, honeypotSlowMax: 0.15, criticalRisk: 0.3, costs: scaled("cost", 1.25), cooldowns: scaled("cooldown", 1.3) },
+  },
+};
+
+export const DIFFICULTY_IDS = Object.keys(DIFFICULTIES);
+export const DEFAULT_DIFFICULTY = DEFAULT_RULES.difficulty;
+
+// Display name of a rules.difficulty value.
+export const difficultyName = (id) => DIFFICULTIES[id]?.name ?? "Custom";
+
+// The full tuning of preset `id`: every TUNING rule plus complete cost and cooldown tables.
+export function difficultyTuning(id) {
+  const preset = DIFFICULTIES[id] ?? DIFFICULTIES[DEFAULT_DIFFICULTY];
+  const t = { ...pickTuning(DEFAULT_RULES), ...preset.tuning };
+  return {
+    ...t,
+    costs: { ...scaled("cost", 1), ...t.costs },
+    cooldowns: { ...scaled("cooldown", 1), ...t.cooldowns },
+    difficulty: DIFFICULTIES[id] ? id : DEFAULT_DIFFICULTY,
+  };
+}
+
+const pickTuning = (rules) => Object.fromEntries(TUNING_KEYS.map((k) => [k, rules[k]]));
+
+const sameTuning = (a, b) => TUNING_KEYS.every((k) => a[k] === b[k])
+  && ACTION_IDS.every((id) => a.costs[id] === b.costs[id] && a.cooldowns[id] === b.cooldowns[id]);
+
+// `tuning` with `patch` applied ({ [rule]: value } or { costs } / { cooldowns }
+// entries), clamped to the allowed bounds and re-labelled with the preset it
+// now matches, if any.
+export function editTuning(tuning, patch) {
+  const next = {
+    ...tuning,
+    ...patch,
+    costs: { ...tuning.costs, ...patch.costs },
+    cooldowns: { ...tuning.cooldowns, ...patch.cooldowns },
+  };
+  const out = normalizeTuning(next);
+  return { ...out, difficulty: DIFFICULTY_IDS.find((id) => sameTuning(out, difficultyTuning(id))) ?? "custom" };
+}
+
+// Fills gaps from the defaults and clamps everything into range, so saved or
+// hand-edited rulesets can't break a round.
+export function normalizeTuning(raw = {}) {
+  const base = difficultyTuning(DIFFICULTIES[raw.difficulty] ? raw.difficulty : DEFAULT_DIFFICULTY);
+  const clampTo = (v, min, max, fallback) => (typeof v === "number" && Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback);
+  const out = { difficulty: raw.difficulty === "custom" || DIFFICULTIES[raw.difficulty] ? raw.difficulty : DEFAULT_DIFFICULTY, costs: {}, cooldowns: {} };
+  for (const [k, { min, max }] of Object.entries(TUNING)) out[k] = clampTo(raw[k], min, max, base[k]);
+  const { minFactor, maxFactor } = ACTION_TUNING;
+  for (const id of ACTION_IDS) {
+    const { cost, cooldown } = ACTIONS[id];
+    out.costs[id] = Math.round(clampTo(raw.costs?.[id], Math.round(cost * minFactor), Math.min(ENERGY_MAX, Math.round(cost * maxFactor)), base.costs[id]));
+    out.cooldowns[id] = Math.round(clampTo(raw.cooldowns?.[id], Math.round(cooldown * minFactor), Math.round(cooldown * maxFactor), base.cooldowns[id]));
+  }
+  return out;
+}
+
+// createGame() rules for a tuning, leaving out whatever matches the defaults.
+export function tuningRules(tuning) {
+  const rules = {};
+  for (const k of TUNING_KEYS) if (tuning[k] !== DEFAULT_RULES[k]) rules[k] = tuning[k];
+  for (const table of ["costs", "cooldowns"]) {
+    const key = table === "costs" ? "cost" : "cooldown";
+    const changed = ACTION_IDS.filter((id) => tuning[table][id] !== ACTIONS[id][key]);
+    if (changed.length) rules[table] = Object.fromEntries(changed.map((id) => [id, tuning[table][id]]));
+  }
+  if (tuning.difficulty !== DEFAULT_DIFFICULTY) rules.difficulty = tuning.difficulty;
+  return rules;
+}
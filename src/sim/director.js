@@ -0,0 +1,180 @@
+/**
+ * Event director.
+ * ------------------------------------------------------
+ * Outside events that shake up a round for a while: a zero-day, a DDoS, an
+ * unexpected new link. `rules.events` configures them (null turns them off):
+ *
+ *   {
+ *     rate: 1,                              // random events per minute, on average
+ *     pool: ["zeroday", "ddos"],            // types random events draw from (null: all)
+ *     schedule: [{ at: 45, type: "ddos" }]  // fixed events, seconds into the round
+ *   }
+ *
+ * Running events live in `s.activeEvents` as `{ id, type, until, ... }`. The
+ * engine asks `eventModifier` for the patch and regen factors each tick and
+ * `eventSpread` for extra spread pressure; each event start leaves an
+ * `{ kind: "event", type, id }` entry in the step's trace.
+ */
+
+import { ENERGY_MAX } from "./constants.js";
+import { createSpatialIndex } from "./spatial.js";
+
+const SHADOW_TIER_GAP = 60; // shadow links join nodes at least this much further from the centre…
+const SHADOW_REACH = 260; // …and less than this far apart
+
+const pick = (list, rand) => list[Math.floor(rand() * list.length)];
+
+export const EVENTS = {
+  zeroday: {
+    name: "Zero-day disclosed",
+    icon: "☢",
+    desc: "patches are half as effective",
+    duration: 25,
+    mods: { patch: 0.5 },
+  },
+  newlink: {
+    name: "Shadow IT link",
+    icon: "🔗",
+    desc: "an unmanaged link has appeared between network tiers",
+    duration: 30,
+    start(s, ev, rand) {
+      const count = s.nodes.length;
+      const linked = new Set(s.edges.map((e) => Math.min(e.a, e.b) * count + Math.max(e.a, e.b)));
+      const cx = s.nodes.reduce((a, n) => a + n.x, 0) / count;
+      const cy = s.nodes.reduce((a, n) => a + n.y, 0) / count;
+      const depth = s.nodes.map((n) => Math.hypot(n.x - cx, n.y - cy));
+      // different tier (distance from the centre), but not across the whole
+      // map: only the neighbours within reach need checking, in id order
+      const index = createSpatialIndex(s.nodes);
+      const pairs = [];
+      for (const a of s.nodes) {
+        const near = index.within(a.x, a.y, SHADOW_REACH).filter((b) => b.id > a.id).sort((u, v) => u.id - v.id);
+        for (const b of near) {
+          if (Math.abs(depth[a.id] - depth[b.id]) <= SHADOW_TIER_GAP || Math.hypot(a.x - b.x, a.y - b.y) >= SHADOW_REACH) continue;
+          if (!linked.has(a.id * count + b.id)) pairs.push([a.id, b.id]);
+        }
+      }
+      if (!pairs.length) return false;
+      const [a, b] = pick(pairs, rand);
+      ev.edge = [a, b];
+      s.edges = [...s.edges, { a, b, w: 1.2, event: ev.id }];
+      return `${s.nodes[a].name} ↔ ${s.nodes[b].name}`;
+    },
+    end(s, ev) {
+      s.edges = s.edges.filter((e) => e.event !== ev.id);
+    },
+  },
+  hotfix: {
+    name: "Vendor hotfix",
+    icon: "🩹",
+    desc: "an emergency fix saved the team time: +25 energy",
+    duration: 4, // banner time only
+    instant: true,
+    start(s) {
+      s.energy = Math.min(ENERGY_MAX, s.energy + 25);
+    },
+  },
+  ddos: {
+    name: "DDoS in progress",
+    icon: "🌊",
+    desc: "the team is fighting fires: no energy regeneration",
+    duration: 15,
+    mods: { regen: 0 },
+  },
+  credburst: {
+    name: "Credential burst",
+    icon: "🔑",
+    desc: "stolen credentials are being sprayed at a critical system",
+    duration: 12,
+    start(s, ev, rand) {
+      const targets = s.nodes.filter((n) => n.critical && !n.infected);
+      if (!targets.length) return false;
+      ev.target = pick(targets, rand).id;
+      return s.nodes[ev.target].name;
+    },
+    spread(s, ev, src, dst) {
+      return dst.id === ev.target ? 4 : 1;
+    },
+  },
+};
+
+export const EVENT_TYPES = Object.keys(EVENTS);
+
+// Problems with a `rules.events` block, as readable strings.
+export function eventsIssues(cfg) {
+  if (cfg === null) return [];
+  if (!cfg || typeof cfg !== "object") return ["`events` must be an object like { \"rate\": 1 }, or null"];
+  const issues = [];
+  if (cfg.rate != null && (typeof cfg.rate !== "number" || !(cfg.rate >= 0))) issues.push("`events.rate` must be a number of events per minute, 0 or more");
+  if (cfg.pool != null) {
+    if (!Array.isArray(cfg.pool)) issues.push("`events.pool` must be a list of event types");
+    else for (const t of cfg.pool) if (!EVENTS[t]) issues.push(`\`events.pool\`: unknown event "${t}" (expected one of ${EVENT_TYPES.join(", ")})`);
+  }
+  if (cfg.schedule != null) {
+    if (!Array.isArray(cfg.schedule)) issues.push("`events.schedule` must be a list of { at, type }");
+    else cfg.schedule.forEach((e, i) => {
+      if (typeof e?.at !== "number" || e.at < 0) issues.push(`\`events.schedule[${i}].at\` must be a number of seconds, 0 or more`);
+      if (!EVENTS[e?.type]) issues.push(`\`events.schedule[${i}].type\`: unknown event "${e?.type}"`);
+    });
+  }
+  return issues;
+}
+
+export function initEvents(s) {
+  s.activeEvents = [];
+  s.eventSeq = 0;
+  s.scheduled = [...(s.rules.events?.schedule ?? [])].sort((a, b) => a.at - b.at);
+}
+
+function startEvent(s, type, rand) {
+  const def = EVENTS[type];
+  const ev = { id: ++s.eventSeq, type, until: s.time + def.duration };
+  const detail = def.start ? def.start(s, ev, rand) : null;
+  if (detail === false) return; // nothing to act on right now
+  s.activeEvents = [...s.activeEvents, ev];
+  s.trace.push({ kind: "event", type, id: ev.id });
+  s.messages.push(`${def.icon} ${def.name}${detail ? ` (${detail})` : ""}: ${def.desc}${def.instant ? "" : ` for ${def.duration}s`}.`);
+}
+
+// Expires finished events and starts scheduled or random ones.
+export function updateEvents(s, dt, rand) {
+  const cfg = s.rules.events;
+  if (!cfg) return;
+  for (const ev of s.activeEvents) {
+    if (s.time < ev.until) continue;
+    EVENTS[ev.type].end?.(s, ev);
+    if (!EVENTS[ev.type].instant) s.messages.push(`${EVENTS[ev.type].name} is over.`);
+  }
+  s.activeEvents = s.activeEvents.filter((ev) => s.time < ev.until);
+
+  const busy = (type) => s.activeEvents.some((ev) => ev.type === type);
+  while (s.scheduled.length && s.scheduled[0].at <= s.time) {
+    const [next, ...rest] = s.scheduled;
+    s.scheduled = rest;
+    if (!busy(next.type)) startEvent(s, next.type, rand);
+  }
+  const rate = cfg.rate ?? 1;
+  if (rate > 0 && rand() < (rate / 60) * dt) {
+    const pool = (cfg.pool ?? EVENT_TYPES).filter((t) => !busy(t));
+    if (pool.length) startEvent(s, pick(pool, rand), rand);
+  }
+}
+
+// Product of one modifier ("patch", "regen") over the running events.
+export function eventModifier(s, key) {
+  let f = 1;
+  for (const ev of s.activeEvents) f *= EVENTS[ev.type].mods?.[key] ?? 1;
+  return f;
+}
+
+export function eventSpread(s, src, dst) {
+  let f = 1;
+  for (const ev of s.activeEvents) f *= EVENTS[ev.type].spread?.(s, ev, src, dst) ?? 1;
+  return f;
+}
+
+// Seconds left on a running event, or 0 once it is over.
+export function eventTimeLeft(s, id) {
+  const ev = s.activeEvents.find((e) => e.id === id);
+  return ev ? Math.max(0, ev.until - s.time) : 0;
+}
@@ -0,0 +1,325 @@
+/**
+ * Headless simulation engine.
+ * ------------------------------------------------------
+ * All game rules live here, free of React and the DOM so they run the same in
+ * the browser and in Node. The engine is a pure state machine:
+ *
+ *   const s0 = createGame({ seed });                 // random network
+ *   const s0 = createGame({ seed, scenario });       // hand-authored network
+ *   const s0 = createGame({ seed, rules });          // tuned round (see DEFAULT_RULES)
+ *   const s1 = step(s0, TICK_DT, [{ type: "patch", node: 4 }]);
+ *   const s2 = step(s1, TICK_DT, [{ type: "block", edge: [4, 7] }]);   // link actions
+ *   const s3 = step(s2, TICK_DT, [{ type: "lateral", node: 9 }]);      // hot-seat attacker
+ *
+ * `step` never mutates its input. Every stochastic roll draws from the seeded
+ * stream stored in `state.rng`, so one seed plus one action list (applied at
+ * the same ticks) always produces the same outcome.
+ *
+ * Time inside the engine is simulation time in seconds (`state.time`), not
+ * wall-clock time; cooldowns and the sweep window are expressed in it too.
+ *
+ * `setHold(state, true)` holds the outbreak: spread, attacker moves, outside
+ * events, detection and the round timer stop, while the defender's actions,
+ * their effects, cleaning and energy carry on. The tutorial holds the round
+ * while it explains something.
+ *
+ * Besides the human-readable `messages`, each step leaves a structured `trace`
+ * of what happened in it, for reports and scoring:
+ *
+ *   { kind: "action", type, node, edge? }       an action landed (`edge` for link actions)
+ *   { kind: "blocked", type, node, reason }     rejected: unavailable | target | cooldown | energy
+ *   { kind: "infect", node, from }              `from` is null for a fresh foothold
+ *   { kind: "clean", node }
+ *   { kind: "event", type, id }                 an outside event started (see director.js)
+ *   { kind: "attack", type, node }              a hot-seat attacker move landed (see attacker.js)
+ *   { kind: "attack-blocked", type, node, reason }
+ *
+ * Points are awarded from that trace by scoring.js, which keeps the score's
+ * breakdown in `scoreParts` and a running `tally` of the round.
+ */
+
+import { createRng, deriveSeed } from "./rng.js";
+import { generateNetwork, networkSize, worldSize } from "./network.js";
+import { parseScenario, scenarioNetwork } from "./scenario.js";
+import { ADVERSARIES, HUMAN_ADVERSARY, pickAdversary } from "./adversary.js";
+import { ATTACKS, PERSIST_FACTOR, applyAttack, evading, initRed, regenRed } from "./attacker.js";
+import { ROLES, updateServices } from "./roles.js";
+import { eventModifier, eventSpread, initEvents, updateEvents } from "./director.js";
+import { computeUptime, updateUptime } from "./uptime.js";
+import { createTally, scoreStep, scoreWin } from "./scoring.js";
+import { initFog, markCleaned, markInfected, revealAll, revealNode, updateFog } from "./fog.js";
+import { ACTIONS, ACTION_IDS, actionCooldown, actionCost, effectInfect, effectModifier, effectSpread, sameLink, targetsNode, updateEffects } from "./actions.js";
+import { CRITICAL_RISK, DEFAULT_RULES, ENERGY_MAX, WORLD_HEIGHT, WORLD_WIDTH } from "./constants.js";
+
+export const TICK_RATE = 20; // simulation ticks per second
+export const TICK_DT = 1 / TICK_RATE;
+
+const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+
+// ------------------------- State -------------------------
+// `scenario` is raw scenario JSON; it is validated here (throws ScenarioError).
+// `rules` partially overrides DEFAULT_RULES; a scenario's own settings win.
+export function createGame({ seed, scenario = null, rules: overrides = {} }) {
+  let nodes, edges;
+  let rules = { ...DEFAULT_RULES, ...overrides };
+  let world = { width: WORLD_WIDTH, height: WORLD_HEIGHT };
+  if (scenario) {
+    const sc = parseScenario(scenario);
+    ({ nodes, edges } = scenarioNetwork(sc));
+    world = { ...sc.world };
+    rules = { ...rules, startTime: sc.timer, startEnergy: sc.energy, actions: sc.actions, win: sc.win, adversary: sc.adversary, sla: sc.sla, events: sc.events };
+  } else {
+    rules = { ...rules, ...networkSize(rules) };
+    world = worldSize(rules.nodeCount);
+    ({ nodes, edges } = generateNetwork(world.width, world.height, seed, rules));
+  }
+  if (rules.versus) rules = { ...rules, adversary: HUMAN_ADVERSARY };
+  const cooldowns = {};
+  for (const name of Object.keys(ACTIONS)) cooldowns[name] = -1e9;
+  const rand = createRng(deriveSeed(seed, 0x5eed));
+  const s = {
+    seed,
+    rng: 0, // set below, once setup has drawn from the stream
+    tick: 0,
+    time: 0,
+    rules,
+    world, // extent of the node coordinates; fixed for the round
+    nodes,
+    edges,
+    energy: rules.startEnergy,
+    timer: rules.startTime,
+    risk: 0,
+    score: 0,
+    scoreParts: {}, // score by SCORING rule (see scoring.js)
+    tally: createTally(),
+    cooldowns,
+    effects: [], // timed action effects (see actions.js)
+    effectSeq: 0,
+    uptime: 1, // share of services up right now (see uptime.js)
+    sla: 1, // rolling average uptime the SLA is judged on
+    uptimeTotal: 0, // ∫ uptime dt, for the end-of-round average
+    riskTotal: 0, // ∫ risk dt
+    status: "running", // running | won | lost
+    hold: false, // outbreak paused (see setHold)
+    adversary: { id: pickAdversary(rules.adversary, rand) },
+    red: null, // hot-seat attacker's energy and cooldowns (see attacker.js)
+    messages: [], // log lines emitted by the last step
+    trace: [], // structured events from the last step (see above)
+  };
+  const adv = ADVERSARIES[s.adversary.id];
+  adv.init?.(s, rand);
+  if (!scenario) adv.setup?.(s, rand);
+  initFog(s);
+  initEvents(s);
+  initRed(s);
+  updateServices(s);
+  s.risk = computeRisk(s.nodes, rules.criticalRisk);
+  s.uptime = s.sla = computeUptime(s);
+  s.rng = rand.state();
+  return s;
+}
+
+// Share of infected nodes plus `criticalRisk` for each infected critical one.
+export function computeRisk(nodes, criticalRisk = CRITICAL_RISK) {
+  const inf = nodes.filter((n) => n.infected).length;
+  const critInf = nodes.filter((n) => n.critical && n.infected).length;
+  const ratio = inf / Math.max(1, nodes.length);
+  return clamp(ratio + critInf * criticalRisk, 0, 1);
+}
+
+// ------------------------- Actions -------------------------
+export function isAllowed(state, name) {
+  const def = ACTIONS[name];
+  return (state.rules.actions ?? ACTION_IDS).includes(name) && (def.available?.(state.rules) ?? true);
+}
+
+export function canUse(state, name) {
+  return isAllowed(state, name) && state.energy >= actionCost(state.rules, name) && cooldownLeft(state, name) <= 0;
+}
+
+export function cooldownLeft(state, name) {
+  return Math.max(0, actionCooldown(state.rules, name) / 1000 - (state.time - state.cooldowns[name]));
+}
+
+function spend(s, name) {
+  s.energy = clamp(s.energy - actionCost(s.rules, name), 0, ENERGY_MAX);
+  s.cooldowns[name] = s.time;
+}
+
+// Applies one player action to the (already copied) draft state.
+function applyAction(s, action, rand) {
+  const { type, node, edge } = action;
+  const def = ACTIONS[type];
+  if (!def) return;
+  const block = (reason, msg) => {
+    s.trace.push({ kind: "blocked", type, node: node ?? null, reason });
+    s.messages.push(msg);
+  };
+  if (!isAllowed(s, type)) return block("unavailable", `${def.label} is not available in this round.`);
+  const needsNode = targetsNode(def);
+  if (needsNode && (node == null || !s.nodes[node])) return block("target", "Select a node first.");
+  // links are addressed by their node pair, since event links come and go
+  const li = def.target === "edge" && Array.isArray(edge) ? s.edges.findIndex((e) => sameLink(e, edge[0], edge[1])) : -1;
+  if (def.target === "edge" && li < 0) return block("target", "Select a link first.");
+  if (!canUse(s, type)) return block(s.energy < actionCost(s.rules, type) ? "energy" : "cooldown", `${def.label} not ready.`);
+
+  const n = needsNode ? s.nodes[node] : null;
+  let link = null;
+  if (li >= 0) {
+    s.edges = s.edges.map((e, i) => (i === li ? { ...e } : e));
+    link = s.edges[li];
+  }
+  def.apply(s, link ?? n, rand);
+  const pair = link ? [link.a, link.b] : null;
+  if (def.duration) {
+    s.effects = [...s.effects, { id: ++s.effectSeq, type, node: n?.id ?? null, edge: pair, until: s.time + def.duration }];
+  }
+  spend(s, type);
+  s.trace.push(pair ? { kind: "action", type, node: null, edge: pair } : { kind: "action", type, node: n?.id ?? null });
+  ADVERSARIES[s.adversary.id].react?.(s, type, n, rand);
+}
+
+// ------------------------- Outcome -------------------------
+function checkOutcome(s) {
+  const win = s.rules.win;
+  const end = (status, msg) => {
+    s.status = status;
+    s.messages.push(msg);
+    if (status === "won") scoreWin(s);
+  };
+  if (s.risk >= 1) return end("lost", "❌ Risk maxed out. Breach containment failed.");
+  if (s.rules.sla != null && s.sla < s.rules.sla) {
+    return end("lost", `❌ SLA breached: availability fell below ${Math.round(s.rules.sla * 100)}%.`);
+  }
+  if (win.maxRisk != null && s.risk > win.maxRisk) {
+    return end("lost", `❌ Risk passed ${Math.round(win.maxRisk * 100)}%. Objective failed.`);
+  }
+  if (win.type === "protect" && s.nodes.some((n) => n.critical && n.infected)) {
+    return end("lost", "❌ A critical asset was compromised. Objective failed.");
+  }
+  if (win.type === "eradicate" && !s.nodes.some((n) => n.infected)) {
+    return end("won", "🏆 Outbreak eradicated. Network is clean.");
+  }
+  if (s.timer <= 0) {
+    if (win.type === "eradicate") return end("lost", "❌ Time expired with infections still active.");
+    return end("won", "🏆 Containment sustained. Threat actor disengaged.");
+  }
+}
+
+// Plain-language objective for a rules.win block.
+export function describeWin(rules) {
+  const { win, startTime } = rules;
+  const parts = [];
+  if (win.type === "eradicate") parts.push(`Clean every infected node within ${startTime}s`);
+  else if (win.type === "protect") parts.push(`Survive ${startTime}s without losing a critical node`);
+  else parts.push(`Survive ${startTime}s`);
+  if (win.maxRisk != null) parts.push(`keep Risk under ${Math.round(win.maxRisk * 100)}%`);
+  else parts.push("keep Risk under 100%");
+  if (rules.sla != null) parts.push(`hold the ${Math.round(rules.sla * 100)}% uptime SLA`);
+  return parts.join(", ").replace(/, ([^,]*)$/, " and $1") + ".";
+}
+
+// `state` with the outbreak held or released (see above).
+export function setHold(state, hold) {
+  return state.hold === hold ? state : { ...state, hold };
+}
+
+// ------------------------- Step -------------------------
+export function step(state, dt, actions = []) {
+  if (state.status !== "running") return state;
+
+  const rand = createRng(state.rng);
+  const s = {
+    ...state,
+    nodes: state.nodes.map((n) => ({ ...n })),
+    cooldowns: { ...state.cooldowns },
+    adversary: { ...state.adversary },
+    red: state.red && { ...state.red, cooldowns: { ...state.red.cooldowns } },
+    messages: [],
+    trace: [],
+  };
+  const adv = ADVERSARIES[s.adversary.id];
+
+  for (const action of actions) (ATTACKS[action.type] ? applyAttack : applyAction)(s, action, rand);
+
+  s.tick += 1;
+  s.time += dt;
+  updateEffects(s);
+
+  // outside events, then energy regen (a DDoS can stall it)
+  if (!s.hold) updateEvents(s, dt, rand);
+  s.energy = clamp(s.energy + s.rules.energyRegen * eventModifier(s, "regen") * dt, 0, ENERGY_MAX);
+  regenRed(s, dt);
+
+  // services knocked offline by isolation
+  updateServices(s);
+
+  // attacker decisions
+  if (!s.hold) adv.tick?.(s, dt, rand);
+
+  // infection spread
+  const nodes = s.nodes;
+  const effectFactor = evading(s) ? 1 : effectModifier(s, "spread"); // e.g. an IDS sweep
+  const honeypotCount = nodes.reduce((a, n) => a + (n.honeypot ? 1 : 0), 0);
+  const globalSlow = 1 - Math.min(s.rules.honeypotSlowMax, honeypotCount * s.rules.honeypotSlow);
+  const base = s.rules.baseThreat * adv.tempo * effectFactor * globalSlow;
+  const patchFactor = eventModifier(s, "patch");
+
+  const trySpread = (src, dst, w) => {
+    if (!src.infected || src.isolated || dst.isolated || dst.infected || src.restoring || dst.restoring) return;
+    const lure = dst.honeypot ? adv.lure : 1.0;
+    const harden = 1 - dst.patched * 0.7 * patchFactor;
+    const sec = 1 - dst.security * 0.85;
+    const intent = adv.spread ? adv.spread(s, src, dst) : 1.0;
+    const lambda = base * w * lure * harden * sec * intent * ROLES[src.role].spread * eventSpread(s, src, dst) * effectSpread(s, src, dst); // per second
+    const p = 1 - Math.exp(-lambda * dt);
+    if (rand() < p) {
+      dst.infected = true;
+      dst.lastInfectAt = s.time;
+      dst.infectedBy = src.id;
+      markInfected(s, dst);
+      effectInfect(s, src, dst);
+      s.trace.push({ kind: "infect", node: dst.id, from: src.id });
+      adv.onInfect?.(s, dst);
+    }
+  };
+  for (const e of s.hold ? [] : s.edges) {
+    if (e.blocked) continue; // firewalled link
+    const a = nodes[e.a];
+    const b = nodes[e.b];
+    trySpread(a, b, e.w);
+    trySpread(b, a, e.w);
+  }
+
+  // cleaning progression on patched infected nodes
+  for (const n of nodes) {
+    if (n.infected && n.patched > 0) {
+      const persist = n.persistent ? PERSIST_FACTOR : 1;
+      n.cleanProg += dt * (0.6 + n.patched * 0.8) * ROLES[n.role].patchSpeed * patchFactor * persist;
+      if (n.cleanProg >= s.rules.cleanTime) {
+        n.infected = false;
+        n.persistent = false;
+        n.cleanProg = 0;
+        markCleaned(s, n);
+        s.trace.push({ kind: "clean", node: n.id });
+        s.messages.push(`✔ ${n.name} cleaned.`);
+      }
+    } else {
+      n.cleanProg = Math.max(0, n.cleanProg - dt * 0.4);
+    }
+  }
+
+  // detection of hidden infections
+  if (!s.hold) updateFog(s, dt, rand, adv.stealth ?? 1);
+  scoreStep(s);
+
+  // risk & timer
+  if (!s.hold) s.timer = clamp(s.timer - dt, 0, s.rules.startTime);
+  s.risk = computeRisk(nodes, s.rules.criticalRisk);
+  updateUptime(s, dt);
+
+  checkOutcome(s);
+
+  s.rng = rand.state();
+  return s;
+}
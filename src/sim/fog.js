@@ -0,0 +1,92 @@
+/**
+ * Fog of war.
+ * ------------------------------------------------------
+ * With `rules.fog` on, a compromised node does not show as infected straight
+ * away. Each node carries what the defender knows about it:
+ *
+ *   detected     the infection is confirmed and drawn as such
+ *   suspected    the node has shown anomalies long enough to raise a flag
+ *   verifiedAt   sim time of the last scan that found the node clean
+ *
+ * Hidden infections surface on their own after a dwell time (scaled by the
+ * adversary's stealth), or at once through an IDS sweep or a per-node scan.
+ * Risk and win/loss always use the true infection state.
+ */
+
+export const SUSPECT_AFTER = 8; // seconds of dwell before a hidden infection looks suspicious
+export const REVEAL_AFTER = 22; // seconds of dwell before it is confirmed
+export const VERIFY_TTL = 15; // seconds a clean scan result stays trusted
+const FALSE_ALARM_RATE = 0.0015; // per clean node per second, so "suspected" is not a sure thing
+
+export function initFog(s) {
+  for (const n of s.nodes) {
+    n.detected = n.infected && !s.rules.fog;
+    n.suspected = false;
+    n.verifiedAt = -1e9;
+  }
+}
+
+// Called when `n` has just been compromised.
+export function markInfected(s, n) {
+  n.detected = !s.rules.fog;
+  n.suspected = false;
+}
+
+// Called when `n` has just been cleaned: the defender knows it is clean now.
+export function markCleaned(s, n) {
+  n.detected = false;
+  n.suspected = false;
+  n.verifiedAt = s.time;
+}
+
+export function revealNode(s, n) {
+  if (n.infected) {
+    const hidden = !n.detected;
+    n.detected = true;
+    n.suspected = false;
+    return hidden;
+  }
+  n.suspected = false;
+  n.verifiedAt = s.time;
+  return false;
+}
+
+// Reveals every node; returns how many hidden infections were exposed.
+export function revealAll(s) {
+  let exposed = 0;
+  for (const n of s.nodes) if (revealNode(s, n)) exposed++;
+  return exposed;
+}
+
+// Dwell-time detection for hidden infections, plus the odd false alarm.
+export function updateFog(s, dt, rand, stealth = 1) {
+  if (!s.rules.fog) return;
+  for (const n of s.nodes) {
+    if (!n.infected) {
+      if (!n.suspected && !n.isolated && rand() < FALSE_ALARM_RATE * dt) {
+        n.suspected = true;
+        s.messages.push(`⚠ Anomalous traffic from ${n.name}.`);
+      }
+      continue;
+    }
+    if (n.detected) continue;
+    const dwell = s.time - n.lastInfectAt;
+    if (dwell >= REVEAL_AFTER * stealth) {
+      n.detected = true;
+      n.suspected = false;
+      s.messages.push(`🔎 Infection confirmed on ${n.name} after ${Math.round(dwell)}s dwell time.`);
+    } else if (!n.suspected && dwell >= SUSPECT_AFTER * stealth) {
+      n.suspected = true;
+      s.messages.push(`⚠ Anomalous traffic from ${n.name}.`);
+    }
+  }
+}
+
+// What the defender sees for a node: "infected" | "suspected" | "unknown" | "clear".
+export function visibleState(n, s) {
+  if (!s.rules.fog) return n.infected ? "infected" : "clear";
+  if (n.infected && n.detected) return "infected";
+  if (n.suspected) return "suspected";
+  if (s.time - n.verifiedAt <= VERIFY_TTL) return "clear";
+  return "unknown";
+}
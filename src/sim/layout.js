@@ -0,0 +1,157 @@
+/**
+ * Force-directed layout.
+ * ------------------------------------------------------
+ * A Fruchterman–Reingold pass that pushes nodes apart and pulls linked nodes
+ * together, to untangle generated topologies for reading. It only changes
+ * `x`/`y`: the graph itself is untouched.
+ *
+ *   forceLayout(nodes, edges, { width, height });
+ *
+ * Deterministic: no randomness, a fixed number of iterations and a fixed
+ * visiting order, so a seeded network relays out the same way every time.
+ * Repulsion is approximated with a Barnes–Hut quadtree (distant groups of
+ * nodes push as one), which keeps each iteration at O(n log n).
+ */
+
+const MARGIN = 30; // keep nodes this far inside the world
+const THETA = 1; // Barnes–Hut opening angle: larger is faster and rougher
+const MIN_HALF = 1e-3; // quadtree cells this small stop splitting (coincident nodes)
+
+// Quadtree over points (x[i], y[i]) in the square centred on (ox, oy) with
+// half-size `half`. Per cell: node count, coordinate sums (centre of mass),
+// the single point of a leaf, and the first of its four children.
+function buildTree(x, y, ox, oy, half) {
+  const t = { cx: [ox], cy: [oy], half: [half], mass: [0], sx: [0], sy: [0], point: [-1], first: [-1] };
+  const split = (c) => {
+    const h = t.half[c] / 2;
+    const first = t.mass.length;
+    for (let q = 0; q < 4; q++) {
+      t.cx.push(t.cx[c] + (q & 1 ? h : -h));
+      t.cy.push(t.cy[c] + (q & 2 ? h : -h));
+      t.half.push(h);
+      t.mass.push(0);
+      t.sx.push(0);
+      t.sy.push(0);
+      t.point.push(-1);
+      t.first.push(-1);
+    }
+    return first;
+  };
+  const quadrant = (c, i) => (x[i] >= t.cx[c] ? 1 : 0) + (y[i] >= t.cy[c] ? 2 : 0);
+  const put = (c, i) => {
+    t.mass[c]++;
+    t.sx[c] += x[i];
+    t.sy[c] += y[i];
+  };
+
+  for (let i = 0; i < x.length; i++) {
+    let c = 0;
+    for (;;) {
+      if (t.mass[c] === 0) {
+        t.point[c] = i;
+        put(c, i);
+        break;
+      }
+      if (t.first[c] === -1) {
+        if (t.half[c] < MIN_HALF) {
+          put(c, i); // a pile of coincident points stays one leaf
+          break;
+        }
+        const p = t.point[c];
+        t.point[c] = -1;
+        t.first[c] = split(c);
+        const child = t.first[c] + quadrant(c, p);
+        t.point[child] = p;
+        put(child, p);
+      }
+      put(c, i);
+      c = t.first[c] + quadrant(c, i);
+    }
+  }
+  return t;
+}
+
+// Moves `nodes` (in place) towards a readable layout inside width x height.
+// opts: { iterations, gravity: pull towards the centre (1 balances the
+// repulsion at about the world's inscribed circle), pinned: per-node flags
+// for nodes that push and pull but stay where they are }
+export function forceLayout(nodes, edges, { width, height, iterations = null, gravity = 1, pinned = null } = {}) {
+  const n = nodes.length;
+  if (n < 2) return nodes;
+  const steps = iterations ?? (n > 2000 ? 30 : n > 500 ? 60 : 100);
+  const k = Math.sqrt((width * height) / n) * 0.6; // ideal link length
+  const cx = width / 2, cy = height / 2;
+  const half = Math.max(width, height) / 2;
+  const pull = (gravity * k * k * n) / (Math.min(width, height) * 0.45) ** 2;
+
+  const x = Float64Array.from(nodes, (p) => p.x);
+  const y = Float64Array.from(nodes, (p) => p.y);
+  const dx = new Float64Array(n);
+  const dy = new Float64Array(n);
+  const stack = [];
+
+  for (let it = 0; it < steps; it++) {
+    const temperature = (Math.min(width, height) / 10) * (1 - it / steps);
+    dx.fill(0);
+    dy.fill(0);
+
+    // repulsion: every node against the quadtree
+    const t = buildTree(x, y, cx, cy, half);
+    for (let i = 0; i < n; i++) {
+      stack.push(0);
+      while (stack.length) {
+        const c = stack.pop();
+        const m = t.mass[c];
+        if (m === 0) continue;
+        const leaf = t.first[c] === -1;
+        if (leaf && t.point[c] === i && m === 1) continue;
+        let ox = x[i] - t.sx[c] / m;
+        let oy = y[i] - t.sy[c] / m;
+        let d2 = ox * ox + oy * oy;
+        if (!leaf && (4 * t.half[c] * t.half[c]) / Math.max(d2, 1e-9) > THETA * THETA) {
+          for (let q = 0; q < 4; q++) stack.push(t.first[c] + q);
+          continue;
+        }
+        if (d2 < 1e-4) {
+          // on top of each other: split along a direction fixed by the ids
+          ox = Math.cos(i + c) * 0.01;
+          oy = Math.sin(i + c) * 0.01;
+          d2 = 1e-4;
+        }
+        const f = (k * k * m) / d2; // (k²/d) / d per node in the cell
+        dx[i] += ox * f;
+        dy[i] += oy * f;
+      }
+    }
+
+    // attraction along links
+    for (const e of edges) {
+      const ox = x[e.a] - x[e.b];
+      const oy = y[e.a] - y[e.b];
+      const f = Math.sqrt(ox * ox + oy * oy) / k; // (d²/k) / d
+      dx[e.a] -= ox * f; dy[e.a] -= oy * f;
+      dx[e.b] += ox * f; dy[e.b] += oy * f;
+    }
+
+    // move, capped by the cooling temperature, and keep inside the world
+    for (let i = 0; i < n; i++) {
+      if (pinned?.[i]) continue;
+      dx[i] += (cx - x[i]) * pull;
+      dy[i] += (cy - y[i]) * pull;
+      const d = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]);
+      if (d > 0) {
+        const move = Math.min(d, temperature) / d;
+        x[i] += dx[i] * move;
+        y[i] += dy[i] * move;
+      }
+      x[i] = Math.min(width - MARGIN, Math.max(MARGIN, x[i]));
+      y[i] = Math.min(height - MARGIN, Math.max(MARGIN, y[i]));
+    }
+  }
+
+  nodes.forEach((p, i) => {
+    p.x = x[i];
+    p.y = y[i];
+  });
+  return nodes;
+}
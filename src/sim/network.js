@@ -0,0 +1,112 @@
+/**
+ * Procedural network generation.
+ * ------------------------------------------------------
+ * Builds the `{ nodes, edges }` graph the simulation runs on. Pure and seeded:
+ * the same (width, height, seed, rules) always yields the same topology and
+ * outbreak.
+ *
+ * The shape comes from `rules.topology`, one of the generators in
+ * topologies.js (concentric rings by default). Whatever the shape, the result
+ * is connected, every node gets its service dependencies (see roles.js) and
+ * the breach starts away from the critical assets. `rules.relayout` runs a
+ * force-directed pass over the finished graph (see layout.js) for readability.
+ *
+ * Generation stays near-linear in the node count (a spatial grid for nearest
+ * neighbours, a key set for duplicate links), so enterprise-size estates of
+ * several thousand nodes build in well under a second. Such estates get a
+ * proportionally larger world (see `worldSize`) instead of being crammed into
+ * the default one.
+ */
+
+import { createRng } from "./rng.js";
+import { NODES, CRITICAL_COUNT, MAX_NODES, MIN_NODES, WORLD_HEIGHT, WORLD_NODES, WORLD_WIDTH } from "./constants.js";
+import { forceLayout } from "./layout.js";
+import { assignDependencies } from "./roles.js";
+import { createSpatialIndex } from "./spatial.js";
+import { DEFAULT_TOPOLOGY, TOPOLOGIES } from "./topologies.js";
+
+// ------------------------- Network Generation -------------------------
+const SEED_REDRAWS = 32; // draws for a non-critical patient zero before picking from the safe list
+const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+const count = (v, fallback) => (Number.isFinite(v) ? Math.round(v) : fallback);
+
+// `nodeCount` within MIN_NODES..MAX_NODES and `criticalCount` low enough to
+// leave at least half the estate non-critical, whatever the rules asked for.
+export function networkSize({ nodeCount = NODES, criticalCount = CRITICAL_COUNT } = {}) {
+  const nodes = clamp(count(nodeCount, NODES), MIN_NODES, MAX_NODES);
+  return { nodeCount: nodes, criticalCount: clamp(count(criticalCount, CRITICAL_COUNT), 0, Math.floor(nodes / 2)) };
+}
+
+// World dimensions for a generated network of `nodeCount` nodes: the default
+// world up to WORLD_NODES, then growing so node density stays the same.
+export function worldSize(nodeCount = NODES) {
+  const k = Math.sqrt(Math.max(1, nodeCount / WORLD_NODES));
+  return { width: Math.round(WORLD_WIDTH * Math.max(1, k)), height: Math.round(WORLD_HEIGHT * Math.max(1, k)) };
+}
+
+// Joins every stray component to its nearest node outside it. Uses no
+// randomness, so graphs that are already connected come out untouched.
+function connect(nodes, edges) {
+  const parent = nodes.map((n) => n.id);
+  const find = (x) => {
+    while (parent[x] !== x) x = parent[x] = parent[parent[x]];
+    return x;
+  };
+  for (const e of edges) parent[find(e.a)] = find(e.b);
+  const groups = new Map();
+  for (const n of nodes) {
+    const root = find(n.id);
+    if (groups.has(root)) groups.get(root).push(n);
+    else groups.set(root, [n]);
+  }
+  if (groups.size < 2) return;
+  // smallest first, so the strays end up attached to the largest component
+  const strays = [...groups.values()].sort((a, b) => a.length - b.length || a[0].id - b[0].id);
+  const main = strays.pop()[0].id;
+  const index = createSpatialIndex(nodes);
+  for (const group of strays) {
+    const root = find(group[0].id);
+    if (root === find(main)) continue;
+    let best = null;
+    for (const n of group) {
+      const [m] = index.nearest(n.x, n.y, 1, (p) => find(p.id) !== root);
+      const d = m && (m.x - n.x) ** 2 + (m.y - n.y) ** 2;
+      if (m && (!best || d < best.d)) best = { a: n.id, b: m.id, d };
+    }
+    edges.push({ a: best.a, b: best.b, w: 0.6 });
+    parent[root] = find(best.b);
+  }
+}
+
+export function generateNetwork(width, height, seed, { topology = DEFAULT_TOPOLOGY, relayout = false, ...size } = {}) {
+  const gen = TOPOLOGIES[topology];
+  if (!gen) throw new Error(`Unknown topology "${topology}"`);
+  const { nodeCount, criticalCount } = networkSize(size);
+  const rand = createRng(seed);
+  const { nodes, edges, entry } = gen.build({ width, height, nodeCount, criticalCount, rand });
+  connect(nodes, edges);
+  if (relayout) forceLayout(nodes, edges, { width, height });
+  assignDependencies(nodes);
+
+  // seed initial infection (never on a critical node: the breach starts at the
+  // edge). Without an entry tier, a draw that lands on a critical node is
+  // redrawn a few times (which keeps existing seeds' outbreaks), then taken
+  // from the non-critical nodes directly.
+  const pool = entry?.filter((id) => !nodes[id].critical);
+  const safe = nodes.filter((n) => !n.critical);
+  const pick = () => {
+    if (pool?.length) return nodes[pool[Math.floor(rand() * pool.length)]];
+    for (let tries = 0; tries < SEED_REDRAWS; tries++) {
+      const n = nodes[Math.floor(rand() * nodes.length)];
+      if (!n.critical) return n;
+    }
+    return safe[Math.floor(rand() * safe.length)];
+  };
+  for (let i = 0; i < 2; i++) {
+    const n = pick();
+    n.infected = true;
+    n.lastInfectAt = 0;
+  }
+
+  return { nodes, edges };
+}
@@ -0,0 +1,137 @@
+/**
+ * Match recording & replay.
+ * ------------------------------------------------------
+ * A recording is a compact, JSON-serializable log of one run:
+ *
+ *   {
+ *     version: 1,
+ *     setup: { seed },                      // createGame() options
+ *     tickRate: 20,
+ *     actions: [{ tick, type, node|edge }], // applied on the step that produces `tick`
+ *     checksums: [{ tick, hash }],          // periodic state fingerprints
+ *     endTick, result: { status, score }
+ *   }
+ *
+ * Because the engine is deterministic, replaying the action list from the same
+ * setup reproduces the run exactly; the checksums detect recordings that no
+ * longer match the current rules.
+ */
+
+import { ACTIONS } from "./actions.js";
+import { ATTACKS } from "./attacker.js";
+import { TICK_DT, TICK_RATE, createGame, step } from "./engine.js";
+
+export const RECORDING_VERSION = 1;
+export const CHECKSUM_INTERVAL = TICK_RATE; // one fingerprint per simulated second
+const KEYFRAME_INTERVAL = 100; // ticks between cached replay snapshots
+
+// ------------------------- Recording -------------------------
+export function createRecording(setup) {
+  return {
+    version: RECORDING_VERSION,
+    setup: { ...setup },
+    tickRate: TICK_RATE,
+    recordedAt: new Date().toISOString(),
+    actions: [],
+    checksums: [],
+    endTick: 0,
+    result: null,
+  };
+}
+
+// Appends one engine step to the log. `state` is the result of stepping with `actions`.
+export function recordStep(rec, state, actions) {
+  for (const a of actions) {
+    const entry = { tick: state.tick, type: a.type };
+    if (a.node != null) entry.node = a.node;
+    if (a.edge != null) entry.edge = a.edge;
+    rec.actions.push(entry);
+  }
+  if (state.tick % CHECKSUM_INTERVAL === 0) rec.checksums.push({ tick: state.tick, hash: checksum(state) });
+  rec.endTick = state.tick;
+  if (state.status !== "running") rec.result = { status: state.status, score: state.score };
+}
+
+// FNV-1a over everything that influences future ticks.
+export function checksum(state) {
+  let h = 0x811c9dc5;
+  const mix = (v) => {
+    h ^= v >>> 0;
+    h = Math.imul(h, 0x01000193);
+  };
+  mix(state.rng);
+  mix(Math.round(state.energy * 1000));
+  mix(state.score);
+  if (state.red) mix(Math.round(state.red.energy * 1000));
+  for (const n of state.nodes) {
+    mix((n.infected ? 1 : 0) | (n.isolated ? 2 : 0) | (n.honeypot ? 4 : 0) | (n.restoring ? 8 : 0) | (n.persistent ? 16 : 0));
+    mix(Math.round(n.patched * 1000));
+    mix(Math.round(n.cleanProg * 1000));
+  }
+  for (const e of state.edges) if (e.blocked) mix((e.a << 16) | e.b);
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// ------------------------- Serialization -------------------------
+export function serializeRecording(rec) {
+  return JSON.stringify(rec);
+}
+
+export function parseRecording(text) {
+  let rec;
+  try {
+    rec = JSON.parse(text);
+  } catch {
+    throw new Error("Recording is not valid JSON.");
+  }
+  if (!rec || typeof rec !== "object") throw new Error("Recording must be a JSON object.");
+  if (rec.version !== RECORDING_VERSION) throw new Error(`Unsupported recording version ${rec.version}; expected ${RECORDING_VERSION}.`);
+  if (!rec.setup || !Number.isInteger(rec.setup.seed)) throw new Error("Recording is missing `setup.seed`.");
+  if (rec.tickRate !== TICK_RATE) throw new Error(`Recording was made at ${rec.tickRate} ticks/s; this build runs at ${TICK_RATE}.`);
+  if (!Array.isArray(rec.actions)) throw new Error("Recording is missing the `actions` list.");
+  rec.actions.forEach((a, i) => {
+    if (!Number.isInteger(a?.tick) || a.tick < 1) throw new Error(`actions[${i}]: \`tick\` must be a positive integer.`);
+    if (!ACTIONS[a.type] && !ATTACKS[a.type]) throw new Error(`actions[${i}]: unknown action "${a.type}".`);
+  });
+  if (!Array.isArray(rec.checksums)) rec.checksums = [];
+  if (!Number.isInteger(rec.endTick)) throw new Error("Recording is missing `endTick`.");
+  return rec;
+}
+
+// ------------------------- Replay -------------------------
+// Runs the recording once, caching keyframes for scrubbing and checking the
+// stored fingerprints. `mismatchAt` is the first tick whose state diverged.
+export function createReplay(rec) {
+  const byTick = new Map();
+  for (const a of rec.actions) {
+    if (!byTick.has(a.tick)) byTick.set(a.tick, []);
+    byTick.get(a.tick).push(a);
+  }
+  const sums = new Map(rec.checksums.map((c) => [c.tick, c.hash]));
+
+  const replay = { recording: rec, byTick, keyframes: [], endTick: 0, mismatchAt: null };
+  let s = createGame(rec.setup);
+  replay.keyframes.push(s);
+  while (s.status === "running" && s.tick < rec.endTick) {
+    s = stepReplay(replay, s);
+    if (s.tick % KEYFRAME_INTERVAL === 0) replay.keyframes.push(s);
+    if (replay.mismatchAt == null && sums.has(s.tick) && sums.get(s.tick) !== checksum(s)) {
+      replay.mismatchAt = s.tick;
+    }
+  }
+  replay.endTick = s.tick;
+  replay.final = s;
+  return replay;
+}
+
+function stepReplay(replay, state) {
+  return step(state, TICK_DT, replay.byTick.get(state.tick + 1) || []);
+}
+
+// Returns the state at `tick`, continuing from `from` when it lies on the way.
+export function seekReplay(replay, tick, from = null) {
+  const target = Math.max(0, Math.min(replay.endTick, Math.floor(tick)));
+  let s = from && from.tick <= target ? from : replay.keyframes[Math.floor(target / KEYFRAME_INTERVAL)];
+  while (s.tick < target && s.status === "running") s = stepReplay(replay, s);
+  return s;
+}
@@ -0,0 +1,130 @@
+/**
+ * After-action report.
+ * ------------------------------------------------------
+ * Replays a recording through the engine and condenses the run into a debrief:
+ *
+ *   {
+ *     version: 1,
+ *     seed, scenario, adversary: { id, name }, difficulty: { id, name }, objective,
+ *     result: { status, score, breakdown }, duration, // seconds of sim time; breakdown per scoreBreakdown()
+ *     series: [{ t, infected, risk, uptime, energy }], // one sample per second
+ *     actions: [{ t, type, node, target, blocked }],// `blocked` is the reject reason or null
+ *     entryPoints: [{ t, node, name }],             // patient zero(s) and later fresh footholds
+ *     criticalPaths: [{ t, node, name, path }],     // chain of names from entry to critical node
+ *     stats: { meanTimeToContain, nodesCleaned, honeypotCatches,
+ *              blockedPresses, energyWasted, peakInfected, peakRisk, meanUptime }
+ *   }
+ *
+ * Everything is derived from the engine's per-step `trace`, so the report works
+ * the same for a run that just ended and for an imported recording.
+ */
+
+import { actionCost } from "./actions.js";
+import { difficultyName } from "./difficulty.js";
+import { TICK_DT, TICK_RATE, createGame, describeWin, step } from "./engine.js";
+import { ADVERSARIES } from "./adversary.js";
+import { scoreBreakdown } from "./scoring.js";
+import { availabilityBonus } from "./uptime.js";
+
+export const REPORT_VERSION = 1;
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+// Walks `infectedBy` links back to the foothold; guards against reinfection loops.
+function infectionPath(s, id) {
+  const path = [];
+  const seen = new Set();
+  for (let at = id; at != null && !seen.has(at); at = s.nodes[at].infectedBy ?? null) {
+    seen.add(at);
+    path.unshift(s.nodes[at].name);
+  }
+  return path;
+}
+
+export function buildReport(rec) {
+  const byTick = new Map();
+  for (const a of rec.actions) {
+    if (!byTick.has(a.tick)) byTick.set(a.tick, []);
+    byTick.get(a.tick).push(a);
+  }
+
+  let s = createGame(rec.setup);
+  const sample = () => ({
+    t: round(s.time, 1),
+    infected: s.nodes.filter((n) => n.infected).length,
+    risk: round(s.risk, 3),
+    uptime: round(s.uptime, 3),
+    energy: round(s.energy, 1),
+  });
+  const series = [sample()];
+  const actions = [];
+  const entryPoints = s.nodes.filter((n) => n.infected).map((n) => ({ t: 0, node: n.id, name: n.name }));
+  const criticalPaths = [];
+  const infectedSince = new Map(entryPoints.map((e) => [e.node, 0]));
+  const containTimes = [];
+  let honeypotCatches = 0;
+  let blockedPresses = 0;
+  let energyWasted = 0;
+  let peakInfected = series[0].infected;
+  let peakRisk = s.risk;
+
+  while (s.status === "running" && s.tick < rec.endTick) {
+    s = step(s, TICK_DT, byTick.get(s.tick + 1) || []);
+    const t = round(s.time, 2);
+    for (const ev of s.trace) {
+      const node = ev.node != null ? s.nodes[ev.node] : null;
+      switch (ev.kind) {
+        case "action":
+        case "blocked":
+          actions.push({ t, type: ev.type, node: ev.node, target: ev.edge ? ev.edge.map((id) => s.nodes[id].name).join(" ↔ ") : node?.name ?? null, blocked: ev.reason ?? null });
+          if (ev.kind === "blocked") {
+            blockedPresses++;
+            if (ev.reason === "cooldown") energyWasted += actionCost(s.rules, ev.type);
+          }
+          break;
+        case "infect":
+          infectedSince.set(ev.node, s.time);
+          if (ev.from == null) entryPoints.push({ t, node: ev.node, name: node.name });
+          if (node.honeypot) honeypotCatches++;
+          if (node.critical) criticalPaths.push({ t, node: ev.node, name: node.name, path: infectionPath(s, ev.node) });
+          break;
+        case "clean":
+          containTimes.push(s.time - infectedSince.get(ev.node));
+          infectedSince.delete(ev.node);
+          break;
+      }
+    }
+    if (s.tick % TICK_RATE === 0 || s.status !== "running") series.push(sample());
+    peakInfected = Math.max(peakInfected, s.nodes.filter((n) => n.infected).length);
+    peakRisk = Math.max(peakRisk, s.risk);
+  }
+
+  return {
+    version: REPORT_VERSION,
+    seed: rec.setup.seed,
+    scenario: rec.setup.scenario?.name ?? null,
+    adversary: { id: s.adversary.id, name: ADVERSARIES[s.adversary.id].name },
+    difficulty: { id: s.rules.difficulty, name: difficultyName(s.rules.difficulty) },
+    objective: describeWin(s.rules),
+    result: { status: s.status, score: s.score, breakdown: scoreBreakdown(s) },
+    duration: round(s.time, 1),
+    series,
+    actions,
+    entryPoints,
+    criticalPaths,
+    stats: {
+      meanTimeToContain: containTimes.length ? round(containTimes.reduce((a, b) => a + b, 0) / containTimes.length, 1) : null,
+      nodesCleaned: containTimes.length,
+      honeypotCatches,
+      blockedPresses,
+      energyWasted,
+      peakInfected,
+      peakRisk: round(peakRisk, 3),
+      meanUptime: round(availabilityBonus(s).uptime, 3),
+    },
+  };
+}
+
+export function serializeReport(report) {
+  return JSON.stringify(report, null, 2);
+}
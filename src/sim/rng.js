@@ -0,0 +1,29 @@
+/**
+ * Seeded randomness for the simulation.
+ * ------------------------------------------------------
+ * Every stochastic decision in the game (layout, outbreak, spread rolls) draws
+ * from a Mulberry32 stream so that one seed always replays the same run.
+ * The generator exposes its internal state so it can live inside plain,
+ * serializable game state between ticks.
+ */
+
+export function createRng(seed = Math.floor(Math.random() * 1e9)) {
+  // Mulberry32 — tiny fast RNG for stable layouts
+  let s = seed >>> 0;
+  const next = () => {
+    s += 0x6D2B79F5;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // current internal state; feed it back into createRng() to resume the stream
+  next.state = () => s >>> 0;
+  return next;
+}
+
+export const seededRandom = createRng;
+
+// Derive an independent stream from a base seed (e.g. layout vs. spread rolls).
+export function deriveSeed(seed, salt) {
+  return (Math.imul((seed >>> 0) ^ salt, 0x9E3779B1) ^ 0x5BD1E995) >>> 0;
+}
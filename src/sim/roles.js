@@ -0,0 +1,114 @@
+/**
+ * Node roles and service dependencies.
+ * ------------------------------------------------------
+ * Every node runs one kind of service. The role sets how well it is defended
+ * in generated networks, how hard it pushes infection outwards (`spread`) and
+ * how quickly a patch cleans it (`patchSpeed`).
+ *
+ * Nodes may also depend on other nodes (`deps`, a list of node ids): a web
+ * front end needs its database, almost everything needs auth. A node is
+ * **down** while it is isolated or being restored from backup, or while
+ * anything it depends on is down, so
+ * isolating the auth server takes its dependents offline with it.
+ */
+
+import { createSpatialIndex } from "./spatial.js";
+
+export const ROLES = {
+  web: {
+    label: "Web",
+    glyph: "W",
+    prefixes: ["web", "api", "edge", "cdn", "proxy"],
+    security: [0.35, 0.7],
+    spread: 1.0,
+    patchSpeed: 1.1,
+    needs: ["db", "auth"],
+  },
+  db: {
+    label: "Database",
+    glyph: "D",
+    prefixes: ["db", "sql", "cache", "ledger"],
+    security: [0.5, 0.8],
+    spread: 0.8,
+    patchSpeed: 0.8,
+    needs: ["auth"],
+  },
+  auth: {
+    label: "Auth",
+    glyph: "A",
+    prefixes: ["auth", "ldap", "kdc", "idp"],
+    security: [0.55, 0.85],
+    spread: 0.9,
+    patchSpeed: 0.9,
+    needs: [],
+  },
+  mail: {
+    label: "Mail",
+    glyph: "M",
+    prefixes: ["mail", "smtp", "mx"],
+    security: [0.35, 0.65],
+    spread: 1.2,
+    patchSpeed: 1.0,
+    needs: ["auth"],
+  },
+  workstation: {
+    label: "Workstation",
+    glyph: "U",
+    prefixes: ["wkst", "dev", "ops", "quant", "ml"],
+    security: [0.3, 0.6],
+    spread: 1.1,
+    patchSpeed: 1.3,
+    needs: ["auth", "mail"],
+  },
+  ot: {
+    label: "OT",
+    glyph: "O",
+    prefixes: ["plc", "hmi", "scada", "telemetry"],
+    security: [0.2, 0.5],
+    spread: 0.7,
+    patchSpeed: 0.5,
+    needs: [],
+  },
+};
+
+export const ROLE_IDS = Object.keys(ROLES);
+export const DEFAULT_ROLE = "workstation";
+
+// Links every node to the nearest node of each role its own role needs.
+export function assignDependencies(nodes) {
+  const byRole = {};
+  for (const role of ROLE_IDS) byRole[role] = createSpatialIndex(nodes.filter((m) => m.role === role));
+  for (const n of nodes) {
+    n.deps = [];
+    for (const role of ROLES[n.role].needs) {
+      const [best] = byRole[role].nearest(n.x, n.y, 1, (m) => m.id !== n.id);
+      if (best) n.deps.push(best.id);
+    }
+  }
+}
+
+// Recomputes `down` on every node of the (draft) state; returns how many are down.
+export function updateServices(s) {
+  const state = s.nodes.map(() => 0); // 0 unknown, 1 visiting, 2 up, 3 down
+  const visit = (id) => {
+    if (state[id] === 1) return false; // dependency cycle: treat the loop itself as up
+    if (state[id] > 1) return state[id] === 3;
+    state[id] = 1;
+    const n = s.nodes[id];
+    let down = n.isolated || !!n.restoring;
+    for (const d of n.deps) if (visit(d)) down = true;
+    state[id] = down ? 3 : 2;
+    return down;
+  };
+  let count = 0;
+  for (const n of s.nodes) {
+    n.down = visit(n.id);
+    if (n.down) count++;
+  }
+  return count;
+}
+
+// Names of the dependencies that keep `n` offline (empty if it is up or merely isolated).
+export function outageCause(s, n) {
+  return n.deps.filter((d) => s.nodes[d].down).map((d) => s.nodes[d].name);
+}
@@ -0,0 +1,220 @@
+/**
+ * Scenario files.
+ * ------------------------------------------------------
+ * A scenario is a hand-authored network plus round settings, written as JSON:
+ *
+ *   {
+ *     "id": "dmz-breach",
+ *     "name": "DMZ Breach",
+ *     "description": "optional briefing text",
+ *     "timer": 150,                         // seconds to survive (default 180)
+ *     "energy": 60,                         // starting energy (default 70)
+ *     "actions": ["isolate", "patch"],      // allowed actions (default: all)
+ *     "win": { "type": "protect" },         // objective (default: survive)
+ *     "adversary": "apt",                   // attacker profile (default: random)
+ *     "sla": 0.7,                           // minimum rolling uptime, or null (default 0.6)
+ *     "events": { "rate": 0.5, "schedule": [{ "at": 60, "type": "ddos" }] },
+ *                                           // outside events (see director.js), or null
+ *     "world": { "width": 1800, "height": 1120 },
+ *                                           // extent of the positions (default 900 × 560)
+ *     "nodes": [
+ *       { "id": "web-01", "name": "Web-01", "x": 200, "y": 140,
+ *         "security": 0.5, "critical": false, "infected": true,
+ *         "role": "web",                    // see roles.js (default workstation)
+ *         "dependsOn": ["db-01"] }          // services this node needs to stay up
+ *     ],
+ *     "edges": [{ "from": "web-01", "to": "db-01", "weight": 1.2 }]
+ *   }
+ *
+ * Positions are world units, WORLD_WIDTH × WORLD_HEIGHT unless `world` says
+ * otherwise (large imported networks, see ../formats). `parseScenario`
+ * checks everything up front and reports every problem it finds at once; its
+ * output is the same format with defaults filled in, so it parses again as-is.
+ */
+
+import { ADVERSARY_IDS, RANDOM_ADVERSARY } from "./adversary.js";
+import { DEFAULT_ROLE, ROLES, ROLE_IDS } from "./roles.js";
+import { eventsIssues } from "./director.js";
+import { ACTIONS } from "./actions.js";
+import { DEFAULT_RULES, ENERGY_MAX, START_ENERGY, START_TIME, WIN_TYPES, WORLD_HEIGHT, WORLD_WIDTH } from "./constants.js";
+
+export class ScenarioError extends Error {
+  constructor(issues) {
+    super(`Invalid scenario:\n- ${issues.join("\n- ")}`);
+    this.name = "ScenarioError";
+    this.issues = issues;
+  }
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Validates raw scenario JSON (object or string) and returns a normalized copy.
+export function parseScenario(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new ScenarioError([`not valid JSON (${err.message})`]);
+    }
+  }
+  const issues = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new ScenarioError(["top level must be a JSON object"]);
+
+  if (typeof data.name !== "string" || !data.name.trim()) issues.push("`name` must be a non-empty string");
+
+  const timer = data.timer ?? START_TIME;
+  if (!isNum(timer) || timer <= 0) issues.push("`timer` must be a positive number of seconds");
+  const energy = data.energy ?? START_ENERGY;
+  if (!isNum(energy) || energy < 0 || energy > ENERGY_MAX) issues.push(`\`energy\` must be between 0 and ${ENERGY_MAX}`);
+
+  const actions = data.actions ?? Object.keys(ACTIONS);
+  if (!Array.isArray(actions) || actions.length === 0) {
+    issues.push("`actions` must be a non-empty list");
+  } else {
+    for (const a of actions) {
+      if (!ACTIONS[a]) issues.push(`\`actions\`: unknown action "${a}" (expected one of ${Object.keys(ACTIONS).join(", ")})`);
+    }
+  }
+
+  const win = data.win ?? { type: "survive" };
+  issues.push(...winIssues(win));
+
+  const adversary = data.adversary ?? RANDOM_ADVERSARY;
+  if (adversary !== RANDOM_ADVERSARY && !ADVERSARY_IDS.includes(adversary)) {
+    issues.push(`\`adversary\` must be "${RANDOM_ADVERSARY}" or one of ${ADVERSARY_IDS.join(", ")}`);
+  }
+
+  const sla = data.sla === undefined ? DEFAULT_RULES.sla : data.sla;
+  if (sla !== null && (!isNum(sla) || sla <= 0 || sla > 1)) issues.push("`sla` must be a number above 0 and at most 1, or null");
+
+  const events = data.events === undefined ? DEFAULT_RULES.events : data.events;
+  issues.push(...eventsIssues(events));
+
+  const world = data.world ?? { width: WORLD_WIDTH, height: WORLD_HEIGHT };
+  const worldOk = world && typeof world === "object" && isNum(world.width) && isNum(world.height) && world.width > 0 && world.height > 0;
+  if (!worldOk) issues.push("`world` must be an object like { \"width\": 900, \"height\": 560 }");
+  const { width, height } = worldOk ? world : { width: WORLD_WIDTH, height: WORLD_HEIGHT };
+
+  // nodes
+  const index = new Map();
+  const nodes = [];
+  if (!Array.isArray(data.nodes) || data.nodes.length < 2) {
+    issues.push("`nodes` must list at least two nodes");
+  } else {
+    data.nodes.forEach((raw, i) => {
+      const where = `nodes[${i}]${raw?.id != null ? ` ("${raw.id}")` : ""}`;
+      if (!raw || typeof raw !== "object") return issues.push(`${where}: must be an object`);
+      if (typeof raw.id !== "string" && !Number.isInteger(raw.id)) issues.push(`${where}: \`id\` must be a string or integer`);
+      else if (index.has(raw.id)) issues.push(`${where}: duplicate id (also used by nodes[${index.get(raw.id)}])`);
+      else index.set(raw.id, i);
+      if (!isNum(raw.x) || raw.x < 0 || raw.x > width) issues.push(`${where}: \`x\` must be a number from 0 to ${width}`);
+      if (!isNum(raw.y) || raw.y < 0 || raw.y > height) issues.push(`${where}: \`y\` must be a number from 0 to ${height}`);
+      const security = raw.security ?? 0.5;
+      if (!isNum(security) || security < 0 || security > 1) issues.push(`${where}: \`security\` must be a number from 0 to 1`);
+      for (const flag of ["critical", "infected"]) {
+        if (raw[flag] != null && typeof raw[flag] !== "boolean") issues.push(`${where}: \`${flag}\` must be true or false`);
+      }
+      if (raw.name != null && typeof raw.name !== "string") issues.push(`${where}: \`name\` must be a string`);
+      const role = raw.role ?? DEFAULT_ROLE;
+      if (!ROLES[role]) issues.push(`${where}: \`role\` must be one of ${ROLE_IDS.join(", ")}`);
+      const dependsOn = raw.dependsOn ?? [];
+      if (!Array.isArray(dependsOn)) issues.push(`${where}: \`dependsOn\` must be a list of node ids`);
+      nodes.push({
+        id: raw.id,
+        name: raw.name ?? String(raw.id),
+        x: raw.x,
+        y: raw.y,
+        security,
+        critical: !!raw.critical,
+        infected: !!raw.infected,
+        role,
+        dependsOn: Array.isArray(dependsOn) ? [...dependsOn] : [],
+      });
+    });
+    if (!nodes.some((n) => n.infected)) issues.push("at least one node must start with `\"infected\": true`");
+    nodes.forEach((n, i) => {
+      for (const dep of n.dependsOn) {
+        if (!index.has(dep)) issues.push(`nodes[${i}] ("${n.id}"): \`dependsOn\` refers to unknown node "${dep}"`);
+        else if (dep === n.id) issues.push(`nodes[${i}] ("${n.id}"): cannot depend on itself`);
+      }
+    });
+  }
+
+  // edges
+  const edges = [];
+  const seen = new Set();
+  if (!Array.isArray(data.edges) || data.edges.length === 0) {
+    issues.push("`edges` must list at least one link");
+  } else {
+    data.edges.forEach((raw, i) => {
+      const where = `edges[${i}]`;
+      if (!raw || typeof raw !== "object") return issues.push(`${where}: must be an object`);
+      const a = index.get(raw.from);
+      const b = index.get(raw.to);
+      if (a == null) issues.push(`${where}: \`from\` refers to unknown node "${raw.from}"`);
+      if (b == null) issues.push(`${where}: \`to\` refers to unknown node "${raw.to}"`);
+      const weight = raw.weight ?? 1;
+      if (!isNum(weight) || weight <= 0) issues.push(`${where}: \`weight\` must be a positive number`);
+      if (a == null || b == null) return;
+      if (a === b) return issues.push(`${where}: links "${raw.from}" to itself`);
+      const k = a < b ? `${a}-${b}` : `${b}-${a}`;
+      if (seen.has(k)) return issues.push(`${where}: duplicate link between "${raw.from}" and "${raw.to}"`);
+      seen.add(k);
+      edges.push({ from: raw.from, to: raw.to, weight });
+    });
+  }
+
+  if (issues.length) throw new ScenarioError(issues);
+
+  return {
+    id: data.id ?? data.name,
+    name: data.name,
+    description: data.description ?? "",
+    timer,
+    energy,
+    actions: [...actions],
+    win: { ...win },
+    adversary,
+    sla,
+    events: events && { rate: events.rate ?? 1, pool: events.pool ?? null, schedule: (events.schedule ?? []).map((e) => ({ ...e })) },
+    world: { width, height },
+    nodes,
+    edges,
+  };
+}
+
+// Problems with a `win` block ({ type, maxRisk? }), as readable strings.
+export function winIssues(win) {
+  if (!win || typeof win !== "object") return ["`win` must be an object like { \"type\": \"survive\" }"];
+  const issues = [];
+  if (!WIN_TYPES.includes(win.type)) issues.push(`\`win.type\` must be one of ${WIN_TYPES.join(", ")}`);
+  if (win.maxRisk != null && (!isNum(win.maxRisk) || win.maxRisk <= 0 || win.maxRisk > 1)) {
+    issues.push("`win.maxRisk` must be a number above 0 and at most 1");
+  }
+  return issues;
+}
+
+// Builds the engine graph for a parsed scenario.
+export function scenarioNetwork(scenario) {
+  const index = new Map(scenario.nodes.map((n, i) => [n.id, i]));
+  const nodes = scenario.nodes.map((n, id) => ({
+    id,
+    key: n.id,
+    x: n.x,
+    y: n.y,
+    infected: n.infected,
+    isolated: false,
+    patched: 0,
+    honeypot: false,
+    security: n.security,
+    critical: n.critical,
+    role: n.role,
+    deps: n.dependsOn.map((d) => index.get(d)),
+    name: n.name,
+    cleanProg: 0,
+    lastInfectAt: n.infected ? 0 : -1e9,
+  }));
+  const edges = scenario.edges.map((e) => ({ a: index.get(e.from), b: index.get(e.to), w: e.weight }));
+  return { nodes, edges };
+}
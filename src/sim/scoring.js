@@ -0,0 +1,121 @@
+/**
+ * Scoring.
+ * ------------------------------------------------------
+ * Every point the defender earns or loses goes through `award`, which keeps a
+ * per-rule breakdown next to the total (`s.scoreParts`, keyed by SCORING id).
+ * Points come from two places:
+ *
+ *   scoreStep(s)   once per step, from the step's `trace`: cleans, honeypot
+ *                  catches, and penalties for needless isolations and sweeps
+ *                  launched with nothing to find
+ *   scoreWin(s)    once, when the round is won: the win itself, availability,
+ *                  critical nodes never lost, energy left over and so on
+ *
+ * Alongside the points, `s.tally` counts what happened over the round
+ * (cleans, catches, isolations, breached critical nodes…) so achievements and
+ * reports can read the round without replaying it.
+ */
+
+import { AVAILABILITY_BONUS, availabilityBonus } from "./uptime.js";
+
+export const SCORING = {
+  clean: { label: "Nodes cleaned", points: 25 },
+  fastClean: { label: "Fast containment", points: 15, window: 20 }, // full bonus for an instant clean, none after `window` seconds infected
+  honeypot: { label: "Honeypot catches", points: 8 },
+  win: { label: "Containment", points: 200 },
+  availability: { label: "Availability", points: AVAILABILITY_BONUS },
+  criticalSafe: { label: "Critical nodes never breached", points: 40 }, // per node
+  energy: { label: "Energy saved", points: 0.5 }, // per point of energy left
+  timeLeft: { label: "Time to spare", points: 2 }, // per second left on an eradication win
+  noCriticalIsolation: { label: "Critical services kept online", points: 50 },
+  needlessIsolation: { label: "Needless isolations", points: -10 },
+  wastedSweep: { label: "Wasted sweeps", points: -15 },
+};
+
+export const SCORING_IDS = Object.keys(SCORING);
+
+export function createTally() {
+  return {
+    cleaned: 0,
+    fastCleans: 0, // cleaned within half the fast-clean window
+    honeypotCatches: 0,
+    breached: [], // ids of critical nodes that were infected at some point
+    isolations: 0,
+    criticalIsolations: 0,
+    needlessIsolations: 0,
+    sweeps: 0,
+    wastedSweeps: 0,
+  };
+}
+
+// Adds `points` to the score under rule `id`.
+export function award(s, id, points) {
+  if (!points) return;
+  s.score += points;
+  s.scoreParts = { ...s.scoreParts, [id]: (s.scoreParts[id] ?? 0) + points };
+}
+
+// Nonzero parts of the score in SCORING order: [{ id, label, points }].
+export function scoreBreakdown(s) {
+  return SCORING_IDS.filter((id) => s.scoreParts?.[id]).map((id) => ({ id, label: SCORING[id].label, points: s.scoreParts[id] }));
+}
+
+// An isolation is needless when the node is clean, unsuspected and has no
+// infected neighbour: it costs uptime without stopping anything.
+function needless(s, n) {
+  if (n.infected || n.suspected) return false;
+  return !s.edges.some((e) => (e.a === n.id && s.nodes[e.b].infected) || (e.b === n.id && s.nodes[e.a].infected));
+}
+
+// ------------------------- Per step -------------------------
+export function scoreStep(s) {
+  if (!s.trace.length) return;
+  const t = (s.tally = { ...s.tally });
+  for (const ev of s.trace) {
+    const n = ev.node != null ? s.nodes[ev.node] : null;
+    if (ev.kind === "infect") {
+      if (n.honeypot) {
+        t.honeypotCatches++;
+        award(s, "honeypot", SCORING.honeypot.points);
+      }
+      if (n.critical && !t.breached.includes(n.id)) t.breached = [...t.breached, n.id];
+    } else if (ev.kind === "clean") {
+      const { points, window } = SCORING.fastClean;
+      const dwell = s.time - (n.lastInfectAt ?? s.time);
+      t.cleaned++;
+      if (dwell <= window / 2) t.fastCleans++;
+      award(s, "clean", SCORING.clean.points);
+      award(s, "fastClean", Math.round(points * Math.max(0, 1 - dwell / window)));
+    } else if (ev.kind === "action" && ev.type === "isolate" && n.isolated) {
+      t.isolations++;
+      if (n.critical) t.criticalIsolations++;
+      if (needless(s, n)) {
+        t.needlessIsolations++;
+        award(s, "needlessIsolation", SCORING.needlessIsolation.points);
+        s.messages.push(`${SCORING.needlessIsolation.points} needless isolation: ${n.name} had no infection nearby.`);
+      }
+    } else if (ev.kind === "action" && ev.type === "sweep") {
+      t.sweeps++;
+      if (!s.nodes.some((m) => m.infected)) {
+        t.wastedSweeps++;
+        award(s, "wastedSweep", SCORING.wastedSweep.points);
+        s.messages.push(`${SCORING.wastedSweep.points} wasted sweep: nothing was infected.`);
+      }
+    }
+  }
+}
+
+// ------------------------- On a win -------------------------
+export function scoreWin(s) {
+  award(s, "win", SCORING.win.points);
+  const { bonus, uptime, risk } = availabilityBonus(s);
+  award(s, "availability", bonus);
+  s.messages.push(`Availability bonus +${bonus} (mean uptime ${Math.round(uptime * 100)}%, mean risk ${Math.round(risk * 100)}%).`);
+
+  const critical = s.nodes.filter((n) => n.critical);
+  const safe = critical.filter((n) => !s.tally.breached.includes(n.id)).length;
+  award(s, "criticalSafe", safe * SCORING.criticalSafe.points);
+  award(s, "energy", Math.floor(s.energy * SCORING.energy.points));
+  if (s.rules.win.type === "eradicate") award(s, "timeLeft", Math.floor(s.timer) * SCORING.timeLeft.points);
+  if (critical.length && s.tally.criticalIsolations === 0) award(s, "noCriticalIsolation", SCORING.noCriticalIsolation.points);
+}
@@ -0,0 +1,41 @@
+/**
+ * Seed codes.
+ * ------------------------------------------------------
+ * Seeds are 32-bit integers internally and shown to players as short base-36
+ * codes (e.g. "K3F9QX") that can be typed, shared or put in `?seed=` URLs.
+ * Any other text ("challenge-night-3") is hashed to a seed, so a team can
+ * agree on a memorable phrase instead of a code.
+ */
+
+const CODE_RE = /^[0-9a-z]{1,7}$/i; // the largest seed, 0xFFFFFFFF, is "1Z141Z3"
+const MAX_SEED = 0xffffffff;
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 1e9);
+}
+
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(36).toUpperCase();
+}
+
+export function parseSeed(text) {
+  const raw = String(text ?? "").trim();
+  if (!raw) return null;
+  if (CODE_RE.test(raw)) {
+    const value = parseInt(raw, 36);
+    if (value <= MAX_SEED) return value;
+  }
+  // FNV-1a over the phrase (and 7-character codes past the largest seed)
+  let h = 0x811c9dc5;
+  for (let i = 0; i < raw.length; i++) {
+    h ^= raw.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Reads `?seed=` from a URL search string; null when absent or empty.
+export function seedFromSearch(search) {
+  const param = new URLSearchParams(search).get("seed");
+  return parseSeed(param);
+}
@@ -0,0 +1,105 @@
+/**
+ * Spatial index.
+ * ------------------------------------------------------
+ * A uniform grid over points with `x`, `y` and an integer `id`, for the
+ * neighbour searches that would otherwise scan every node: nearest-neighbour
+ * links in the generator, dependency lookup, shadow-link events and picking
+ * on the map.
+ *
+ *   const index = createSpatialIndex(nodes);
+ *   index.nearest(x, y, 4, (n) => n.id !== self.id);   // 4 closest, nearest first
+ *   index.within(x, y, 16);                            // everything in a radius, nearest first
+ *
+ * Results are ordered by distance and then by id, exactly like a stable sort
+ * over the whole list, so swapping a linear scan for the index never changes
+ * a seeded network.
+ */
+
+const TARGET_PER_CELL = 2; // points per cell the grid is sized for
+
+export function createSpatialIndex(points, cellSize = null) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of points) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  if (!points.length) minX = minY = maxX = maxY = 0;
+  const w = maxX - minX || 1;
+  const h = maxY - minY || 1;
+  const size = cellSize ?? Math.max(1, Math.sqrt((w * h * TARGET_PER_CELL) / Math.max(1, points.length)));
+  const cols = Math.floor(w / size) + 1;
+  const rows = Math.floor(h / size) + 1;
+  const cells = new Map(); // row * cols + col -> points
+
+  const col = (x) => Math.min(cols - 1, Math.max(0, Math.floor((x - minX) / size)));
+  const row = (y) => Math.min(rows - 1, Math.max(0, Math.floor((y - minY) / size)));
+  for (const p of points) {
+    const key = row(p.y) * cols + col(p.x);
+    const cell = cells.get(key);
+    if (cell) cell.push(p);
+    else cells.set(key, [p]);
+  }
+
+  // visits every cell on the square ring `r` cells away from (cx, cy)
+  const ring = (cx, cy, r, visit) => {
+    for (let y = cy - r; y <= cy + r; y++) {
+      if (y < 0 || y >= rows) continue;
+      const edge = y === cy - r || y === cy + r;
+      for (let x = cx - r; x <= cx + r; x += edge ? 1 : 2 * r || 1) {
+        if (x < 0 || x >= cols) continue;
+        const cell = cells.get(y * cols + x);
+        if (cell) for (const p of cell) visit(p);
+      }
+    }
+  };
+  const byDistance = (u, v) => u.d - v.d || u.p.id - v.p.id;
+
+  return {
+    // up to `count` accepted points closest to (x, y), nearest first
+    nearest(x, y, count, accept = () => true) {
+      const found = [];
+      const cx = col(x);
+      const cy = row(y);
+      // how far the query lies outside the grid on each axis
+      const gx = Math.max(0, minX - x, x - (minX + cols * size));
+      const gy = Math.max(0, minY - y, y - (minY + rows * size));
+      for (let r = 0; ; r++) {
+        ring(cx, cy, r, (p) => {
+          if (accept(p)) found.push({ p, d: (p.x - x) ** 2 + (p.y - y) ** 2 });
+        });
+        // anything not seen yet lies beyond one of the searched square's sides
+        let clear = Infinity; // squared
+        if (cx - r > 0) clear = Math.min(clear, (x - (minX + (cx - r) * size)) ** 2 + gy * gy);
+        if (cx + r < cols - 1) clear = Math.min(clear, (minX + (cx + r + 1) * size - x) ** 2 + gy * gy);
+        if (cy - r > 0) clear = Math.min(clear, (y - (minY + (cy - r) * size)) ** 2 + gx * gx);
+        if (cy + r < rows - 1) clear = Math.min(clear, (minY + (cy + r + 1) * size - y) ** 2 + gx * gx);
+        if (clear === Infinity) break; // the whole grid has been searched
+        if (found.length >= count) {
+          found.sort(byDistance);
+          found.length = count;
+          if (found[count - 1].d < clear) break;
+        }
+      }
+      return found.sort(byDistance).slice(0, count).map((o) => o.p);
+    },
+
+    // every point within `radius` of (x, y), nearest first
+    within(x, y, radius) {
+      const found = [];
+      const r2 = radius * radius;
+      for (let cy = row(y - radius); cy <= row(y + radius); cy++) {
+        for (let cx = col(x - radius); cx <= col(x + radius); cx++) {
+          const cell = cells.get(cy * cols + cx);
+          if (!cell) continue;
+          for (const p of cell) {
+            const d = (p.x - x) ** 2 + (p.y - y) ** 2;
+            if (d <= r2) found.push({ p, d });
+          }
+        }
+      }
+      return found.sort(byDistance).map((o) => o.p);
+    },
+  };
+}
@@ -0,0 +1,448 @@
+/**
+ * Topology generators.
+ * ------------------------------------------------------
+ * Registry of the network shapes `generateNetwork` can build. Each entry is a
+ * hook bag:
+ *
+ *   {
+ *     name, desc,
+ *     build({ width, height, nodeCount, criticalCount, rand })
+ *       -> { nodes, edges, entry? }
+ *   }
+ *
+ * `build` places and names the nodes, links them and tags the critical ones,
+ * drawing only from `rand` so a seed always yields the same estate. `entry`
+ * lists the node ids the initial breach may start on (the access edge of the
+ * estate); without it any non-critical node will do. network.js then makes
+ * sure the graph is connected, assigns service dependencies and seeds the
+ * infection.
+ *
+ * Every generator sorts its nodes into tiers, core (0) to edge (2). The tier
+ * picks the role odds (databases and auth in the core, workstations and OT on
+ * the edge) and critical assets always come from the innermost tier, so they
+ * sit a few hops away from wherever the breach starts. `rings` is the original
+ * layout and keeps its own rules, so existing seeds and recordings still
+ * rebuild the same network.
+ */
+
+import { ROLES } from "./roles.js";
+import { DEFAULT_RULES, WORLD_HEIGHT, WORLD_WIDTH } from "./constants.js";
+import { forceLayout } from "./layout.js";
+import { createSpatialIndex } from "./spatial.js";
+
+// ------------------------- Names & Roles -------------------------
+const SUFFIX = ["-north", "-south", "-west", "-east", "-alpha", "-beta", "-gamma", "-x", "-y", "-z", "-01", "-02", "-03", "-svc", "-gw"];
+const CRITICAL = [
+  { name: "Core-DB", role: "db" },
+  { name: "Finance-DB", role: "db" },
+  { name: "Auth-Server", role: "auth" },
+  { name: "PKI-Root", role: "auth" },
+  { name: "Ledger", role: "db" },
+  { name: "SCADA-Hub", role: "ot" },
+];
+
+// Role odds per tier, core to edge.
+const TIER_ROLES = [
+  { auth: 0.35, db: 0.45, web: 0.2 },
+  { web: 0.4, mail: 0.25, db: 0.15, workstation: 0.2 },
+  { workstation: 0.75, ot: 0.15, web: 0.1 },
+];
+
+function pickRole(tier, rand) {
+  let r = rand();
+  const odds = Object.entries(TIER_ROLES[tier]);
+  for (const [role, p] of odds) {
+    if ((r -= p) < 0) return role;
+  }
+  return odds[odds.length - 1][0];
+}
+
+function genName(role, rand) {
+  const prefixes = ROLES[role].prefixes;
+  return `${prefixes[Math.floor(rand()*prefixes.length)]}${SUFFIX[Math.floor(rand()*SUFFIX.length)]}`;
+}
+
+function makeCritical(n, i) {
+  const crit = CRITICAL[i % CRITICAL.length];
+  n.critical = true;
+  n.name = crit.name;
+  n.role = crit.role;
+  n.security = Math.min(1, n.security + 0.15);
+}
+
+// every estate needs a directory service; `first` are the preferred hosts
+function ensureAuth(nodes, rand, first = nodes) {
+  if (nodes.some((n) => n.role === "auth")) return;
+  const hub = first.find((n) => !n.critical) ?? nodes.find((n) => !n.critical);
+  hub.role = "auth";
+  hub.name = genName("auth", rand);
+}
+
+// ------------------------- Building Blocks -------------------------
+const TAU = Math.PI * 2;
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+
+// Unordered key for the link between node ids a and b.
+const linkKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+// Offset of point i of `count` spread evenly over a disc of `radius`.
+function sunflower(i, count, radius) {
+  const r = radius * Math.sqrt((i + 0.5) / count);
+  return [Math.cos(i * GOLDEN_ANGLE) * r, Math.sin(i * GOLDEN_ANGLE) * r];
+}
+
+// Size of part i when `total` is split into `parts` near-equal parts.
+const share = (total, parts, i) => Math.floor(((i + 1) * total) / parts) - Math.floor((i * total) / parts);
+
+// Hop count from the nearest of `sources` to every node (undefined if unreachable).
+function hopsFrom(nodes, edges, sources) {
+  const adj = nodes.map(() => []);
+  for (const e of edges) {
+    adj[e.a].push(e.b);
+    adj[e.b].push(e.a);
+  }
+  const depth = [];
+  const queue = [...sources];
+  for (const id of sources) depth[id] = 0;
+  for (let i = 0; i < queue.length; i++) {
+    for (const v of adj[queue[i]]) {
+      if (depth[v] === undefined) {
+        depth[v] = depth[queue[i]] + 1;
+        queue.push(v);
+      }
+    }
+  }
+  return depth;
+}
+
+// Accumulates nodes (with their tier) and de-duplicated links.
+function createBuilder(rand) {
+  const nodes = [];
+  const edges = [];
+  const tiers = [];
+  const linked = new Set();
+  return {
+    nodes,
+    edges,
+    tiers,
+    add(x, y, tier) {
+      const role = pickRole(tier, rand);
+      const [lo, hi] = ROLES[role].security;
+      nodes.push({
+        id: nodes.length,
+        x,
+        y,
+        infected: false,
+        isolated: false,
+        patched: 0,
+        honeypot: false,
+        security: lo + rand() * (hi - lo),
+        critical: false,
+        role,
+        name: genName(role, rand),
+        cleanProg: 0,
+        lastInfectAt: -1e9,
+      });
+      tiers.push(tier);
+      return nodes.length - 1;
+    },
+    has: (a, b) => linked.has(linkKey(a, b)),
+    // links a and b unless they already are; `w` defaults to a random weight
+    link(a, b, w = 0.5 + rand() * 0.9) {
+      if (a === b || linked.has(linkKey(a, b))) return false;
+      linked.add(linkKey(a, b));
+      edges.push({ a, b, w });
+      return true;
+    },
+    // links each of `ids` to its k nearest others among `ids`
+    linkNearest(ids, k) {
+      const group = ids.map((id) => nodes[id]);
+      const index = createSpatialIndex(group);
+      for (const a of group) {
+        for (const { id: b } of index.nearest(a.x, a.y, k, (n) => n.id !== a.id)) this.link(a.id, b);
+      }
+    },
+    // the member of `ids` nearest to (x, y)
+    nearestOf(ids, x, y) {
+      let best = -1, bestD = Infinity;
+      for (const id of ids) {
+        const d = (nodes[id].x - x) ** 2 + (nodes[id].y - y) ** 2;
+        if (d < bestD) [best, bestD] = [id, d];
+      }
+      return best;
+    },
+    // node ids on the outermost tier, where a breach starts
+    edge: () => nodes.filter((n) => tiers[n.id] === TIER_ROLES.length - 1).map((n) => n.id),
+    // tags `count` critical assets and makes sure auth exists: random core
+    // nodes first, then whatever lies the most hops from the edge tier
+    finish(count) {
+      const depth = hopsFrom(nodes, edges, this.edge());
+      const rank = (n) => (tiers[n.id] === 0 ? Infinity : depth[n.id] ?? -1);
+      const pool = [...nodes];
+      for (let i = 0; i < count && pool.length; i++) {
+        const best = Math.max(...pool.map(rank));
+        const deepest = pool.filter((n) => rank(n) === best);
+        const pick = deepest[Math.floor(rand() * deepest.length)];
+        pool.splice(pool.indexOf(pick), 1);
+        makeCritical(pick, i);
+      }
+      ensureAuth(nodes, rand, nodes.filter((n) => tiers[n.id] === 0));
+    },
+  };
+}
+
+// ------------------------- Topologies -------------------------
+export const TOPOLOGIES = {
+  rings: {
+    name: "Rings",
+    desc: "Concentric rings linked to their nearest neighbours, with a few long shortcuts. The classic layout.",
+    build({ width, height, nodeCount, criticalCount, rand }) {
+      const b = createBuilder(rand);
+      const { nodes } = b;
+      const cx = width / 2, cy = height / 2;
+      const radius = Math.min(width, height) * 0.36;
+      const spread = Math.max(1, Math.min(width / WORLD_WIDTH, height / WORLD_HEIGHT)); // wider rings in larger worlds
+
+      // Place nodes in concentric rings with jitter
+      const rings = 3;
+      for (let r = 0; r < rings; r++) {
+        const ringCount = Math.round((nodeCount / rings) * (1 + (r === 2 ? 0.2 : 0)));
+        const rRadius = radius * (0.4 + r * 0.3);
+        for (let i = 0; i < ringCount && nodes.length < nodeCount; i++) {
+          const t = (i / ringCount) * TAU + rand() * 0.1;
+          const jitter = (rand() - 0.5) * 30 * spread;
+          b.add(cx + Math.cos(t) * (rRadius + jitter), cy + Math.sin(t) * (rRadius + jitter), r);
+        }
+      }
+
+      // Tag critical nodes anywhere in the estate
+      for (let i = 0; i < criticalCount; i++) makeCritical(nodes[Math.floor(rand() * nodes.length)], i);
+      ensureAuth(nodes, rand);
+
+      // Connect graph: each node to k nearest + a few random long links
+      const k = 3;
+      const index = createSpatialIndex(nodes);
+      for (const a of nodes) {
+        const count = k + 1 + Math.floor(rand() * 2);
+        for (const { id: c } of index.nearest(a.x, a.y, count, (n) => n.id !== a.id)) {
+          if (!b.has(a.id, c)) b.link(a.id, c, 0.5 + rand() * 0.9);
+        }
+      }
+      // sprinkle a few cross links
+      for (let i = 0; i < Math.floor(nodeCount * 0.4); i++) {
+        const a = Math.floor(rand() * nodes.length);
+        const c = Math.floor(rand() * nodes.length);
+        if (a !== c && !b.has(a, c)) b.link(a, c, 0.4 + rand() * 0.8);
+      }
+      return { nodes, edges: b.edges };
+    },
+  },
+
+  hierarchical: {
+    name: "Hierarchical",
+    desc: "Three-tier campus: a meshed core, distribution switches with redundant uplinks, and access nodes fanned out beneath them.",
+    build({ width, height, nodeCount, criticalCount, rand }) {
+      const b = createBuilder(rand);
+      const cx = width / 2, cy = height / 2;
+      const R = Math.min(width, height) * 0.46;
+      const core = Math.min(Math.max(criticalCount, clamp(Math.round(nodeCount * 0.04), 2, 12)), nodeCount - 2); // room for the crown jewels
+      const dist = clamp(Math.round(Math.sqrt(nodeCount) * 1.2), 2, Math.max(2, nodeCount - core - 1));
+      const access = Math.max(0, nodeCount - core - dist);
+
+      const coreIds = [];
+      for (let i = 0; i < core; i++) {
+        const t = (i / core) * TAU + rand() * 0.2;
+        coreIds.push(b.add(cx + Math.cos(t) * R * 0.12, cy + Math.sin(t) * R * 0.12, 0));
+      }
+      // a ring through the core, fully meshed while it is small, with chords once it grows
+      for (let i = 0; i < core; i++) {
+        b.link(coreIds[i], coreIds[(i + 1) % core]);
+        if (core <= 4) for (let j = i + 2; j < core; j++) b.link(coreIds[i], coreIds[j]);
+        else b.link(coreIds[i], coreIds[(i + Math.floor(core / 2)) % core]);
+      }
+
+      const sector = TAU / dist;
+      const distIds = [];
+      for (let i = 0; i < dist; i++) {
+        const t = (i + 0.5) * sector;
+        const id = b.add(cx + Math.cos(t) * R * 0.4, cy + Math.sin(t) * R * 0.4, 1);
+        // two uplinks into the core, to the switches facing it
+        const up = Math.floor(((i + 0.5) / dist) * core);
+        b.link(id, coreIds[up % core]);
+        b.link(id, coreIds[(up + 1) % core]);
+        distIds.push(id);
+      }
+
+      for (let p = 0; p < dist; p++) {
+        const m = share(access, dist, p);
+        for (let k = 0; k < m; k++) {
+          const t = (p + 0.5) * sector + ((k + 0.5) / m - 0.5) * sector * 0.85;
+          const r = R * (0.62 + 0.36 * ((k * 0.618034 + rand() * 0.15) % 1));
+          const id = b.add(cx + Math.cos(t) * r, cy + Math.sin(t) * r, 2);
+          b.link(id, distIds[p]);
+          if (rand() < 0.12) b.link(id, distIds[(p + 1) % dist]); // dual-homed
+        }
+      }
+      b.finish(criticalCount);
+      return { nodes: b.nodes, edges: b.edges, entry: b.edge() };
+    },
+  },
+
+  hubspoke: {
+    name: "Hub & spoke",
+    desc: "A headquarters cluster with branch offices around it, each behind a single router on a WAN link back to the hub.",
+    build({ width, height, nodeCount, criticalCount, rand }) {
+      const b = createBuilder(rand);
+      const cx = width / 2, cy = height / 2;
+      const R = Math.min(width, height) * 0.46;
+      const hq = clamp(Math.round(nodeCount * 0.15), 3, 300);
+      const branches = clamp(Math.round(Math.sqrt(nodeCount) / 1.4), 2, 80);
+      const staff = Math.max(0, nodeCount - hq - branches);
+
+      const hqIds = [];
+      for (let i = 0; i < hq; i++) {
+        const [dx, dy] = sunflower(i, hq, R * 0.22);
+        hqIds.push(b.add(cx + dx, cy + dy, i < hq * 0.4 ? 0 : 1));
+      }
+      b.linkNearest(hqIds, 3);
+
+      const rb = Math.min(R * 0.26, ((Math.PI * R * 0.7) / branches) * 0.8); // branch office radius
+      const routers = [];
+      for (let i = 0; i < branches; i++) {
+        const t = ((i + 0.5) / branches) * TAU;
+        const x = cx + Math.cos(t) * R * 0.7, y = cy + Math.sin(t) * R * 0.7;
+        const router = b.add(x, y, 1);
+        b.link(router, b.nearestOf(hqIds, x, y));
+        if (rand() < 0.3) b.link(router, hqIds[Math.floor(rand() * hqIds.length)]); // backup WAN link
+        if (i > 0 && rand() < 0.2) b.link(router, routers[i - 1]); // site-to-site VPN
+        routers.push(router);
+
+        const m = share(staff, branches, i);
+        let prev = -1;
+        for (let k = 0; k < m; k++) {
+          const [dx, dy] = sunflower(k + 1, m + 1, rb);
+          const id = b.add(x + dx, y + dy, 2);
+          b.link(id, router);
+          if (prev >= 0 && rand() < 0.2) b.link(id, prev);
+          prev = id;
+        }
+      }
+      b.finish(criticalCount);
+      return { nodes: b.nodes, edges: b.edges, entry: b.edge() };
+    },
+  },
+
+  vlan: {
+    name: "Segmented VLANs",
+    desc: "Tightly knit VLAN clusters that only reach the central server VLAN through their gateways.",
+    build({ width, height, nodeCount, criticalCount, rand }) {
+      const b = createBuilder(rand);
+      const vlans = clamp(Math.round(Math.sqrt(nodeCount / 4)), 3, 60); // including the server VLAN
+      const cols = Math.ceil(Math.sqrt((vlans * width) / height));
+      const rows = Math.ceil(vlans / cols);
+      const cellW = (width * 0.94) / cols, cellH = (height * 0.94) / rows;
+      const cells = [];
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) cells.push({ x: width * 0.03 + (c + 0.5) * cellW, y: height * 0.03 + (r + 0.5) * cellH });
+      }
+      // the server VLAN takes the cell nearest the centre
+      const centre = cells.reduce((best, c) => (Math.hypot(c.x - width / 2, c.y - height / 2) < Math.hypot(best.x - width / 2, best.y - height / 2) ? c : best));
+      const userCells = cells.filter((c) => c !== centre).slice(0, vlans - 1);
+      const radius = Math.min(cellW, cellH) * 0.36;
+
+      const servers = Math.max(3, Math.round(nodeCount * 0.12));
+      const staff = Math.max(0, nodeCount - servers - userCells.length);
+      const serverIds = [];
+      for (let i = 0; i < servers; i++) {
+        const [dx, dy] = sunflower(i, servers, radius);
+        serverIds.push(b.add(centre.x + dx, centre.y + dy, 0));
+      }
+      b.linkNearest(serverIds, 3);
+
+      let prevGateway = -1;
+      userCells.forEach((cell, i) => {
+        const m = share(staff, userCells.length, i);
+        const ids = [];
+        for (let k = 0; k < m; k++) {
+          const [dx, dy] = sunflower(k, m, radius);
+          ids.push(b.add(cell.x + dx, cell.y + dy, 2));
+        }
+        b.linkNearest(ids, 2);
+        // the gateway sits on the cluster's rim, facing the server VLAN
+        const d = Math.hypot(centre.x - cell.x, centre.y - cell.y) || 1;
+        const gx = cell.x + ((centre.x - cell.x) / d) * radius * 1.2;
+        const gy = cell.y + ((centre.y - cell.y) / d) * radius * 1.2;
+        const gateway = b.add(gx, gy, 1);
+        for (let k = 0; k < Math.min(2, ids.length); k++) b.link(gateway, b.nearestOf(ids.filter((id) => !b.has(gateway, id)), gx, gy));
+        b.link(gateway, b.nearestOf(serverIds, gx, gy));
+        if (prevGateway >= 0 && rand() < 0.25) b.link(gateway, prevGateway); // inter-VLAN route
+        prevGateway = gateway;
+      });
+      b.finish(criticalCount);
+      return { nodes: b.nodes, edges: b.edges, entry: b.edge() };
+    },
+  },
+
+  scalefree: {
+    name: "Scale-free",
+    desc: "Grown by preferential attachment: a few heavily connected hubs and a long tail of nodes with one or two links.",
+    build({ width, height, nodeCount, criticalCount, rand }) {
+      const b = createBuilder(rand);
+      const cx = width / 2, cy = height / 2;
+      const R = Math.min(width, height) * 0.46;
+      const m = 2; // links per new node
+      const hubs = Math.max(1, Math.round(nodeCount * 0.05));
+      const middle = Math.round(nodeCount * 0.3);
+      // early nodes become the hubs, so they start in the middle
+      for (let i = 0; i < nodeCount; i++) {
+        const [dx, dy] = sunflower(i, nodeCount, R);
+        b.add(cx + dx, cy + dy, i < hubs ? 0 : i < middle ? 1 : 2);
+      }
+      const ends = []; // every link end, so picking from it favours well-linked nodes
+      const seed = Math.min(m + 1, nodeCount);
+      for (let i = 0; i < seed; i++) {
+        for (let j = 0; j < i; j++) if (b.link(i, j)) ends.push(i, j);
+      }
+      for (let i = seed; i < nodeCount; i++) {
+        const targets = new Set();
+        while (targets.size < Math.min(m, i)) targets.add(ends[Math.floor(rand() * ends.length)]);
+        for (const t of targets) if (b.link(i, t)) ends.push(i, t);
+      }
+      forceLayout(b.nodes, b.edges, { width, height });
+      b.finish(criticalCount);
+      return { nodes: b.nodes, edges: b.edges, entry: b.edge() };
+    },
+  },
+
+  mesh: {
+    name: "Flat mesh",
+    desc: "One flat, unsegmented network: every node talks to its neighbours on a loose grid.",
+    build({ width, height, nodeCount, criticalCount, rand }) {
+      const b = createBuilder(rand);
+      const cols = Math.max(2, Math.round(Math.sqrt((nodeCount * width) / height)));
+      const rows = Math.ceil(nodeCount / cols);
+      const sx = (width * 0.9) / cols, sy = (height * 0.9) / rows;
+      const x0 = (width - sx * cols) / 2, y0 = (height - sy * rows) / 2;
+      for (let i = 0; i < nodeCount; i++) {
+        const x = x0 + ((i % cols) + 0.5 + (rand() - 0.5) * 0.4) * sx;
+        const y = y0 + (Math.floor(i / cols) + 0.5 + (rand() - 0.5) * 0.4) * sy;
+        // the middle of the floor is as "core" as a flat network gets
+        const d = Math.hypot((x - width / 2) / (width / 2), (y - height / 2) / (height / 2));
+        b.add(x, y, d < 0.3 ? 0 : d < 0.65 ? 1 : 2);
+      }
+      for (let i = 0; i < nodeCount; i++) {
+        const right = (i + 1) % cols !== 0 && i + 1 < nodeCount;
+        const down = i + cols < nodeCount;
+        if (right && rand() < 0.9) b.link(i, i + 1);
+        if (down && rand() < 0.9) b.link(i, i + cols);
+        if (right && i + cols + 1 < nodeCount && rand() < 0.15) b.link(i, i + cols + 1);
+      }
+      b.finish(criticalCount);
+      return { nodes: b.nodes, edges: b.edges, entry: b.edge() };
+    },
+  },
+};
+
+export const TOPOLOGY_IDS = Object.keys(TOPOLOGIES);
+export const DEFAULT_TOPOLOGY = DEFAULT_RULES.topology;
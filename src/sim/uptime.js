@@ -0,0 +1,85 @@
+/**
+ * Business uptime and SLA.
+ * ------------------------------------------------------
+ * A node is serving when it is not infected, not knocked offline through its
+ * dependencies (see roles.js) and can still reach a working critical system
+ * over links that isolation has not cut (on a network without critical
+ * systems, every healthy node that isn't isolated serves). Uptime is the serving share of the
+ * estate, with critical nodes counting CRITICAL_WEIGHT times. A blocked link
+ * carries no traffic either, so firewalling the only path to a service costs
+ * uptime just like isolating it.
+ *
+ * The SLA is judged on a rolling average (`s.sla`, an exponential moving
+ * average over roughly SLA_WINDOW seconds) so a brief outage is survivable but
+ * a long one is not. On a win, the availability bonus weighs mean uptime
+ * against mean risk: isolating everything keeps risk low but earns little.
+ */
+
+export const CRITICAL_WEIGHT = 3;
+export const SLA_WINDOW = 20; // seconds
+export const AVAILABILITY_BONUS = 300;
+
+export function computeUptime(s) {
+  const nodes = s.nodes;
+  // open links as a flat adjacency list (offsets into one array): this runs
+  // every tick, so no per-node arrays on large networks
+  const open = s.edges.filter((e) => !e.blocked && !nodes[e.a].isolated && !nodes[e.b].isolated);
+  const start = new Int32Array(nodes.length + 1);
+  for (const e of open) {
+    start[e.a + 1]++;
+    start[e.b + 1]++;
+  }
+  for (let i = 0; i < nodes.length; i++) start[i + 1] += start[i];
+  const fill = start.slice(0, nodes.length);
+  const adj = new Int32Array(open.length * 2);
+  for (const e of open) {
+    adj[fill[e.a]++] = e.b;
+    adj[fill[e.b]++] = e.a;
+  }
+  // everything still connected to a critical system that is up; with none
+  // on the map, every node that is up and not isolated
+  const anyCritical = nodes.some((n) => n.critical);
+  const reached = new Uint8Array(nodes.length);
+  const queue = new Int32Array(nodes.length);
+  let tail = 0;
+  for (const n of nodes) {
+    if (anyCritical ? n.critical && !n.down : !n.down && !n.isolated) {
+      reached[n.id] = 1;
+      queue[tail++] = n.id;
+    }
+  }
+  for (let i = 0; i < tail; i++) {
+    const u = queue[i];
+    for (let j = start[u]; j < start[u + 1]; j++) {
+      const v = adj[j];
+      if (!reached[v]) {
+        reached[v] = 1;
+        queue[tail++] = v;
+      }
+    }
+  }
+  let up = 0;
+  let total = 0;
+  for (const n of nodes) {
+    const w = n.critical ? CRITICAL_WEIGHT : 1;
+    total += w;
+    if (reached[n.id] && !n.down && !n.infected) up += w;
+  }
+  return total ? up / total : 1;
+}
+
+// Advances the uptime bookkeeping on the (draft) state by `dt` seconds.
+export function updateUptime(s, dt) {
+  s.uptime = computeUptime(s);
+  s.sla += (s.uptime - s.sla) * Math.min(1, dt / SLA_WINDOW);
+  s.uptimeTotal += s.uptime * dt;
+  s.riskTotal += s.risk * dt;
+}
+
+// Bonus for a won round; returns { bonus, uptime, risk } with the run's means.
+export function availabilityBonus(s) {
+  const t = Math.max(s.time, 1e-9);
+  const uptime = s.uptimeTotal / t;
+  const risk = s.riskTotal / t;
+  return { bonus: Math.max(0, Math.round(AVAILABILITY_BONUS * (uptime - risk))), uptime, risk };
+}
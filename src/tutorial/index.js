@@ -0,0 +1,11 @@
+/**
+ * Bundled lessons.
+ * ------------------------------------------------------
+ * Every JSON file in lessons/, in file-name order (see tutorial.js).
+ */
+
+const files = import.meta.glob("./lessons/*.json", { eager: true, import: "default" });
+
+export const LESSONS = Object.keys(files)
+  .sort()
+  .map((path) => files[path]);
@@ -0,0 +1,28 @@
+/**
+ * Tutorial progress.
+ * ------------------------------------------------------
+ * Which tutorial lessons have been finished, persisted in localStorage.
+ */
+
+const STORAGE_KEY = "cybergrid.tutorial.v1";
+
+export function loadLessonsDone() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+// Records a finished lesson and returns the updated list.
+export function completeLesson(done, lessonId) {
+  if (done.includes(lessonId)) return done;
+  const next = [...done, lessonId];
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // storage full or disabled: progress just won't survive a reload
+  }
+  return next;
+}
@@ -0,0 +1,139 @@
+/**
+ * Tutorial lessons.
+ * ------------------------------------------------------
+ * A lesson is a scripted round, written as JSON (one file per lesson in
+ * lessons/, played in file-name order):
+ *
+ *   {
+ *     "id": "basics",
+ *     "name": "The basics",
+ *     "description": "one line for the lesson list",
+ *     "rules": { "baseThreat": 0.05 },        // engine rules under the scenario's (optional)
+ *     "scenario": { … },                      // the network, as a scenario file (see scenario.js)
+ *     "steps": [
+ *       {
+ *         "title": "Patch it",
+ *         "text": "Press {key:patch} to patch the selected node.",
+ *         "highlight": { "action": "patch" }, // a node (scenario id), action button or HUD stat (optional)
+ *         "hold": true,                       // hold the outbreak while the step shows (default true)
+ *         "until": { "patched": "ws-03" }     // all of these must hold to move on
+ *       }
+ *     ]
+ *   }
+ *
+ * `{key:<action>}` in a step's text becomes that action's hotkey. The `until`
+ * checks are the CONDITIONS below, run against the live game every frame;
+ * `{ "next": true }` waits for the player to press Next. A new lesson is just
+ * another JSON file, and a new kind of check one more CONDITIONS entry.
+ * Held rounds can't be replayed from their actions, so lessons aren't recorded.
+ */
+
+import { ACTIONS } from "../sim/actions.js";
+import { parseScenario, ScenarioError } from "../sim/scenario.js";
+
+export class TutorialError extends Error {
+  constructor(issues) {
+    super(`Invalid lesson:\n- ${issues.join("\n- ")}`);
+    this.name = "TutorialError";
+    this.issues = issues;
+  }
+}
+
+// What a step's `until` can wait for. `arg` is the kind of value each takes;
+// node values arrive as node indices. `c` is the check context:
+// { game, selected, pressed, since } where `since` is the sim time the step began.
+export const CONDITIONS = {
+  next: { arg: "true", test: (c) => c.pressed },
+  wait: { arg: "seconds", test: (c, sec) => c.game.time - c.since >= sec },
+  select: { arg: "node", test: (c, n) => c.selected === n },
+  used: { arg: "action", test: (c, a) => c.game.cooldowns[a] >= c.since },
+  patched: { arg: "node", test: (c, n) => c.game.nodes[n].patched > 0 },
+  clean: { arg: "node", test: (c, n) => !c.game.nodes[n].infected },
+  isolated: { arg: "node", test: (c, n) => c.game.nodes[n].isolated },
+  online: { arg: "node", test: (c, n) => !c.game.nodes[n].isolated },
+  honeypot: { arg: "node", test: (c, n) => c.game.nodes[n].honeypot },
+  status: { arg: "status", test: (c, st) => c.game.status === st },
+};
+
+// What a step can point at: a node on the map, an action button or a HUD stat chip.
+export const HIGHLIGHTS = ["node", "action", "stat"];
+export const STATS = ["risk", "uptime", "time", "energy", "infected"];
+
+// ------------------------- Parsing -------------------------
+// Validates raw lesson JSON and returns it with node ids resolved to indices:
+// each step becomes { title, text, highlight, hold, until: [[condition, value]] }.
+export function parseLesson(data) {
+  const issues = [];
+  if (!data || typeof data !== "object") throw new TutorialError(["lesson must be a JSON object"]);
+  if (typeof data.id !== "string" || !data.id) issues.push("`id` must be a non-empty string");
+  if (typeof data.name !== "string" || !data.name) issues.push("`name` must be a non-empty string");
+
+  let scenario = null;
+  try {
+    scenario = parseScenario(data.scenario);
+  } catch (err) {
+    if (!(err instanceof ScenarioError)) throw err;
+    issues.push(...err.issues.map((i) => `scenario: ${i}`));
+  }
+  const index = new Map((scenario?.nodes ?? []).map((n, i) => [n.id, i]));
+  const node = (where, id) => {
+    if (!scenario) return null; // already reported
+    if (!index.has(id)) issues.push(`${where}: no node "${id}" in the scenario`);
+    return index.get(id) ?? null;
+  };
+  const action = (where, id) => {
+    if (!ACTIONS[id]) issues.push(`${where}: unknown action "${id}"`);
+    return id;
+  };
+
+  if (!Array.isArray(data.steps) || data.steps.length === 0) issues.push("`steps` must be a non-empty array");
+  const steps = (Array.isArray(data.steps) ? data.steps : []).map((st, i) => {
+    const at = `steps[${i}]`;
+    if (typeof st?.text !== "string" || !st.text) issues.push(`${at}: \`text\` must be a non-empty string`);
+    for (const [, id] of (st?.text ?? "").matchAll(/\{key:(\w+)\}/g)) action(`${at}.text`, id);
+
+    const highlight = {};
+    for (const [kind, value] of Object.entries(st?.highlight ?? {})) {
+      if (kind === "node") highlight.node = node(`${at}.highlight`, value);
+      else if (kind === "action") highlight.action = action(`${at}.highlight`, value);
+      else if (kind === "stat" && STATS.includes(value)) highlight.stat = value;
+      else issues.push(`${at}.highlight: expected one of ${HIGHLIGHTS.join(", ")} (stats: ${STATS.join(", ")})`);
+    }
+
+    const until = Object.entries(st?.until ?? {}).map(([name, value]) => {
+      const where = `${at}.until.${name}`;
+      const cond = CONDITIONS[name];
+      if (!cond) {
+        issues.push(`${at}.until: unknown condition "${name}" (expected one of ${Object.keys(CONDITIONS).join(", ")})`);
+      } else if (cond.arg === "node") {
+        return [name, node(where, value)];
+      } else if (cond.arg === "action") {
+        return [name, action(where, value)];
+      } else if (cond.arg === "seconds" && !(typeof value === "number" && value > 0)) {
+        issues.push(`${where}: expected a number of seconds`);
+      } else if (cond.arg === "status" && value !== "won" && value !== "lost") {
+        issues.push(`${where}: expected "won" or "lost"`);
+      } else if (cond.arg === "true" && value !== true) {
+        issues.push(`${where}: expected true`);
+      }
+      return [name, value];
+    });
+    if (until.length === 0) issues.push(`${at}: \`until\` needs at least one condition`);
+
+    return { title: st?.title ?? "", text: st?.text ?? "", highlight, hold: st?.hold !== false, until };
+  });
+
+  if (issues.length) throw new TutorialError(issues);
+  return { id: data.id, name: data.name, description: data.description ?? "", rules: data.rules ?? {}, scenario: data.scenario, steps };
+}
+
+// ------------------------- Playing -------------------------
+// createGame() arguments for a parsed lesson.
+export const lessonSetup = (lesson, seed) => ({ seed, scenario: lesson.scenario, rules: lesson.rules });
+
+export function stepDone(step, ctx) {
+  return step.until.every(([name, value]) => CONDITIONS[name].test(ctx, value));
+}
+
+// A step's text with `{key:<action>}` replaced by the hotkey.
+export const stepText = (step) => step.text.replace(/\{key:(\w+)\}/g, (m, id) => ACTIONS[id]?.key.toUpperCase() ?? m);
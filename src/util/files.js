@@ -0,0 +1,43 @@
+/**
+ * File helpers.
+ * ------------------------------------------------------
+ * Browser file helpers for exporting and importing game artifacts.
+ */
+
+export function downloadFile(filename, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+const CANCEL_GRACE_MS = 500; // wait for a late "change" after the window regains focus
+
+// Opens the OS file picker and resolves with the chosen file's text (null if cancelled).
+// Browsers without the input's "cancel" event only tell us the picker closed by
+// focusing the window again, sometimes before "change" fires, hence the grace period.
+export function pickFile(accept) {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = accept;
+    const done = (value) => {
+      window.removeEventListener("focus", onFocus);
+      resolve(value);
+    };
+    const onFocus = () => setTimeout(() => {
+      if (!input.files?.length) done(null);
+    }, CANCEL_GRACE_MS);
+    input.onchange = () => {
+      const file = input.files?.[0];
+      done(file ? file.text() : null);
+    };
+    input.oncancel = () => done(null);
+    window.addEventListener("focus", onFocus);
+    input.click();
+  });
+}
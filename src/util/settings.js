@@ -0,0 +1,25 @@
+/**
+ * Saved rules.
+ * ------------------------------------------------------
+ * The difficulty and custom rules last chosen, persisted in localStorage.
+ */
+
+import { normalizeTuning } from "../sim/difficulty.js";
+
+const STORAGE_KEY = "cybergrid.rules.v1";
+
+export function loadTuning() {
+  try {
+    return normalizeTuning(JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {});
+  } catch {
+    return normalizeTuning();
+  }
+}
+
+export function saveTuning(tuning) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(tuning));
+  } catch {
+    // storage full or disabled: the rules just won't survive a reload
+  }
+}
@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TICK_DT, canUse, cooldownLeft, createGame, step } from "../src/sim/engine.js";
+import { checksum, createRecording, createReplay, parseRecording, recordStep, serializeRecording } from "../src/sim/recording.js";
+import { ACTIONS } from "../src/sim/actions.js";
+import { RESTORE_DURATION } from "../src/sim/constants.js";
+
+const run = (s, seconds) => {
+  for (let t = 0; t < seconds; t += TICK_DT) s = step(s, TICK_DT, []);
+  return s;
+};
+const finish = (s) => {
+  while (s.status === "running") s = step(s, TICK_DT, []);
+  return s;
+};
+const blocked = (s) => s.trace.find((t) => t.kind === "blocked")?.reason;
+
+// two linked nodes, a foothold on "a"; no outside events or SLA to get in the way
+const PAIR = {
+  name: "Pair",
+  adversary: "commodity",
+  events: null,
+  sla: null,
+  nodes: [
+    { id: "a", x: 100, y: 100, infected: true },
+    { id: "b", x: 300, y: 100 },
+  ],
+  edges: [{ from: "a", to: "b" }],
+};
+const pair = (over = {}, nodes = {}) => ({ ...PAIR, ...over, nodes: PAIR.nodes.map((n) => ({ ...n, ...nodes[n.id] })) });
+
+// ------------------------- Determinism -------------------------
+// defender moves, plus a red one that lands in versus rounds and is rejected otherwise
+const SCRIPT = {
+  20: [{ type: "exploit", node: 0 }],
+  40: [{ type: "sweep" }],
+  100: [{ type: "patch", node: 3 }],
+  160: [{ type: "isolate", node: 5 }, { type: "block", edge: [1, 2] }],
+};
+
+function play(setup, ticks = 600) {
+  let s = createGame(setup);
+  const rec = createRecording(setup);
+  while (s.status === "running" && s.tick < ticks) {
+    const actions = SCRIPT[s.tick + 1] ?? [];
+    s = step(s, TICK_DT, actions);
+    recordStep(rec, s, actions);
+  }
+  return { s, rec };
+}
+
+for (const setup of [{ seed: 42 }, { seed: 9, rules: { versus: true, fog: true } }]) {
+  const name = setup.rules?.versus ? "a versus round" : "a round";
+  test(`${name} plays out the same from the same seed and actions`, () => {
+    const first = play(setup);
+    const second = play(setup);
+    assert.deepEqual(second.s, first.s);
+    assert.deepEqual(second.rec.checksums, first.rec.checksums);
+    assert.notEqual(checksum(play({ ...setup, seed: setup.seed + 1 }).s), checksum(first.s));
+  });
+
+  test(`${name} replays from its recording`, () => {
+    const { s, rec } = play(setup);
+    const replay = createReplay(parseRecording(serializeRecording(rec)));
+    assert.equal(replay.mismatchAt, null);
+    assert.equal(replay.endTick, s.tick);
+    assert.deepEqual(replay.final, s);
+  });
+}
+
+test("step never mutates the state it is given", () => {
+  const s0 = run(createGame({ seed: 3, rules: { versus: true } }), 1);
+  const before = structuredClone(s0);
+  step(s0, TICK_DT, [{ type: "patch", node: 2 }, { type: "block", edge: [s0.edges[0].a, s0.edges[0].b] }, { type: "exploit", node: 4 }]);
+  assert.deepEqual(s0, before);
+});
+
+// ------------------------- Outcomes -------------------------
+test("surviving the timer wins the round", () => {
+  let s = createGame({ seed: 1, scenario: pair({ timer: 2 }) });
+  s = finish(step(s, TICK_DT, [{ type: "isolate", node: 0 }]));
+  assert.equal(s.status, "won");
+  assert.ok(s.time >= 2);
+});
+
+test("maxed-out risk loses the round", () => {
+  const s = step(createGame({ seed: 1, scenario: pair({}, { b: { infected: true } }) }), TICK_DT, []);
+  assert.equal(s.status, "lost");
+  assert.match(s.messages.at(-1), /Risk maxed out/);
+});
+
+test("a protect round is lost with its first critical node", () => {
+  const s = step(createGame({ seed: 1, scenario: pair({ win: { type: "protect" } }, { a: { critical: true } }) }), TICK_DT, []);
+  assert.equal(s.status, "lost");
+  assert.match(s.messages.at(-1), /critical asset/);
+});
+
+test("an eradicate round is won once nothing is infected, and lost on the clock", () => {
+  const scenario = pair({ timer: 1, win: { type: "eradicate" } });
+  const won = step(createGame({ seed: 1, scenario }), TICK_DT, [{ type: "restore", node: 0 }]);
+  assert.equal(won.status, "won");
+  const lost = finish(createGame({ seed: 1, scenario }));
+  assert.equal(lost.status, "lost");
+  assert.match(lost.messages.at(-1), /Time expired/);
+});
+
+// ------------------------- Costs & cooldowns -------------------------
+test("an action spends its cost and then cools down", () => {
+  const s0 = createGame({ seed: 1, scenario: PAIR });
+  const s1 = step(s0, TICK_DT, [{ type: "patch", node: 1 }]);
+  assert.ok(Math.abs(s1.energy - (s0.energy - ACTIONS.patch.cost + s0.rules.energyRegen * TICK_DT)) < 1e-9);
+  assert.ok(cooldownLeft(s1, "patch") > 1.3);
+  assert.ok(!canUse(s1, "patch"));
+
+  const again = step(s1, TICK_DT, [{ type: "patch", node: 0 }]);
+  assert.equal(blocked(again), "cooldown");
+  assert.ok(again.energy > s1.energy, "a rejected action costs nothing");
+
+  const later = run(s1, 1.4);
+  assert.equal(cooldownLeft(later, "patch"), 0);
+  assert.ok(canUse(later, "patch"));
+  assert.equal(step(later, TICK_DT, [{ type: "patch", node: 0 }]).trace[0].kind, "action");
+});
+
+test("actions are rejected without the energy, or outside the round's kit", () => {
+  assert.equal(blocked(step(createGame({ seed: 1, scenario: pair({ energy: 10 }) }), TICK_DT, [{ type: "patch", node: 1 }])), "energy");
+  assert.equal(blocked(step(createGame({ seed: 1, scenario: pair({ actions: ["patch"] }) }), TICK_DT, [{ type: "isolate", node: 1 }])), "unavailable");
+  assert.equal(blocked(step(createGame({ seed: 1, scenario: PAIR }), TICK_DT, [{ type: "scan", node: 1 }])), "unavailable"); // fog only
+});
+
+test("a round's rules override action costs and cooldowns", () => {
+  const s0 = createGame({ seed: 1, scenario: PAIR, rules: { costs: { patch: 5 }, cooldowns: { patch: 0 } } });
+  let s = step(s0, TICK_DT, [{ type: "patch", node: 1 }]);
+  assert.ok(Math.abs(s.energy - (s0.energy - 5 + s0.rules.energyRegen * TICK_DT)) < 1e-9);
+  s = step(s, TICK_DT, [{ type: "patch", node: 0 }]);
+  assert.equal(s.trace[0].kind, "action");
+});
+
+test("a node restored twice stays down until the last restore ends", () => {
+  let s = createGame({ seed: 1, scenario: PAIR, rules: { cooldowns: { restore: 0 } } });
+  s = step(s, TICK_DT, [{ type: "restore", node: 1 }]);
+  s = run(s, RESTORE_DURATION / 2);
+  s = step(s, TICK_DT, [{ type: "restore", node: 1 }]);
+  s = run(s, RESTORE_DURATION / 2 + 0.5); // the first restore has run out
+  assert.ok(s.nodes[1].restoring);
+  s = run(s, RESTORE_DURATION / 2);
+  assert.ok(!s.nodes[1].restoring);
+});
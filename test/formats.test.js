@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { detectFormat, exportNetwork, importNetwork, networkToScenario } from "../src/formats/index.js";
+import { toPortable } from "../src/formats/graph.js";
+import { parseScenario } from "../src/sim/scenario.js";
+
+const sample = (file) => readFileSync(new URL(`../samples/networks/${file}`, import.meta.url), "utf8");
+const byKey = (net) => Object.fromEntries(net.nodes.map((n) => [n.key, n]));
+const linkName = (net, e) => [net.nodes[e.a].key, net.nodes[e.b].key].sort().join(" – ");
+const links = (net) => net.edges.map((e) => linkName(net, e)).sort();
+const weight = (net, a, b) => net.edges.find((e) => linkName(net, e) === [a, b].sort().join(" – ")).w;
+
+// ------------------------- Samples -------------------------
+const SAMPLES = {
+  "branch-office.gexf": { format: "gexf", name: "Branch offices", nodes: 10, edges: 10 },
+  "campus.graphml": { format: "graphml", name: "Campus", nodes: 14, edges: 13 },
+  "datacenter.dot": { format: "dot", name: "Data centre", nodes: 9, edges: 12 },
+  "flat-lan.csv": { format: "csv", name: null, nodes: 9, edges: 10 },
+};
+
+for (const [file, want] of Object.entries(SAMPLES)) {
+  test(`${file} imports with every node and link`, () => {
+    const text = sample(file);
+    assert.equal(detectFormat(text), want.format);
+    const net = importNetwork(text);
+    assert.equal(net.name, want.name);
+    assert.equal(net.nodes.length, want.nodes);
+    assert.equal(net.edges.length, want.edges);
+    for (const n of net.nodes) {
+      assert.ok(n.x >= 0 && n.x <= net.world.width && n.y >= 0 && n.y <= net.world.height, `${n.key} is inside the world`);
+    }
+    assert.ok(net.nodes.some((n) => n.critical), "has a critical node");
+    assert.ok(net.nodes.some((n) => n.infected), "has a foothold");
+    parseScenario(networkToScenario(net)); // plays as a scenario
+  });
+}
+
+test("GEXF attributes, labels and defaults map onto nodes", () => {
+  const nodes = byKey(importNetwork(sample("branch-office.gexf")));
+  assert.equal(nodes["hq-db"].name, "Finance-DB");
+  assert.equal(nodes["hq-db"].role, "db");
+  assert.equal(nodes["hq-db"].security, 0.7);
+  assert.equal(nodes["hq-db"].critical, true);
+  assert.equal(nodes["hq-fw"].critical, false); // <default>false</default>
+  assert.equal(nodes["north-1"].infected, true);
+  assert.equal(nodes["south-2"].role, "ot");
+  // y points up in Gephi: the HQ (y ≤ 0) ends up below the branches (y > 0)
+  assert.ok(nodes["hq-fw"].y > nodes["north-rtr"].y);
+});
+
+test("GraphML keys, defaults and edge weights map through", () => {
+  const net = importNetwork(sample("campus.graphml"));
+  const nodes = byKey(net);
+  assert.equal(nodes.ad.name, "Domain Controller");
+  assert.equal(nodes.ad.role, "auth");
+  assert.equal(nodes.ad.critical, true);
+  assert.equal(nodes["lib-pc1"].role, "workstation"); // the key's <default>
+  assert.equal(nodes["lab-pc1"].security, 0.3);
+  assert.equal(nodes.hvac.role, "ot");
+  assert.equal(weight(net, "core1", "core2"), 1.2);
+  assert.equal(weight(net, "lab", "hvac"), 0.5);
+  assert.equal(weight(net, "core1", "ad"), 1); // no weight given
+});
+
+test("DOT subgraph defaults, edge chains and pinned positions map through", () => {
+  const net = importNetwork(sample("datacenter.dot"));
+  const nodes = byKey(net);
+  assert.equal(nodes.spine1.name, "spine-1");
+  assert.equal(nodes["db-a1"].name, "Core-DB");
+  assert.equal(nodes["db-a2"].role, "db"); // rack_a's node defaults
+  assert.equal(nodes["cache-a"].security, 0.7);
+  assert.equal(nodes["build-02"].role, "workstation");
+  assert.equal(nodes["build-02"].infected, true);
+  assert.equal(nodes["auth-b"].role, "auth");
+  assert.equal(nodes["auth-b"].critical, true);
+  assert.ok(nodes.spine1.x < nodes.spine2.x);
+  assert.equal(nodes.spine1.y, nodes.spine2.y);
+  const all = links(net);
+  for (const link of ["build-01 – build-02", "build-02 – build-03", "build-01 – build-03", "db-a1 – spine2", "cache-a – spine1"]) {
+    assert.ok(all.includes(link), link);
+  }
+});
+
+test("CSV quoted fields, comments and rescaled weights", () => {
+  const net = importNetwork(sample("flat-lan.csv"));
+  const nodes = byKey(net);
+  assert.equal(nodes["printer, 2nd floor"].name, "printer, 2nd floor");
+  assert.ok(links(net).includes("office-sw – printer, 2nd floor"));
+  assert.equal(nodes["db-files"].role, "db"); // guessed from the name
+  assert.equal(nodes["mail-01"].role, "mail");
+  assert.ok(net.edges.every((e) => e.w > 0 && e.w <= 1.4), "Mbit/s weights are rescaled");
+  assert.ok(nodes["db-files"].critical && nodes["auth-dc"].critical, "databases and auth servers become critical");
+});
+
+test("unnamed imports get an id from their content", () => {
+  const csv = sample("flat-lan.csv");
+  const id = (text) => networkToScenario(importNetwork(text)).id;
+  assert.equal(id(csv), id(csv));
+  assert.match(id(csv), /^import-imported-network-[0-9a-f]{8}$/);
+  assert.notEqual(id(csv), id("a,b\nb,c\n"));
+  assert.equal(networkToScenario(importNetwork(csv), { id: "lan" }).id, "lan");
+});
+
+// ------------------------- Round trips -------------------------
+for (const format of ["graphml", "gexf", "dot"]) {
+  test(`${format} export imports back unchanged`, () => {
+    for (const file of Object.keys(SAMPLES)) {
+      const net = importNetwork(sample(file));
+      const text = exportNetwork(net, format, { name: "Round trip" });
+      assert.equal(detectFormat(text), format);
+      const back = importNetwork(text);
+      assert.equal(back.name, "Round trip");
+      assert.deepEqual(toPortable(back), toPortable(net), file);
+    }
+  });
+}
+
+test("csv export keeps links and weights only", () => {
+  const net = importNetwork(sample("flat-lan.csv"));
+  const back = importNetwork(exportNetwork(net, "csv"));
+  assert.deepEqual(links(back), links(net));
+  assert.deepEqual(back.edges.map((e) => e.w), net.edges.map((e) => Math.round(e.w * 1000) / 1000));
+});
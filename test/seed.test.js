@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatSeed, parseSeed, seedFromSearch } from "../src/sim/seed.js";
+
+test("every seed survives formatting and parsing", () => {
+  for (const seed of [0, 1, 35, 36 ** 6 - 1, 36 ** 6, 2 ** 31, 0xfffffffe, 0xffffffff]) {
+    assert.equal(parseSeed(formatSeed(seed)), seed, formatSeed(seed));
+  }
+  for (let i = 0; i < 1000; i++) {
+    const seed = parseSeed(`phrase-${i}`);
+    assert.equal(parseSeed(formatSeed(seed)), seed);
+    assert.equal(seedFromSearch(`?seed=${formatSeed(seed)}`), seed);
+  }
+});
+
+test("codes are case-insensitive and phrases hash", () => {
+  assert.equal(formatSeed(0xffffffff), "1Z141Z3");
+  assert.equal(parseSeed("k3f9qx"), parseSeed("K3F9QX"));
+  assert.equal(parseSeed("challenge-night-3"), parseSeed(" challenge-night-3 "));
+  assert.ok(Number.isInteger(parseSeed("ZZZZZZZ"))); // past the largest seed: hashed, not wrapped
+  assert.notEqual(parseSeed("ZZZZZZZ"), parseInt("ZZZZZZZ", 36) >>> 0);
+  assert.equal(parseSeed(""), null);
+  assert.equal(seedFromSearch(""), null);
+});
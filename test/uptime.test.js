@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TICK_DT, createGame, step } from "../src/sim/engine.js";
+import { computeUptime } from "../src/sim/uptime.js";
+
+const run = (s, seconds) => {
+  for (let t = 0; t < seconds; t += TICK_DT) s = step(s, TICK_DT, []);
+  return s;
+};
+
+// a line of four nodes, nothing critical, the breach at one end
+const FLAT = {
+  name: "Flat",
+  nodes: [
+    { id: "a", x: 100, y: 100, infected: true },
+    { id: "b", x: 300, y: 100 },
+    { id: "c", x: 500, y: 100 },
+    { id: "d", x: 700, y: 100 },
+  ],
+  edges: [{ from: "a", to: "b" }, { from: "b", to: "c" }, { from: "c", to: "d" }],
+};
+
+test("every healthy node serves on a network without critical systems", () => {
+  const s = createGame({ seed: 1, scenario: FLAT });
+  assert.equal(computeUptime(s), 3 / 4); // only the infected node is out
+  s.nodes[2].isolated = true;
+  assert.equal(computeUptime(s), 2 / 4);
+});
+
+test("a round without critical nodes doesn't breach its SLA at once", () => {
+  for (const setup of [{ seed: 1, scenario: FLAT }, { seed: 7, rules: { criticalCount: 0 } }]) {
+    const s = run(createGame(setup), 1);
+    assert.ok(s.nodes.every((n) => !n.critical));
+    assert.equal(s.status, "running");
+    assert.ok(s.sla > 0.5, `sla ${s.sla}`);
+  }
+});
+
+test("nodes cut off from every critical system stop serving", () => {
+  const s = createGame({ seed: 1, scenario: { ...FLAT, nodes: FLAT.nodes.map((n) => (n.id === "d" ? { ...n, critical: true } : n)) } });
+  const before = computeUptime(s);
+  s.nodes[2].isolated = true; // a and b lose their only path to d
+  assert.ok(computeUptime(s) < before);
+  assert.equal(computeUptime(s), 3 / 6); // d counts CRITICAL_WEIGHT (3); a, b and c are out
+});